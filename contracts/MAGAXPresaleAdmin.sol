@@ -0,0 +1,587 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "./MAGAXPresaleCore.sol";
+
+/**
+ * @title MAGAXPresaleAdmin
+ * @notice Presale extension: stage configuration, payment assets, KYC, promo code registry,
+ *         bonus rates, contribution caps, voidOrder and emergency withdrawals
+ * @dev Runs through MAGAXPresaleReceipts' fallback (delegatecall), see MAGAXPresaleCore
+ */
+contract MAGAXPresaleAdmin is MAGAXPresaleCore {
+    // Next extension in the chain, see MAGAXPresaleCore
+    address public immutable nextExtension;
+
+    constructor(address next) {
+        if (next.code.length == 0) revert InvalidAddress();
+        nextExtension = next;
+    }
+
+    // Stage management functions
+    function configureStage(
+        uint8 stage,
+        uint128 pricePerToken,
+        uint128 tokensAllocated,
+        uint128 usdTarget
+    ) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (pricePerToken == 0) revert InvalidPrice();
+        if (usdTarget == 0) revert InvalidUsdTarget();
+        if (tokensAllocated == 0) revert InvalidAllocation();
+        if (_stages[stage].usdRaised > 0 || _stages[stage].tokensSold > 0) revert StageAlreadyUsed();
+        _stages[stage] = StageInfo({
+            pricePerToken: pricePerToken,
+            tokensAllocated: tokensAllocated,
+            tokensSold: 0,
+            usdTarget: usdTarget,
+            usdRaised: 0,
+            isActive: false,
+            startTime: _stages[stage].startTime,
+            endTime: _stages[stage].endTime,
+            autoAdvance: _stages[stage].autoAdvance
+        });
+        emit StageConfigured(stage, pricePerToken, tokensAllocated, usdTarget);
+        emit StageUSDProgress(stage, 0, usdTarget);
+    }
+
+    /**
+     * @notice Schedule a stage's sale window and opt it into auto-advance
+     * @dev The window survives configureStage(). With autoAdvance set, the first purchase
+     *      after the stage sold out its tokensAllocated or usdTarget, or after endTime,
+     *      activates the next configured stage whose window has opened.
+     * @param stage The stage number (1-50)
+     * @param startTime Purchases revert with StageNotOpen before this time (0 = no start)
+     * @param endTime Purchases revert with StageWindowClosed from this time on (0 = open-ended)
+     * @param autoAdvance Move on to the next stage automatically
+     */
+    function configureStageWindow(
+        uint8 stage,
+        uint40 startTime,
+        uint40 endTime,
+        bool autoAdvance
+    ) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (_finalised) revert PresaleFinalised();
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (endTime != 0 && endTime <= startTime) revert InvalidStageWindow();
+
+        StageInfo storage stageInfo = _stages[stage];
+        stageInfo.startTime = startTime;
+        stageInfo.endTime = endTime;
+        stageInfo.autoAdvance = autoAdvance;
+        emit StageWindowConfigured(stage, startTime, endTime, autoAdvance);
+    }
+
+    /**
+     * @notice Give a stage a bonus pool separate from its sale allocation
+     * @dev With a pool, tokensAllocated, tokensSold and sell-out count base tokens only, and
+     *      every promo and referral bonus of the stage is paid from the pool. A purchase whose
+     *      bonuses no longer fit reverts with BonusPoolExhausted: nothing is paid partially and
+     *      nothing spills into the sale allocation. Without a pool (0), bonuses count against
+     *      tokensAllocated. The pool survives configureStage(). Once the stage has sales the
+     *      mode is fixed, but the pool can be topped up, or lowered to the bonuses already paid.
+     * @param stage The stage number (1-50)
+     * @param bonusTokens Bonus tokens the stage may pay out (18 decimals), 0 = no separate pool
+     */
+    function setStageBonusPool(uint8 stage, uint128 bonusTokens) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (_finalised) revert PresaleFinalised();
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (_stages[stage].usdRaised > 0 || _stages[stage].tokensSold > 0) {
+            // The mode decides what tokensSold holds, so it cannot change under live sales
+            if (_stageBonusPool[stage] == 0 || bonusTokens == 0) revert StageAlreadyUsed();
+            if (bonusTokens < _bonusPoolUsed(stage)) revert InvalidBonusPool();
+        }
+        _stageBonusPool[stage] = bonusTokens;
+        emit StageBonusPoolSet(stage, bonusTokens);
+    }
+
+    /**
+     * @notice Activates a specific presale stage and deactivates the current one
+     * @dev Stage transitions are manual unless the stage opted into auto-advance with
+     *      configureStageWindow(). This allows for precise timing of stage changes and
+     *      emergency adjustments.
+     * @param stage The stage number to activate (1-50)
+     */
+    function activateStage(uint8 stage) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (_finalised) revert PresaleFinalised();
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (_stages[stage].pricePerToken == 0) revert InvalidPrice();
+        if (_stages[stage].usdTarget == 0) revert InvalidUsdTarget();
+        if (_stages[stage].tokensAllocated == 0) revert InvalidAllocation();
+        
+        // Check if stage is already active
+        if (_stages[stage].isActive) revert StageAlreadyActive();
+        
+        _activateStage(stage);
+    }
+
+    function setMaxPromoBps(uint16 newCap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newCap == 0 || newCap > BASIS_POINTS) revert InvalidPromoBps();
+        
+        uint16 oldCap = _maxPromoCapBps;
+        _maxPromoCapBps = newCap;
+        
+        emit MaxPromoBpsUpdated(oldCap, newCap, msg.sender);
+    }
+
+    /**
+     * @notice Set the referral rates (timelock)
+     * @dev Applies to orders recorded from now on; existing receipts keep their amounts.
+     *      The base referrer rate must stay below the first tier.
+     * @param newReferrerBps Base referrer rate, used until a tier is reached
+     * @param newRefereeBps Referee (buyer) rate
+     * @param newSecondLevelBps Rate for the referrer's own referrer (0 = off)
+     */
+    function setReferralBonusBps(
+        uint16 newReferrerBps,
+        uint16 newRefereeBps,
+        uint16 newSecondLevelBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (
+            newReferrerBps > MAX_REFERRAL_BONUS_BPS ||
+            newRefereeBps > MAX_REFERRAL_BONUS_BPS ||
+            newSecondLevelBps > MAX_REFERRAL_BONUS_BPS
+        ) revert InvalidReferralBps();
+        if (referralTiers.length > 0 && newReferrerBps >= referralTiers[0].bonusBps) revert InvalidReferralBps();
+
+        _referrerBonusBps = newReferrerBps;
+        _refereeBonusBps = newRefereeBps;
+        _secondLevelBonusBps = newSecondLevelBps;
+        emit ReferralBpsUpdated(newReferrerBps, newRefereeBps, newSecondLevelBps, msg.sender);
+    }
+
+    /**
+     * @notice Replace the referrer tiers (timelock); an empty list removes them
+     * @dev Each tier needs at least one threshold and a rate above the previous tier (the
+     *      first above the base referrer rate), capped at MAX_REFERRAL_BONUS_BPS.
+     */
+    function setReferralTiers(ReferralTier[] calldata tiers) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (tiers.length > MAX_REFERRAL_TIERS) revert InvalidReferralTiers();
+
+        delete referralTiers;
+        uint16 previousBps = _referrerBonusBps;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            ReferralTier calldata tier = tiers[i];
+            if (tier.minReferrals == 0 && tier.minReferredUSDT == 0) revert InvalidReferralTiers();
+            if (tier.bonusBps <= previousBps || tier.bonusBps > MAX_REFERRAL_BONUS_BPS) revert InvalidReferralTiers();
+            previousBps = tier.bonusBps;
+            referralTiers.push(tier);
+        }
+        emit ReferralTiersUpdated(tiers.length, msg.sender);
+    }
+
+    /**
+     * @notice Accept or stop accepting a USD stablecoin as a payment asset (timelock)
+     * @dev The token's decimals are read when it is accepted; payments are normalized from them
+     *      to 6-decimal USD for every USD total. A delisted token keeps its raise totals.
+     * @param token The ERC-20 payment token
+     * @param allowed True to accept the token, false to stop accepting it
+     */
+    function setPaymentToken(address token, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (token == address(0)) revert InvalidAddress();
+        if (token == NATIVE_ASSET) revert UnsupportedPaymentToken();
+
+        PaymentAsset storage asset = _paymentAssets[token];
+        if (allowed) {
+            uint8 decimals = IERC20Metadata(token).decimals();
+            if (decimals > MAX_PAYMENT_DECIMALS) revert UnsupportedPaymentToken();
+            asset.decimals = decimals;
+            if (!asset.listed) {
+                asset.listed = true;
+                paymentAssetList.push(token);
+            }
+        }
+        asset.accepted = allowed;
+        emit PaymentTokenUpdated(token, allowed, asset.decimals, msg.sender);
+    }
+
+    /**
+     * @notice Set where direct purchase payments are forwarded (timelock)
+     * @param newTreasury Receiver of every buyTokens payment
+     */
+    function setTreasury(address newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newTreasury == address(0) || newTreasury == address(this)) revert InvalidAddress();
+
+        address oldTreasury = _treasury;
+        _treasury = newTreasury;
+        emit TreasuryUpdated(oldTreasury, newTreasury, msg.sender);
+    }
+
+    /**
+     * @notice Set the price feed for native coin purchases (timelock)
+     * @dev Lists NATIVE_ASSET in paymentAssets (18 decimals) so native raise totals are reported
+     *      with the stablecoins. Pass the zero address to stop native purchases; the other
+     *      settings are then ignored.
+     *      Answers further than maxDeviationBps from referencePrice are refused, so a bad or
+     *      manipulated round cannot set the purchase price. Call again to move the band.
+     * @param feed Chainlink-compatible <native>/USD aggregator
+     * @param maxPriceAge Max age of the latest answer in seconds (the feed's heartbeat)
+     * @param referencePrice Expected answer in the feed's decimals, the centre of the accepted band
+     * @param maxDeviationBps Max distance of an answer from referencePrice
+     */
+    function setNativePriceFeed(
+        address feed,
+        uint32 maxPriceAge,
+        uint128 referencePrice,
+        uint16 maxDeviationBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        PaymentAsset storage asset = _paymentAssets[NATIVE_ASSET];
+        if (feed == address(0)) {
+            delete _nativePriceFeed;
+            asset.accepted = false;
+        } else {
+            if (maxPriceAge == 0 || referencePrice == 0 || maxDeviationBps == 0 || maxDeviationBps > BASIS_POINTS) {
+                revert InvalidPriceFeed();
+            }
+            _nativePriceFeed = NativePriceFeed({
+                feed: AggregatorV3Interface(feed),
+                decimals: AggregatorV3Interface(feed).decimals(),
+                maxPriceAge: maxPriceAge,
+                maxDeviationBps: maxDeviationBps,
+                referencePrice: referencePrice
+            });
+            asset.accepted = true;
+            asset.decimals = 18;
+            if (!asset.listed) {
+                asset.listed = true;
+                paymentAssetList.push(NATIVE_ASSET);
+            }
+        }
+        emit NativePriceFeedUpdated(feed, maxPriceAge, referencePrice, maxDeviationBps, msg.sender);
+    }
+
+    /**
+     * @notice Set the USD contribution caps of a tier
+     * @dev Tier 0 is the default for every wallet. A wallet's caps are the highest of tier 0's,
+     *      its allowlist tier's and its live KYC tier's, so those tiers can only raise them. Lowering a cap below
+     *      what a wallet already contributed only blocks its further purchases.
+     * @param tier Tier to configure (0 to MAX_CONTRIBUTION_TIER)
+     * @param stageCap USD (6 decimals) per wallet per stage, 0 = unlimited
+     * @param walletCap USD (6 decimals) per wallet over the whole presale, 0 = unlimited
+     */
+    function setContributionTier(uint8 tier, uint128 stageCap, uint128 walletCap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (tier > MAX_CONTRIBUTION_TIER) revert InvalidContributionTier();
+        _contributionTiers[tier] = ContributionTier({stageCap: stageCap, walletCap: walletCap});
+        emit ContributionTierUpdated(tier, stageCap, walletCap, msg.sender);
+    }
+
+    /**
+     * @notice Put wallets on a contribution tier allowlist (tier 0 removes them)
+     * @dev Callable by the stage manager for day-to-day onboarding (KYC, early supporters)
+     *      or by the timelock.
+     * @param users Wallets to assign (1 to MAX_BATCH_SIZE)
+     * @param tier Tier to assign (0 to MAX_CONTRIBUTION_TIER)
+     */
+    function assignContributionTier(address[] calldata users, uint8 tier) external {
+        if (!hasRole(STAGE_MANAGER_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        if (tier > MAX_CONTRIBUTION_TIER) revert InvalidContributionTier();
+        if (users.length == 0 || users.length > MAX_BATCH_SIZE) revert InvalidBatchSize();
+
+        for (uint256 i = 0; i < users.length; i++) {
+            if (users[i] == address(0)) revert InvalidAddress();
+            _contributionTier[users[i]] = tier;
+            emit ContributionTierAssigned(users[i], tier, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Turn attestation mode on or off
+     * @dev While on, every purchase path reverts with KycRequired unless the buyer has a live
+     *      cached attestation. Receipts recorded before it was switched on are not affected.
+     * @param required True to require KYC for new purchases
+     */
+    function setKycRequired(bool required) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _kycRequired = required;
+        emit KycRequiredUpdated(required, msg.sender);
+    }
+
+    /**
+     * @notice Cache a KYC attestation for its wallet
+     * @dev Anyone can submit (the buyer, a relayer or the recorder before recording). The
+     *      signer must hold KYC_SIGNER_ROLE now, so revoking the role voids attestations that
+     *      were not submitted yet. A newer attestation replaces the cached one.
+     * @param attestation The signed attestation
+     * @param signature EIP-712 signature over the attestation by a KYC signer
+     */
+    function submitKycAttestation(KycAttestation calldata attestation, bytes calldata signature) external whenNotPaused {
+        if (attestation.expiry <= block.timestamp) revert KycAttestationExpired();
+        if (attestation.wallet == address(0) || attestation.tier > MAX_CONTRIBUTION_TIER) revert InvalidKycAttestation();
+
+        KycStatus storage status = _kycStatus[attestation.wallet];
+        if (attestation.nonce != status.nonce) revert InvalidKycAttestation();
+        address signer = ECDSA.recover(hashKycAttestation(attestation), signature);
+        if (!hasRole(KYC_SIGNER_ROLE, signer)) revert InvalidKycAttestation();
+
+        status.tier = attestation.tier;
+        status.expiry = attestation.expiry;
+        status.nonce = attestation.nonce + 1;
+        emit KycAttested(attestation.wallet, attestation.tier, attestation.expiry, signer);
+    }
+
+    /**
+     * @notice Revoke the KYC status of wallets and void their outstanding attestations
+     * @dev Open to KYC signers so a failed re-check does not wait 48 hours. Receipts the
+     *      wallets already hold stay; voidOrder handles those.
+     * @param wallets Wallets to revoke (1 to MAX_BATCH_SIZE)
+     */
+    function revokeKyc(address[] calldata wallets) external {
+        if (!hasRole(KYC_SIGNER_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        if (wallets.length == 0 || wallets.length > MAX_BATCH_SIZE) revert InvalidBatchSize();
+
+        for (uint256 i = 0; i < wallets.length; i++) {
+            KycStatus storage status = _kycStatus[wallets[i]];
+            status.tier = 0;
+            status.expiry = 0;
+            unchecked { status.nonce++; }
+            emit KycRevoked(wallets[i], msg.sender);
+        }
+    }
+
+    /**
+     * @notice Register a promo code campaign
+     * @dev The code itself never goes on-chain, only its keccak256 (see scripts/promo-codes.js).
+     *      bonusBps is checked against maxPromoCapBps again at every use, so lowering the cap
+     *      through the timelock also limits existing campaigns.
+     * @param codeId keccak256 of the promo code
+     * @param bonusBps Promo bonus in basis points
+     * @param startTime Code accepted from this time
+     * @param endTime Code rejected from this time on (0 = no expiry)
+     * @param bonusBudget Promo bonus tokens the campaign may hand out in total (18 decimals)
+     * @param maxUses Orders allowed in total (0 = unlimited)
+     * @param maxUsesPerUser Orders allowed per buyer (0 = unlimited)
+     */
+    function createPromoCampaign(
+        bytes32 codeId,
+        uint16 bonusBps,
+        uint40 startTime,
+        uint40 endTime,
+        uint128 bonusBudget,
+        uint32 maxUses,
+        uint32 maxUsesPerUser
+    ) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (codeId == bytes32(0)) revert InvalidPromoCode();
+        if (_promoCampaigns[codeId].bonusBps != 0) revert PromoCodeExists();
+        _validatePromoBps(bonusBps);
+        if (bonusBudget == 0 || (endTime != 0 && endTime <= startTime)) revert InvalidPromoCampaign();
+
+        _promoCampaigns[codeId] = PromoCampaign({
+            bonusBps: bonusBps,
+            startTime: startTime,
+            endTime: endTime,
+            maxUses: maxUses,
+            maxUsesPerUser: maxUsesPerUser,
+            uses: 0,
+            active: true,
+            bonusBudget: bonusBudget,
+            bonusUsed: 0
+        });
+        emit PromoCampaignCreated(codeId, bonusBps, startTime, endTime, bonusBudget, maxUses, maxUsesPerUser);
+    }
+
+    /**
+     * @notice Switch a promo campaign off (or back on) without waiting for its endTime
+     */
+    function setPromoCampaignActive(bytes32 codeId, bool active) external onlyRole(STAGE_MANAGER_ROLE) {
+        if (_promoCampaigns[codeId].bonusBps == 0) revert PromoCodeNotFound();
+        _promoCampaigns[codeId].active = active;
+        emit PromoCampaignStatusChanged(codeId, active);
+    }
+
+    /**
+     * @notice Usage of a promo campaign
+     * @return uses Live orders that used the code
+     * @return bonusUsed Promo bonus tokens handed out
+     * @return bonusRemaining Budget left
+     * @return live Whether the code is accepted right now (active, inside its window, uses left)
+     */
+    function getPromoCampaignStats(bytes32 codeId) external view returns (
+        uint32 uses,
+        uint128 bonusUsed,
+        uint128 bonusRemaining,
+        bool live
+    ) {
+        PromoCampaign storage campaign = _promoCampaigns[codeId];
+        if (campaign.bonusBps == 0) revert PromoCodeNotFound();
+        live = _isPromoCampaignOpen(campaign) && (campaign.maxUses == 0 || campaign.uses < campaign.maxUses);
+        return (campaign.uses, campaign.bonusUsed, campaign.bonusBudget - campaign.bonusUsed, live);
+    }
+
+    /**
+     * @notice Void a mistaken or charged-back order and roll back everything it recorded
+     * @dev Timelock-governed via DEFAULT_ADMIN_ROLE. Receipts stay in place, read as voided, so
+     *      receipt indexes remain stable, and the orderId stays used: a corrected order is
+     *      recorded under a new orderId. Closed once the presale is finalised, because claim
+     *      allocations are read from the final totals.
+     * @param orderId The off-chain order identifier to void
+     */
+    function voidOrder(bytes32 orderId) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (_finalised) revert PresaleFinalised();
+        OrderRecord storage order = _orders[orderId];
+        address buyer = order.buyer;
+        if (buyer == address(0)) revert OrderNotFound();
+        if (order.voided) revert OrderAlreadyVoided();
+        order.voided = true;
+
+        address referrer = order.referrer;
+        address secondReferrer = _orderSecondLevel[orderId].referrer;
+        PackedPurchase memory sum = _rollbackPurchases(order, secondReferrer);
+        uint128 usdt = sum.usdt;
+        uint128 buyerTokens = sum.magax + sum.promoBonus + sum.refereeBonus;
+        uint128 promoTokens = sum.promoBonus;
+        uint128 referrerTokens = sum.referrerBonus;
+
+        _userTotalUSDT[buyer] -= usdt;
+        _userTotalMAGAX[buyer] -= buyerTokens;
+        _userPromoData[buyer].totalPromoBonus -= promoTokens;
+        _totalPromoBonusDistributed -= promoTokens;
+        bytes32 codeId = _orderPromoCode[orderId];
+        if (codeId != bytes32(0)) {
+            PromoCampaign storage campaign = _promoCampaigns[codeId];
+            campaign.uses--;
+            campaign.bonusUsed -= promoTokens;
+            _promoCodeUses[codeId][buyer]--;
+        }
+        _referralData[buyer].totalRefereeBonus -= sum.refereeBonus;
+        _totalUSDT -= usdt;
+        _totalMAGAX -= buyerTokens;
+
+        if (referrer != address(0)) {
+            _userTotalMAGAX[referrer] -= referrerTokens;
+            _totalMAGAX -= referrerTokens;
+            _referralData[referrer].totalReferrals--;
+            _referralData[referrer].totalBonusEarned -= referrerTokens;
+            _referralData[referrer].totalReferredUSDT -= usdt;
+
+            if (secondReferrer != address(0)) {
+                _userTotalMAGAX[secondReferrer] -= sum.secondLevelBonus;
+                _totalMAGAX -= sum.secondLevelBonus;
+                _referralData[secondReferrer].secondLevelReferrals--;
+                _referralData[secondReferrer].secondLevelBonusEarned -= sum.secondLevelBonus;
+            }
+        }
+
+        // A buyer with no live purchase left stops counting (see _isNewBuyer)
+        if (_userTotalUSDT[buyer] == 0 && _kindOf(_receiptRef(buyer, 0)) == ReceiptKind.Base) _totalBuyers--;
+
+        emit PurchaseVoided(orderId, buyer, referrer, usdt, buyerTokens, referrerTokens, sum.secondLevelBonus);
+    }
+
+    /**
+     * @notice Emergency token withdrawal for accidentally sent tokens
+     * @dev Timelock-only (DEFAULT_ADMIN_ROLE). A single EMERGENCY_ROLE holder cannot withdraw;
+     *      skipping the delay needs the N-of-M quorum of immediateEmergencyWithdraw().
+     * @param token The token contract to withdraw from
+     * @param to The address to send tokens to
+     */
+    function emergencyTokenWithdraw(IERC20 token, address to) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (to == address(0)) revert InvalidAddress();
+        _withdrawToken(token, to);
+    }
+
+    /**
+     * @notice Emergency token withdrawal without the timelock delay, once enough
+     *         EMERGENCY_ROLE holders have asked for the same withdrawal
+     * @dev The first call proposes the operation, every call (including the first) confirms it
+     *      and the call reaching emergencyConfirmationsRequired executes it. A proposal that is
+     *      not executed within EMERGENCY_OPERATION_WINDOW is replaced by a fresh one. Only
+     *      confirmers that still hold EMERGENCY_ROLE count, so revoking a holder drops their
+     *      confirmations from every pending operation.
+     * @param token The token contract to withdraw from
+     * @param to The address to send tokens to
+     * @return operationHash Identifier used in the Operation* events
+     */
+    function immediateEmergencyWithdraw(IERC20 token, address to)
+        external onlyRole(EMERGENCY_ROLE) nonReentrant returns (bytes32 operationHash)
+    {
+        if (to == address(0)) revert InvalidAddress();
+        if (token.balanceOf(address(this)) == 0) revert NoTokensToWithdraw();
+
+        bytes32 paramsHash = keccak256(abi.encode(this.immediateEmergencyWithdraw.selector, token, to));
+        operationHash = _pendingEmergencyOperation[paramsHash];
+        EmergencyOperation storage operation = _emergencyOperations[operationHash];
+
+        if (operationHash == bytes32(0) || block.timestamp > uint256(operation.proposedAt) + EMERGENCY_OPERATION_WINDOW) {
+            operationHash = keccak256(abi.encode(paramsHash, ++_emergencyOperationNonce));
+            _pendingEmergencyOperation[paramsHash] = operationHash;
+            operation = _emergencyOperations[operationHash];
+            operation.proposedAt = uint40(block.timestamp);
+            emit OperationProposed(operationHash, msg.sender, "immediateEmergencyWithdraw");
+        }
+
+        if (_hasConfirmedEmergency[operationHash][msg.sender]) revert EmergencyAlreadyConfirmed();
+        _hasConfirmedEmergency[operationHash][msg.sender] = true;
+        emergencyConfirmers[operationHash].push(msg.sender);
+        uint8 confirmations = _liveEmergencyConfirmations(operationHash);
+        operation.confirmations = confirmations;
+        emit OperationConfirmed(operationHash, msg.sender, confirmations);
+
+        if (confirmations < _emergencyConfirmationsRequired) return operationHash;
+
+        operation.executed = true;
+        delete _pendingEmergencyOperation[paramsHash];
+        _withdrawToken(token, to);
+        emit OperationExecuted(operationHash, msg.sender);
+    }
+
+    /**
+     * @notice Live immediate withdrawal proposal for a token / recipient pair
+     * @return operationHash Zero if nothing is pending or the proposal expired
+     * @return confirmations Confirmations collected so far
+     * @return required Confirmations needed to execute
+     * @return expiresAt Unix timestamp after which the proposal starts over
+     */
+    function getEmergencyWithdrawStatus(IERC20 token, address to) external view returns (
+        bytes32 operationHash,
+        uint8   confirmations,
+        uint8   required,
+        uint40  expiresAt
+    ) {
+        required = _emergencyConfirmationsRequired;
+        operationHash = _pendingEmergencyOperation[keccak256(abi.encode(this.immediateEmergencyWithdraw.selector, token, to))];
+        if (operationHash == bytes32(0)) return (bytes32(0), 0, required, 0);
+
+        EmergencyOperation memory operation = _emergencyOperations[operationHash];
+        expiresAt = operation.proposedAt + EMERGENCY_OPERATION_WINDOW;
+        if (block.timestamp > expiresAt) return (bytes32(0), 0, required, 0);
+        confirmations = _liveEmergencyConfirmations(operationHash);
+    }
+
+    /**
+     * @notice Set how many EMERGENCY_ROLE confirmations an immediate operation needs
+     * @dev Timelock-governed; keep it at or below the number of EMERGENCY_ROLE holders
+     * @param required New threshold (at least 1)
+     */
+    function setEmergencyConfirmationsRequired(uint8 required) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (required == 0) revert InvalidConfirmationThreshold();
+
+        uint8 oldRequired = _emergencyConfirmationsRequired;
+        _emergencyConfirmationsRequired = required;
+
+        emit EmergencyConfirmationsUpdated(oldRequired, required, msg.sender);
+    }
+
+    /**
+     * @notice EIP-712 digest a KYC signer signs for an attestation
+     * @param attestation The KYC attestation
+     * @return The typed data hash for this contract's domain
+     */
+    function hashKycAttestation(KycAttestation calldata attestation) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            KYC_ATTESTATION_TYPEHASH,
+            attestation.wallet,
+            attestation.tier,
+            attestation.expiry,
+            attestation.nonce
+        )));
+    }
+
+    // Plain transfers stop at MAGAXPresaleReceipts.receive(); this one only guards the extension itself
+    receive() external payable {
+        revert EthNotAccepted();
+    }
+
+    // Hand selectors this extension does not define on to the next one
+    fallback() external payable {
+        _delegate(nextExtension);
+    }
+}
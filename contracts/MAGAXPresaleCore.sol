@@ -0,0 +1,1839 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+// Custom errors for gas efficiency
+error InvalidAddress();
+error InvalidAmount();
+error ExceedsMaxPurchase();
+error ExceedsTotalLimit();
+error NoTokensToWithdraw();
+error EthNotAccepted();
+error FallbackNotAllowed();
+error InvalidStage();
+error StageNotActive();
+error InsufficientStageTokens();
+error InvalidPrice();
+error StageAlreadyActive();
+error InvalidReferrer();
+error SelfReferral();
+error PresaleFinalised();
+error PriceMismatch();
+error InvalidPromoBps();
+error InvalidUsdTarget();
+error PresaleTokenCapExceeded();
+error StageUsdOverTarget();
+error StageAlreadyUsed();
+error InvalidAllocation();
+error InvalidOrderId();
+error DuplicateOrderId();
+error InvalidBatchSize();
+error BatchItemSelfCallOnly();
+error NoNextStage();
+error VoucherExpired();
+error VoucherStageMismatch();
+error InvalidVoucherSigner();
+error OrderNotFound();
+error OrderAlreadyVoided();
+error InvalidConfirmationThreshold();
+error EmergencyAlreadyConfirmed();
+error InvalidStageWindow();
+error StageNotOpen();
+error StageWindowClosed();
+error InvalidPromoCode();
+error PromoCodeExists();
+error PromoCodeNotFound();
+error PromoCodeInactive();
+error PromoCodeUsageLimit();
+error PromoBudgetExceeded();
+error InvalidPromoCampaign();
+error InvalidReferralBps();
+error InvalidReferralTiers();
+error UnsupportedPaymentToken();
+error PaymentAmountMismatch();
+error TreasuryNotSet();
+error SlippageExceeded();
+error InvalidPriceFeed();
+error StalePrice();
+error InvalidFeedPrice();
+error PriceDeviationTooHigh();
+error ContributionCapExceeded(uint128 headroom);
+error InvalidContributionTier();
+error KycRequired();
+error KycAttestationExpired();
+error InvalidKycAttestation();
+error ReceiptNotFound();
+error BonusPoolExhausted(uint128 available);
+error ReferrerNotBuyer();
+error InvalidBonusPool();
+
+/**
+ * @title MAGAXPresaleCore
+ * @notice Storage, events and internal purchase logic shared by MAGAXPresaleReceipts and its extensions
+ * @dev The presale is split to stay under the EIP-170 contract size limit. MAGAXPresaleReceipts
+ *      serves the single-order recorder paths, pause and finalise, and delegatecalls every other
+ *      selector to MAGAXPresalePurchases, which chains on to MAGAXPresaleAdmin and then
+ *      MAGAXPresaleViews. MAGAXPresalePurchases records through MAGAXPresaleEngine, which is
+ *      reached by delegatecall only. The extensions inherit this contract so they share its
+ *      storage layout and must not declare state of their own; state is internal and
+ *      MAGAXPresaleViews carries the getters. Called directly instead of through the presale,
+ *      they only see their own empty storage, where no account holds a role.
+ */
+abstract contract MAGAXPresaleCore is AccessControl, Pausable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+    
+    bytes32 public constant RECORDER_ROLE = keccak256("RECORDER_ROLE");
+    bytes32 public constant STAGE_MANAGER_ROLE = keccak256("STAGE_MANAGER_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant FINALIZER_ROLE = keccak256("FINALIZER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE"); // ops multisig, incident fast path
+    bytes32 public constant KYC_SIGNER_ROLE = keccak256("KYC_SIGNER_ROLE"); // KYC provider key, signs attestations
+
+    // Purchase limits for security
+    uint128 public constant MAX_PURCHASE_USDT = 1_000_000 * 1e6; // 1M USDT max per purchase
+    uint128 public constant MAX_TOTAL_USDT = 10_000_000 * 1e6;   // 10M USDT total presale limit
+    uint8 public constant MAX_STAGES = 50; // Maximum number of presale stages
+    uint16 public constant MAX_BATCH_SIZE = 100; // Maximum purchases per recordPurchaseBatch call
+    uint8 public constant MAX_PAYMENT_DECIMALS = 18; // Payment assets are normalized to 6-decimal USD
+    address public constant NATIVE_ASSET = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE; // ETH / POL in receipts and paymentAssets
+
+    // Referral system constants (launch defaults; live rates are the timelock-governed variables below)
+    uint16 public constant REFERRER_BONUS_BPS = 700;  // 7% bonus for referrer
+    uint16 public constant REFEREE_BONUS_BPS = 500;   // 5% bonus for referee
+    uint16 public constant MAX_REFERRAL_BONUS_BPS = 3_000; // 30% max for any single referral rate
+    uint8 public constant MAX_REFERRAL_TIERS = 10;
+    uint8 public constant MAX_CONTRIBUTION_TIER = 10; // allowlist tiers 1..10 on top of the default tier 0
+    uint16 public constant BASIS_POINTS = 10_000; // 100% in basis points
+    
+    // Promo system constants
+    uint16 public constant MAX_PROMO_BONUS_BPS = 5_000; // 50% max promo bonus
+
+    uint16 internal _maxPromoCapBps = MAX_PROMO_BONUS_BPS;
+
+    uint16 internal _referrerBonusBps = REFERRER_BONUS_BPS;  // base referrer rate, before tiers
+    uint16 internal _refereeBonusBps = REFEREE_BONUS_BPS;
+    uint16 internal _secondLevelBonusBps;                     // referrer's own referrer (0 = off)
+
+    // Immediate emergency operations - N-of-M EMERGENCY_ROLE confirmations, no timelock delay
+    uint8 public constant DEFAULT_EMERGENCY_CONFIRMATIONS = 3;
+    uint40 public constant EMERGENCY_OPERATION_WINDOW = 24 hours; // unconfirmed proposals expire
+
+    uint8 internal _emergencyConfirmationsRequired = DEFAULT_EMERGENCY_CONFIRMATIONS;
+
+    // What a receipt pays out: the purchase itself or one of its bonuses
+    enum ReceiptKind { Base, Promo, Referee, Referrer, SecondLevel }
+
+    // View type: receipts are assembled from PackedPurchase records, see _receipt
+    struct Receipt {
+        uint128 usdt;             // 6-decimals (128 bits)
+        uint128 magax;            // 18-decimals (128 bits)
+        uint40  time;             // timestamp (40 bits)
+        uint8   stage;            // presale stage 1-50 (8 bits)
+        bool    isBonus;          // ANY bonus, i.e. kind != Base (8 bits)
+        bool    voided;           // reversed by voidOrder (8 bits)
+        ReceiptKind kind;         // base purchase or bonus type (8 bits)
+        address asset;            // payment asset, zero if the purchase reported none (160 bits)
+        uint128 assetAmount;      // raw amount paid in asset's decimals (128 bits)
+        address counterparty;     // referral bonuses: the referrer (referee receipt) or the buyer (referrer receipts) (160 bits)
+        bytes32 orderId;          // order that produced the receipt (256 bits)
+    }
+
+    // One stored record per purchase (per stage portion of a split order) with every amount it
+    // paid out. Buyer, referrer and voided are read from _orders[orderId] rather than stored here.
+    struct PackedPurchase {
+        uint128 magax;            // base tokens, 18-decimals (128 bits)
+        uint64  usdt;             // 6-decimals, bounded by MAX_PURCHASE_USDT (64 bits)
+        uint40  time;             // timestamp (40 bits)
+        uint8   stage;            // presale stage 1-50 (8 bits)
+        uint8   referrerTier;     // tier the referrer bonus was paid at, for per-tier stats (8 bits)
+        uint128 promoBonus;       // (128 bits)
+        uint128 refereeBonus;     // (128 bits)
+        uint128 referrerBonus;    // (128 bits)
+        uint128 secondLevelBonus; // (128 bits)
+        bytes32 orderId;          // (256 bits)
+        address asset;            // payment asset, zero if none was reported (160 bits)
+        uint96  assetAmount;      // raw amount paid in asset's decimals (96 bits)
+        // Total: 5 storage slots; a plain purchase writes 2, each bonus pair one more, purchases with a payment asset the 5th
+    }
+
+    // Stage management
+    struct StageInfo {
+        uint128 pricePerToken;    // USDT per MAGAX (6 decimals)
+        uint128 tokensAllocated;  // Total MAGAX tokens for this stage
+        uint128 tokensSold;       // MAGAX tokens sold in this stage (incl bonuses, unless the stage has a bonus pool)
+        uint128 usdTarget;        // 6-dec USDT target for this stage
+        uint128 usdRaised;        // 6-dec base USDT raised (excludes bonuses)
+        bool isActive;            // Whether stage is currently active
+        uint40 startTime;         // Optional: purchases revert before this time (0 = no start)
+        uint40 endTime;           // Optional: purchases revert from this time on (0 = open-ended)
+        bool autoAdvance;         // Move to the next stage once sold out or past endTime
+    }
+
+    // Per-stage counters for dashboards, kept at write time and rolled back by voidOrder
+    struct StageStats {
+        uint32  uniqueBuyers;     // wallets with live base USD in the stage (32 bits)
+        uint32  purchaseCount;    // live base receipts: one per order, per stage portion when split (32 bits)
+        uint128 baseTokens;       // tokens bought, bonuses excluded (128 bits)
+        uint128 promoTokens;      // promo bonuses (128 bits)
+        uint128 referralTokens;   // referee, referrer and second-level bonuses (128 bits)
+        // Total: 2 slots (second untouched by plain purchases). The three token totals add up to
+        // tokensSold; with a bonus pool tokensSold is baseTokens and the bonuses come from the pool.
+    }
+
+    // Referral system
+    struct ReferralInfo {
+        uint32  totalReferrals;      // Number of people referred (4B+ capacity)
+        uint128 totalBonusEarned;    // Total bonus MAGAX earned as referrer
+        uint128 totalRefereeBonus;   // Total bonus MAGAX earned as referee
+        uint128 totalReferredUSDT;   // USDT paid by referred orders, drives volume tiers
+        uint32  secondLevelReferrals;   // orders placed by the people this user referred
+        uint128 secondLevelBonusEarned; // Total bonus MAGAX earned as second-level referrer
+    }
+
+    // Volume-based referrer tier: qualifies on either threshold (0 = threshold not used)
+    struct ReferralTier {
+        uint32  minReferrals;        // referrals made before the order
+        uint128 minReferredUSDT;     // USDT referred before the order (6 decimals)
+        uint16  bonusBps;            // referrer rate once qualified
+    }
+
+    // Referred volume and referrer bonus paid at one tier (index 0 = base rate)
+    struct ReferralTierStats {
+        uint128 referredUSDT;        // base USDT of the orders referred at this tier (6 decimals)
+        uint128 bonusEarned;         // referrer bonus MAGAX paid at this tier (18 decimals)
+    }
+
+    // Second-level bonus receipts written for an order (one per stage)
+    struct SecondLevelRecord {
+        address referrer;            // the first-level referrer's referrer (160 bits)
+        uint32  firstReceipt;        // index of the first receipt in userReceipts[referrer] (32 bits)
+        uint8   receiptCount;        // (8 bits)
+    }
+    
+    // Purchase variants (recordPurchase, ...WithReferral, ...WithPromoCode, ...WithPromoCodeAndReferral)
+    enum PurchaseKind { Plain, Referral, Promo, PromoAndReferral }
+
+    // Order tracking - maps an off-chain orderId to the receipts it produced
+    struct OrderRecord {
+        address buyer;            // buyer the order was recorded for (160 bits)
+        uint32  firstReceipt;     // index of the first receipt in userReceipts[buyer] (32 bits)
+        uint8   receiptCount;     // number of consecutive buyer receipts (8 bits)
+        uint8   stage;            // stage the order was recorded in (8 bits)
+        PurchaseKind kind;        // bonus layout of the buyer receipts (8 bits)
+        bool    voided;           // reversed by voidOrder (8 bits)
+        address referrer;         // zero address if no referral (160 bits)
+        uint32  referrerFirstReceipt; // index of the first receipt in userReceipts[referrer] (32 bits)
+        uint8   referrerReceiptCount; // one referrer bonus receipt per stage (8 bits)
+        // Total: 424 bits = 2 storage slots (second slot untouched for non-referral orders)
+    }
+
+    // Per-user aggregates, kept at write time so the stats views never walk the receipts
+    struct UserAggregate {
+        uint40 firstPurchaseTime; // first receipt of any kind (40 bits)
+        uint40 lastPurchaseTime;  // latest receipt of any kind (40 bits)
+        uint32 purchaseCount;     // base receipts: one per order, per stage portion when split (32 bits)
+        uint32 bonusCount;        // promo, referee, referrer and second-level receipts (32 bits)
+        // Total: 144 bits = 1 slot; purchaseCount + bonusCount is the receipt count, voided ones included
+    }
+
+    // A user's live totals in one stage
+    struct UserStageTotals {
+        uint128 usdt;             // base USD (6 decimals), checked against the per-stage contribution cap
+        uint128 magax;            // tokens held from this stage, bonuses of every kind included
+    }
+
+    // Batch recording - one entry per purchase, kind selects the recordPurchase* variant
+    struct PurchaseRecord {
+        PurchaseKind kind;
+        address buyer;
+        uint128 usdtAmount;       // 6-decimals
+        uint128 magaxAmount;      // 18-decimals, base tokens before bonuses
+        bytes32 codeId;           // registered promo code, ignored for Plain / Referral
+        address referrer;         // ignored for Plain / Promo
+        bytes32 orderId;
+        address asset;            // accepted payment asset, zero = not reported (USD only)
+        uint128 assetAmount;      // raw amount paid in the asset's decimals, 0 when asset is zero
+    }
+
+    // Voucher mode - a recorder-signed purchase any relayer can submit
+    struct PurchaseVoucher {
+        address buyer;
+        uint128 usdtAmount;       // 6-decimals
+        uint128 magaxAmount;      // 18-decimals, base tokens before bonuses
+        bytes32 codeId;           // registered promo code, zero = no promo
+        address referrer;         // zero address = no referral
+        bytes32 orderId;
+        address asset;            // accepted payment asset, zero = not reported (USD only)
+        uint128 assetAmount;      // raw amount paid in the asset's decimals, 0 when asset is zero
+        uint8   stage;            // stage the price was quoted for
+        uint256 deadline;         // unix timestamp after which the voucher is void
+    }
+
+    bytes32 public constant PURCHASE_VOUCHER_TYPEHASH = keccak256(
+        "PurchaseVoucher(address buyer,uint128 usdtAmount,uint128 magaxAmount,bytes32 codeId,address referrer,bytes32 orderId,address asset,uint128 assetAmount,uint8 stage,uint256 deadline)"
+    );
+
+    // KYC attestation - a KYC signer vouches for a wallet until expiry
+    struct KycAttestation {
+        address wallet;
+        uint8   tier;             // contribution tier the wallet qualifies for (0 = no raise)
+        uint40  expiry;           // unix timestamp from which the attestation is void
+        uint32  nonce;            // must equal kycNonce(wallet); revokeKyc bumps it
+    }
+
+    bytes32 public constant KYC_ATTESTATION_TYPEHASH = keccak256(
+        "KycAttestation(address wallet,uint8 tier,uint40 expiry,uint32 nonce)"
+    );
+
+    // Cached result of a submitted attestation
+    struct KycStatus {
+        uint8  tier;
+        uint40 expiry;            // 0 = never verified or revoked
+        uint32 nonce;             // next nonce an attestation for this wallet must use
+    }
+
+    // Direct purchase - the buyer pays on-chain instead of through the recorder
+    struct DirectPurchase {
+        address token;            // accepted payment asset
+        uint128 amount;           // in the token's decimals, recorded as 6-decimal USD
+        uint128 minMagaxAmount;   // slippage guard on the base tokens (the stage may advance first)
+        address referrer;         // zero address = no referral
+        bytes32 codeId;           // registered promo code, zero = no promo
+    }
+
+    // Accepted payment asset, with raise totals for treasury reporting
+    struct PaymentAsset {
+        bool    accepted;         // can currently be paid with (buyTokens or reported by the recorder)
+        bool    listed;           // has been accepted at some point (in paymentAssetList)
+        uint8   decimals;         // token decimals, read from the token when accepted
+        uint128 totalRaised;      // raw amount paid by live orders, in the token's decimals
+        uint128 totalRaisedUSD;   // the same amount normalized to 6 decimals
+    }
+
+    // Native coin pricing - Chainlink-compatible <native>/USD aggregator
+    struct NativePriceFeed {
+        AggregatorV3Interface feed;   // zero = native purchases disabled (160 bits)
+        uint8  decimals;              // answer decimals, read from the feed (8 bits)
+        uint32 maxPriceAge;           // max age of the latest answer in seconds (32 bits)
+        uint16 maxDeviationBps;       // max distance of an answer from referencePrice (16 bits)
+        uint128 referencePrice;       // admin-set expected answer, in the feed's decimals (next slot)
+    }
+
+    // USD contribution caps of an allowlist tier; tier 0 applies to every wallet
+    struct ContributionTier {
+        uint128 stageCap;         // USD (6 decimals) per wallet per stage, 0 = unlimited
+        uint128 walletCap;        // USD (6 decimals) per wallet over the whole presale, 0 = unlimited
+    }
+
+    // Emergency operation awaiting confirmations
+    struct EmergencyOperation {
+        uint40 proposedAt;        // start of the confirmation window (40 bits)
+        uint8  confirmations;     // confirmers still holding EMERGENCY_ROLE at the last confirmation (8 bits)
+        bool   executed;          // (8 bits)
+    }
+
+    // Promo system - simplified
+    struct UserPromoUsage {
+        uint128 totalPromoBonus;    // Total bonus tokens earned from promos
+    }
+
+    // Promo code campaign, keyed by keccak256 of the code
+    struct PromoCampaign {
+        uint16  bonusBps;         // promo bonus on the base tokens (0 = no such campaign)
+        uint40  startTime;        // code accepted from this time
+        uint40  endTime;          // code rejected from this time on (0 = no expiry)
+        uint32  maxUses;          // orders allowed in total (0 = unlimited)
+        uint32  maxUsesPerUser;   // orders allowed per buyer (0 = unlimited)
+        uint32  uses;             // live orders that used the code
+        bool    active;           // lets the campaign be switched off early
+        uint128 bonusBudget;      // promo bonus tokens the campaign may hand out
+        uint128 bonusUsed;        // promo bonus tokens held by live orders
+    }
+
+    // Core storage
+    mapping(uint256 => PackedPurchase) internal purchases; // indexed 0 .. purchaseRecordCount - 1
+    // Receipt i of a user is [i / 6][i % 6]: purchase index << 8 | ReceiptKind. The receipt
+    // count lives in userAggregates, so no separate array length is written.
+    mapping(address => mapping(uint256 => uint40[6])) internal userReceiptRefs;
+    mapping(address => UserAggregate) internal _userAggregates;
+    mapping(address => mapping(uint8 => UserStageTotals)) internal _userStageTotals;
+    mapping(address => uint128) internal _userTotalUSDT; 
+    mapping(address => uint128) internal _userTotalMAGAX;
+
+    // Referral system storage
+    mapping(address => ReferralInfo) internal _referralData;
+    mapping(address => mapping(uint8 => ReferralTierStats)) internal _referralTierStats;
+    mapping(address => address) internal _userReferrer; // user -> their referrer
+    ReferralTier[] internal referralTiers;              // ascending bonusBps, see getReferralTier
+    mapping(bytes32 => SecondLevelRecord) internal _orderSecondLevel;
+
+    // Promo system storage - simplified
+    mapping(address => UserPromoUsage) internal _userPromoData;
+
+    // Promo code registry - code ID -> campaign, per-buyer usage, and the code each order used
+    mapping(bytes32 => PromoCampaign) internal _promoCampaigns;
+    mapping(bytes32 => mapping(address => uint32)) internal _promoCodeUses;
+    mapping(bytes32 => bytes32) internal _orderPromoCode;
+
+    // Direct purchases - accepted assets, where payments go, and on-chain order numbering
+    mapping(address => PaymentAsset) internal _paymentAssets;
+    address[] internal paymentAssetList;
+    address internal _treasury;
+    uint256 internal _directPurchaseNonce;
+    NativePriceFeed internal _nativePriceFeed;
+
+    // Contribution caps - tier caps and each wallet's allowlist tier (live USD is in userStageTotals)
+    mapping(uint8 => ContributionTier) internal _contributionTiers;
+    mapping(address => uint8) internal _contributionTier;
+
+    // KYC - attestation mode switch and each wallet's cached status
+    bool internal _kycRequired;
+    mapping(address => KycStatus) internal _kycStatus;
+
+    // Order deduplication - orderId -> receipts written for it
+    mapping(bytes32 => OrderRecord) internal _orders;
+
+    // Emergency confirmations - parameters hash -> live operation, operation -> state / confirmers
+    mapping(bytes32 => bytes32) internal _pendingEmergencyOperation;
+    mapping(bytes32 => EmergencyOperation) internal _emergencyOperations;
+    mapping(bytes32 => mapping(address => bool)) internal _hasConfirmedEmergency;
+    mapping(bytes32 => address[]) internal emergencyConfirmers; // re-checked against EMERGENCY_ROLE on every confirmation
+    uint256 internal _emergencyOperationNonce;
+
+    // Stage management
+    mapping(uint8 => StageInfo) internal _stages;
+    mapping(uint8 => StageStats) internal _stageStats;
+    mapping(uint8 => uint128) internal _stageBonusPool; // bonus tokens a stage may pay out, 0 = bonuses share tokensAllocated
+    uint8 internal _currentStage = 1; // Start with stage 1
+
+    // Finalization flag - prevents new receipts after presale closes
+    bool internal _finalised;
+    // Packed purchase records written so far; shares the slot every purchase already reads
+    uint32 internal _purchaseRecordCount;
+
+    uint128 internal _totalUSDT;
+    uint128 internal _totalMAGAX;
+    uint32 internal _totalBuyers;   // Track unique buyers
+    // Global cumulative promo bonuses distributed (sum of all promoBonus values)
+    uint128 internal _totalPromoBonusDistributed;
+
+    // Global presale hard token cap (example: 100B * 1e18 = 10% of 1T)
+    uint256 public constant PRESALE_TOKEN_CAP = 100_000_000_000 * 1e18;
+
+    event PurchaseRecorded(
+        address indexed buyer,
+        uint128 usdt,
+        uint128 magax,
+        uint40  time,
+        uint8   indexed stage,
+        uint256 totalUserPurchases,
+        bool isNewBuyer
+    );
+
+    // Canonical purchase event for unified off-chain indexing
+    event PurchaseRecordedV2(
+        address indexed buyer,
+        uint8   stage,               
+        uint256 usd6d,               // USDT amount in 6 decimals
+        uint256 price6d,             // stage price in 6 decimals
+        uint256 baseTokens18,        // floor(usd6d * 1e18 / price6d)
+        uint256 promoBonus18,        // floor(baseTokens18 * promoBps / 10_000)
+        uint256 refereeBonus18,      // floor(baseTokens18 * refereeBonusBps / 10_000)
+        uint256 referrerBonus18,     // floor(baseTokens18 * tier bps / 10_000), see getReferralTier
+        uint256 secondLevelBonus18,  // floor(baseTokens18 * secondLevelBonusBps / 10_000), 0 without a second-level referrer
+        address referrer,            // zero address if none / invalid
+        bytes32 orderId              
+    );
+
+    event ReferralBonusAwarded(
+        address indexed referrer,
+        address indexed referee,
+        uint128 referrerBonus,
+        uint128 refereeBonus,
+        uint8 stage
+    );
+
+    event ReferrerSet(
+        address indexed user,
+        address indexed referrer
+    );
+
+    event PromoUsed(
+        address indexed user,
+        uint16 promoBps,
+        uint128 bonusTokens,
+        uint8 stage,
+        uint256 receiptIndex
+    );
+
+    event StageConfigured(uint8 indexed stage, uint128 pricePerToken, uint128 tokensAllocated, uint128 usdTarget);
+
+    event StageActivated(uint8 indexed stage, address indexed operator);
+    event StageDeactivated(uint8 indexed stage);
+    event StageCompleted(uint8 indexed stage, uint128 tokensSold);
+    event StageUSDProgress(uint8 indexed stage, uint128 usdRaised, uint128 usdTarget);
+    event StageWindowConfigured(uint8 indexed stage, uint40 startTime, uint40 endTime, bool autoAdvance);
+
+    event StageBonusPoolSet(uint8 indexed stage, uint128 bonusTokens);
+
+    event BatchItemFailed(uint256 indexed index, bytes32 indexed orderId, bytes reason);
+    event BatchRecorded(uint256 total, uint256 recorded, bool atomic);
+    event VoucherRedeemed(bytes32 indexed orderId, address indexed signer, address indexed submitter);
+
+    event PurchaseVoided(
+        bytes32 indexed orderId,
+        address indexed buyer,
+        address indexed referrer,
+        uint128 usdt,                // USDT removed from the buyer and stage totals
+        uint128 buyerTokens,         // base + promo + referee tokens removed from the buyer
+        uint128 referrerTokens,      // referrer bonus removed from the referrer
+        uint128 secondLevelTokens    // second-level bonus removed from the referrer's own referrer
+    );
+
+    event Finalised(uint40 time);
+
+    event EmergencyTokenWithdraw(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+
+    event MaxPromoBpsUpdated(
+        uint16 oldCap,
+        uint16 newCap,
+        address indexed updatedBy
+    );
+
+    event PromoCampaignCreated(
+        bytes32 indexed codeId,
+        uint16 bonusBps,
+        uint40 startTime,
+        uint40 endTime,
+        uint128 bonusBudget,
+        uint32 maxUses,
+        uint32 maxUsesPerUser
+    );
+    event PromoCampaignStatusChanged(bytes32 indexed codeId, bool active);
+
+    event ReferralBpsUpdated(
+        uint16 referrerBonusBps,
+        uint16 refereeBonusBps,
+        uint16 secondLevelBonusBps,
+        address indexed updatedBy
+    );
+    event ReferralTiersUpdated(uint256 tierCount, address indexed updatedBy);
+    event SecondLevelBonusAwarded(
+        address indexed secondReferrer,
+        address indexed referrer,
+        address indexed buyer,
+        uint128 bonus,
+        uint8 stage,
+        bytes32 orderId
+    );
+    event PromoCodeUsed(bytes32 indexed codeId, address indexed buyer, bytes32 indexed orderId, uint128 bonusTokens);
+
+    event DirectPurchasePaid(
+        bytes32 indexed orderId,
+        address indexed buyer,
+        address indexed token,
+        uint128 amount,
+        address treasury
+    );
+    event PaymentTokenUpdated(address indexed token, bool allowed, uint8 decimals, address indexed updatedBy);
+    event TreasuryUpdated(address oldTreasury, address newTreasury, address indexed updatedBy);
+    event NativePriceFeedUpdated(
+        address indexed feed,
+        uint32 maxPriceAge,
+        uint128 referencePrice,
+        uint16 maxDeviationBps,
+        address indexed updatedBy
+    );
+    event ContributionTierUpdated(uint8 indexed tier, uint128 stageCap, uint128 walletCap, address indexed updatedBy);
+    event ContributionTierAssigned(address indexed user, uint8 tier, address indexed assignedBy);
+    event KycRequiredUpdated(bool required, address indexed updatedBy);
+    event KycAttested(address indexed wallet, uint8 tier, uint40 expiry, address indexed signer);
+    event KycRevoked(address indexed wallet, address indexed revokedBy);
+
+    event OperationProposed(
+        bytes32 indexed operationHash,
+        address indexed proposer,
+        string operationType
+    );
+
+    event OperationConfirmed(
+        bytes32 indexed operationHash,
+        address indexed confirmer,
+        uint8 confirmations
+    );
+
+    event OperationExecuted(
+        bytes32 indexed operationHash,
+        address indexed executor
+    );
+
+    event EmergencyConfirmationsUpdated(
+        uint8 oldRequired,
+        uint8 newRequired,
+        address indexed updatedBy
+    );
+
+    constructor() EIP712("MAGAXPresaleReceipts", "1") {}
+
+    function _recordPurchase(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        bytes32 orderId
+    ) internal {
+        if (_finalised) revert PresaleFinalised();
+        _validateOrderId(orderId);
+        
+        _validatePurchase(buyer, usdtAmount, magaxAmount);
+        
+        uint8 stage = _syncStage();
+        StageInfo storage stageInfo = _stages[stage];
+        _validateStage(stage, magaxAmount, stageInfo);
+        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
+        
+        uint40 timestamp = uint40(block.timestamp);
+        _processPurchase(buyer, usdtAmount, magaxAmount, stage, stageInfo, timestamp, orderId);
+    }
+
+    function _validatePurchase(address buyer, uint128 usdtAmount, uint128 magaxAmount) internal view {
+        if (buyer == address(0)) revert InvalidAddress();
+        if (usdtAmount == 0 || magaxAmount == 0) revert InvalidAmount();
+        if (usdtAmount > MAX_PURCHASE_USDT) revert ExceedsMaxPurchase();
+        
+        // Edge case: Check if purchase exactly hits MAX_TOTAL_USDT (should be allowed)
+        if (_totalUSDT + usdtAmount > MAX_TOTAL_USDT) revert ExceedsTotalLimit();
+    }
+
+    /**
+     * @notice Rejects empty or already recorded order IDs
+     * @dev Lets the backend retry a recording safely: a replay of the same orderId reverts
+     *      instead of writing a second set of receipts.
+     * @param orderId The off-chain order identifier
+     */
+    function _validateOrderId(bytes32 orderId) internal view {
+        if (orderId == bytes32(0)) revert InvalidOrderId();
+        if (_orders[orderId].buyer != address(0)) revert DuplicateOrderId();
+    }
+
+    /**
+     * @notice Store the packed record of a purchase; its receipts are listed with _pushReceipt
+     * @return purchaseId Index of the record in purchases
+     */
+    function _storePurchase(
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint128 promoBonus,
+        uint128 refereeBonus,
+        uint128 referrerBonus,
+        uint128 secondLevelBonus,
+        uint40  timestamp,
+        uint8   stage,
+        bytes32 orderId
+    ) internal returns (uint256 purchaseId) {
+        purchaseId = _purchaseRecordCount++;
+        // Only non-zero fields are assigned, so a plain purchase leaves the bonus slots untouched
+        PackedPurchase storage purchase = purchases[purchaseId];
+        purchase.magax = magaxAmount;
+        purchase.usdt = uint64(usdtAmount); // every path checks MAX_PURCHASE_USDT first
+        purchase.time = timestamp;
+        purchase.stage = stage;
+        if (promoBonus > 0) purchase.promoBonus = promoBonus;
+        if (refereeBonus > 0) purchase.refereeBonus = refereeBonus;
+        if (referrerBonus > 0) purchase.referrerBonus = referrerBonus;
+        if (secondLevelBonus > 0) purchase.secondLevelBonus = secondLevelBonus;
+        purchase.orderId = orderId;
+    }
+
+    /**
+     * @notice List one receipt of a stored purchase for its owner and update their aggregates
+     */
+    function _pushReceipt(address owner, uint256 purchaseId, ReceiptKind kind) internal {
+        UserAggregate storage aggregate = _userAggregates[owner];
+        uint256 index = uint256(aggregate.purchaseCount) + aggregate.bonusCount;
+        userReceiptRefs[owner][index / 6][index % 6] = uint40(purchaseId << 8) | uint8(kind);
+
+        PackedPurchase storage purchase = purchases[purchaseId];
+        if (index == 0) aggregate.firstPurchaseTime = purchase.time;
+        aggregate.lastPurchaseTime = purchase.time;
+        if (kind == ReceiptKind.Base) {
+            aggregate.purchaseCount++;
+        } else {
+            aggregate.bonusCount++;
+        }
+        uint128 tokens = _receiptTokens(purchase, kind);
+        _userStageTotals[owner][purchase.stage].magax += tokens;
+
+        StageStats storage stats = _stageStats[purchase.stage];
+        if (kind == ReceiptKind.Base) {
+            stats.purchaseCount++;
+            stats.baseTokens += tokens;
+        } else if (kind == ReceiptKind.Promo) {
+            stats.promoTokens += tokens;
+        } else {
+            stats.referralTokens += tokens;
+        }
+    }
+
+    function _receiptCount(address owner) internal view returns (uint256) {
+        UserAggregate storage aggregate = _userAggregates[owner];
+        return uint256(aggregate.purchaseCount) + aggregate.bonusCount;
+    }
+
+    function _receiptRef(address owner, uint256 index) internal view returns (uint40) {
+        return userReceiptRefs[owner][index / 6][index % 6];
+    }
+
+    function _kindOf(uint40 ref) internal pure returns (ReceiptKind) {
+        return ReceiptKind(uint8(ref));
+    }
+
+    // Tokens a receipt of this kind pays out of the purchase
+    function _receiptTokens(PackedPurchase storage purchase, ReceiptKind kind) internal view returns (uint128) {
+        if (kind == ReceiptKind.Base) return purchase.magax;
+        if (kind == ReceiptKind.Promo) return purchase.promoBonus;
+        if (kind == ReceiptKind.Referee) return purchase.refereeBonus;
+        if (kind == ReceiptKind.Referrer) return purchase.referrerBonus;
+        return purchase.secondLevelBonus;
+    }
+
+    /**
+     * @notice Assemble a receipt from its packed purchase and order
+     */
+    function _receipt(uint40 ref) internal view returns (Receipt memory receipt) {
+        PackedPurchase storage purchase = purchases[ref >> 8];
+        OrderRecord storage order = _orders[purchase.orderId];
+        ReceiptKind kind = _kindOf(ref);
+
+        receipt.time = purchase.time;
+        receipt.stage = purchase.stage;
+        receipt.isBonus = kind != ReceiptKind.Base;
+        receipt.voided = order.voided;
+        receipt.kind = kind;
+        receipt.orderId = purchase.orderId;
+        receipt.magax = _receiptTokens(purchase, kind);
+        if (kind == ReceiptKind.Base) {
+            receipt.usdt = purchase.usdt;
+            receipt.asset = purchase.asset;
+            receipt.assetAmount = purchase.assetAmount;
+        } else if (kind == ReceiptKind.Referee) {
+            receipt.counterparty = order.referrer;
+        } else if (kind != ReceiptKind.Promo) {
+            receipt.counterparty = order.buyer;
+        }
+    }
+
+    /**
+     * @notice Store where an order's receipts live; called after all of its receipts are pushed
+     */
+    function _recordOrder(
+        bytes32 orderId,
+        address buyer,
+        uint256 firstReceipt,
+        uint8 stage,
+        PurchaseKind kind,
+        address referrer,
+        uint256 referrerFirstReceipt
+    ) internal {
+        _orders[orderId] = OrderRecord({
+            buyer: buyer,
+            firstReceipt: uint32(firstReceipt),
+            receiptCount: uint8(_receiptCount(buyer) - firstReceipt),
+            stage: stage,
+            kind: kind,
+            voided: false,
+            referrer: referrer,
+            referrerFirstReceipt: uint32(referrerFirstReceipt),
+            referrerReceiptCount: referrer == address(0) ? 0 : uint8(_receiptCount(referrer) - referrerFirstReceipt)
+        });
+    }
+
+    /**
+     * @notice A buyer is counted in totalBuyers by their first purchase, and again if every
+     *         purchase they made was voided (a referrer-bonus-only receipt does not count)
+     */
+    function _isNewBuyer(address buyer) internal view returns (bool) {
+        if (_receiptCount(buyer) == 0) return true;
+        return _userTotalUSDT[buyer] == 0 && _kindOf(_receiptRef(buyer, 0)) == ReceiptKind.Base;
+    }
+
+    function _validateStage(uint8 stage, uint128 magaxAmount, StageInfo storage stageInfo) internal view {
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (!stageInfo.isActive) revert StageNotActive();
+        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + magaxAmount > stageInfo.tokensAllocated) {
+            revert InsufficientStageTokens();
+        }
+    }
+
+    /**
+     * @notice Validates price consistency between USDT amount and MAGAX amount
+     * @dev Handles rounding edge case when decimal conversions don't divide evenly.
+     *      Uses 256-bit arithmetic to prevent overflow, then allows ±1 USDT tolerance
+     *      for precision rounding. This prevents price manipulation while accommodating
+     *      legitimate rounding differences from decimal conversions.
+     * @param usdtAmount The USDT amount (6 decimals)
+     * @param magaxAmount The MAGAX amount (18 decimals) 
+     * @param pricePerToken The price per token (6 decimals, USDT per MAGAX)
+     */
+    function _validatePrice(uint128 usdtAmount, uint128 magaxAmount, uint128 pricePerToken) internal pure {
+        // Price validation: usdtAmount should equal (magaxAmount * pricePerToken) / 1e18
+        // Since USDT has 6 decimals and MAGAX has 18 decimals, and pricePerToken is in 6 decimals
+        uint256 expectedUSDT = (uint256(magaxAmount) * pricePerToken) / 1e18;
+        
+        // Edge case: Allow ±1 USDT tolerance for rounding when decimal conversions don't divide evenly
+        // This handles cases where 256-bit arithmetic precision still results in minor rounding differences
+        if (usdtAmount > expectedUSDT) {
+            if (usdtAmount - expectedUSDT > 1e6) revert PriceMismatch(); // More than 1 USDT over
+        } else {
+            if (expectedUSDT - usdtAmount > 1e6) revert PriceMismatch(); // More than 1 USDT under
+        }
+    }
+
+    function _processPurchase(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint8 stage,
+        StageInfo storage stageInfo,
+        uint40 timestamp,
+        bytes32 orderId
+    ) internal {
+        // Auditor recommendation: standardize new buyer detection using receipt existence
+        bool isNewBuyer = _isNewBuyer(buyer);
+        // Pre-check global cap & USD target BEFORE any state mutation
+        if (uint256(_totalMAGAX) + uint256(magaxAmount) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
+        if (stageInfo.usdTarget > 0) {
+            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
+            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
+                revert StageUsdOverTarget();
+            }
+        }
+        _checkKyc(buyer);
+        _trackContribution(buyer, stage, usdtAmount);
+
+        uint256 firstReceipt = _receiptCount(buyer);
+        uint256 purchaseId = _storePurchase(usdtAmount, magaxAmount, 0, 0, 0, 0, timestamp, stage, orderId);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Base);
+        _recordOrder(orderId, buyer, firstReceipt, stage, PurchaseKind.Plain, address(0), 0);
+
+        uint128 prevUsd = stageInfo.usdRaised; // for threshold crossing detection
+        _updateTotals(buyer, usdtAmount, magaxAmount, isNewBuyer);
+        uint128 prevSold = stageInfo.tokensSold;
+        unchecked {
+            stageInfo.usdRaised += usdtAmount; // base USDT only
+            stageInfo.tokensSold += magaxAmount;
+        }
+
+        _emitPurchaseEvent(buyer, usdtAmount, magaxAmount, timestamp, stage, isNewBuyer);
+        // Emit canonical unified purchase event (simple purchase => no bonuses)
+        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
+        emit PurchaseRecordedV2(
+            buyer,
+            stage,
+            uint256(usdtAmount),
+            uint256(stageInfo.pricePerToken),
+            canonicalBase18,
+            0,
+            0,
+            0,
+            0,
+            address(0),
+            orderId
+        );
+        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
+
+        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
+        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
+    }
+
+    function _updateTotals(address buyer, uint128 usdtAmount, uint128 magaxAmount, bool isNewBuyer) internal {
+        _userTotalUSDT[buyer] += usdtAmount;
+        _userTotalMAGAX[buyer] += magaxAmount;
+        _totalUSDT += usdtAmount;
+        _totalMAGAX += magaxAmount;
+        
+        if (isNewBuyer) {
+            unchecked { 
+                _totalBuyers++; 
+            }
+        }
+    }
+
+    function _emitPurchaseEvent(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint40 timestamp,
+        uint8 stage,
+        bool isNewBuyer
+    ) internal {
+        emit PurchaseRecorded(
+            buyer, 
+            usdtAmount, 
+            magaxAmount, 
+            timestamp,
+            stage,
+            _receiptCount(buyer),
+            isNewBuyer
+        );
+    }
+
+    function _recordPurchaseWithReferral(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        address referrer,
+        bytes32 orderId
+    ) internal {
+        if (_finalised) revert PresaleFinalised();
+        _validateOrderId(orderId);
+        
+        _validateReferralPurchase(buyer, usdtAmount, magaxAmount, referrer);
+        
+        uint8 stage = _syncStage();
+        if (stage == 0) revert InvalidStage();
+        
+        StageInfo storage stageInfo = _stages[stage];
+        if (!stageInfo.isActive) revert StageNotActive();
+        
+        // Validate price consistency
+        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
+        
+        uint40 timestamp = uint40(block.timestamp);
+        _processReferralPurchase(buyer, usdtAmount, magaxAmount, referrer, stage, stageInfo, timestamp, orderId);
+    }
+
+    function _validateReferralPurchase(address buyer, uint128 usdtAmount, uint128 magaxAmount, address referrer) internal view {
+        if (buyer == address(0)) revert InvalidAddress();
+        if (referrer == address(0)) revert InvalidReferrer();
+        if (buyer == referrer) revert SelfReferral();
+        if (usdtAmount == 0 || magaxAmount == 0) revert InvalidAmount();
+        if (usdtAmount > MAX_PURCHASE_USDT) revert ExceedsMaxPurchase();
+        
+        // Edge case: Check total limit including potential bonuses
+        if (_totalUSDT + usdtAmount > MAX_TOTAL_USDT) revert ExceedsTotalLimit();
+    }
+
+    /**
+     * @notice Referral bonuses on a base amount at the current rates
+     * @dev The referrer rate comes from their tier before this order. The second-level bonus
+     *      goes to the referrer's own referrer, if any and if it is not the buyer.
+     */
+    function _calculateBonuses(address buyer, address referrer, uint128 magaxAmount) internal view returns (
+        uint128 referrerBonus,
+        uint128 refereeBonus,
+        uint128 secondLevelBonus,
+        address secondReferrer
+    ) {
+        (, uint16 tierBps) = _referralTier(referrer);
+        referrerBonus = (magaxAmount * tierBps) / BASIS_POINTS;
+        refereeBonus = (magaxAmount * _refereeBonusBps) / BASIS_POINTS;
+        secondReferrer = _secondLevelReferrer(buyer, referrer);
+        if (secondReferrer != address(0)) secondLevelBonus = (magaxAmount * _secondLevelBonusBps) / BASIS_POINTS;
+    }
+
+    function _secondLevelReferrer(address buyer, address referrer) internal view returns (address secondReferrer) {
+        if (_secondLevelBonusBps == 0) return address(0);
+        secondReferrer = _userReferrer[referrer];
+        if (secondReferrer == buyer) return address(0);
+    }
+
+    // All referral bonus bps an order pays on its base tokens (for split-purchase sizing)
+    function _referralBonusBps(address buyer, address referrer) internal view returns (uint256 bonusBps) {
+        (, uint16 tierBps) = _referralTier(referrer);
+        bonusBps = uint256(tierBps) + _refereeBonusBps;
+        if (_secondLevelReferrer(buyer, referrer) != address(0)) bonusBps += _secondLevelBonusBps;
+    }
+
+    /**
+     * @notice Write the referrer side of a referral purchase
+     * @dev Shared by the referral and promo + referral paths: referrer receipt and stats, and
+     *      the second-level receipt and stats when there is a second-level referrer. The bonus
+     *      amounts are already in the packed purchase; the receipts only point at it.
+     * @return referrerReceipt Index of the referrer bonus receipt
+     */
+    function _creditReferrers(
+        bytes32 orderId,
+        uint256 purchaseId,
+        address buyer,
+        address referrer,
+        uint128 usdtAmount,
+        uint128 referrerBonus,
+        address secondReferrer,
+        uint128 secondLevelBonus,
+        uint8   stage
+    ) internal returns (uint256 referrerReceipt) {
+        referrerReceipt = _receiptCount(referrer);
+        _pushReceipt(referrer, purchaseId, ReceiptKind.Referrer);
+        _userTotalMAGAX[referrer] += referrerBonus;
+
+        // Same tier _calculateBonuses priced the bonus at: the counters below are not updated yet
+        (uint8 tier, ) = _referralTier(referrer);
+        if (tier != 0) purchases[purchaseId].referrerTier = tier;
+        ReferralTierStats storage tierStats = _referralTierStats[referrer][tier];
+        tierStats.referredUSDT += usdtAmount;
+        tierStats.bonusEarned += referrerBonus;
+
+        ReferralInfo storage info = _referralData[referrer];
+        unchecked { info.totalReferrals++; }
+        info.totalBonusEarned += referrerBonus;
+        info.totalReferredUSDT += usdtAmount;
+
+        if (secondReferrer == address(0)) return referrerReceipt;
+
+        SecondLevelRecord storage record = _orderSecondLevel[orderId];
+        if (record.referrer == address(0)) {
+            record.referrer = secondReferrer;
+            record.firstReceipt = uint32(_receiptCount(secondReferrer));
+        }
+        record.receiptCount++;
+        _pushReceipt(secondReferrer, purchaseId, ReceiptKind.SecondLevel);
+        _userTotalMAGAX[secondReferrer] += secondLevelBonus;
+
+        ReferralInfo storage secondInfo = _referralData[secondReferrer];
+        unchecked { secondInfo.secondLevelReferrals++; }
+        secondInfo.secondLevelBonusEarned += secondLevelBonus;
+        emit SecondLevelBonusAwarded(secondReferrer, referrer, buyer, secondLevelBonus, stage, orderId);
+    }
+
+    function _processReferralPurchase(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        address referrer,
+        uint8 stage,
+        StageInfo storage stageInfo,
+        uint40 timestamp,
+        bytes32 orderId
+    ) internal {
+        (uint128 referrerBonus, uint128 refereeBonus, uint128 secondLevelBonus, address secondReferrer) =
+            _calculateBonuses(buyer, referrer, magaxAmount);
+        uint128 totalTokensRequired = magaxAmount + referrerBonus + refereeBonus + secondLevelBonus;
+        uint128 saleTokens = magaxAmount + _saleBonus(stage, totalTokensRequired - magaxAmount);
+
+        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + saleTokens > stageInfo.tokensAllocated) {
+            revert InsufficientStageTokens();
+        }
+
+        _setReferrerIfNeeded(buyer, referrer);
+        
+        bool isNewBuyer = _isNewBuyer(buyer);
+        // Pre-check global cap & USD target BEFORE any state mutation
+        if (uint256(_totalMAGAX) + uint256(totalTokensRequired) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
+        if (stageInfo.usdTarget > 0) {
+            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
+            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
+                revert StageUsdOverTarget();
+            }
+        }
+        _checkKyc(buyer);
+        _trackContribution(buyer, stage, usdtAmount);
+
+        // Record receipts after validations
+        uint256 firstReceipt = _receiptCount(buyer);
+        uint256 purchaseId = _storePurchase(
+            usdtAmount, magaxAmount, 0, refereeBonus, referrerBonus, secondLevelBonus, timestamp, stage, orderId
+        );
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Base);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Referee);
+        uint256 referrerReceipt = _creditReferrers(
+            orderId, purchaseId, buyer, referrer, usdtAmount, referrerBonus, secondReferrer, secondLevelBonus, stage
+        );
+        _recordOrder(orderId, buyer, firstReceipt, stage, PurchaseKind.Referral, referrer, referrerReceipt);
+
+        uint128 prevUsd = stageInfo.usdRaised;
+        _updateReferralTotals(buyer, usdtAmount, magaxAmount, refereeBonus, totalTokensRequired, isNewBuyer);
+        uint128 prevSold = stageInfo.tokensSold;
+        unchecked {
+            stageInfo.usdRaised += usdtAmount;
+            stageInfo.tokensSold += saleTokens;
+        }
+        _emitReferralEvents(buyer, usdtAmount, magaxAmount, referrer, referrerBonus, refereeBonus, timestamp, stage, isNewBuyer);
+        // Emit canonical unified purchase event (referral only)
+        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
+        emit PurchaseRecordedV2(
+            buyer,
+            stage,
+            uint256(usdtAmount),
+            uint256(stageInfo.pricePerToken),
+            canonicalBase18,
+            0,
+            uint256(refereeBonus),
+            uint256(referrerBonus),
+            uint256(secondLevelBonus),
+            referrer,
+            orderId
+        );
+        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
+        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
+    }
+
+    function _setReferrerIfNeeded(address buyer, address referrer) internal {
+        if (_userReferrer[buyer] == address(0)) {
+            _userReferrer[buyer] = referrer;
+            emit ReferrerSet(buyer, referrer);
+        }
+    }
+
+    function _updateReferralTotals(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint128 refereeBonus,
+        uint128 totalTokensRequired,
+        bool isNewBuyer
+    ) internal {
+        _userTotalUSDT[buyer] += usdtAmount;
+        _userTotalMAGAX[buyer] += magaxAmount + refereeBonus;
+        
+        _totalUSDT += usdtAmount;
+        _totalMAGAX += totalTokensRequired;
+        
+        // Referrer side (receipts, totals, referral stats) is written by _creditReferrers
+        _referralData[buyer].totalRefereeBonus += refereeBonus;
+        
+        if (isNewBuyer) {
+            unchecked { 
+                _totalBuyers++; 
+            }
+        }
+    }
+
+    function _emitReferralEvents(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        address referrer,
+        uint128 referrerBonus,
+        uint128 refereeBonus,
+        uint40 timestamp,
+        uint8 stage,
+        bool isNewBuyer
+    ) internal {
+        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, _receiptCount(buyer), isNewBuyer);
+        emit ReferralBonusAwarded(referrer, buyer, referrerBonus, refereeBonus, stage);
+    }
+
+    function _bonusPoolUsed(uint8 stage) internal view returns (uint128) {
+        StageStats storage stats = _stageStats[stage];
+        return stats.promoTokens + stats.referralTokens;
+    }
+
+    /**
+     * @notice Bonus tokens of a stage portion that count against tokensAllocated
+     * @dev All of them without a bonus pool. With one, none: they must fit in what is left
+     *      of the pool instead, or the purchase reverts with BonusPoolExhausted.
+     */
+    function _saleBonus(uint8 stage, uint128 bonusTokens) internal view returns (uint128) {
+        uint128 pool = _stageBonusPool[stage];
+        if (pool == 0) return bonusTokens;
+        uint128 used = _bonusPoolUsed(stage);
+        uint128 available = used >= pool ? 0 : pool - used;
+        if (bonusTokens > available) revert BonusPoolExhausted(available);
+        return 0;
+    }
+
+    function _activateStage(uint8 stage) internal {
+        // Deactivate current stage
+        if (_currentStage > 0 && _currentStage <= MAX_STAGES && _stages[_currentStage].isActive) {
+            _stages[_currentStage].isActive = false;
+            emit StageDeactivated(_currentStage);
+        }
+        
+        // Activate new stage
+        _stages[stage].isActive = true;
+        _currentStage = stage;
+        emit StageActivated(stage, msg.sender);
+    }
+
+    /**
+     * @notice Bring currentStage up to date and check its window; every purchase path calls this
+     * @dev Auto-advance goes through _activateStage, so the StageDeactivated / StageActivated
+     *      events are the same as for a manual activateStage() (operator = the caller).
+     * @return stage The stage the purchase is recorded in
+     */
+    function _syncStage() internal returns (uint8 stage) {
+        stage = _currentStage;
+        while (_shouldAdvance(stage)) {
+            stage++;
+            _activateStage(stage);
+        }
+
+        StageInfo storage stageInfo = _stages[stage];
+        if (stageInfo.startTime > block.timestamp) revert StageNotOpen();
+        if (stageInfo.endTime != 0 && block.timestamp >= stageInfo.endTime) revert StageWindowClosed();
+    }
+
+    function _shouldAdvance(uint8 stage) internal view returns (bool) {
+        if (stage == 0 || stage >= MAX_STAGES) return false;
+        StageInfo storage stageInfo = _stages[stage];
+        if (!stageInfo.autoAdvance || !stageInfo.isActive) return false;
+
+        bool soldOut = stageInfo.tokensSold >= stageInfo.tokensAllocated || stageInfo.usdRaised >= stageInfo.usdTarget;
+        bool ended = stageInfo.endTime != 0 && block.timestamp >= stageInfo.endTime;
+        if (!soldOut && !ended) return false;
+
+        StageInfo storage next = _stages[stage + 1];
+        return next.pricePerToken != 0 && next.startTime <= block.timestamp;
+    }
+
+    /**
+     * @notice USD a wallet can still contribute in a stage under its caps
+     * @param user Wallet to check
+     * @param stage Stage to check
+     * @return headroom USD (6 decimals), type(uint128).max when both caps are unlimited
+     */
+    function _contributionHeadroom(address user, uint8 stage) internal view returns (uint128 headroom) {
+        ContributionTier memory base = _contributionTiers[0];
+        headroom = type(uint128).max;
+        // An unlimited tier 0 cap cannot be lowered by any other tier, so skip the per-wallet reads
+        if (base.stageCap == 0 && base.walletCap == 0) return headroom;
+
+        ContributionTier memory own = _contributionTiers[_contributionTier[user]];
+        ContributionTier memory kyc = _contributionTiers[_kycTier(user)];
+
+        uint128 stageCap = _higherCap(_higherCap(base.stageCap, own.stageCap), kyc.stageCap);
+        if (stageCap > 0) {
+            uint128 used = _userStageTotals[user][stage].usdt;
+            headroom = used >= stageCap ? 0 : stageCap - used;
+        }
+        uint128 walletCap = _higherCap(_higherCap(base.walletCap, own.walletCap), kyc.walletCap);
+        if (walletCap > 0) {
+            uint128 used = _userTotalUSDT[user];
+            uint128 left = used >= walletCap ? 0 : walletCap - used;
+            if (left < headroom) headroom = left;
+        }
+    }
+
+    /**
+     * @notice Roll back the stage, stage stats, per-user stage and payment asset totals of an order
+     * @dev Every stage portion has one base receipt, and its purchase record carries all the
+     *      bonuses of that portion, so only base receipts are visited.
+     * @return sum The order's purchase records added up
+     */
+    function _rollbackPurchases(
+        OrderRecord storage order,
+        address secondReferrer
+    ) internal returns (PackedPurchase memory sum) {
+        address buyer = order.buyer;
+        uint256 end = uint256(order.firstReceipt) + order.receiptCount;
+        for (uint256 i = order.firstReceipt; i < end; i++) {
+            uint40 ref = _receiptRef(buyer, i);
+            if (_kindOf(ref) != ReceiptKind.Base) continue;
+            PackedPurchase memory purchase = purchases[ref >> 8];
+            UserStageTotals storage buyerStage = _userStageTotals[buyer][purchase.stage];
+            buyerStage.usdt -= purchase.usdt;
+            buyerStage.magax -= purchase.magax + purchase.promoBonus + purchase.refereeBonus;
+            if (order.referrer != address(0)) {
+                _userStageTotals[order.referrer][purchase.stage].magax -= purchase.referrerBonus;
+                ReferralTierStats storage tierStats = _referralTierStats[order.referrer][purchase.referrerTier];
+                tierStats.referredUSDT -= purchase.usdt;
+                tierStats.bonusEarned -= purchase.referrerBonus;
+            }
+            if (purchase.secondLevelBonus > 0) _userStageTotals[secondReferrer][purchase.stage].magax -= purchase.secondLevelBonus;
+            if (purchase.asset != address(0)) {
+                PaymentAsset storage asset = _paymentAssets[purchase.asset];
+                asset.totalRaised -= purchase.assetAmount;
+                asset.totalRaisedUSD -= purchase.usdt;
+            }
+            _rollbackStage(purchase, buyerStage.usdt == 0);
+
+            sum.usdt += purchase.usdt;
+            sum.magax += purchase.magax;
+            sum.promoBonus += purchase.promoBonus;
+            sum.refereeBonus += purchase.refereeBonus;
+            sum.referrerBonus += purchase.referrerBonus;
+            sum.secondLevelBonus += purchase.secondLevelBonus;
+        }
+    }
+
+    /**
+     * @notice Take one voided stage portion out of its stage totals and stats
+     * @param buyerLeft True when the buyer has no live USD left in the stage
+     */
+    function _rollbackStage(PackedPurchase memory purchase, bool buyerLeft) internal {
+        uint128 referralTokens = purchase.refereeBonus + purchase.referrerBonus + purchase.secondLevelBonus;
+        StageInfo storage stageInfo = _stages[purchase.stage];
+        stageInfo.usdRaised -= purchase.usdt;
+        // Pool bonuses never entered tokensSold; dropping them from stageStats refills the pool
+        uint128 saleBonus = _stageBonusPool[purchase.stage] == 0 ? purchase.promoBonus + referralTokens : 0;
+        stageInfo.tokensSold -= purchase.magax + saleBonus;
+        if (purchase.usdt > 0) emit StageUSDProgress(purchase.stage, stageInfo.usdRaised, stageInfo.usdTarget);
+
+        StageStats storage stats = _stageStats[purchase.stage];
+        stats.purchaseCount--;
+        stats.baseTokens -= purchase.magax;
+        stats.promoTokens -= purchase.promoBonus;
+        stats.referralTokens -= referralTokens;
+        if (buyerLeft) stats.uniqueBuyers--;
+    }
+
+    // Confirmers of an operation that still hold EMERGENCY_ROLE
+    function _liveEmergencyConfirmations(bytes32 operationHash) internal view returns (uint8 live) {
+        address[] storage confirmers = emergencyConfirmers[operationHash];
+        for (uint256 i = 0; i < confirmers.length; i++) {
+            if (hasRole(EMERGENCY_ROLE, confirmers[i])) live++;
+        }
+    }
+
+    function _withdrawToken(IERC20 token, address to) internal {
+        uint256 balance = token.balanceOf(address(this));
+        if (balance == 0) revert NoTokensToWithdraw();
+
+        token.safeTransfer(to, balance);
+        emit EmergencyTokenWithdraw(address(token), to, balance);
+    }
+
+    /**
+     * @notice Referrer tier and rate from the referrer's current stats
+     * @dev The highest tier whose referral count or referred USDT threshold is met wins
+     * @return tier 0 for the base rate, otherwise the 1-based index into getReferralTiers()
+     * @return bonusBps Referrer rate for that tier
+     */
+    function _referralTier(address referrer) internal view returns (uint8 tier, uint16 bonusBps) {
+        ReferralInfo storage info = _referralData[referrer];
+        for (uint256 i = referralTiers.length; i > 0; i--) {
+            ReferralTier storage candidate = referralTiers[i - 1];
+            if (
+                (candidate.minReferrals != 0 && info.totalReferrals >= candidate.minReferrals) ||
+                (candidate.minReferredUSDT != 0 && info.totalReferredUSDT >= candidate.minReferredUSDT)
+            ) {
+                return (uint8(i), candidate.bonusBps);
+            }
+        }
+        return (0, _referrerBonusBps);
+    }
+
+    /**
+     * @notice Record a promo purchase at a promo rate already resolved from a promo code
+     * @dev Every caller charges the order to its campaign with _usePromoCode afterwards; raw
+     *      promo rates are not accepted from outside, so every promo bonus has a campaign.
+     */
+    function _recordPurchaseWithPromo(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint16 promoBps,
+        bytes32 orderId
+    ) internal {
+        if (_finalised) revert PresaleFinalised();
+        _validateOrderId(orderId);
+        
+        _validatePurchase(buyer, usdtAmount, magaxAmount);
+        _validatePromoBps(promoBps);
+        
+        uint8 stage = _syncStage();
+        StageInfo storage stageInfo = _stages[stage];
+        _validateStage(stage, magaxAmount, stageInfo);
+        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
+        
+        uint128 promoBonus = _calculatePromoBonus(magaxAmount, promoBps);
+        uint128 totalTokens = magaxAmount + promoBonus;
+        
+        // Check if stage has enough tokens for purchase + bonus (the base alone with a bonus pool)
+        uint128 saleTokens = magaxAmount + _saleBonus(stage, promoBonus);
+        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + saleTokens > stageInfo.tokensAllocated) {
+            revert InsufficientStageTokens();
+        }
+        
+        uint40 timestamp = uint40(block.timestamp);
+        _processPromoLaunch(buyer, usdtAmount, magaxAmount, promoBps, promoBonus, totalTokens, stage, stageInfo, timestamp, orderId);
+    }
+
+    /**
+     * @notice Record a purchase with both promotional and referral bonuses
+     * @dev Like _recordPurchaseWithPromo, promoBps comes from a promo code the caller charges.
+     *      Referral bonuses are calculated on the base amount (not including promo bonus):
+     *      total tokens = base + promo bonus + referee bonus, the referrer gets the referrer bonus.
+     */
+    function _recordPurchaseWithPromoAndReferral(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint16  promoBps,
+        address referrer,
+        bytes32 orderId
+    ) internal {
+        if (_finalised) revert PresaleFinalised();
+        _validateOrderId(orderId);
+
+        _validatePromoBps(promoBps);
+        _validateReferralPurchase(buyer, usdtAmount, magaxAmount, referrer);
+
+        uint8 stage = _syncStage();
+        StageInfo storage stageInfo = _stages[stage];
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        if (!stageInfo.isActive) revert StageNotActive();
+
+        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
+
+        _processPromoAndReferralPurchase(
+            buyer, usdtAmount, magaxAmount, promoBps, referrer,
+            uint40(block.timestamp), stage, stageInfo, orderId
+        );
+    }
+
+    function _promoCodeBps(bytes32 codeId) internal view returns (uint16) {
+        PromoCampaign storage campaign = _promoCampaigns[codeId];
+        if (campaign.bonusBps == 0) revert PromoCodeNotFound();
+        if (!_isPromoCampaignOpen(campaign)) revert PromoCodeInactive();
+        return campaign.bonusBps;
+    }
+
+    function _isPromoCampaignOpen(PromoCampaign storage campaign) internal view returns (bool) {
+        return campaign.active
+            && block.timestamp >= campaign.startTime
+            && (campaign.endTime == 0 || block.timestamp < campaign.endTime);
+    }
+
+    /**
+     * @notice Charge a recorded promo-code order to its campaign
+     * @dev Runs after the purchase is recorded so purchase errors (e.g. DuplicateOrderId on a
+     *      retry) surface first; a limit or budget revert here undoes the whole purchase.
+     * @param bonusTokens Promo bonus the order was paid, which voidOrder gives back to the budget
+     */
+    function _usePromoCode(bytes32 codeId, address buyer, uint128 bonusTokens, bytes32 orderId) internal {
+        PromoCampaign storage campaign = _promoCampaigns[codeId];
+        if (campaign.maxUses != 0 && campaign.uses >= campaign.maxUses) revert PromoCodeUsageLimit();
+        if (campaign.maxUsesPerUser != 0 && _promoCodeUses[codeId][buyer] >= campaign.maxUsesPerUser) {
+            revert PromoCodeUsageLimit();
+        }
+        if (campaign.bonusUsed + bonusTokens > campaign.bonusBudget) revert PromoBudgetExceeded();
+
+        campaign.uses++;
+        campaign.bonusUsed += bonusTokens;
+        _promoCodeUses[codeId][buyer]++;
+        _orderPromoCode[orderId] = codeId;
+        emit PromoCodeUsed(codeId, buyer, orderId, bonusTokens);
+    }
+
+    // recordPurchase* variant for an order with this promo code and referrer (zero = none)
+    function _purchaseKind(bytes32 codeId, address referrer) internal pure returns (PurchaseKind) {
+        if (codeId == bytes32(0)) return referrer == address(0) ? PurchaseKind.Plain : PurchaseKind.Referral;
+        return referrer == address(0) ? PurchaseKind.Promo : PurchaseKind.PromoAndReferral;
+    }
+
+    /**
+     * @notice Largest USDT amount the stage can still take at its price
+     * @dev Bounded by the remaining usdTarget and by the remaining allocation once base
+     *      tokens are grossed up by bonusBps (bonuses are floored, so they always fit).
+     *      A stage with a bonus pool passes 0; its pool is checked when the portion is recorded.
+     */
+    function _stageFill(StageInfo storage stageInfo, uint128 usdtAmount, uint256 bonusBps) internal view returns (uint128) {
+        uint256 usdLeft = stageInfo.usdRaised >= stageInfo.usdTarget ? 0 : stageInfo.usdTarget - stageInfo.usdRaised;
+        uint256 tokensLeft = stageInfo.tokensSold >= stageInfo.tokensAllocated ? 0 : stageInfo.tokensAllocated - stageInfo.tokensSold;
+        uint256 baseLeft = (tokensLeft * BASIS_POINTS) / (BASIS_POINTS + bonusBps);
+        uint256 usdForTokens = (baseLeft * stageInfo.pricePerToken) / 1e18;
+
+        uint256 fill = usdtAmount;
+        if (usdLeft < fill) fill = usdLeft;
+        if (usdForTokens < fill) fill = usdForTokens;
+        return uint128(fill);
+    }
+
+    /**
+     * @notice Record one stage portion of a split purchase
+     * @return promoBonus Promo bonus paid on the portion
+     */
+    function _recordStagePortion(
+        address buyer,
+        uint128 usdtAmount,
+        uint16  promoBps,
+        address referrer,
+        uint8   stage,
+        StageInfo storage stageInfo,
+        uint40  timestamp,
+        bytes32 orderId,
+        bool    isContinuation
+    ) internal returns (uint128 promoBonus) {
+        uint128 magaxAmount = uint128((uint256(usdtAmount) * 1e18) / stageInfo.pricePerToken);
+        if (promoBps > 0) promoBonus = _calculatePromoBonus(magaxAmount, promoBps);
+
+        if (referrer == address(0)) {
+            if (promoBps == 0) {
+                _processPurchase(buyer, usdtAmount, magaxAmount, stage, stageInfo, timestamp, orderId);
+            } else {
+                _processPromoLaunch(
+                    buyer, usdtAmount, magaxAmount, promoBps, promoBonus, magaxAmount + promoBonus,
+                    stage, stageInfo, timestamp, orderId
+                );
+            }
+            return promoBonus;
+        }
+
+        // One order counts as one referral, however many stages it spans. Uncounting before
+        // the portion is recorded also keeps this order out of the referrer's tier check.
+        if (isContinuation) {
+            unchecked { _referralData[referrer].totalReferrals--; }
+            address secondReferrer = _orderSecondLevel[orderId].referrer;
+            if (secondReferrer != address(0)) {
+                unchecked { _referralData[secondReferrer].secondLevelReferrals--; }
+            }
+        }
+
+        if (promoBps == 0) {
+            _processReferralPurchase(buyer, usdtAmount, magaxAmount, referrer, stage, stageInfo, timestamp, orderId);
+        } else {
+            _processPromoAndReferralPurchase(buyer, usdtAmount, magaxAmount, promoBps, referrer, timestamp, stage, stageInfo, orderId);
+        }
+    }
+
+    /**
+     * @notice Close a filled stage and activate the next one for a split purchase
+     * @dev StageCompleted is emitted here only when rounding left the stage a few wei short of
+     *      both thresholds; a stage that crossed a threshold already emitted it.
+     */
+    function _advanceStage(uint8 stage, StageInfo storage stageInfo) internal returns (uint8 next) {
+        next = stage + 1;
+        if (next > MAX_STAGES || _stages[next].pricePerToken == 0) revert NoNextStage();
+        if (_stages[next].startTime > block.timestamp) revert StageNotOpen();
+        if (_stages[next].endTime != 0 && block.timestamp >= _stages[next].endTime) revert StageWindowClosed();
+
+        if (stageInfo.usdRaised < stageInfo.usdTarget && stageInfo.tokensSold < stageInfo.tokensAllocated) {
+            emit StageCompleted(stage, stageInfo.tokensSold);
+        }
+        _activateStage(next);
+    }
+
+    // Attestation mode gate, shared by every _process* path
+    function _checkKyc(address buyer) internal view {
+        if (_kycRequired && _kycStatus[buyer].expiry <= block.timestamp) revert KycRequired();
+    }
+
+    // Contribution tier of a live attestation, 0 otherwise
+    function _kycTier(address user) internal view returns (uint8) {
+        KycStatus memory status = _kycStatus[user];
+        return status.expiry > block.timestamp ? status.tier : 0;
+    }
+
+    /**
+     * @notice Check a stage portion against the buyer's caps and count it
+     * @dev Called by every _process* path before the receipts are written, so recorder,
+     *      voucher, batch and direct purchases share the same caps. voidOrder gives it back.
+     *      The buyer's first live USD in a stage also counts them in stageStats.uniqueBuyers.
+     */
+    function _trackContribution(address buyer, uint8 stage, uint128 usdtAmount) internal {
+        uint128 headroom = _contributionHeadroom(buyer, stage);
+        if (usdtAmount > headroom) revert ContributionCapExceeded(headroom);
+        UserStageTotals storage totals = _userStageTotals[buyer][stage];
+        if (totals.usdt == 0) _stageStats[stage].uniqueBuyers++;
+        totals.usdt += usdtAmount;
+    }
+
+    // 0 means unlimited, so it wins over any finite cap
+    function _higherCap(uint128 a, uint128 b) private pure returns (uint128) {
+        if (a == 0 || b == 0) return 0;
+        return a > b ? a : b;
+    }
+
+    /**
+     * @notice Check the payment reported with a recorder, batch or voucher purchase
+     * @dev A zero asset reports nothing and needs a zero amount. Stablecoin amounts must
+     *      normalize exactly to usdtAmount; NATIVE_ASSET was priced off-chain and only needs one.
+     */
+    function _checkPayment(address assetAddress, uint128 paid, uint128 usdtAmount) internal view {
+        if (assetAddress == address(0)) {
+            if (paid != 0) revert PaymentAmountMismatch();
+            return;
+        }
+        PaymentAsset storage asset = _paymentAssets[assetAddress];
+        if (!asset.accepted) revert UnsupportedPaymentToken();
+        if (assetAddress == NATIVE_ASSET) {
+            if (paid == 0) revert PaymentAmountMismatch();
+            return;
+        }
+        (uint128 normalized, uint128 exact) = _normalizePayment(paid, asset.decimals);
+        if (normalized != usdtAmount || exact != paid) revert PaymentAmountMismatch();
+    }
+
+    /**
+     * @notice Store the payment asset and raw amount on an order's base receipts
+     * @dev A split order spreads the amount over its stage portions in proportion to their USD,
+     *      the last portion taking the rounding remainder. voidOrder takes it back per portion.
+     */
+    function _recordPayment(
+        address buyer,
+        bytes32 orderId,
+        address assetAddress,
+        uint128 paid,
+        uint128 usdtAmount
+    ) internal {
+        OrderRecord storage order = _orders[orderId];
+        uint256 end = uint256(order.firstReceipt) + order.receiptCount;
+        uint128 paidLeft = paid;
+        uint128 usdLeft = usdtAmount;
+        for (uint256 i = order.firstReceipt; i < end; i++) {
+            uint40 ref = _receiptRef(buyer, i);
+            if (_kindOf(ref) != ReceiptKind.Base) continue;
+            PackedPurchase storage purchase = purchases[ref >> 8];
+            uint128 share = purchase.usdt == usdLeft ? paidLeft : uint128((uint256(paid) * purchase.usdt) / usdtAmount);
+            purchase.asset = assetAddress;
+            purchase.assetAmount = SafeCast.toUint96(share);
+            paidLeft -= share;
+            usdLeft -= purchase.usdt;
+        }
+        PaymentAsset storage asset = _paymentAssets[assetAddress];
+        asset.totalRaised += paid;
+        asset.totalRaisedUSD += usdtAmount;
+    }
+
+    /**
+     * @notice Convert a payment in token units to 6-decimal USD
+     * @dev Rounds down. For tokens with more than 6 decimals only the part that converts exactly
+     *      is charged, so the buyer never pays for dust that is not recorded.
+     * @return usdtAmount The payment in 6-decimal USD
+     * @return paid The amount to charge, in token units
+     */
+    function _normalizePayment(uint128 amount, uint8 decimals) internal pure returns (uint128 usdtAmount, uint128 paid) {
+        if (decimals >= 6) {
+            uint128 scale = uint128(10 ** (decimals - 6));
+            usdtAmount = amount / scale;
+            paid = usdtAmount * scale;
+        } else {
+            usdtAmount = amount * uint128(10 ** (6 - decimals));
+            paid = amount;
+        }
+    }
+
+    function _validatePromoBps(uint16 promoBps) internal view {
+        if (promoBps == 0 || promoBps > _maxPromoCapBps) revert InvalidPromoBps();
+    }
+
+    function _calculatePromoBonus(uint128 magaxAmount, uint16 promoBps) internal pure returns (uint128) {
+        return (magaxAmount * promoBps) / BASIS_POINTS;
+    }
+
+    function _processPromoLaunch(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint16 promoBps,
+        uint128 promoBonus,
+        uint128 totalTokens,
+        uint8 stage,
+        StageInfo storage stageInfo,
+        uint40 timestamp,
+        bytes32 orderId
+    ) internal {
+        // Auditor recommendation: use receipt count for new buyer detection
+        bool isNewBuyer = _isNewBuyer(buyer);
+        // Pre-check global cap & USD target BEFORE any state mutation
+        if (uint256(_totalMAGAX) + uint256(totalTokens) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
+        if (stageInfo.usdTarget > 0) {
+            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
+            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
+                revert StageUsdOverTarget();
+            }
+        }
+        _checkKyc(buyer);
+        _trackContribution(buyer, stage, usdtAmount);
+        // Split purchases get here without the allocation pre-check, so the pool is checked here
+        uint128 saleTokens = magaxAmount + _saleBonus(stage, promoBonus);
+
+        // Record receipts post-validation
+        uint256 firstReceipt = _receiptCount(buyer);
+        uint256 purchaseId = _storePurchase(usdtAmount, magaxAmount, promoBonus, 0, 0, 0, timestamp, stage, orderId);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Base);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Promo);
+        uint256 bonusReceiptIdx = firstReceipt + 1;
+        _recordOrder(orderId, buyer, firstReceipt, stage, PurchaseKind.Promo, address(0), 0);
+
+        uint128 prevUsd = stageInfo.usdRaised;
+        _updatePromoTotals(buyer, usdtAmount, promoBonus, totalTokens, isNewBuyer);
+        uint128 prevSold = stageInfo.tokensSold;
+        unchecked {
+            stageInfo.usdRaised += usdtAmount;
+            stageInfo.tokensSold += saleTokens;
+        }
+        _emitPromoEvents(buyer, usdtAmount, magaxAmount, promoBps, promoBonus, timestamp, stage, isNewBuyer, bonusReceiptIdx);
+        // Emit canonical unified purchase event (promo only)
+        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
+        emit PurchaseRecordedV2(
+            buyer,
+            stage,
+            uint256(usdtAmount),
+            uint256(stageInfo.pricePerToken),
+            canonicalBase18,
+            uint256(promoBonus),
+            0,
+            0,
+            0,
+            address(0),
+            orderId
+        );
+        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
+        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
+    }
+
+    function _updatePromoTotals(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 promoBonus,
+        uint128 totalTokens,
+        bool isNewBuyer
+    ) internal {
+        _userTotalUSDT[buyer] += usdtAmount;
+        _userTotalMAGAX[buyer] += totalTokens; // Include bonus in user's total
+        _userPromoData[buyer].totalPromoBonus += promoBonus;
+        _totalPromoBonusDistributed += promoBonus; // track global promo distribution
+        
+        _totalUSDT += usdtAmount;
+        _totalMAGAX += totalTokens;
+        
+        if (isNewBuyer) {
+            unchecked { 
+                _totalBuyers++; 
+            }
+        }
+    }
+
+    function _emitPromoEvents(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint16 promoBps,
+        uint128 promoBonus,
+        uint40 timestamp,
+        uint8 stage,
+        bool isNewBuyer,
+        uint256 bonusReceiptIdx
+    ) internal {
+        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, _receiptCount(buyer), isNewBuyer);
+        emit PromoUsed(buyer, promoBps, promoBonus, stage, bonusReceiptIdx);
+    }
+
+    function _processPromoAndReferralPurchase(
+        address buyer,
+        uint128 usdtAmount,
+        uint128 magaxAmount,
+        uint16  promoBps,
+        address referrer,
+        uint40  timestamp,
+        uint8   stage,
+        StageInfo storage stageInfo,
+        bytes32 orderId
+    ) internal {
+        _setReferrerIfNeeded(buyer, referrer);
+
+        // bonuses (referral based on base only)
+        uint128 promoBonus; unchecked { promoBonus = (magaxAmount * promoBps) / BASIS_POINTS; }
+        (uint128 referrerBonus, uint128 refereeBonus, uint128 secondLevelBonus, address secondReferrer) =
+            _calculateBonuses(buyer, referrer, magaxAmount);
+
+        uint128 totalBuyerTokens = magaxAmount + promoBonus + refereeBonus;
+        uint128 totalStageTokens = totalBuyerTokens + referrerBonus + secondLevelBonus;
+        uint128 saleTokens = magaxAmount + _saleBonus(stage, totalStageTokens - magaxAmount);
+
+        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + saleTokens > stageInfo.tokensAllocated) {
+            revert InsufficientStageTokens();
+        }
+
+        // Auditor recommendation: use receipt existence instead of USDT total
+        bool isNewBuyer = _isNewBuyer(buyer);
+
+        // Pre-check global cap & USD target BEFORE any state mutation
+        if (uint256(_totalMAGAX) + uint256(totalStageTokens) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
+        if (stageInfo.usdTarget > 0) {
+            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
+            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
+                revert StageUsdOverTarget();
+            }
+        }
+        _checkKyc(buyer);
+        _trackContribution(buyer, stage, usdtAmount);
+
+        // receipts (main, promo, referee; referrer gets separate receipt)
+        uint256 firstReceipt = _receiptCount(buyer);
+        uint256 purchaseId = _storePurchase(
+            usdtAmount, magaxAmount, promoBonus, refereeBonus, referrerBonus, secondLevelBonus, timestamp, stage, orderId
+        );
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Base);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Promo);
+        _pushReceipt(buyer, purchaseId, ReceiptKind.Referee);
+        uint256 referrerReceipt = _creditReferrers(
+            orderId, purchaseId, buyer, referrer, usdtAmount, referrerBonus, secondReferrer, secondLevelBonus, stage
+        );
+        _recordOrder(orderId, buyer, firstReceipt, stage, PurchaseKind.PromoAndReferral, referrer, referrerReceipt);
+
+        // totals (after validation)
+        _userTotalUSDT[buyer]  += usdtAmount;
+        _userTotalMAGAX[buyer] += totalBuyerTokens;
+        _userPromoData[buyer].totalPromoBonus += promoBonus;
+        _totalPromoBonusDistributed += promoBonus; // track global promo distribution
+
+        _referralData[buyer].totalRefereeBonus   += refereeBonus;
+
+        _totalUSDT  += usdtAmount;
+        _totalMAGAX += totalStageTokens;
+        if (isNewBuyer) { unchecked { _totalBuyers++; } }
+
+        uint128 prevUsd = stageInfo.usdRaised;
+        uint128 prevSold = stageInfo.tokensSold;
+        unchecked {
+            stageInfo.usdRaised += usdtAmount;
+            stageInfo.tokensSold += saleTokens;
+        }
+        // events (the promo receipt follows the base receipt)
+        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, _receiptCount(buyer), isNewBuyer);
+        emit PromoUsed(buyer, promoBps, promoBonus, stage, firstReceipt + 1);
+        emit ReferralBonusAwarded(referrer, buyer, referrerBonus, refereeBonus, stage);
+        // Emit canonical unified purchase event (promo + referral)
+        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
+        emit PurchaseRecordedV2(
+            buyer,
+            stage,
+            uint256(usdtAmount),
+            uint256(stageInfo.pricePerToken),
+            canonicalBase18,
+            uint256(promoBonus),
+            uint256(refereeBonus),
+            uint256(referrerBonus),
+            uint256(secondLevelBonus),
+            referrer,
+            orderId
+        );
+        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
+        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
+        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
+    }
+    // helper to detect first crossing of usdTarget
+    function _crossed(uint128 before, uint128 after_, uint128 target) private pure returns (bool) {
+        return target > 0 && before < target && after_ >= target;
+    }
+
+    /**
+     * @notice Run the current call in an extension against this contract's storage
+     * @dev Returns or reverts with the extension's return data
+     */
+    function _delegate(address target) internal {
+        assembly ("memory-safe") {
+            calldatacopy(0, 0, calldatasize())
+            let ok := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch ok
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "./MAGAXPresaleCore.sol";
+
+/**
+ * @title MAGAXPresaleEngine
+ * @notice Purchase recording shared by the presale extensions
+ * @dev The purchase paths are most of the presale's bytecode, so MAGAXPresalePurchases
+ *      delegatecalls them here instead of carrying its own copy.
+ *      The engine is not part of the fallback chain and cannot be reached through the presale;
+ *      its callers check roles, pause state and the reentrancy lock first. Called directly, it
+ *      only sees its own empty storage.
+ */
+contract MAGAXPresaleEngine is MAGAXPresaleCore {
+    /**
+     * @notice Record one purchase through the recordPurchase* path its kind selects
+     * @dev A promo kind charges its code with the order's promo bonus. A reported payment is
+     *      checked first and stored on the base receipts last, like recordPaidPurchase.
+     *      Payable because a delegatecall from buyWithNative keeps that call's msg.value.
+     * @param record The purchase, its payment asset and raw amount
+     */
+    function recordOrder(PurchaseRecord calldata record) external payable {
+        _checkPayment(record.asset, record.assetAmount, record.usdtAmount);
+        if (record.kind == PurchaseKind.Plain) {
+            _recordPurchase(record.buyer, record.usdtAmount, record.magaxAmount, record.orderId);
+        } else if (record.kind == PurchaseKind.Referral) {
+            _recordPurchaseWithReferral(record.buyer, record.usdtAmount, record.magaxAmount, record.referrer, record.orderId);
+        } else {
+            uint16 promoBps = _promoCodeBps(record.codeId);
+            if (record.kind == PurchaseKind.Promo) {
+                _recordPurchaseWithPromo(record.buyer, record.usdtAmount, record.magaxAmount, promoBps, record.orderId);
+            } else {
+                _recordPurchaseWithPromoAndReferral(
+                    record.buyer, record.usdtAmount, record.magaxAmount, promoBps, record.referrer, record.orderId
+                );
+            }
+            _usePromoCode(record.codeId, record.buyer, _calculatePromoBonus(record.magaxAmount, promoBps), record.orderId);
+        }
+        if (record.asset != address(0)) {
+            _recordPayment(record.buyer, record.orderId, record.asset, record.assetAmount, record.usdtAmount);
+        }
+    }
+
+    /**
+     * @notice Record a purchase that may run past the end of the current stage
+     * @dev See MAGAXPresalePurchases.recordPurchaseAcrossStages
+     */
+    function recordAcrossStages(
+        address buyer,
+        uint128 usdtAmount,
+        bytes32 codeId,
+        address referrer,
+        address asset,
+        uint128 assetAmount,
+        bytes32 orderId
+    ) external {
+        if (_finalised) revert PresaleFinalised();
+        _validateOrderId(orderId);
+        _checkPayment(asset, assetAmount, usdtAmount);
+
+        // Base tokens are derived per stage below, so only the USDT side is checked here
+        uint16 promoBps = codeId == bytes32(0) ? 0 : _promoCodeBps(codeId);
+        if (promoBps > 0) _validatePromoBps(promoBps);
+        if (referrer != address(0)) {
+            _validateReferralPurchase(buyer, usdtAmount, 1, referrer);
+        } else {
+            _validatePurchase(buyer, usdtAmount, 1);
+        }
+
+        uint8 stage = _syncStage();
+        uint8 firstStage = stage;
+        uint256 firstReceipt = _receiptCount(buyer);
+        uint256 referrerFirstReceipt = referrer == address(0) ? 0 : _receiptCount(referrer);
+        uint128 remaining = usdtAmount;
+        uint128 promoBonus;
+        uint40 timestamp = uint40(block.timestamp);
+
+        while (true) {
+            if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+            StageInfo storage stageInfo = _stages[stage];
+            if (!stageInfo.isActive) revert StageNotActive();
+
+            // Re-read per stage: the referrer's tier can move up with the USDT this order referred
+            uint256 bonusBps = promoBps;
+            if (referrer != address(0)) bonusBps += _referralBonusBps(buyer, referrer);
+
+            // Bonuses paid from a bonus pool leave the allocation to the base tokens
+            uint128 fill = _stageFill(stageInfo, remaining, _stageBonusPool[stage] == 0 ? bonusBps : 0);
+            if (fill > 0) {
+                promoBonus += _recordStagePortion(buyer, fill, promoBps, referrer, stage, stageInfo, timestamp, orderId, remaining != usdtAmount);
+                remaining -= fill;
+            }
+            if (remaining == 0) break;
+            stage = _advanceStage(stage, stageInfo);
+        }
+
+        // Portions overwrite the order record; point it at the receipts of every stage
+        PurchaseKind kind = referrer == address(0)
+            ? (promoBps == 0 ? PurchaseKind.Plain : PurchaseKind.Promo)
+            : (promoBps == 0 ? PurchaseKind.Referral : PurchaseKind.PromoAndReferral);
+        _recordOrder(orderId, buyer, firstReceipt, firstStage, kind, referrer, referrerFirstReceipt);
+        if (promoBps > 0) _usePromoCode(codeId, buyer, promoBonus, orderId);
+        if (asset != address(0)) _recordPayment(buyer, orderId, asset, assetAmount, usdtAmount);
+    }
+}
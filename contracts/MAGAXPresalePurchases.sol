@@ -0,0 +1,333 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "./MAGAXPresaleEngine.sol";
+
+/**
+ * @title MAGAXPresalePurchases
+ * @notice Presale extension: split-order, paid and batch recorder purchases, purchase vouchers and
+ *         buyer-paid stablecoin and native coin purchases
+ * @dev Runs through MAGAXPresaleReceipts' fallback (delegatecall), see MAGAXPresaleCore. The
+ *      purchases themselves are recorded by MAGAXPresaleEngine.
+ */
+contract MAGAXPresalePurchases is MAGAXPresaleCore {
+    using SafeERC20 for IERC20;
+
+    // Next extension in the chain, see MAGAXPresaleCore
+    address public immutable nextExtension;
+    // Records the purchases, see MAGAXPresaleEngine
+    address public immutable engine;
+
+    constructor(address next, address engine_) {
+        if (next.code.length == 0) revert InvalidAddress();
+        if (engine_.code.length == 0) revert InvalidAddress();
+        nextExtension = next;
+        engine = engine_;
+    }
+
+    /**
+     * @notice Record a purchase that may run past the end of the current stage
+     * @dev Fills the rest of the current stage at its price and moves the remainder into the
+     *      next configured stage at that stage's price, activating it (StageCompleted for the
+     *      filled stage, then StageDeactivated / StageActivated). Each stage portion is recorded
+     *      through the matching single-purchase path, so it gets its own receipts, bonuses and
+     *      PurchaseRecordedV2 event. Base tokens are derived on-chain from the USDT amount.
+     *      A promo code is charged once for the whole order, with the bonus of every portion,
+     *      and the payment is spread over the portions in proportion to their USD.
+     * @param buyer The address of the buyer
+     * @param usdtAmount Total USDT paid (6 decimals)
+     * @param codeId Registered promo code (zero = no promo)
+     * @param referrer The referrer address (zero address = no referral)
+     * @param asset Accepted payment asset (zero address = not reported)
+     * @param assetAmount Raw amount paid in the asset's decimals (0 when asset is zero)
+     * @param orderId Unique off-chain order identifier; getOrder() covers the receipts of every stage
+     */
+    function recordPurchaseAcrossStages(
+        address buyer,
+        uint128 usdtAmount,
+        bytes32 codeId,
+        address referrer,
+        address asset,
+        uint128 assetAmount,
+        bytes32 orderId
+    ) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant {
+        Address.functionDelegateCall(engine, abi.encodeCall(
+            MAGAXPresaleEngine.recordAcrossStages, (buyer, usdtAmount, codeId, referrer, asset, assetAmount, orderId)
+        ));
+    }
+
+    /**
+     * @notice Record one purchase of any kind together with the asset it was paid in
+     * @dev Same validation and events as the matching single-purchase function. The asset must
+     *      be accepted; for a stablecoin, usdtAmount must be assetAmount normalized to 6 decimals.
+     *      NATIVE_ASSET amounts are priced off-chain, so only their USD side is checked.
+     * @param record The purchase, its payment asset and raw amount
+     */
+    function recordPaidPurchase(PurchaseRecord calldata record) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant {
+        _recordThroughEngine(record);
+    }
+
+    /**
+     * @notice Record a batch of mixed purchases in a single transaction
+     * @dev Every item goes through the same validation and emits the same events as the
+     *      matching single-purchase function. In atomic mode the first failing item reverts
+     *      the whole batch. Otherwise each item runs in its own call frame via
+     *      processBatchItem, failures are reported with BatchItemFailed and skipped.
+     * @param records Purchases to record (1 to MAX_BATCH_SIZE entries)
+     * @param atomic True to revert the whole batch on any failure
+     * @return results Per-item success flags, aligned with records
+     */
+    function recordPurchaseBatch(
+        PurchaseRecord[] calldata records,
+        bool atomic
+    ) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant returns (bool[] memory results) {
+        uint256 count = records.length;
+        if (count == 0 || count > MAX_BATCH_SIZE) revert InvalidBatchSize();
+
+        results = new bool[](count);
+        uint256 recorded;
+        for (uint256 i = 0; i < count; i++) {
+            if (atomic) {
+                _recordThroughEngine(records[i]);
+                results[i] = true;
+            } else {
+                try this.processBatchItem(records[i]) {
+                    results[i] = true;
+                } catch (bytes memory reason) {
+                    emit BatchItemFailed(i, records[i].orderId, reason);
+                }
+            }
+            if (results[i]) {
+                unchecked { recorded++; }
+            }
+        }
+
+        emit BatchRecorded(count, recorded, atomic);
+    }
+
+    /**
+     * @notice Records one batch item in an isolated call frame
+     * @dev Only callable by this contract from recordPurchaseBatch, which has already
+     *      enforced RECORDER_ROLE, pause state and the reentrancy lock.
+     * @param record The purchase to record
+     */
+    function processBatchItem(PurchaseRecord calldata record) external {
+        if (msg.sender != address(this)) revert BatchItemSelfCallOnly();
+        _recordThroughEngine(record);
+    }
+
+    /**
+     * @notice Redeem a recorder-signed purchase voucher
+     * @dev Lets the buyer or any relayer pay the gas for recording. The EIP-712 signature must
+     *      come from a current RECORDER_ROLE holder, so revoking the role voids its unredeemed
+     *      vouchers. The voucher is recorded through the matching recordPurchase* path (chosen
+     *      from codeId / referrer) and the orderId makes every voucher single-use. The promo code
+     *      is checked against its campaign at redemption, not when the voucher is signed, and the
+     *      payment asset like recordPaidPurchase checks it.
+     * @param voucher The signed purchase
+     * @param signature EIP-712 signature over the voucher by a recorder
+     */
+    function redeemVoucher(
+        PurchaseVoucher calldata voucher,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant {
+        if (block.timestamp > voucher.deadline) revert VoucherExpired();
+        if (voucher.stage != _syncStage()) revert VoucherStageMismatch();
+
+        address signer = ECDSA.recover(hashVoucher(voucher), signature);
+        if (!hasRole(RECORDER_ROLE, signer)) revert InvalidVoucherSigner();
+        _recordThroughEngine(PurchaseRecord({
+            kind: _purchaseKind(voucher.codeId, voucher.referrer),
+            buyer: voucher.buyer,
+            usdtAmount: voucher.usdtAmount,
+            magaxAmount: voucher.magaxAmount,
+            codeId: voucher.codeId,
+            referrer: voucher.referrer,
+            orderId: voucher.orderId,
+            asset: voucher.asset,
+            assetAmount: voucher.assetAmount
+        }));
+
+        emit VoucherRedeemed(voucher.orderId, signer, msg.sender);
+    }
+
+    /**
+     * @notice EIP-712 digest a recorder signs for a voucher
+     * @param voucher The purchase voucher
+     * @return The typed data hash for this contract's domain
+     */
+    function hashVoucher(PurchaseVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            PURCHASE_VOUCHER_TYPEHASH,
+            voucher.buyer,
+            voucher.usdtAmount,
+            voucher.magaxAmount,
+            voucher.codeId,
+            voucher.referrer,
+            voucher.orderId,
+            voucher.asset,
+            voucher.assetAmount,
+            voucher.stage,
+            voucher.deadline
+        )));
+    }
+
+    /**
+     * @notice Current native coin price, after the answer, staleness and deviation checks
+     * @dev Reads latestRoundData() only: earlier rounds are not addressable across an aggregator
+     *      phase change and answeredInRound is deprecated. The deviation bound is therefore
+     *      taken against the admin-set referencePrice, not the previous round. Reverts the same
+     *      way buyWithNative would; frontends can call it before quoting.
+     * @return price Feed answer (USD per native coin)
+     * @return decimals Answer decimals
+     * @return updatedAt Time of the answer
+     */
+    function getNativePrice() public view returns (uint256 price, uint8 decimals, uint256 updatedAt) {
+        NativePriceFeed memory config = _nativePriceFeed;
+        if (address(config.feed) == address(0)) revert UnsupportedPaymentToken();
+
+        (, int256 answer, , uint256 roundUpdatedAt, ) = config.feed.latestRoundData();
+        if (answer <= 0) revert InvalidFeedPrice();
+        if (roundUpdatedAt == 0 || roundUpdatedAt + config.maxPriceAge < block.timestamp) revert StalePrice();
+
+        uint256 move = uint256(answer) > config.referencePrice
+            ? uint256(answer) - config.referencePrice
+            : config.referencePrice - uint256(answer);
+        if (move * BASIS_POINTS > uint256(config.referencePrice) * config.maxDeviationBps) revert PriceDeviationTooHigh();
+
+        return (uint256(answer), config.decimals, roundUpdatedAt);
+    }
+
+    /**
+     * @notice Buy with an allowed stablecoin the buyer has approved to this contract
+     * @dev Records the purchase for msg.sender through the same paths as the recorder (receipts,
+     *      stage accounting, PurchaseRecordedV2, promo code and referral bonuses), then pulls the
+     *      payment straight to the treasury; the contract never holds it. Base tokens are derived
+     *      on-chain from the stage price, and the order ID is generated on-chain.
+     * @param purchase Payment token and amount, slippage guard, referrer and promo code
+     * @return orderId The order the purchase was recorded under
+     */
+    function buyTokens(DirectPurchase calldata purchase) external whenNotPaused nonReentrant returns (bytes32 orderId) {
+        return _buyTokens(purchase);
+    }
+
+    /**
+     * @notice buyTokens with an ERC-2612 permit instead of a prior approve
+     * @dev A failing permit is ignored: if it was front-run, the allowance it set is already in
+     *      place, and otherwise the transfer reverts for lack of allowance.
+     * @param purchase Payment token and amount, slippage guard, referrer and promo code
+     * @param deadline Permit deadline
+     * @param v Permit signature
+     * @param r Permit signature
+     * @param s Permit signature
+     * @return orderId The order the purchase was recorded under
+     */
+    function buyTokensWithPermit(
+        DirectPurchase calldata purchase,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused nonReentrant returns (bytes32 orderId) {
+        try IERC20Permit(purchase.token).permit(msg.sender, address(this), purchase.amount, deadline, v, r, s) {} catch {}
+        return _buyTokens(purchase);
+    }
+
+    /**
+     * @notice Buy with the native coin (ETH / POL), priced through the native price feed
+     * @dev msg.value is converted to 6-decimal USD at the feed price (rounded down) and then
+     *      recorded exactly like a stablecoin purchase of that USD amount, at the stage price.
+     *      The whole msg.value is forwarded to the treasury. Plain transfers still revert in
+     *      receive(), so native coin can only arrive with a recorded order.
+     * @param minMagaxAmount Slippage guard on the base tokens (covers feed and stage moves)
+     * @param referrer Referrer address (zero address = no referral)
+     * @param codeId Registered promo code (zero = no promo)
+     * @return orderId The order the purchase was recorded under
+     */
+    function buyWithNative(
+        uint128 minMagaxAmount,
+        address referrer,
+        bytes32 codeId
+    ) external payable whenNotPaused nonReentrant returns (bytes32 orderId) {
+        if (!_paymentAssets[NATIVE_ASSET].accepted) revert UnsupportedPaymentToken();
+        address to = _treasury;
+        if (to == address(0)) revert TreasuryNotSet();
+        if (msg.value > type(uint128).max) revert ExceedsMaxPurchase();
+
+        (uint256 price, uint8 feedDecimals, ) = getNativePrice();
+        uint256 usd = (msg.value * price) / 10 ** (12 + uint256(feedDecimals)); // 18-dec coin -> 6-dec USD
+        if (usd > MAX_PURCHASE_USDT) revert ExceedsMaxPurchase();
+
+        uint128 paid = uint128(msg.value);
+        orderId = _recordDirectPurchase(NATIVE_ASSET, uint128(usd), paid, minMagaxAmount, referrer, codeId);
+
+        Address.sendValue(payable(to), paid);
+        emit DirectPurchasePaid(orderId, msg.sender, NATIVE_ASSET, paid, to);
+    }
+
+    function _buyTokens(DirectPurchase calldata purchase) internal returns (bytes32 orderId) {
+        PaymentAsset storage asset = _paymentAssets[purchase.token];
+        if (!asset.accepted || purchase.token == NATIVE_ASSET) revert UnsupportedPaymentToken();
+        address to = _treasury;
+        if (to == address(0)) revert TreasuryNotSet();
+
+        (uint128 usdtAmount, uint128 paid) = _normalizePayment(purchase.amount, asset.decimals);
+        orderId = _recordDirectPurchase(
+            purchase.token, usdtAmount, paid, purchase.minMagaxAmount, purchase.referrer, purchase.codeId
+        );
+
+        IERC20(purchase.token).safeTransferFrom(msg.sender, to, paid);
+        emit DirectPurchasePaid(orderId, msg.sender, purchase.token, paid, to);
+    }
+
+    /**
+     * @notice Record a paid purchase for msg.sender through the recorder paths
+     * @dev Shared by buyTokens and buyWithNative; the caller moves the payment afterwards.
+     *      Here the buyer names the referrer, so it must hold a live purchase: otherwise a
+     *      second wallet of the buyer's would collect the referrer bonus.
+     */
+    function _recordDirectPurchase(
+        address assetAddress,
+        uint128 usdtAmount,
+        uint128 paid,
+        uint128 minMagaxAmount,
+        address referrer,
+        bytes32 codeId
+    ) internal returns (bytes32 orderId) {
+        uint128 pricePerToken = _stages[_syncStage()].pricePerToken;
+        if (pricePerToken == 0) revert StageNotActive();
+        uint128 magaxAmount = uint128((uint256(usdtAmount) * 1e18) / pricePerToken);
+        if (magaxAmount < minMagaxAmount) revert SlippageExceeded();
+        if (referrer != address(0) && _userTotalUSDT[referrer] == 0) revert ReferrerNotBuyer();
+
+        orderId = keccak256(abi.encode(block.chainid, address(this), ++_directPurchaseNonce));
+        _recordThroughEngine(PurchaseRecord({
+            kind: _purchaseKind(codeId, referrer),
+            buyer: msg.sender,
+            usdtAmount: usdtAmount,
+            magaxAmount: magaxAmount,
+            codeId: codeId,
+            referrer: referrer,
+            orderId: orderId,
+            asset: address(0),
+            assetAmount: 0
+        }));
+
+        _recordPayment(msg.sender, orderId, assetAddress, paid, usdtAmount);
+    }
+
+    // Record a purchase of any kind with its payment, see MAGAXPresaleEngine.recordOrder
+    function _recordThroughEngine(PurchaseRecord memory record) internal {
+        Address.functionDelegateCall(engine, abi.encodeCall(MAGAXPresaleEngine.recordOrder, (record)));
+    }
+
+    // Plain transfers stop at MAGAXPresaleReceipts.receive(); this one only guards the extension itself
+    receive() external payable {
+        revert EthNotAccepted();
+    }
+
+    // Hand selectors this extension does not define on to the next one
+    fallback() external payable {
+        _delegate(nextExtension);
+    }
+}
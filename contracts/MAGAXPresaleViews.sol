@@ -0,0 +1,721 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "./MAGAXPresaleCore.sol";
+
+/**
+ * @title MAGAXPresaleViews
+ * @notice Presale extension: storage getters and receipt, order, stage, referral, payment and
+ *         user aggregate views
+ * @dev Runs through MAGAXPresaleReceipts' fallback (delegatecall), see MAGAXPresaleCore
+ */
+contract MAGAXPresaleViews is MAGAXPresaleCore {
+    // Storage getters - the storage is internal so only this extension carries them
+
+    /// @notice Highest bonus bps a promo campaign may pay (setMaxPromoBps)
+    function maxPromoCapBps() external view returns (uint16) {
+        return _maxPromoCapBps;
+    }
+
+    /// @notice Base referrer rate in bps, before tiers
+    function referrerBonusBps() external view returns (uint16) {
+        return _referrerBonusBps;
+    }
+
+    /// @notice Referee bonus rate in bps
+    function refereeBonusBps() external view returns (uint16) {
+        return _refereeBonusBps;
+    }
+
+    /// @notice Second-level referrer rate in bps (0 = off)
+    function secondLevelBonusBps() external view returns (uint16) {
+        return _secondLevelBonusBps;
+    }
+
+    /// @notice Confirmations an emergency withdrawal needs
+    function emergencyConfirmationsRequired() external view returns (uint8) {
+        return _emergencyConfirmationsRequired;
+    }
+
+    /// @notice Receipt counts and first / last purchase time of a user
+    function userAggregates(address user) external view returns (
+        uint40 firstPurchaseTime,
+        uint40 lastPurchaseTime,
+        uint32 purchaseCount,
+        uint32 bonusCount
+    ) {
+        UserAggregate storage s = _userAggregates[user];
+        return (s.firstPurchaseTime, s.lastPurchaseTime, s.purchaseCount, s.bonusCount);
+    }
+
+    /// @notice A user's live USD and tokens in one stage
+    function userStageTotals(address user, uint8 stage) external view returns (
+        uint128 usdt,
+        uint128 magax
+    ) {
+        UserStageTotals storage s = _userStageTotals[user][stage];
+        return (s.usdt, s.magax);
+    }
+
+    /// @notice Live base USDT a user paid (6 decimals)
+    function userTotalUSDT(address user) external view returns (uint128) {
+        return _userTotalUSDT[user];
+    }
+
+    /// @notice Live MAGAX a user holds, bonuses included (18 decimals)
+    function userTotalMAGAX(address user) external view returns (uint128) {
+        return _userTotalMAGAX[user];
+    }
+
+    /// @notice Referral counters and bonuses of a user
+    function referralData(address referrer) external view returns (
+        uint32 totalReferrals,
+        uint128 totalBonusEarned,
+        uint128 totalRefereeBonus,
+        uint128 totalReferredUSDT,
+        uint32 secondLevelReferrals,
+        uint128 secondLevelBonusEarned
+    ) {
+        ReferralInfo storage s = _referralData[referrer];
+        return (s.totalReferrals, s.totalBonusEarned, s.totalRefereeBonus, s.totalReferredUSDT, s.secondLevelReferrals, s.secondLevelBonusEarned);
+    }
+
+    /// @notice Referred volume and referrer bonus paid at one tier
+    function referralTierStats(address referrer, uint8 tier) external view returns (
+        uint128 referredUSDT,
+        uint128 bonusEarned
+    ) {
+        ReferralTierStats storage s = _referralTierStats[referrer][tier];
+        return (s.referredUSDT, s.bonusEarned);
+    }
+
+    /// @notice A user's referrer (zero = none)
+    function userReferrer(address user) external view returns (address) {
+        return _userReferrer[user];
+    }
+
+    /// @notice Second-level bonus receipts written for an order
+    function orderSecondLevel(bytes32 orderId) external view returns (
+        address referrer,
+        uint32 firstReceipt,
+        uint8 receiptCount
+    ) {
+        SecondLevelRecord storage s = _orderSecondLevel[orderId];
+        return (s.referrer, s.firstReceipt, s.receiptCount);
+    }
+
+    /// @notice Promo bonus tokens a user earned
+    function userPromoData(address user) external view returns (uint128 totalPromoBonus) {
+        return _userPromoData[user].totalPromoBonus;
+    }
+
+    /// @notice Promo campaign registered under codeId
+    function promoCampaigns(bytes32 codeId) external view returns (
+        uint16 bonusBps,
+        uint40 startTime,
+        uint40 endTime,
+        uint32 maxUses,
+        uint32 maxUsesPerUser,
+        uint32 uses,
+        bool active,
+        uint128 bonusBudget,
+        uint128 bonusUsed
+    ) {
+        PromoCampaign storage s = _promoCampaigns[codeId];
+        return (s.bonusBps, s.startTime, s.endTime, s.maxUses, s.maxUsesPerUser, s.uses, s.active, s.bonusBudget, s.bonusUsed);
+    }
+
+    /// @notice Live orders of a buyer that used a promo code
+    function promoCodeUses(bytes32 codeId, address user) external view returns (uint32) {
+        return _promoCodeUses[codeId][user];
+    }
+
+    /// @notice Promo code an order was charged to (zero = none)
+    function orderPromoCode(bytes32 orderId) external view returns (bytes32) {
+        return _orderPromoCode[orderId];
+    }
+
+    /// @notice Acceptance, decimals and raise totals of a payment asset
+    function paymentAssets(address asset) external view returns (
+        bool accepted,
+        bool listed,
+        uint8 decimals,
+        uint128 totalRaised,
+        uint128 totalRaisedUSD
+    ) {
+        PaymentAsset storage s = _paymentAssets[asset];
+        return (s.accepted, s.listed, s.decimals, s.totalRaised, s.totalRaisedUSD);
+    }
+
+    /// @notice Receiver of direct purchase payments
+    function treasury() external view returns (address) {
+        return _treasury;
+    }
+
+    /// @notice Direct purchases made so far, part of their orderIds
+    function directPurchaseNonce() external view returns (uint256) {
+        return _directPurchaseNonce;
+    }
+
+    /// @notice Native coin price feed used by buyWithNative
+    function nativePriceFeed() external view returns (
+        AggregatorV3Interface feed,
+        uint8 decimals,
+        uint32 maxPriceAge,
+        uint16 maxDeviationBps,
+        uint128 referencePrice
+    ) {
+        NativePriceFeed storage s = _nativePriceFeed;
+        return (s.feed, s.decimals, s.maxPriceAge, s.maxDeviationBps, s.referencePrice);
+    }
+
+    /// @notice USD caps of a contribution tier
+    function contributionTiers(uint8 tier) external view returns (
+        uint128 stageCap,
+        uint128 walletCap
+    ) {
+        ContributionTier storage s = _contributionTiers[tier];
+        return (s.stageCap, s.walletCap);
+    }
+
+    /// @notice A wallet's allowlist contribution tier
+    function contributionTier(address user) external view returns (uint8) {
+        return _contributionTier[user];
+    }
+
+    /// @notice Whether purchases need a live KYC attestation
+    function kycRequired() external view returns (bool) {
+        return _kycRequired;
+    }
+
+    /// @notice Cached KYC attestation of a wallet
+    function kycStatus(address wallet) external view returns (
+        uint8 tier,
+        uint40 expiry,
+        uint32 nonce
+    ) {
+        KycStatus storage s = _kycStatus[wallet];
+        return (s.tier, s.expiry, s.nonce);
+    }
+
+    /// @notice Order record by orderId
+    function orders(bytes32 orderId) external view returns (
+        address buyer,
+        uint32 firstReceipt,
+        uint8 receiptCount,
+        uint8 stage,
+        PurchaseKind kind,
+        bool voided,
+        address referrer,
+        uint32 referrerFirstReceipt,
+        uint8 referrerReceiptCount
+    ) {
+        OrderRecord storage s = _orders[orderId];
+        return (s.buyer, s.firstReceipt, s.receiptCount, s.stage, s.kind, s.voided, s.referrer, s.referrerFirstReceipt, s.referrerReceiptCount);
+    }
+
+    /// @notice Open emergency operation for a withdrawal request
+    function pendingEmergencyOperation(bytes32 paramsHash) external view returns (bytes32) {
+        return _pendingEmergencyOperation[paramsHash];
+    }
+
+    /// @notice Emergency operation awaiting confirmations
+    function emergencyOperations(bytes32 operationHash) external view returns (
+        uint40 proposedAt,
+        uint8 confirmations,
+        bool executed
+    ) {
+        EmergencyOperation storage s = _emergencyOperations[operationHash];
+        return (s.proposedAt, s.confirmations, s.executed);
+    }
+
+    /// @notice Whether an account confirmed an emergency operation
+    function hasConfirmedEmergency(bytes32 operationHash, address account) external view returns (bool) {
+        return _hasConfirmedEmergency[operationHash][account];
+    }
+
+    /// @notice Emergency operations proposed so far
+    function emergencyOperationNonce() external view returns (uint256) {
+        return _emergencyOperationNonce;
+    }
+
+    /// @notice Stage configuration and progress
+    function stages(uint8 stage) external view returns (
+        uint128 pricePerToken,
+        uint128 tokensAllocated,
+        uint128 tokensSold,
+        uint128 usdTarget,
+        uint128 usdRaised,
+        bool isActive,
+        uint40 startTime,
+        uint40 endTime,
+        bool autoAdvance
+    ) {
+        StageInfo storage s = _stages[stage];
+        return (s.pricePerToken, s.tokensAllocated, s.tokensSold, s.usdTarget, s.usdRaised, s.isActive, s.startTime, s.endTime, s.autoAdvance);
+    }
+
+    /// @notice Per-stage dashboard counters
+    function stageStats(uint8 stage) external view returns (
+        uint32 uniqueBuyers,
+        uint32 purchaseCount,
+        uint128 baseTokens,
+        uint128 promoTokens,
+        uint128 referralTokens
+    ) {
+        StageStats storage s = _stageStats[stage];
+        return (s.uniqueBuyers, s.purchaseCount, s.baseTokens, s.promoTokens, s.referralTokens);
+    }
+
+    /// @notice Bonus tokens a stage may pay out (0 = bonuses share tokensAllocated)
+    function stageBonusPool(uint8 stage) external view returns (uint128) {
+        return _stageBonusPool[stage];
+    }
+
+    /// @notice Active stage as last written; see getEffectiveStage for a due auto-advance
+    function currentStage() external view returns (uint8) {
+        return _currentStage;
+    }
+
+    /// @notice Whether the presale is finalised
+    function finalised() external view returns (bool) {
+        return _finalised;
+    }
+
+    /// @notice Packed purchase records written so far
+    function purchaseRecordCount() external view returns (uint32) {
+        return _purchaseRecordCount;
+    }
+
+    /// @notice Live base USDT raised (6 decimals)
+    function totalUSDT() external view returns (uint128) {
+        return _totalUSDT;
+    }
+
+    /// @notice Live MAGAX owed to buyers, bonuses included (18 decimals)
+    function totalMAGAX() external view returns (uint128) {
+        return _totalMAGAX;
+    }
+
+    /// @notice Buyers counted so far
+    function totalBuyers() external view returns (uint32) {
+        return _totalBuyers;
+    }
+
+    /// @notice Live promo bonus tokens (18 decimals)
+    function totalPromoBonusDistributed() external view returns (uint128) {
+        return _totalPromoBonusDistributed;
+    }
+
+    /**
+     * @notice USD a wallet can still contribute in a stage under its caps
+     * @param user Wallet to check
+     * @param stage Stage to check
+     * @return headroom USD (6 decimals), type(uint128).max when both caps are unlimited
+     */
+    function getContributionHeadroom(address user, uint8 stage) external view returns (uint128 headroom) {
+        return _contributionHeadroom(user, stage);
+    }
+
+    /**
+     * @notice Referrer tier and rate from the referrer's current stats
+     * @return tier 0 for the base rate, otherwise the 1-based index into getReferralTiers()
+     * @return bonusBps Referrer rate for that tier
+     */
+    function getReferralTier(address referrer) external view returns (uint8 tier, uint16 bonusBps) {
+        return _referralTier(referrer);
+    }
+
+    // Paginated receipts for users with many purchases
+    function getReceiptsPaginated(
+        address buyer, 
+        uint256 offset, 
+        uint256 limit
+    ) external view returns (Receipt[] memory) {
+        uint256 total = _receiptCount(buyer);
+        
+        if (offset >= total) {
+            return new Receipt[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        
+        Receipt[] memory result = new Receipt[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = _receipt(_receiptRef(buyer, i));
+        }
+        
+        return result;
+    }
+
+    /**
+     * @notice Page through a user's receipts of one kind
+     * @dev Scans the user's receipts from `offset` and stops after `limit` matches. Pass nextOffset
+     *      back as the next offset; it equals the receipt count once the scan is complete.
+     * @param buyer Receipt owner
+     * @param kind Receipt kind to return
+     * @param offset Receipt index to start scanning from
+     * @param limit Maximum number of receipts to return
+     * @return receipts Matching receipts, oldest first
+     * @return indices Their receipt indices (for getReceiptsPaginated / order links)
+     * @return nextOffset Where the next page starts scanning
+     */
+    function getReceiptsByKind(
+        address buyer,
+        ReceiptKind kind,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (Receipt[] memory receipts, uint256[] memory indices, uint256 nextOffset) {
+        uint256 total = _receiptCount(buyer);
+
+        // First pass finds the page bounds so the result arrays are sized exactly
+        uint256 found;
+        nextOffset = offset;
+        while (nextOffset < total && found < limit) {
+            if (_kindOf(_receiptRef(buyer, nextOffset)) == kind) found++;
+            nextOffset++;
+        }
+
+        receipts = new Receipt[](found);
+        indices = new uint256[](found);
+        uint256 j;
+        for (uint256 i = offset; j < found; i++) {
+            uint40 ref = _receiptRef(buyer, i);
+            if (_kindOf(ref) == kind) {
+                receipts[j] = _receipt(ref);
+                indices[j] = i;
+                j++;
+            }
+        }
+    }
+
+    /**
+     * @notice Totals and receipt range of a user, read from the write-time aggregates
+     * @return totalPurchases Receipt count, bonus receipts included
+     * @return totalUSDTSpent Live base USD (6 decimals)
+     * @return totalMAGAXAllocated Live tokens, bonuses included
+     * @return firstPurchaseTime Time of the first receipt (0 = none)
+     * @return lastPurchaseTime Time of the latest receipt (0 = none)
+     */
+    function getUserStats(address buyer) external view returns (
+        uint256 totalPurchases,
+        uint128 totalUSDTSpent,
+        uint128 totalMAGAXAllocated,
+        uint40  firstPurchaseTime,
+        uint40  lastPurchaseTime
+    ) {
+        UserAggregate memory aggregate = _userAggregates[buyer];
+        return (
+            uint256(aggregate.purchaseCount) + aggregate.bonusCount,
+            _userTotalUSDT[buyer],
+            _userTotalMAGAX[buyer],
+            aggregate.firstPurchaseTime,
+            aggregate.lastPurchaseTime
+        );
+    }
+
+    /**
+     * @notice Receipt counts and bonus totals of a user in one call
+     * @dev Counts and times cover every receipt, voided ones included; the bonus totals are live.
+     * @return purchaseCount Base receipts (one per order, per stage portion when split)
+     * @return bonusCount Bonus receipts of every kind
+     * @return firstPurchaseTime Time of the first receipt (0 = none)
+     * @return lastPurchaseTime Time of the latest receipt (0 = none)
+     * @return promoBonus Promo bonus tokens
+     * @return refereeBonus Bonus tokens earned as a referred buyer
+     * @return referrerBonus Bonus tokens earned as a referrer
+     * @return secondLevelBonus Bonus tokens earned as a second-level referrer
+     */
+    function getUserAggregates(address user) external view returns (
+        uint32  purchaseCount,
+        uint32  bonusCount,
+        uint40  firstPurchaseTime,
+        uint40  lastPurchaseTime,
+        uint128 promoBonus,
+        uint128 refereeBonus,
+        uint128 referrerBonus,
+        uint128 secondLevelBonus
+    ) {
+        UserAggregate memory aggregate = _userAggregates[user];
+        ReferralInfo memory referral = _referralData[user];
+        return (
+            aggregate.purchaseCount,
+            aggregate.bonusCount,
+            aggregate.firstPurchaseTime,
+            aggregate.lastPurchaseTime,
+            _userPromoData[user].totalPromoBonus,
+            referral.totalRefereeBonus,
+            referral.totalBonusEarned,
+            referral.secondLevelBonusEarned
+        );
+    }
+
+    /**
+     * @notice A user's live USD and tokens in every stage
+     * @param user Wallet to read
+     * @return stageTotals MAX_STAGES entries; stageTotals[i] is stage i + 1
+     */
+    function getUserStageBreakdown(address user) external view returns (UserStageTotals[] memory stageTotals) {
+        stageTotals = new UserStageTotals[](MAX_STAGES);
+        for (uint8 stage = 1; stage <= MAX_STAGES; stage++) {
+            stageTotals[stage - 1] = _userStageTotals[user][stage];
+        }
+    }
+
+    /**
+     * @notice Live base USD a wallet contributed in a stage (see getContributionHeadroom)
+     */
+    function userStageUSDT(address user, uint8 stage) external view returns (uint128) {
+        return _userStageTotals[user][stage].usdt;
+    }
+
+    /**
+     * @notice A single receipt by index, as the former public receipt array returned it
+     * @param buyer Receipt owner
+     * @param index Receipt index
+     */
+    function userReceipts(address buyer, uint256 index) external view returns (Receipt memory) {
+        if (index >= _receiptCount(buyer)) revert ReceiptNotFound();
+        return _receipt(_receiptRef(buyer, index));
+    }
+
+    /**
+     * @notice Look up the receipts written for an off-chain order
+     * @param orderId The off-chain order identifier passed to recordPurchase*
+     * @return buyer Buyer the order was recorded for (zero address if unknown)
+     * @return firstReceipt Index of the order's first receipt among the buyer's receipts
+     * @return receiptCount Number of consecutive buyer receipts (base + bonuses)
+     * @return stage Stage the order was recorded in
+     */
+    function getOrder(bytes32 orderId) external view returns (
+        address buyer,
+        uint256 firstReceipt,
+        uint256 receiptCount,
+        uint8   stage
+    ) {
+        OrderRecord memory order = _orders[orderId];
+        return (order.buyer, order.firstReceipt, order.receiptCount, order.stage);
+    }
+
+    /**
+     * @notice Check whether an orderId has already been recorded
+     * @param orderId The off-chain order identifier
+     * @return True if receipts exist for this order
+     */
+    function isOrderRecorded(bytes32 orderId) external view returns (bool) {
+        return _orders[orderId].buyer != address(0);
+    }
+
+    function getPresaleStats() external view returns (
+        uint128 totalUSDTRaised,
+        uint128 totalMAGAXSold,
+        uint32  totalUniqueBuyers
+    ) {
+        return (_totalUSDT, _totalMAGAX, _totalBuyers);
+    }
+
+    /**
+     * @notice A stage's bonus pool and how much of it live orders hold
+     * @param stage The stage number (1-50)
+     * @return allocated Pool size, 0 when bonuses count against tokensAllocated
+     * @return used Promo and referral bonuses of live orders in the stage
+     * @return available Bonus tokens the next purchases can still draw (0 without a pool)
+     */
+    function getStageBonusPool(uint8 stage) external view returns (uint128 allocated, uint128 used, uint128 available) {
+        allocated = _stageBonusPool[stage];
+        used = _bonusPoolUsed(stage);
+        available = used >= allocated ? 0 : allocated - used;
+    }
+
+    /**
+     * @notice The stage the next purchase will be recorded in, after any pending auto-advance
+     * @dev Equals currentStage unless an auto-advance is due; off-chain quotes should use this
+     */
+    function getEffectiveStage() public view returns (uint8 stage) {
+        stage = _currentStage;
+        while (_shouldAdvance(stage)) stage++;
+    }
+
+    function getStageWindow(uint8 stage) external view returns (
+        uint40 startTime,
+        uint40 endTime,
+        bool autoAdvance
+    ) {
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        StageInfo storage stageInfo = _stages[stage];
+        return (stageInfo.startTime, stageInfo.endTime, stageInfo.autoAdvance);
+    }
+
+    function getStageInfo(uint8 stage) external view returns (
+        uint128 pricePerToken,
+        uint128 tokensAllocated,
+        uint128 tokensSold,
+        uint128 usdTarget,
+        uint128 usdRaised,
+        bool isActive
+    ) {
+        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
+        
+        StageInfo memory stageInfo = _stages[stage];
+        return (
+            stageInfo.pricePerToken,
+            stageInfo.tokensAllocated,
+            stageInfo.tokensSold,
+            stageInfo.usdTarget,
+            stageInfo.usdRaised,
+            stageInfo.isActive
+        );
+    }
+
+    /**
+     * @notice Buyer, purchase and token split counters of every stage in one call
+     * @return stats MAX_STAGES entries; stats[i] is stage i + 1
+     */
+    function getAllStageStats() external view returns (StageStats[] memory stats) {
+        stats = new StageStats[](MAX_STAGES);
+        for (uint8 stage = 1; stage <= MAX_STAGES; stage++) {
+            stats[stage - 1] = _stageStats[stage];
+        }
+    }
+
+    function getCurrentStageInfo() external view returns (
+        uint8 stage,
+        uint128 pricePerToken,
+        uint128 tokensAllocated,
+        uint128 tokensSold,
+        uint128 usdTarget,
+        uint128 usdRaised,
+        bool isActive
+    ) {
+        return (
+            _currentStage,
+            _stages[_currentStage].pricePerToken,
+            _stages[_currentStage].tokensAllocated,
+            _stages[_currentStage].tokensSold,
+            _stages[_currentStage].usdTarget,
+            _stages[_currentStage].usdRaised,
+            _stages[_currentStage].isActive
+        );
+    }
+
+    /**
+     * @notice Every payment asset ever accepted, with its raise totals
+     * @return tokens Token addresses, in listing order
+     * @return assets Acceptance, decimals and live raise totals for each token
+     */
+    function getPaymentAssets() external view returns (address[] memory tokens, PaymentAsset[] memory assets) {
+        tokens = paymentAssetList;
+        assets = new PaymentAsset[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            assets[i] = _paymentAssets[tokens[i]];
+        }
+    }
+
+    /**
+     * @notice Whether a wallet currently passes the KYC check
+     * @param wallet Wallet to check
+     * @return verified True while a cached attestation is live
+     * @return tier Contribution tier from the attestation (0 when not verified)
+     * @return expiry When the cached attestation ends (0 = none)
+     */
+    function isKycVerified(address wallet) external view returns (bool verified, uint8 tier, uint40 expiry) {
+        KycStatus memory status = _kycStatus[wallet];
+        verified = status.expiry > block.timestamp;
+        return (verified, verified ? status.tier : 0, status.expiry);
+    }
+
+    /**
+     * @notice Get referral information for a user
+     * @dev Returns exactly what it always has, so existing integrations read the same figures.
+     *      Second-level rewards are only in getReferralStats() and the per-tier volume and
+     *      rewards only in getReferralTierStats().
+     * @param user The address to check
+     * @return totalReferrals Number of successful referrals
+     * @return totalBonusEarned Total bonus MAGAX earned (as referrer + as referee)
+     */
+    function getReferralInfo(address user) external view returns (uint32 totalReferrals, uint128 totalBonusEarned) {
+        ReferralInfo memory info = _referralData[user];
+        return (info.totalReferrals, info.totalBonusEarned + info.totalRefereeBonus);
+    }
+
+    /**
+     * @notice Referral counters, tier and second-level figures for a user
+     * @param user The address to check
+     * @return totalReferrals Number of successful referrals
+     * @return totalBonusEarned Total bonus MAGAX earned as referrer + as referee, like getReferralInfo()
+     * @return totalReferredUSDT USDT paid by the orders this user referred
+     * @return tier Current referrer tier (0 = base rate)
+     * @return referrerBps Referrer rate the user's next referral will earn
+     * @return secondLevelReferrals Orders placed by the people this user referred
+     * @return secondLevelBonusEarned Bonus MAGAX earned as second-level referrer
+     */
+    function getReferralStats(address user) external view returns (
+        uint32  totalReferrals,
+        uint128 totalBonusEarned,
+        uint128 totalReferredUSDT,
+        uint8   tier,
+        uint16  referrerBps,
+        uint32  secondLevelReferrals,
+        uint128 secondLevelBonusEarned
+    ) {
+        ReferralInfo memory info = _referralData[user];
+        (tier, referrerBps) = _referralTier(user);
+        return (
+            info.totalReferrals,
+            info.totalBonusEarned + info.totalRefereeBonus,
+            info.totalReferredUSDT,
+            tier,
+            referrerBps,
+            info.secondLevelReferrals,
+            info.secondLevelBonusEarned
+        );
+    }
+
+    function getReferralTiers() external view returns (ReferralTier[] memory) {
+        return referralTiers;
+    }
+
+    /**
+     * @notice Referred volume and referrer bonus a user earned at each tier
+     * @dev Indexes follow the tier positions in force when each order was recorded;
+     *      setReferralTiers() does not move earlier figures. Voided orders are excluded.
+     * @return stats MAX_REFERRAL_TIERS + 1 entries; stats[0] is the base rate, stats[i] tier i
+     */
+    function getReferralTierStats(address user) external view returns (ReferralTierStats[] memory stats) {
+        stats = new ReferralTierStats[](uint256(MAX_REFERRAL_TIERS) + 1);
+        for (uint256 i = 0; i < stats.length; i++) {
+            stats[i] = _referralTierStats[user][uint8(i)];
+        }
+    }
+
+    /**
+     * @notice Check if a user has a referrer
+     * @param user The address to check
+     * @return hasReferrer True if user has a referrer
+     */
+    function hasReferrer(address user) external view returns (bool) {
+        return _userReferrer[user] != address(0);
+    }
+
+    /**
+     * @notice Get user's total promo bonus earned
+     * @param user The user address
+     * @return totalPromoBonus Total bonus tokens earned from all promos
+     */
+    function getUserPromoBonus(address user) external view returns (uint128) {
+        return _userPromoData[user].totalPromoBonus;
+    }
+
+    // Plain transfers stop at MAGAXPresaleReceipts.receive(); this one only guards the extension itself
+    receive() external payable {
+        revert EthNotAccepted();
+    }
+
+    // Last extension in the chain: the selector is unknown
+    fallback() external payable {
+        revert FallbackNotAllowed();
+    }
+}
@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/// @notice Read-only view of the presale the claim contract takes allocations from
+interface IMAGAXPresaleReceipts {
+    function finalised() external view returns (bool);
+    function userTotalMAGAX(address user) external view returns (uint128);
+    function totalMAGAX() external view returns (uint128);
+}
+
+// Custom errors for gas efficiency
+error InvalidAddress();
+error InvalidAmount();
+error InvalidUnlockBps();
+error InvalidTgeTime();
+error ScheduleNotSet();
+error ScheduleLocked();
+error PresaleNotFinalised();
+error SnapshotActive();
+error NoSnapshot();
+error InvalidProof();
+error NothingToClaim();
+error VestingNotEnded();
+error ExceedsSweepable(uint256 available);
+
+/**
+ * @title MAGAXTokenClaim
+ * @notice Releases MoonShotMAGAX to presale buyers on a TGE + cliff + linear vesting schedule
+ * @dev Allocations come from the finalised presale (userTotalMAGAX) or, once a snapshot root
+ *      is committed, from a Merkle snapshot of the same totals. The contract is funded from the
+ *      treasury with fund() or a plain transfer; schedule and snapshot are frozen at TGE.
+ */
+contract MAGAXTokenClaim is AccessControl, Pausable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint16 public constant BASIS_POINTS = 10_000; // 100% in basis points
+
+    IERC20 public immutable token;
+    IMAGAXPresaleReceipts public immutable presale;
+
+    struct VestingSchedule {
+        uint40 tgeTime;           // unlock start (unix seconds, 0 = not set)
+        uint16 tgeUnlockBps;      // share released at TGE
+        uint32 cliffDuration;     // seconds after TGE before linear vesting starts
+        uint32 vestingDuration;   // seconds of linear vesting after the cliff
+    }
+
+    VestingSchedule public schedule;
+
+    // Committed snapshot of allocations (zero = read from the presale)
+    bytes32 public merkleRoot;
+    // Sum of all snapshot allocations (zero = unknown); reserved from sweep() in snapshot mode
+    uint256 public snapshotTotal;
+
+    mapping(address => uint256) public claimed;
+    uint256 public totalClaimed;
+
+    event VestingScheduleSet(uint40 tgeTime, uint16 tgeUnlockBps, uint32 cliffDuration, uint32 vestingDuration);
+    event SnapshotRootSet(bytes32 indexed merkleRoot);
+    event ClaimFunded(address indexed from, uint256 amount);
+    event TokensClaimed(address indexed account, uint256 amount, uint256 totalClaimed, uint256 allocation);
+    event SnapshotTotalSet(uint256 total);
+    event ExcessSwept(address indexed to, uint256 amount);
+
+    constructor(IERC20 _token, IMAGAXPresaleReceipts _presale, address admin) {
+        if (address(_token) == address(0)) revert InvalidAddress();
+        if (address(_presale) == address(0)) revert InvalidAddress();
+        if (admin == address(0)) revert InvalidAddress();
+
+        token = _token;
+        presale = _presale;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+    }
+
+    /**
+     * @notice Set the unlock schedule; frozen once TGE has passed
+     * @param tgeTime Unix timestamp of the token generation event
+     * @param tgeUnlockBps Share of each allocation unlocked at TGE (basis points)
+     * @param cliffDuration Seconds after TGE before linear vesting begins
+     * @param vestingDuration Seconds over which the rest unlocks linearly (0 = all at cliff end)
+     */
+    function setVestingSchedule(
+        uint40 tgeTime,
+        uint16 tgeUnlockBps,
+        uint32 cliffDuration,
+        uint32 vestingDuration
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireBeforeTge();
+        if (tgeTime <= block.timestamp) revert InvalidTgeTime();
+        if (tgeUnlockBps > BASIS_POINTS) revert InvalidUnlockBps();
+
+        schedule = VestingSchedule(tgeTime, tgeUnlockBps, cliffDuration, vestingDuration);
+        emit VestingScheduleSet(tgeTime, tgeUnlockBps, cliffDuration, vestingDuration);
+    }
+
+    /**
+     * @notice Commit a Merkle snapshot of allocations; frozen once TGE has passed
+     * @dev Leaves are keccak256(bytes.concat(keccak256(abi.encode(account, allocation)))),
+     *      the OpenZeppelin standard tree format. Pass zero to go back to presale allocations.
+     * @param root The snapshot Merkle root
+     */
+    function setMerkleRoot(bytes32 root) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireBeforeTge();
+        merkleRoot = root;
+        emit SnapshotRootSet(root);
+    }
+
+    /**
+     * @notice Record the sum of all snapshot allocations; frozen once TGE has passed
+     * @dev Published as totalAllocation by scripts/allocation-snapshot.js. sweep() keeps
+     *      snapshotTotal - totalClaimed in the contract while a snapshot is active.
+     * @param total Sum of every allocation in the committed snapshot (18 decimals)
+     */
+    function setSnapshotTotal(uint256 total) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireBeforeTge();
+        snapshotTotal = total;
+        emit SnapshotTotalSet(total);
+    }
+
+    /**
+     * @notice Pull claim tokens from the caller (e.g. the treasury) into this contract
+     * @param amount Amount of MAGAX to deposit (18 decimals)
+     */
+    function fund(uint256 amount) external {
+        if (amount == 0) revert InvalidAmount();
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        emit ClaimFunded(msg.sender, amount);
+    }
+
+    /**
+     * @notice Claim unlocked tokens using the caller's finalised presale allocation
+     */
+    function claim() external whenNotPaused nonReentrant {
+        if (merkleRoot != bytes32(0)) revert SnapshotActive();
+        _claim(msg.sender, presaleAllocation(msg.sender));
+    }
+
+    /**
+     * @notice Claim unlocked tokens using the caller's entry in the committed snapshot
+     * @param allocation Total allocation recorded for the caller in the snapshot
+     * @param proof Merkle proof for (caller, allocation)
+     */
+    function claimWithProof(uint256 allocation, bytes32[] calldata proof) external whenNotPaused nonReentrant {
+        if (merkleRoot == bytes32(0)) revert NoSnapshot();
+        if (!MerkleProof.verifyCalldata(proof, merkleRoot, _leaf(msg.sender, allocation))) revert InvalidProof();
+        _claim(msg.sender, allocation);
+    }
+
+    function _claim(address account, uint256 allocation) internal {
+        uint256 vested = vestedAmount(allocation, block.timestamp);
+        if (vested <= claimed[account]) revert NothingToClaim();
+        uint256 amount = vested - claimed[account];
+
+        claimed[account] += amount;
+        totalClaimed += amount;
+
+        token.safeTransfer(account, amount);
+        emit TokensClaimed(account, amount, claimed[account], allocation);
+    }
+
+    /**
+     * @notice Allocation from the presale; reverts until the presale is finalised
+     * @param account The buyer address
+     * @return Total MAGAX recorded for the buyer (purchases and bonuses)
+     */
+    function presaleAllocation(address account) public view returns (uint256) {
+        if (!presale.finalised()) revert PresaleNotFinalised();
+        return presale.userTotalMAGAX(account);
+    }
+
+    /**
+     * @notice Portion of an allocation unlocked at a point in time
+     * @param allocation Total allocation (18 decimals)
+     * @param timestamp Unix timestamp to evaluate
+     * @return Unlocked amount, including what was already claimed
+     */
+    function vestedAmount(uint256 allocation, uint256 timestamp) public view returns (uint256) {
+        VestingSchedule memory s = schedule;
+        if (s.tgeTime == 0) revert ScheduleNotSet();
+        if (timestamp < s.tgeTime) return 0;
+
+        uint256 unlocked = (allocation * s.tgeUnlockBps) / BASIS_POINTS;
+        uint256 vestingStart = uint256(s.tgeTime) + s.cliffDuration;
+        if (timestamp < vestingStart) return unlocked;
+
+        uint256 elapsed = timestamp - vestingStart;
+        if (s.vestingDuration == 0 || elapsed >= s.vestingDuration) return allocation;
+        return unlocked + ((allocation - unlocked) * elapsed) / s.vestingDuration;
+    }
+
+    /**
+     * @notice Amount an account could claim right now
+     * @param account The buyer address
+     * @param allocation The account's total allocation (presaleAllocation() or its snapshot entry)
+     * @return Unlocked amount not yet claimed
+     */
+    function claimableAmount(address account, uint256 allocation) external view returns (uint256) {
+        if (schedule.tgeTime == 0) return 0;
+        uint256 vested = vestedAmount(allocation, block.timestamp);
+        return vested > claimed[account] ? vested - claimed[account] : 0;
+    }
+
+    /**
+     * @notice Tokens still owed to buyers: total allocation minus what has been claimed
+     * @dev Reads presale.totalMAGAX() without a snapshot and snapshotTotal with one
+     *      (zero when the snapshot total was never set)
+     */
+    function outstandingAllocation() public view returns (uint256) {
+        uint256 total = merkleRoot == bytes32(0) ? presale.totalMAGAX() : snapshotTotal;
+        return total > totalClaimed ? total - totalClaimed : 0;
+    }
+
+    /**
+     * @notice Excess funding sweep() may return once vesting has ended
+     */
+    function sweepableAmount() public view returns (uint256) {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 reserved = outstandingAllocation();
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    // Admin functions
+    /**
+     * @notice Return excess funding (e.g. to the treasury) after the last tokens have vested
+     * @dev Never takes the contract below outstandingAllocation(), so unclaimed buyers stay covered
+     * @param to Recipient of the excess
+     * @param amount Amount of MAGAX to send (18 decimals)
+     */
+    function sweep(address to, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (to == address(0)) revert InvalidAddress();
+        if (amount == 0) revert InvalidAmount();
+
+        VestingSchedule memory s = schedule;
+        if (s.tgeTime == 0) revert ScheduleNotSet();
+        if (block.timestamp < uint256(s.tgeTime) + s.cliffDuration + s.vestingDuration) revert VestingNotEnded();
+
+        uint256 available = sweepableAmount();
+        if (amount > available) revert ExceedsSweepable(available);
+
+        token.safeTransfer(to, amount);
+        emit ExcessSwept(to, amount);
+    }
+
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    function _requireBeforeTge() internal view {
+        if (schedule.tgeTime != 0 && block.timestamp >= schedule.tgeTime) revert ScheduleLocked();
+    }
+
+    function _leaf(address account, uint256 allocation) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, allocation))));
+    }
+}
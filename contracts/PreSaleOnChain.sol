@@ -1,205 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.30;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-
-// Custom errors for gas efficiency
-error InvalidAddress();
-error InvalidAmount();
-error ExceedsMaxPurchase();
-error ExceedsTotalLimit();
-error NoTokensToWithdraw();
-error EthNotAccepted();
-error FallbackNotAllowed();
-error InvalidStage();
-error StageNotActive();
-error InsufficientStageTokens();
-error InvalidPrice();
-error StageAlreadyActive();
-error InvalidReferrer();
-error SelfReferral();
-error PresaleFinalised();
-error PriceMismatch();
-error InvalidPromoBps();
-error InvalidUsdTarget();
-error PresaleTokenCapExceeded();
-error StageUsdOverTarget();
-error StageAlreadyUsed();
-error InvalidAllocation();
-
-contract MAGAXPresaleReceipts is AccessControl, Pausable, ReentrancyGuard {
-    using SafeERC20 for IERC20;
-    
-    bytes32 public constant RECORDER_ROLE = keccak256("RECORDER_ROLE");
-    bytes32 public constant STAGE_MANAGER_ROLE = keccak256("STAGE_MANAGER_ROLE");
-    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
-    bytes32 public constant FINALIZER_ROLE = keccak256("FINALIZER_ROLE");
-
-    // Purchase limits for security
-    uint128 public constant MAX_PURCHASE_USDT = 1_000_000 * 1e6; // 1M USDT max per purchase
-    uint128 public constant MAX_TOTAL_USDT = 10_000_000 * 1e6;   // 10M USDT total presale limit
-    uint8 public constant MAX_STAGES = 50; // Maximum number of presale stages
-
-    // Referral system constants
-    uint16 public constant REFERRER_BONUS_BPS = 700;  // 7% bonus for referrer
-    uint16 public constant REFEREE_BONUS_BPS = 500;   // 5% bonus for referee
-    uint16 public constant BASIS_POINTS = 10_000; // 100% in basis points
-    
-    // Promo system constants
-    uint16 public constant MAX_PROMO_BONUS_BPS = 5_000; // 50% max promo bonus
-
-    uint16 public maxPromoCapBps = MAX_PROMO_BONUS_BPS;
-
-    struct Receipt {
-        uint128 usdt;             // 6-decimals (128 bits)
-        uint128 magax;            // 18-decimals (128 bits)
-        uint40  time;             // timestamp (40 bits)
-        uint8   stage;            // presale stage 1-50 (8 bits)
-        bool    isBonus;          // ANY bonus (referral or promo) (8 bits)
-        // Total: 312 bits = 2 storage slots (removed pricePerToken for gas savings)
-    }
-
-    // Stage management
-    struct StageInfo {
-        uint128 pricePerToken;    // USDT per MAGAX (6 decimals)
-        uint128 tokensAllocated;  // Total MAGAX tokens for this stage
-        uint128 tokensSold;       // MAGAX tokens sold in this stage (incl bonuses)
-        uint128 usdTarget;        // 6-dec USDT target for this stage
-        uint128 usdRaised;        // 6-dec base USDT raised (excludes bonuses)
-        bool isActive;            // Whether stage is currently active
-    }
-
-    // Referral system
-    struct ReferralInfo {
-        uint32  totalReferrals;      // Number of people referred (4B+ capacity)
-        uint128 totalBonusEarned;    // Total bonus MAGAX earned as referrer
-        uint128 totalRefereeBonus;   // Total bonus MAGAX earned as referee
-    }
-    
-    // Promo system - simplified
-    struct UserPromoUsage {
-        uint128 totalPromoBonus;    // Total bonus tokens earned from promos
-    }
-
-    // Core storage
-    mapping(address => Receipt[]) public userReceipts;
-    mapping(address => uint128) public userTotalUSDT; 
-    mapping(address => uint128) public userTotalMAGAX;
-
-    // Referral system storage
-    mapping(address => ReferralInfo) public referralData;
-    mapping(address => address) public userReferrer; // user -> their referrer
-
-    // Promo system storage - simplified
-    mapping(address => UserPromoUsage) public userPromoData;
-
-    // Stage management
-    mapping(uint8 => StageInfo) public stages;
-    uint8 public currentStage = 1; // Start with stage 1
-
-    // Finalization flag - prevents new receipts after presale closes
-    bool public finalised;
-
-    uint128 public totalUSDT;
-    uint128 public totalMAGAX;
-    uint32 public totalBuyers;   // Track unique buyers
-    // Global cumulative promo bonuses distributed (sum of all promoBonus values)
-    uint128 public totalPromoBonusDistributed;
-
-    // Global presale hard token cap (example: 100B * 1e18 = 10% of 1T)
-    uint256 public constant PRESALE_TOKEN_CAP = 100_000_000_000 * 1e18;
-
-    event PurchaseRecorded(
-        address indexed buyer,
-        uint128 usdt,
-        uint128 magax,
-        uint40  time,
-        uint8   indexed stage,
-        uint256 totalUserPurchases,
-        bool isNewBuyer
-    );
-
-    // Canonical purchase event for unified off-chain indexing
-    event PurchaseRecordedV2(
-        address indexed buyer,
-        uint8   stage,               
-        uint256 usd6d,               // USDT amount in 6 decimals
-        uint256 price6d,             // stage price in 6 decimals
-        uint256 baseTokens18,        // floor(usd6d * 1e18 / price6d)
-        uint256 promoBonus18,        // floor(baseTokens18 * promoBps / 10_000)
-        uint256 refereeBonus18,      // floor(baseTokens18 * 5 / 100)
-        uint256 referrerBonus18,     // floor(baseTokens18 * 7 / 100)
-        address referrer,            // zero address if none / invalid
-        bytes32 orderId              
-    );
-
-    event ReferralBonusAwarded(
-        address indexed referrer,
-        address indexed referee,
-        uint128 referrerBonus,
-        uint128 refereeBonus,
-        uint8 stage
-    );
-
-    event ReferrerSet(
-        address indexed user,
-        address indexed referrer
-    );
-
-    event PromoUsed(
-        address indexed user,
-        uint16 promoBps,
-        uint128 bonusTokens,
-        uint8 stage,
-        uint256 receiptIndex
-    );
-
-    event StageConfigured(uint8 indexed stage, uint128 pricePerToken, uint128 tokensAllocated, uint128 usdTarget);
-
-    event StageActivated(uint8 indexed stage, address indexed operator);
-    event StageDeactivated(uint8 indexed stage);
-    event StageCompleted(uint8 indexed stage, uint128 tokensSold);
-    event StageUSDProgress(uint8 indexed stage, uint128 usdRaised, uint128 usdTarget);
-
-    event Finalised(uint40 time);
-
-    event EmergencyTokenWithdraw(
-        address indexed token,
-        address indexed to,
-        uint256 amount
-    );
-
-    event MaxPromoBpsUpdated(
-        uint16 oldCap,
-        uint16 newCap,
-        address indexed updatedBy
-    );
-
-    event OperationProposed(
-        bytes32 indexed operationHash,
-        address indexed proposer,
-        string operationType
-    );
-
-    event OperationConfirmed(
-        bytes32 indexed operationHash,
-        address indexed confirmer,
-        uint8 confirmations
-    );
-
-    event OperationExecuted(
-        bytes32 indexed operationHash,
-        address indexed executor
-    );
-
-    constructor(address recorder, address stageManager, address admin) {
+import "./MAGAXPresaleCore.sol";
+
+/**
+ * @title MAGAXPresaleReceipts
+ * @notice On-chain presale receipts: recorder purchase paths, pause and finalise
+ * @dev Every other function lives in an extension reached through fallback(), see MAGAXPresaleCore
+ */
+contract MAGAXPresaleReceipts is MAGAXPresaleCore {
+    // Serves every selector not defined here, see MAGAXPresaleCore
+    address public immutable extension;
+
+    constructor(address recorder, address stageManager, address admin, address extension_) {
         if (recorder == address(0)) revert InvalidAddress();
         if (stageManager == address(0)) revert InvalidAddress();
         if (admin == address(0)) revert InvalidAddress();
+        if (extension_.code.length == 0) revert InvalidAddress();
+        extension = extension_;
         
         // Only the admin (timelock) gets all critical roles
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
@@ -217,6 +35,7 @@ contract MAGAXPresaleReceipts is AccessControl, Pausable, ReentrancyGuard {
      * @param buyer The address of the buyer
      * @param usdtAmount Amount of USDT paid
      * @param magaxAmount Amount of MAGAX tokens received
+     * @param orderId Unique off-chain order identifier (reverts with DuplicateOrderId if reused)
      */
     function recordPurchase(
         address buyer,
@@ -224,142 +43,7 @@ contract MAGAXPresaleReceipts is AccessControl, Pausable, ReentrancyGuard {
         uint128 magaxAmount,
         bytes32 orderId
     ) external whenNotPaused onlyRole(RECORDER_ROLE) nonReentrant {
-        if (finalised) revert PresaleFinalised();
-        
-        _validatePurchase(buyer, usdtAmount, magaxAmount);
-        
-        uint8 stage = currentStage;
-        StageInfo storage stageInfo = stages[stage];
-        _validateStage(stage, magaxAmount, stageInfo);
-        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
-        
-        uint40 timestamp = uint40(block.timestamp);
-        _processPurchase(buyer, usdtAmount, magaxAmount, stage, stageInfo, timestamp, orderId);
-    }
-
-    function _validatePurchase(address buyer, uint128 usdtAmount, uint128 magaxAmount) internal view {
-        if (buyer == address(0)) revert InvalidAddress();
-        if (usdtAmount == 0 || magaxAmount == 0) revert InvalidAmount();
-        if (usdtAmount > MAX_PURCHASE_USDT) revert ExceedsMaxPurchase();
-        
-        // Edge case: Check if purchase exactly hits MAX_TOTAL_USDT (should be allowed)
-        if (totalUSDT + usdtAmount > MAX_TOTAL_USDT) revert ExceedsTotalLimit();
-    }
-
-    function _validateStage(uint8 stage, uint128 magaxAmount, StageInfo storage stageInfo) internal view {
-        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
-        if (!stageInfo.isActive) revert StageNotActive();
-        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + magaxAmount > stageInfo.tokensAllocated) {
-            revert InsufficientStageTokens();
-        }
-    }
-
-    /**
-     * @notice Validates price consistency between USDT amount and MAGAX amount
-     * @dev Handles rounding edge case when decimal conversions don't divide evenly.
-     *      Uses 256-bit arithmetic to prevent overflow, then allows ±1 USDT tolerance
-     *      for precision rounding. This prevents price manipulation while accommodating
-     *      legitimate rounding differences from decimal conversions.
-     * @param usdtAmount The USDT amount (6 decimals)
-     * @param magaxAmount The MAGAX amount (18 decimals) 
-     * @param pricePerToken The price per token (6 decimals, USDT per MAGAX)
-     */
-    function _validatePrice(uint128 usdtAmount, uint128 magaxAmount, uint128 pricePerToken) internal pure {
-        // Price validation: usdtAmount should equal (magaxAmount * pricePerToken) / 1e18
-        // Since USDT has 6 decimals and MAGAX has 18 decimals, and pricePerToken is in 6 decimals
-        uint256 expectedUSDT = (uint256(magaxAmount) * pricePerToken) / 1e18;
-        
-        // Edge case: Allow ±1 USDT tolerance for rounding when decimal conversions don't divide evenly
-        // This handles cases where 256-bit arithmetic precision still results in minor rounding differences
-        if (usdtAmount > expectedUSDT) {
-            if (usdtAmount - expectedUSDT > 1e6) revert PriceMismatch(); // More than 1 USDT over
-        } else {
-            if (expectedUSDT - usdtAmount > 1e6) revert PriceMismatch(); // More than 1 USDT under
-        }
-    }
-
-    function _processPurchase(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        uint8 stage,
-        StageInfo storage stageInfo,
-        uint40 timestamp,
-        bytes32 orderId
-    ) internal {
-        // Auditor recommendation: standardize new buyer detection using receipt existence
-        bool isNewBuyer = userReceipts[buyer].length == 0;
-        // Pre-check global cap & USD target BEFORE any state mutation
-        if (uint256(totalMAGAX) + uint256(magaxAmount) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
-        if (stageInfo.usdTarget > 0) {
-            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
-            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
-                revert StageUsdOverTarget();
-            }
-        }
-
-        userReceipts[buyer].push(Receipt(usdtAmount, magaxAmount, timestamp, stage, false));
-
-        uint128 prevUsd = stageInfo.usdRaised; // for threshold crossing detection
-        _updateTotals(buyer, usdtAmount, magaxAmount, isNewBuyer);
-        uint128 prevSold = stageInfo.tokensSold;
-        unchecked {
-            stageInfo.usdRaised += usdtAmount; // base USDT only
-            stageInfo.tokensSold += magaxAmount;
-        }
-
-        _emitPurchaseEvent(buyer, usdtAmount, magaxAmount, timestamp, stage, isNewBuyer);
-        // Emit canonical unified purchase event (simple purchase => no bonuses)
-        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
-        emit PurchaseRecordedV2(
-            buyer,
-            stage,
-            uint256(usdtAmount),
-            uint256(stageInfo.pricePerToken),
-            canonicalBase18,
-            0,
-            0,
-            0,
-            address(0),
-            orderId
-        );
-        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
-
-        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
-        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
-    }
-
-    function _updateTotals(address buyer, uint128 usdtAmount, uint128 magaxAmount, bool isNewBuyer) internal {
-        userTotalUSDT[buyer] += usdtAmount;
-        userTotalMAGAX[buyer] += magaxAmount;
-        totalUSDT += usdtAmount;
-        totalMAGAX += magaxAmount;
-        
-        if (isNewBuyer) {
-            unchecked { 
-                totalBuyers++; 
-            }
-        }
-    }
-
-    function _emitPurchaseEvent(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        uint40 timestamp,
-        uint8 stage,
-        bool isNewBuyer
-    ) internal {
-        emit PurchaseRecorded(
-            buyer, 
-            usdtAmount, 
-            magaxAmount, 
-            timestamp,
-            stage,
-            userReceipts[buyer].length,
-            isNewBuyer
-        );
+        _recordPurchase(buyer, usdtAmount, magaxAmount, orderId);
     }
 
     function recordPurchaseWithReferral(
@@ -369,648 +53,87 @@ contract MAGAXPresaleReceipts is AccessControl, Pausable, ReentrancyGuard {
         address referrer,
         bytes32 orderId
     ) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant {
-        if (finalised) revert PresaleFinalised();
-        
-        _validateReferralPurchase(buyer, usdtAmount, magaxAmount, referrer);
-        
-        uint8 stage = currentStage;
-        if (stage == 0) revert InvalidStage();
-        
-        StageInfo storage stageInfo = stages[stage];
-        if (!stageInfo.isActive) revert StageNotActive();
-        
-        // Validate price consistency
-        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
-        
-        (uint128 referrerBonus, uint128 refereeBonus, uint128 totalTokens) = _calculateBonuses(magaxAmount);
-        
-        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + totalTokens > stageInfo.tokensAllocated) {
-            revert InsufficientStageTokens();
-        }
-        
-        uint40 timestamp = uint40(block.timestamp);
-        _processReferralPurchase(buyer, usdtAmount, magaxAmount, referrer, referrerBonus, refereeBonus, totalTokens, stage, stageInfo, timestamp, orderId);
-    }
-
-    function _validateReferralPurchase(address buyer, uint128 usdtAmount, uint128 magaxAmount, address referrer) internal view {
-        if (buyer == address(0)) revert InvalidAddress();
-        if (referrer == address(0)) revert InvalidReferrer();
-        if (buyer == referrer) revert SelfReferral();
-        if (usdtAmount == 0 || magaxAmount == 0) revert InvalidAmount();
-        if (usdtAmount > MAX_PURCHASE_USDT) revert ExceedsMaxPurchase();
-        
-        // Edge case: Check total limit including potential bonuses
-        if (totalUSDT + usdtAmount > MAX_TOTAL_USDT) revert ExceedsTotalLimit();
-    }
-
-    function _calculateBonuses(uint128 magaxAmount) internal pure returns (uint128 referrerBonus, uint128 refereeBonus, uint128 totalTokens) {
-        referrerBonus = (magaxAmount * REFERRER_BONUS_BPS) / BASIS_POINTS;
-        refereeBonus = (magaxAmount * REFEREE_BONUS_BPS) / BASIS_POINTS;
-        totalTokens = magaxAmount + referrerBonus + refereeBonus;
-    }
-
-    function _processReferralPurchase(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        address referrer,
-        uint128 referrerBonus,
-        uint128 refereeBonus,
-        uint128 totalTokensRequired,
-        uint8 stage,
-        StageInfo storage stageInfo,
-        uint40 timestamp,
-        bytes32 orderId
-    ) internal {
-        _setReferrerIfNeeded(buyer, referrer);
-        
-        bool isNewBuyer = userReceipts[buyer].length == 0;
-        // Pre-check global cap & USD target BEFORE any state mutation
-        if (uint256(totalMAGAX) + uint256(totalTokensRequired) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
-        if (stageInfo.usdTarget > 0) {
-            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
-            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
-                revert StageUsdOverTarget();
-            }
-        }
-
-        // Record receipts after validations
-        userReceipts[buyer].push(Receipt(usdtAmount, magaxAmount, timestamp, stage, false));
-        userReceipts[buyer].push(Receipt(0, refereeBonus, timestamp, stage, true));
-        userReceipts[referrer].push(Receipt(0, referrerBonus, timestamp, stage, true));
-
-        uint128 prevUsd = stageInfo.usdRaised;
-        _updateReferralTotals(buyer, usdtAmount, magaxAmount, referrer, referrerBonus, refereeBonus, totalTokensRequired, isNewBuyer);
-        uint128 prevSold = stageInfo.tokensSold;
-        unchecked {
-            stageInfo.usdRaised += usdtAmount;
-            stageInfo.tokensSold += totalTokensRequired;
-        }
-        _emitReferralEvents(buyer, usdtAmount, magaxAmount, referrer, referrerBonus, refereeBonus, timestamp, stage, isNewBuyer);
-        // Emit canonical unified purchase event (referral only)
-        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
-        emit PurchaseRecordedV2(
-            buyer,
-            stage,
-            uint256(usdtAmount),
-            uint256(stageInfo.pricePerToken),
-            canonicalBase18,
-            0,
-            uint256(refereeBonus),
-            uint256(referrerBonus),
-            referrer,
-            orderId
-        );
-        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
-        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
-    }
-
-    function _setReferrerIfNeeded(address buyer, address referrer) internal {
-        if (userReferrer[buyer] == address(0)) {
-            userReferrer[buyer] = referrer;
-            emit ReferrerSet(buyer, referrer);
-        }
-    }
-
-    function _updateReferralTotals(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        address referrer,
-        uint128 referrerBonus,
-        uint128 refereeBonus,
-        uint128 totalTokensRequired,
-        bool isNewBuyer
-    ) internal {
-        userTotalUSDT[buyer] += usdtAmount;
-        userTotalMAGAX[buyer] += magaxAmount + refereeBonus;
-        
-        // Edge case: When referrer makes subsequent normal purchases, 
-        // only count their own purchase, not double-count as referral bonus
-        userTotalMAGAX[referrer] += referrerBonus;
-        
-        totalUSDT += usdtAmount;
-        totalMAGAX += totalTokensRequired;
-        
-        // Update referral statistics (bonuses are tracked separately from purchases)
-        unchecked { referralData[referrer].totalReferrals++; }
-        referralData[referrer].totalBonusEarned += referrerBonus;
-        referralData[buyer].totalRefereeBonus += refereeBonus;
-        
-        if (isNewBuyer) {
-            unchecked { 
-                totalBuyers++; 
-            }
-        }
-    }
-
-    function _emitReferralEvents(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        address referrer,
-        uint128 referrerBonus,
-        uint128 refereeBonus,
-        uint40 timestamp,
-        uint8 stage,
-        bool isNewBuyer
-    ) internal {
-        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, userReceipts[buyer].length, isNewBuyer);
-        emit ReferralBonusAwarded(referrer, buyer, referrerBonus, refereeBonus, stage);
-    }
-
-    // Paginated receipts for users with many purchases
-    function getReceiptsPaginated(
-        address buyer, 
-        uint256 offset, 
-        uint256 limit
-    ) external view returns (Receipt[] memory) {
-        Receipt[] storage receipts = userReceipts[buyer];
-        uint256 total = receipts.length;
-        
-        if (offset >= total) {
-            return new Receipt[](0);
-        }
-        
-        uint256 end = offset + limit;
-        if (end > total) {
-            end = total;
-        }
-        
-        Receipt[] memory result = new Receipt[](end - offset);
-        for (uint256 i = offset; i < end; i++) {
-            result[i - offset] = receipts[i];
-        }
-        
-        return result;
-    }
-    
-    function getUserStats(address buyer) external view returns (
-        uint256 totalPurchases,
-        uint128 totalUSDTSpent,
-        uint128 totalMAGAXAllocated,
-        uint40  firstPurchaseTime,
-        uint40  lastPurchaseTime
-    ) {
-        Receipt[] memory receipts = userReceipts[buyer];
-        totalPurchases = receipts.length;
-        
-        totalUSDTSpent = userTotalUSDT[buyer];
-        totalMAGAXAllocated = userTotalMAGAX[buyer];
-        
-        if (totalPurchases == 0) return (totalPurchases, totalUSDTSpent, totalMAGAXAllocated, 0, 0);
-        
-        firstPurchaseTime = receipts[0].time;
-        lastPurchaseTime = receipts[totalPurchases - 1].time;
-    }
-    
-    function getPresaleStats() external view returns (
-        uint128 totalUSDTRaised,
-        uint128 totalMAGAXSold,
-        uint32  totalUniqueBuyers
-    ) {
-        return (totalUSDT, totalMAGAX, totalBuyers);
-    }
-
-    // Stage management functions
-    function configureStage(
-        uint8 stage,
-        uint128 pricePerToken,
-        uint128 tokensAllocated,
-        uint128 usdTarget
-    ) external onlyRole(STAGE_MANAGER_ROLE) {
-        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
-        if (pricePerToken == 0) revert InvalidPrice();
-        if (usdTarget == 0) revert InvalidUsdTarget();
-        if (tokensAllocated == 0) revert InvalidAllocation();
-        if (stages[stage].usdRaised > 0 || stages[stage].tokensSold > 0) revert StageAlreadyUsed();
-        stages[stage] = StageInfo({
-            pricePerToken: pricePerToken,
-            tokensAllocated: tokensAllocated,
-            tokensSold: 0,
-            usdTarget: usdTarget,
-            usdRaised: 0,
-            isActive: false
-        });
-        emit StageConfigured(stage, pricePerToken, tokensAllocated, usdTarget);
-        emit StageUSDProgress(stage, 0, usdTarget);
+        _recordPurchaseWithReferral(buyer, usdtAmount, magaxAmount, referrer, orderId);
     }
 
+    // Admin functions
     /**
-     * @notice Activates a specific presale stage and deactivates the current one
-     * @dev Stage transitions are intentionally manual for admin control and flexibility.
-     *      This allows for precise timing of stage changes and emergency adjustments.
-     * @param stage The stage number to activate (1-50)
+     * @notice Stop all recording
+     * @dev Open to the timelock and to GUARDIAN_ROLE so an incident does not wait 48 hours;
+     *      unpause() stays timelock-only.
      */
-    function activateStage(uint8 stage) external onlyRole(STAGE_MANAGER_ROLE) {
-        if (finalised) revert PresaleFinalised();
-        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
-        if (stages[stage].pricePerToken == 0) revert InvalidPrice();
-        if (stages[stage].usdTarget == 0) revert InvalidUsdTarget();
-        if (stages[stage].tokensAllocated == 0) revert InvalidAllocation();
-        
-        // Check if stage is already active
-        if (stages[stage].isActive) revert StageAlreadyActive();
-        
-        // Deactivate current stage
-        if (currentStage > 0 && currentStage <= MAX_STAGES && stages[currentStage].isActive) {
-            stages[currentStage].isActive = false;
-            emit StageDeactivated(currentStage);
-        }
-        
-        // Activate new stage
-        stages[stage].isActive = true;
-        currentStage = stage;
-        emit StageActivated(stage, msg.sender);
-    }
-
-    function getStageInfo(uint8 stage) external view returns (
-        uint128 pricePerToken,
-        uint128 tokensAllocated,
-        uint128 tokensSold,
-        uint128 usdTarget,
-        uint128 usdRaised,
-        bool isActive
-    ) {
-        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
-        
-        StageInfo memory stageInfo = stages[stage];
-        return (
-            stageInfo.pricePerToken,
-            stageInfo.tokensAllocated,
-            stageInfo.tokensSold,
-            stageInfo.usdTarget,
-            stageInfo.usdRaised,
-            stageInfo.isActive
-        );
+    function pause() external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        _pause(); 
     }
 
-    function getCurrentStageInfo() external view returns (
-        uint8 stage,
-        uint128 pricePerToken,
-        uint128 tokensAllocated,
-        uint128 tokensSold,
-        uint128 usdTarget,
-        uint128 usdRaised,
-        bool isActive
-    ) {
-        return (
-            currentStage,
-            stages[currentStage].pricePerToken,
-            stages[currentStage].tokensAllocated,
-            stages[currentStage].tokensSold,
-            stages[currentStage].usdTarget,
-            stages[currentStage].usdRaised,
-            stages[currentStage].isActive
-        );
+    /**
+     * @notice Immediately remove a compromised or misbehaving recorder
+     * @dev Vouchers signed by the recorder stop redeeming as well. Granting RECORDER_ROLE
+     *      again still requires DEFAULT_ADMIN_ROLE (the timelock).
+     * @param recorder Address to strip of RECORDER_ROLE
+     */
+    function revokeRecorder(address recorder) external onlyRole(GUARDIAN_ROLE) {
+        _revokeRole(RECORDER_ROLE, recorder);
     }
 
-    // Admin functions
-    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) { 
-        _pause(); 
-    }
-    
     function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) { 
         _unpause(); 
     }
 
     function finalise() external onlyRole(FINALIZER_ROLE) {
-        finalised = true;
+        _finalised = true;
         _pause(); // Automatically pause to prevent accidental RECORDER_ROLE activity
         emit Finalised(uint40(block.timestamp));
     }
 
-    function setMaxPromoBps(uint16 newCap) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (newCap == 0 || newCap > BASIS_POINTS) revert InvalidPromoBps();
-        
-        uint16 oldCap = maxPromoCapBps;
-        maxPromoCapBps = newCap;
-        
-        emit MaxPromoBpsUpdated(oldCap, newCap, msg.sender);
-    }
-
-
-    /**
-     * @notice Emergency token withdrawal for accidentally sent tokens
-     * @dev Controlled by emergency role for security
-     * @param token The token contract to withdraw from
-     * @param to The address to send tokens to
-     */
-    function emergencyTokenWithdraw(IERC20 token, address to) external onlyRole(EMERGENCY_ROLE) nonReentrant {
-        if (to == address(0)) revert InvalidAddress();
-        
-        uint256 balance = token.balanceOf(address(this));
-        if (balance == 0) revert NoTokensToWithdraw();
-        
-        token.safeTransfer(to, balance);
-        emit EmergencyTokenWithdraw(address(token), to, balance);
-    }
-
     // Prevent accidental ETH deposits
     receive() external payable {
         revert EthNotAccepted();
     }
-    
-    // Prevent unsupported function calls
-    fallback() external payable {
-        revert FallbackNotAllowed();
-    }
 
-    /**
-     * @notice Get referral information for a user
-     * @param user The address to check
-     * @return totalReferrals Number of successful referrals
-     * @return totalBonusEarned Total bonus MAGAX earned (as referrer + as referee)
-     */
-    function getReferralInfo(address user) external view returns (uint32 totalReferrals, uint128 totalBonusEarned) {
-        ReferralInfo memory info = referralData[user];
-        return (info.totalReferrals, info.totalBonusEarned + info.totalRefereeBonus);
-    }
-
-    /**
-     * @notice Check if a user has a referrer
-     * @param user The address to check
-     * @return hasReferrer True if user has a referrer
-     */
-    function hasReferrer(address user) external view returns (bool) {
-        return userReferrer[user] != address(0);
+    // Every other selector is served by the extension chain
+    fallback() external payable {
+        _delegate(extension);
     }
 
     /**
-     * @notice Record a purchase with promo bonus percentage
+     * @notice Record a promo purchase whose bonus comes from a registered promo code
+     * @dev The bonus is the campaign's bonusBps on the base tokens, within the campaign's
+     *      window, usage limits and bonus budget. voidOrder gives the use and budget back.
      * @param buyer The address of the buyer
      * @param usdtAmount Amount of USDT spent (6 decimals)
      * @param magaxAmount Amount of MAGAX tokens purchased (18 decimals)
-     * @param promoBps Promo bonus percentage in basis points (e.g., 1000 = 10%)
+     * @param codeId keccak256 of the promo code
+     * @param orderId Unique off-chain order identifier (reverts with DuplicateOrderId if reused)
      */
-    function recordPurchaseWithPromo(
+    function recordPurchaseWithPromoCode(
         address buyer,
         uint128 usdtAmount,
         uint128 magaxAmount,
-        uint16 promoBps,
+        bytes32 codeId,
         bytes32 orderId
     ) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant {
-        if (finalised) revert PresaleFinalised();
-        
-        _validatePurchase(buyer, usdtAmount, magaxAmount);
-        _validatePromoBps(promoBps);
-        
-        uint8 stage = currentStage;
-        StageInfo storage stageInfo = stages[stage];
-        _validateStage(stage, magaxAmount, stageInfo);
-        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
-        
-        uint128 promoBonus = _calculatePromoBonus(magaxAmount, promoBps);
-        uint128 totalTokens = magaxAmount + promoBonus;
-        
-        // Check if stage has enough tokens for purchase + bonus
-        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + totalTokens > stageInfo.tokensAllocated) {
-            revert InsufficientStageTokens();
-        }
-        
-        uint40 timestamp = uint40(block.timestamp);
-        _processPromoLaunch(buyer, usdtAmount, magaxAmount, promoBps, promoBonus, totalTokens, stage, stageInfo, timestamp, orderId);
+        uint16 promoBps = _promoCodeBps(codeId);
+        _recordPurchaseWithPromo(buyer, usdtAmount, magaxAmount, promoBps, orderId);
+        _usePromoCode(codeId, buyer, _calculatePromoBonus(magaxAmount, promoBps), orderId);
     }
 
     /**
-     * @notice Record a purchase with both promotional and referral bonuses
-     * @param buyer The address of the buyer
-     * @param usdtAmount Amount of USDT spent (6 decimals)
-     * @param magaxAmount Base MAGAX amount purchased (18 decimals, before bonuses)
-     * @param promoBps Promotional bonus percentage in basis points (e.g., 1500 = 15%)
-     * @param referrer The address of the referrer
-     * @dev This function combines promo and referral bonuses in a single transaction
-     * @dev Referral bonuses are calculated on the base amount (not including promo bonus)
-     * @dev Total tokens = base + promo bonus + referee bonus, referrer gets referrer bonus
+     * @notice Record a purchase with a registered promo code and a referrer
+     * @param codeId keccak256 of the promo code
+     * @param referrer The referrer's address
      */
-    function recordPurchaseWithPromoAndReferral(
+    function recordPurchaseWithPromoCodeAndReferral(
         address buyer,
         uint128 usdtAmount,
         uint128 magaxAmount,
-        uint16  promoBps,
+        bytes32 codeId,
         address referrer,
         bytes32 orderId
     ) external onlyRole(RECORDER_ROLE) whenNotPaused nonReentrant {
-        if (finalised) revert PresaleFinalised();
-
-        _validatePromoBps(promoBps);
-        _validateReferralPurchase(buyer, usdtAmount, magaxAmount, referrer);
-
-        uint8 stage = currentStage;
-        StageInfo storage stageInfo = stages[stage];
-        if (stage == 0 || stage > MAX_STAGES) revert InvalidStage();
-        if (!stageInfo.isActive) revert StageNotActive();
-
-        _validatePrice(usdtAmount, magaxAmount, stageInfo.pricePerToken);
-
-        _processPromoAndReferralPurchase(
-            buyer, usdtAmount, magaxAmount, promoBps, referrer,
-            uint40(block.timestamp), stage, stageInfo, orderId
-        );
-    }
-
-
-    function _validatePromoBps(uint16 promoBps) internal view {
-        if (promoBps == 0 || promoBps > maxPromoCapBps) revert InvalidPromoBps();
-    }
-
-    function _calculatePromoBonus(uint128 magaxAmount, uint16 promoBps) internal pure returns (uint128) {
-        return (magaxAmount * promoBps) / BASIS_POINTS;
-    }
-
-    function _processPromoLaunch(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        uint16 promoBps,
-        uint128 promoBonus,
-        uint128 totalTokens,
-        uint8 stage,
-        StageInfo storage stageInfo,
-        uint40 timestamp,
-        bytes32 orderId
-    ) internal {
-        // Auditor recommendation: use receipt count for new buyer detection
-        bool isNewBuyer = userReceipts[buyer].length == 0;
-        // Pre-check global cap & USD target BEFORE any state mutation
-        if (uint256(totalMAGAX) + uint256(totalTokens) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
-        if (stageInfo.usdTarget > 0) {
-            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
-            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
-                revert StageUsdOverTarget();
-            }
-        }
-
-        // Record receipts post-validation
-        userReceipts[buyer].push(Receipt(usdtAmount, magaxAmount, timestamp, stage, false));
-        userReceipts[buyer].push(Receipt(0, promoBonus, timestamp, stage, true));
-        uint256 bonusReceiptIdx = userReceipts[buyer].length - 1;
-
-        uint128 prevUsd = stageInfo.usdRaised;
-        _updatePromoTotals(buyer, usdtAmount, promoBonus, totalTokens, isNewBuyer);
-        uint128 prevSold = stageInfo.tokensSold;
-        unchecked {
-            stageInfo.usdRaised += usdtAmount;
-            stageInfo.tokensSold += totalTokens;
-        }
-        _emitPromoEvents(buyer, usdtAmount, magaxAmount, promoBps, promoBonus, timestamp, stage, isNewBuyer, bonusReceiptIdx);
-        // Emit canonical unified purchase event (promo only)
-        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
-        emit PurchaseRecordedV2(
-            buyer,
-            stage,
-            uint256(usdtAmount),
-            uint256(stageInfo.pricePerToken),
-            canonicalBase18,
-            uint256(promoBonus),
-            0,
-            0,
-            address(0),
-            orderId
-        );
-        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
-        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
-    }
-
-    function _updatePromoTotals(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 promoBonus,
-        uint128 totalTokens,
-        bool isNewBuyer
-    ) internal {
-        userTotalUSDT[buyer] += usdtAmount;
-        userTotalMAGAX[buyer] += totalTokens; // Include bonus in user's total
-        userPromoData[buyer].totalPromoBonus += promoBonus;
-        totalPromoBonusDistributed += promoBonus; // track global promo distribution
-        
-        totalUSDT += usdtAmount;
-        totalMAGAX += totalTokens;
-        
-        if (isNewBuyer) {
-            unchecked { 
-                totalBuyers++; 
-            }
-        }
-    }
-
-    function _emitPromoEvents(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        uint16 promoBps,
-        uint128 promoBonus,
-        uint40 timestamp,
-        uint8 stage,
-        bool isNewBuyer,
-        uint256 bonusReceiptIdx
-    ) internal {
-        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, userReceipts[buyer].length, isNewBuyer);
-        emit PromoUsed(buyer, promoBps, promoBonus, stage, bonusReceiptIdx);
-    }
-
-    function _processPromoAndReferralPurchase(
-        address buyer,
-        uint128 usdtAmount,
-        uint128 magaxAmount,
-        uint16  promoBps,
-        address referrer,
-        uint40  timestamp,
-        uint8   stage,
-        StageInfo storage stageInfo,
-        bytes32 orderId
-    ) internal {
-        _setReferrerIfNeeded(buyer, referrer);
-
-        // bonuses (referral based on base only)
-        uint128 promoBonus; unchecked { promoBonus = (magaxAmount * promoBps) / BASIS_POINTS; }
-        (uint128 referrerBonus, uint128 refereeBonus, ) = _calculateBonuses(magaxAmount);
-
-        uint128 totalBuyerTokens = magaxAmount + promoBonus + refereeBonus;
-        uint128 totalStageTokens = totalBuyerTokens + referrerBonus;
-
-        if (stageInfo.tokensAllocated > 0 && stageInfo.tokensSold + totalStageTokens > stageInfo.tokensAllocated) {
-            revert InsufficientStageTokens();
-        }
-
-        // Auditor recommendation: use receipt existence instead of USDT total
-        bool isNewBuyer = userReceipts[buyer].length == 0;
-
-        // Pre-check global cap & USD target BEFORE any state mutation
-        if (uint256(totalMAGAX) + uint256(totalStageTokens) > PRESALE_TOKEN_CAP) revert PresaleTokenCapExceeded();
-        if (stageInfo.usdTarget > 0) {
-            uint256 afterUsdPre = uint256(stageInfo.usdRaised) + uint256(usdtAmount);
-            if (afterUsdPre > uint256(stageInfo.usdTarget) && afterUsdPre - uint256(stageInfo.usdTarget) > 1e6) {
-                revert StageUsdOverTarget();
-            }
-        }
-
-        // receipts (main, promo, referee; referrer gets separate receipt)
-        userReceipts[buyer].push(Receipt(usdtAmount, magaxAmount, timestamp, stage, false));
-        userReceipts[buyer].push(Receipt(0, promoBonus,   timestamp, stage, true));
-        userReceipts[buyer].push(Receipt(0, refereeBonus, timestamp, stage, true));
-        userReceipts[referrer].push(Receipt(0, referrerBonus, timestamp, stage, true));
-
-        // totals (after validation)
-        userTotalUSDT[buyer]  += usdtAmount;
-        userTotalMAGAX[buyer] += totalBuyerTokens;
-        userTotalMAGAX[referrer] += referrerBonus;
-        userPromoData[buyer].totalPromoBonus += promoBonus;
-        totalPromoBonusDistributed += promoBonus; // track global promo distribution
-
-        unchecked { referralData[referrer].totalReferrals++; }
-        referralData[referrer].totalBonusEarned += referrerBonus;
-        referralData[buyer].totalRefereeBonus   += refereeBonus;
-
-        totalUSDT  += usdtAmount;
-        totalMAGAX += totalStageTokens;
-        if (isNewBuyer) { unchecked { totalBuyers++; } }
-
-        uint128 prevUsd = stageInfo.usdRaised;
-        uint128 prevSold = stageInfo.tokensSold;
-        unchecked {
-            stageInfo.usdRaised += usdtAmount;
-            stageInfo.tokensSold += totalStageTokens;
-        }
-        // events (promo receipt index is length-2 after the three pushes)
-        emit PurchaseRecorded(buyer, usdtAmount, magaxAmount, timestamp, stage, userReceipts[buyer].length, isNewBuyer);
-        emit PromoUsed(buyer, promoBps, promoBonus, stage, userReceipts[buyer].length - 2);
-        emit ReferralBonusAwarded(referrer, buyer, referrerBonus, refereeBonus, stage);
-        // Emit canonical unified purchase event (promo + referral)
-        uint256 canonicalBase18 = (uint256(usdtAmount) * 1e18) / uint256(stageInfo.pricePerToken);
-        emit PurchaseRecordedV2(
-            buyer,
-            stage,
-            uint256(usdtAmount),
-            uint256(stageInfo.pricePerToken),
-            canonicalBase18,
-            uint256(promoBonus),
-            uint256(refereeBonus),
-            uint256(referrerBonus),
-            referrer,
-            orderId
-        );
-        emit StageUSDProgress(stage, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitUsd = _crossed(prevUsd, stageInfo.usdRaised, stageInfo.usdTarget);
-        bool hitCap = (stageInfo.tokensAllocated > 0 && prevSold < stageInfo.tokensAllocated && stageInfo.tokensSold >= stageInfo.tokensAllocated);
-        if (hitUsd || hitCap) emit StageCompleted(stage, stageInfo.tokensSold);
-    }
-    // helper to detect first crossing of usdTarget
-    function _crossed(uint128 before, uint128 after_, uint128 target) private pure returns (bool) {
-        return target > 0 && before < target && after_ >= target;
-    }
-
-
-    /**
-     * @notice Get user's total promo bonus earned
-     * @param user The user address
-     * @return totalPromoBonus Total bonus tokens earned from all promos
-     */
-    function getUserPromoBonus(address user) external view returns (uint128) {
-        return userPromoData[user].totalPromoBonus;
+        uint16 promoBps = _promoCodeBps(codeId);
+        _recordPurchaseWithPromoAndReferral(buyer, usdtAmount, magaxAmount, promoBps, referrer, orderId);
+        _usePromoCode(codeId, buyer, _calculatePromoBonus(magaxAmount, promoBps), orderId);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+// Test price feed: every setAnswer starts a new round, updatedAt can be backdated and
+// startPhase mimics a proxy switching aggregators (round IDs jump to phaseId << 64 | 1)
+contract MockAggregator is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
+    uint8 public immutable override decimals;
+    uint80 public latestRound;
+    mapping(uint80 => Round) public rounds;
+
+    constructor(uint8 decimals_, int256 initialAnswer) {
+        decimals = decimals_;
+        setAnswer(initialAnswer);
+    }
+
+    function description() external pure override returns (string memory) {
+        return "MOCK / USD";
+    }
+
+    function version() external pure override returns (uint256) {
+        return 4;
+    }
+
+    function setAnswer(int256 answer) public {
+        setRound(latestRound + 1, answer, block.timestamp, latestRound + 1);
+    }
+
+    function startPhase(uint16 phaseId, int256 answer) external {
+        uint80 roundId = (uint80(phaseId) << 64) | 1;
+        setRound(roundId, answer, block.timestamp, roundId);
+    }
+
+    function setRound(uint80 roundId, int256 answer, uint256 updatedAt, uint80 answeredInRound) public {
+        rounds[roundId] = Round(answer, updatedAt, answeredInRound);
+        if (roundId > latestRound) latestRound = roundId;
+    }
+
+    function getRoundData(uint80 roundId) public view override returns (uint80, int256, uint256, uint256, uint80) {
+        Round memory round = rounds[roundId];
+        require(round.updatedAt != 0, "No data present");
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, round.answeredInRound);
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+}
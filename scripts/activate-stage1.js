@@ -1,10 +1,7 @@
 const { ethers } = require("hardhat");
-
-// Constants for bonus calculations
-const REF_BPS = 700;        // 7% referrer bonus
-const REFEREE_BPS = 500;    // 5% referee bonus  
-const MAX_PROMO_BPS = 2000; // 20% promo ceiling
-const SAFETY_BPS = 300;     // 3% rounding/slippage safety margin
+const { describeError } = require("./error-decoder");
+const { presaleAt } = require("./presale-contract");
+const { SAFETY_BPS, tokensAlloc18WithHeadroom, bonusPool18, maxBonusBps } = require("./stage-allocation");
 
 // Stage configurations (price in USDT, usdTarget in USDT)
 const STAGE_CONFIGS = {
@@ -16,24 +13,6 @@ const STAGE_CONFIGS = {
     // Add more stages as needed
 };
 
-/**
- * TokensAlloc18WithHeadroom calculates token allocation with headroom for bonuses and safety margins
- */
-function tokensAlloc18WithHeadroom(usdTarget6d, price6d, bonusBps = 0, safetyBps = SAFETY_BPS) {
-  if (price6d <= 0n) {
-    return 0n; // invalid price guard
-  }
-
-  const num = usdTarget6d * BigInt(1e18);
-  const base = num / price6d;
-  const factorBps = BigInt(10000 + bonusBps + safetyBps);
-  const tmp = base * factorBps;
-  const den = 10000n;
-  const result = (tmp + den - 1n) / den; // ceil
-
-  return result > 0n ? result : 1n; // never zero per audit requirement
-}
-
 async function main() {
     // Get stage number from command line args, default to 1
     const targetStage = parseInt(process.argv[2]) || 1;
@@ -60,7 +39,7 @@ async function main() {
     console.log("Stage Manager Address:", stageManagerSigner.address);
     
     // Connect to presale contract with stage manager signer
-    const presale = await ethers.getContractAt("MAGAXPresaleReceipts", contractAddress, stageManagerSigner);
+    const presale = presaleAt(contractAddress, stageManagerSigner);
     
     // Verify the signer has STAGE_MANAGER_ROLE
     const STAGE_MANAGER_ROLE = await presale.STAGE_MANAGER_ROLE();
@@ -89,15 +68,18 @@ async function main() {
     const pricePerToken = ethers.parseUnits(stageConfig.price, 6); // 6 decimals for USDT
     const usdTarget = ethers.parseUnits(stageConfig.usdTarget, 6); // 6 decimals for USDT
     
-    // Calculate allocation with headroom for referral + promo bonuses + safety margin
-    const maxBonusBps = REF_BPS + REFEREE_BPS + MAX_PROMO_BPS; // 7% + 5% + 20% = 32%
-    const tokensAllocated = tokensAlloc18WithHeadroom(usdTarget, pricePerToken, maxBonusBps, SAFETY_BPS);
+    // Sale allocation covers the base tokens (+ safety margin); bonuses come from a separate pool
+    // sized for the worst-case rate at the live referral tiers and promo ceiling
+    const bonusBps = await maxBonusBps(presale);
+    const tokensAllocated = tokensAlloc18WithHeadroom(usdTarget, pricePerToken, 0, SAFETY_BPS);
+    const bonusPool = bonusPool18(usdTarget, pricePerToken, bonusBps);
     
     console.log("\nContract values:");
     console.log("  Price per token (wei):", pricePerToken.toString());
     console.log("  USD Target (wei):", usdTarget.toString());
     console.log("  Tokens allocated (wei):", tokensAllocated.toString());
-    console.log(`  Allocation with headroom: ${ethers.formatUnits(tokensAllocated, 18)} tokens (${(maxBonusBps + SAFETY_BPS)/100}% headroom)`);
+    console.log(`  Sale allocation: ${ethers.formatUnits(tokensAllocated, 18)} tokens (${SAFETY_BPS/100}% safety margin)`);
+    console.log(`  Bonus pool: ${ethers.formatUnits(bonusPool, 18)} tokens (${bonusBps/100}% of the base tokens)`);
     
     try {
         // Check current stage state
@@ -130,6 +112,13 @@ async function main() {
         } else {
             console.log(`✅ Stage ${targetStage} already configured with correct values`);
         }
+
+        if ((await presale.stageBonusPool(targetStage)) !== bonusPool) {
+            console.log(`\nSetting Stage ${targetStage} bonus pool...`);
+            const poolTx = await presale.setStageBonusPool(targetStage, bonusPool);
+            await poolTx.wait();
+            console.log(`✅ Stage ${targetStage} bonus pool set`);
+        }
         
         // Activate stage
         console.log(`\nActivating Stage ${targetStage}...`);
@@ -153,10 +142,7 @@ async function main() {
         console.log(`\n✅ Stage ${targetStage} is now ready for purchases!`);
         
     } catch (error) {
-        console.error("❌ Error activating stage:", error.message);
-        if (error.data) {
-            console.error("Error data:", error.data);
-        }
+        console.error("❌ Error activating stage:", describeError(error));
         throw error;
     }
 }
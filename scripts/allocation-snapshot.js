@@ -0,0 +1,318 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * Allocation snapshot - tamper-evident list of every presale allocation for MAGAXTokenClaim
+ *
+ * 1. Replays PurchaseRecordedV2 (plus the PurchaseRecorded emitted alongside it for the
+ *    recorded base amount) and SecondLevelBonusAwarded into per-address base / promo /
+ *    referee / referrer totals, skipping every order later reversed with voidOrder (PurchaseVoided)
+ * 2. Checks every total against userTotalMAGAX and the sum against totalMAGAX
+ * 3. Builds a Merkle tree in the OpenZeppelin standard format (double-hashed
+ *    abi.encode(address, uint256) leaves, sorted pairs) and writes root + proofs to disk
+ * 4. Optionally serves proofs over a small local HTTP endpoint
+ */
+
+const DEFAULT_CHUNK_SIZE = 10_000;
+
+/**
+ * Fetch PurchaseRecorded / PurchaseRecordedV2 / SecondLevelBonusAwarded / PurchaseVoided logs
+ * in block chunks, in chain order
+ */
+async function fetchPurchaseEvents(presale, fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        const [recorded, recordedV2, secondLevel, voided] = await Promise.all([
+            presale.queryFilter(presale.filters.PurchaseRecorded(), start, end),
+            presale.queryFilter(presale.filters.PurchaseRecordedV2(), start, end),
+            presale.queryFilter(presale.filters.SecondLevelBonusAwarded(), start, end),
+            presale.queryFilter(presale.filters.PurchaseVoided(), start, end)
+        ]);
+        events.push(...recorded, ...recordedV2, ...secondLevel, ...voided);
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+function emptyAllocation() {
+    return { base: 0n, promo: 0n, referee: 0n, referrer: 0n, total: 0n };
+}
+
+/**
+ * Rebuild per-address allocations from purchase events
+ * @param {Array} events Parsed event logs from fetchPurchaseEvents(), in chain order
+ * @returns {Map<string, {base: bigint, promo: bigint, referee: bigint, referrer: bigint, total: bigint}>}
+ */
+function buildAllocations(events) {
+    const allocations = new Map();
+    const entry = (address) => {
+        const key = ethers.getAddress(address);
+        if (!allocations.has(key)) allocations.set(key, emptyAllocation());
+        return allocations.get(key);
+    };
+
+    // A void always follows its purchase, so collect voided orders before replaying
+    const voidedOrders = new Set(events
+        .filter(event => event.fragment.name === "PurchaseVoided")
+        .map(event => event.args.orderId));
+
+    // PurchaseRecorded carries the base amount actually recorded; PurchaseRecordedV2 only the
+    // canonical floor(usd * 1e18 / price), which differs when the recorder passed a rounded amount
+    const recordedBase = new Map();
+    for (const event of events) {
+        if (event.fragment.name === "PurchaseVoided") continue;
+        if (event.fragment.name === "PurchaseRecorded") {
+            recordedBase.set(`${event.transactionHash}:${event.args.buyer}`, event.args.magax);
+            continue;
+        }
+        // Second-level referral bonuses count towards the referrer bucket
+        if (event.fragment.name === "SecondLevelBonusAwarded") {
+            if (!voidedOrders.has(event.args.orderId)) entry(event.args.secondReferrer).referrer += event.args.bonus;
+            continue;
+        }
+
+        const { buyer, baseTokens18, promoBonus18, refereeBonus18, referrerBonus18, referrer } = event.args;
+        const key = `${event.transactionHash}:${buyer}`;
+        const base = recordedBase.has(key) ? recordedBase.get(key) : baseTokens18;
+        recordedBase.delete(key);
+        if (voidedOrders.has(event.args.orderId)) continue;
+
+        const buyerEntry = entry(buyer);
+        buyerEntry.base += base;
+        buyerEntry.promo += promoBonus18;
+        buyerEntry.referee += refereeBonus18;
+        if (referrer !== ethers.ZeroAddress && referrerBonus18 > 0n) {
+            entry(referrer).referrer += referrerBonus18;
+        }
+    }
+
+    for (const allocation of allocations.values()) {
+        allocation.total = allocation.base + allocation.promo + allocation.referee + allocation.referrer;
+    }
+    return allocations;
+}
+
+/**
+ * Compare rebuilt totals with on-chain userTotalMAGAX / totalMAGAX at a block
+ * @returns {Promise<{ok: boolean, mismatches: Array, totalMAGAX: bigint, rebuiltTotal: bigint}>}
+ */
+async function verifyAllocations(presale, allocations, blockTag) {
+    const mismatches = [];
+    let rebuiltTotal = 0n;
+    for (const [address, allocation] of allocations) {
+        const onChain = await presale.userTotalMAGAX(address, { blockTag });
+        if (onChain !== allocation.total) mismatches.push({ address, rebuilt: allocation.total, onChain });
+        rebuiltTotal += allocation.total;
+    }
+    const totalMAGAX = await presale.totalMAGAX({ blockTag });
+    return { ok: mismatches.length === 0 && rebuiltTotal === totalMAGAX, mismatches, totalMAGAX, rebuiltTotal };
+}
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function leafHash(address, amount) {
+    return ethers.keccak256(ethers.keccak256(abiCoder.encode(["address", "uint256"], [address, amount])));
+}
+
+function hashPair(a, b) {
+    return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+/**
+ * Build a sorted-pair Merkle tree over (address, allocation) leaves
+ * @param {Array<[string, bigint]>} entries
+ * @returns {{root: string, proofs: Map<string, string[]>}}
+ */
+function buildMerkleTree(entries) {
+    if (entries.length === 0) throw new Error("Cannot build a snapshot without allocations");
+
+    const leaves = entries.map(([address, amount]) => ({ address, hash: leafHash(address, amount) }))
+        .sort((a, b) => (a.hash < b.hash ? -1 : 1));
+    const proofs = new Map(leaves.map(leaf => [leaf.address, []]));
+
+    // Each node tracks the addresses below it so sibling hashes can be appended to their proofs
+    let level = leaves.map(leaf => ({ hash: leaf.hash, addresses: [leaf.address] }));
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            const left = level[i];
+            const right = level[i + 1];
+            if (!right) {
+                next.push(left); // odd node is promoted unchanged
+                continue;
+            }
+            left.addresses.forEach(address => proofs.get(address).push(right.hash));
+            right.addresses.forEach(address => proofs.get(address).push(left.hash));
+            next.push({ hash: hashPair(left.hash, right.hash), addresses: left.addresses.concat(right.addresses) });
+        }
+        level = next;
+    }
+    return { root: level[0].hash, proofs };
+}
+
+function verifyProof(root, address, amount, proof) {
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leafHash(address, amount)) === root;
+}
+
+/**
+ * Rebuild, verify and hash the allocations of a presale into a snapshot object
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to scan (presale deployment block)
+ * @param {number} [options.toBlock] Snapshot block; defaults to the latest block
+ * @param {boolean} [options.allowUnfinalised] Snapshot a presale that is still open
+ * @param {boolean} [options.allowMismatch] Write the snapshot even if totals disagree
+ */
+async function buildSnapshot(presale, options = {}) {
+    const provider = presale.runner.provider || presale.runner;
+    const toBlock = options.toBlock !== undefined ? options.toBlock : await provider.getBlockNumber();
+    const fromBlock = options.fromBlock || 0;
+
+    if (!options.allowUnfinalised && !(await presale.finalised({ blockTag: toBlock }))) {
+        throw new Error("Presale is not finalised - allocations can still change");
+    }
+
+    const events = await fetchPurchaseEvents(presale, fromBlock, toBlock, options.chunkSize);
+    const allocations = buildAllocations(events);
+    const verification = await verifyAllocations(presale, allocations, toBlock);
+    if (!verification.ok && !options.allowMismatch) {
+        const details = verification.mismatches.map(m => `${m.address}: rebuilt ${m.rebuilt}, on-chain ${m.onChain}`);
+        throw new Error(`Rebuilt allocations do not match on-chain totals\n${details.join("\n")}`);
+    }
+
+    const entries = [...allocations].filter(([, allocation]) => allocation.total > 0n)
+        .map(([address, allocation]) => [address, allocation.total]);
+    const { root, proofs } = buildMerkleTree(entries);
+
+    const claims = {};
+    for (const [address, allocation] of allocations) {
+        if (allocation.total === 0n) continue;
+        claims[address] = {
+            allocation: allocation.total.toString(),
+            base: allocation.base.toString(),
+            promo: allocation.promo.toString(),
+            referee: allocation.referee.toString(),
+            referrer: allocation.referrer.toString(),
+            proof: proofs.get(address)
+        };
+    }
+
+    return {
+        root,
+        presale: await presale.getAddress(),
+        chainId: Number((await provider.getNetwork()).chainId),
+        fromBlock,
+        blockNumber: toBlock,
+        totalAllocation: verification.rebuiltTotal.toString(),
+        verified: verification.ok,
+        claims
+    };
+}
+
+function writeSnapshot(snapshot, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const snapshotFile = path.join(outDir, "snapshot.json");
+    fs.writeFileSync(snapshotFile, JSON.stringify(snapshot, null, 2));
+    fs.writeFileSync(path.join(outDir, "root.txt"), snapshot.root + "\n");
+    return snapshotFile;
+}
+
+/**
+ * Local read-only proof endpoint
+ *   GET /root               -> { root, presale, chainId, blockNumber, totalAllocation }
+ *   GET /proof/<address>    -> { address, allocation, base, promo, referee, referrer, proof }
+ */
+function createProofServer(snapshot) {
+    const claims = new Map(Object.entries(snapshot.claims).map(([address, claim]) => [address.toLowerCase(), { address, ...claim }]));
+
+    return http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== "GET") return send(405, { error: "Method not allowed" });
+        const url = new URL(req.url, "http://localhost");
+
+        if (url.pathname === "/root") {
+            const { root, presale, chainId, blockNumber, totalAllocation } = snapshot;
+            return send(200, { root, presale, chainId, blockNumber, totalAllocation });
+        }
+
+        const match = url.pathname.match(/^\/proof\/(0x[0-9a-fA-F]{40})$/);
+        if (match) {
+            const claim = claims.get(match[1].toLowerCase());
+            return claim ? send(200, claim) : send(404, { error: "Address not in snapshot" });
+        }
+        return send(404, { error: "Not found" });
+    });
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command = "build", snapshotArg] = process.argv.slice(2);
+    const outDir = process.env.SNAPSHOT_DIR || path.join(__dirname, "..", "snapshots");
+
+    if (command === "serve") {
+        const snapshotFile = snapshotArg || path.join(outDir, "snapshot.json");
+        const snapshot = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+        const port = Number(process.env.PROOF_SERVER_PORT) || 8787;
+        const server = createProofServer(snapshot);
+        server.listen(port, "127.0.0.1", () => {
+            console.log(`🌳 Serving proofs for root ${snapshot.root} on http://127.0.0.1:${port}`);
+        });
+        process.on("SIGINT", () => server.close());
+        process.on("SIGTERM", () => server.close());
+        return new Promise(resolve => server.on("close", resolve));
+    }
+
+    if (command !== "build") throw new Error("Usage: node scripts/allocation-snapshot.js <build|serve> [snapshot.json]");
+
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const presale = new ethers.Contract(
+        presaleAddress,
+        presaleAbi(),
+        new ethers.JsonRpcProvider(rpcUrl)
+    );
+
+    const snapshot = await buildSnapshot(presale, {
+        fromBlock: Number(process.env.SNAPSHOT_FROM_BLOCK) || 0,
+        toBlock: process.env.SNAPSHOT_BLOCK ? Number(process.env.SNAPSHOT_BLOCK) : undefined
+    });
+    const snapshotFile = writeSnapshot(snapshot, outDir);
+
+    console.log("✅ Snapshot written to", snapshotFile);
+    console.log("  Block:", snapshot.blockNumber);
+    console.log("  Addresses:", Object.keys(snapshot.claims).length);
+    console.log("  Total allocation:", ethers.formatUnits(snapshot.totalAllocation, 18), "MAGAX");
+    console.log("  Merkle root:", snapshot.root);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Snapshot failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    fetchPurchaseEvents,
+    buildAllocations,
+    verifyAllocations,
+    buildMerkleTree,
+    verifyProof,
+    buildSnapshot,
+    writeSnapshot,
+    createProofServer
+};
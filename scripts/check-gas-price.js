@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("./error-decoder");
 
 async function main() {
   console.log("Checking current gas prices...\n");
@@ -203,7 +204,7 @@ async function main() {
     }
     
   } catch (error) {
-    console.error("Error checking gas prices:", error.message);
+    console.error("Error checking gas prices:", describeError(error));
     process.exit(1);
   }
 }
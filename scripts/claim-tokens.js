@@ -0,0 +1,124 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { describeError } = require("./error-decoder");
+
+/**
+ * Claim helper - reads vesting status from MAGAXTokenClaim and submits claims
+ *
+ * Works in both allocation modes: presale allocations (claim()) and a committed
+ * Merkle snapshot (claimWithProof()), where the caller's entry comes from the proofs
+ * file published with the snapshot: { "<address>": { "allocation": "...", "proof": [...] } }.
+ */
+
+/**
+ * Look up an account's snapshot entry in a proofs file / object
+ */
+function snapshotEntry(proofs, account) {
+    const data = typeof proofs === "string" ? JSON.parse(fs.readFileSync(proofs, "utf8")) : proofs;
+    const entries = data.claims || data;
+    const key = Object.keys(entries).find(address => address.toLowerCase() === account.toLowerCase());
+    if (!key) return null;
+    return { allocation: BigInt(entries[key].allocation), proof: entries[key].proof };
+}
+
+/**
+ * Vesting status for an account
+ * @param {ethers.Contract} claimContract MAGAXTokenClaim instance
+ * @param {string} account Buyer address
+ * @param {object} [entry] Snapshot entry {allocation, proof}; required in snapshot mode
+ */
+async function claimStatus(claimContract, account, entry) {
+    const [merkleRoot, schedule, claimed] = await Promise.all([
+        claimContract.merkleRoot(),
+        claimContract.schedule(),
+        claimContract.claimed(account)
+    ]);
+
+    const snapshotMode = merkleRoot !== ethers.ZeroHash;
+    if (snapshotMode && !entry) throw new Error(`No snapshot entry for ${account}`);
+    const allocation = snapshotMode ? entry.allocation : await claimContract.presaleAllocation(account);
+
+    const scheduled = schedule.tgeTime > 0n;
+    const claimable = scheduled ? await claimContract.claimableAmount(account, allocation) : 0n;
+    const cliffEnd = schedule.tgeTime + schedule.cliffDuration;
+
+    return {
+        mode: snapshotMode ? "snapshot" : "presale",
+        allocation,
+        claimed,
+        claimable,
+        locked: allocation - claimed - claimable,
+        tgeTime: Number(schedule.tgeTime),
+        cliffEnd: Number(cliffEnd),
+        vestingEnd: Number(cliffEnd + schedule.vestingDuration)
+    };
+}
+
+/**
+ * Claim everything currently unlocked for the connected signer
+ * @returns {Promise<{amount: bigint, receipt: object}|null>} null when nothing is claimable
+ */
+async function claimTokens(claimContract, entry) {
+    const account = await claimContract.runner.getAddress();
+    const status = await claimStatus(claimContract, account, entry);
+    if (status.claimable === 0n) return null;
+
+    const tx = status.mode === "snapshot"
+        ? await claimContract.claimWithProof(entry.allocation, entry.proof)
+        : await claimContract.claim();
+    const receipt = await tx.wait();
+    // The claim runs in a later block than the status read, so take the amount from the event
+    const claimedEvent = receipt.logs
+        .map(log => { try { return claimContract.interface.parseLog(log); } catch (_) { return null; } })
+        .find(parsed => parsed && parsed.name === "TokensClaimed");
+    return { amount: claimedEvent.args.amount, receipt };
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command = "status", accountArg] = process.argv.slice(2);
+    const claimAddress = process.env.CLAIM_CONTRACT_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!claimAddress) throw new Error("CLAIM_CONTRACT_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const abi = require("../artifacts/contracts/MAGAXTokenClaim.sol/MAGAXTokenClaim.json").abi;
+    const wallet = process.env.CLAIMER_PRIVATE_KEY ? new ethers.Wallet(process.env.CLAIMER_PRIVATE_KEY, provider) : null;
+    const claimContract = new ethers.Contract(claimAddress, abi, wallet || provider);
+
+    const account = accountArg || (wallet && wallet.address);
+    if (!account) throw new Error("Usage: node scripts/claim-tokens.js <status|claim> [account]");
+    const entry = process.env.CLAIM_PROOFS_FILE ? snapshotEntry(process.env.CLAIM_PROOFS_FILE, account) : undefined;
+
+    const status = await claimStatus(claimContract, account, entry || undefined);
+    console.log("Account:", account, `(${status.mode} allocation)`);
+    console.log("  Allocation:", ethers.formatUnits(status.allocation, 18), "MAGAX");
+    console.log("  Claimed:", ethers.formatUnits(status.claimed, 18));
+    console.log("  Claimable now:", ethers.formatUnits(status.claimable, 18));
+    console.log("  Still locked:", ethers.formatUnits(status.locked, 18));
+    console.log("  TGE:", new Date(status.tgeTime * 1000).toISOString());
+    console.log("  Fully vested:", new Date(status.vestingEnd * 1000).toISOString());
+
+    if (command === "claim") {
+        if (!wallet) throw new Error("CLAIMER_PRIVATE_KEY not set in .env");
+        const result = await claimTokens(claimContract, entry || undefined);
+        if (!result) {
+            console.log("Nothing to claim yet");
+        } else {
+            console.log("✅ Claimed", ethers.formatUnits(result.amount, 18), "MAGAX in tx", result.receipt.hash);
+        }
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Claim failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = { claimStatus, claimTokens, snapshotEntry };
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("./error-decoder");
 
 async function main() {
     console.log("Deploying SimpleMultiSig for testnet...");
@@ -51,6 +52,6 @@ async function main() {
 main()
     .then(() => process.exit(0))
     .catch((error) => {
-        console.error(error);
+        console.error(describeError(error));
         process.exit(1);
     });
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { describeError } = require("./error-decoder");
 
 /**
  * Deploy MAGAX Timelock with Multi-Sig Governance
@@ -112,8 +113,7 @@ async function main() {
         console.log("3. Use multisig → timelock to schedule configureStage / activateStage / role grants");
         console.log("4. Verify contracts on explorer after indexing");
     } catch (error) {
-        console.error("❌ Timelock deployment failed:", error.message);
-        if (error.data) console.error("Error data:", error.data);
+        console.error("❌ Timelock deployment failed:", describeError(error));
         process.exit(1);
     }
 }
@@ -123,7 +123,7 @@ if (require.main === module) {
     main()
         .then(() => process.exit(0))
         .catch((error) => {
-            console.error(error);
+            console.error(describeError(error));
             process.exit(1);
         });
 }
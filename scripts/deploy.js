@@ -2,36 +2,9 @@ const { ethers } = require("hardhat");
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
-
-// Constants for bonus calculations
-const REF_BPS = 700;        // 7% referrer bonus
-const REFEREE_BPS = 500;    // 5% referee bonus  
-const MAX_PROMO_BPS = 2000; // 20% promo ceiling
-const SAFETY_BPS = 300;     // 3% rounding/slippage safety margin
-
-/**
- * TokensAlloc18WithHeadroom calculates token allocation with headroom for bonuses and safety margins
- * tokensAlloc18WithHeadroom = ceil( (usdTarget6d * 1e18 / price6d) * (10000 + bonusBps + safetyBps) / 10000 )
- */
-function tokensAlloc18WithHeadroom(usdTarget6d, price6d, bonusBps = 0, safetyBps = SAFETY_BPS) {
-  if (price6d <= 0n) {
-    return 0n; // invalid price guard
-  }
-
-  // base = floor(usdTarget6d * 1e18 / price6d)
-  const num = usdTarget6d * BigInt(1e18);
-  const base = num / price6d;
-
-  // factorBps = 10000 + bonusBps + safetyBps
-  const factorBps = BigInt(10000 + bonusBps + safetyBps);
-
-  // ceil(base * factorBps / 10000)
-  const tmp = base * factorBps;
-  const den = 10000n;
-  const result = (tmp + den - 1n) / den; // +den-1 for ceil
-
-  return result > 0n ? result : 1n; // never zero per audit requirement
-}
+const { describeError } = require("./error-decoder");
+const { presaleAt } = require("./presale-contract");
+const { SAFETY_BPS, tokensAlloc18WithHeadroom, bonusPool18, maxBonusBps } = require("./stage-allocation");
 
 const STAGES = [
   { stage: 1,  price: "0.000270", tokens: "200000000"       },
@@ -113,6 +86,8 @@ async function main () {
   // Optional role addresses - will be granted by timelock after deployment
   const emergencyRole = env.EMERGENCY_ROLE_ADDRESS;
   const finalizerRole = env.FINALIZER_ROLE_ADDRESS;
+  const guardianRole  = env.GUARDIAN_ROLE_ADDRESS;
+  const kycSignerRole = env.KYC_SIGNER_ROLE_ADDRESS;
 
   console.log(`\nDeployer  : ${deployer.address}`);
   console.log(`Network   : ${net.name}  (chain ${chainId})`);
@@ -134,7 +109,7 @@ async function main () {
       });
       console.log("Contract verified successfully\n");
     } catch (error) {
-      console.log("Verification failed:", error.message);
+      console.log("Verification failed:", describeError(error));
       console.log("You can verify manually with:");
       console.log(`npx hardhat verify --network ${net.name} ${await token.getAddress()} "${treasury}"\n`);
     }
@@ -147,13 +122,22 @@ async function main () {
   if (!ethers.isAddress(stageManager)) throw new Error("STAGE_MANAGER_ADDRESS missing / invalid");
   if (!ethers.isAddress(admin)) throw new Error("ADMIN_ADDRESS missing / invalid (must be timelock / deployer for local)");
 
+  // The presale is split under the EIP-170 size limit: deploy the engine and the extension
+  // chain it delegates to first, then the main contract pointing at the head of the chain
+  const engine = await deployWithPrettyGas("MAGAXPresaleEngine", await ethers.getContractFactory("MAGAXPresaleEngine"));
+  const views = await deployWithPrettyGas("MAGAXPresaleViews", await ethers.getContractFactory("MAGAXPresaleViews"));
+  const adminExtension = await deployWithPrettyGas("MAGAXPresaleAdmin", await ethers.getContractFactory("MAGAXPresaleAdmin"), [views.target]);
+  const purchases = await deployWithPrettyGas(
+    "MAGAXPresalePurchases", await ethers.getContractFactory("MAGAXPresalePurchases"), [adminExtension.target, engine.target]
+  );
   const Presale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-  const presale = await deployWithPrettyGas("MAGAXPresaleReceipts", Presale, [recorder, stageManager, admin], { gasLimit: 4_000_000 });
+  const main = await deployWithPrettyGas("MAGAXPresaleReceipts", Presale, [recorder, stageManager, admin, purchases.target]);
+  const presale = presaleAt(main.target, deployer);
 
   // Attempt optional role setup only if deployer has admin role (not true when admin=timelock)
   const hasAdmin = await hasDeployerAdmin(presale, deployer.address);
   if (hasAdmin) {
-    await setupRoles(presale, emergencyRole, finalizerRole, deployer);
+    await setupRoles(presale, emergencyRole, finalizerRole, guardianRole, kycSignerRole, deployer);
   } else {
     console.log("Deployer lacks admin role (expected: ADMIN_ADDRESS is timelock). Skipping grantRole calls to avoid revert.\n");
   }
@@ -177,26 +161,40 @@ async function main () {
 
   await dumpPresaleInfo(presale);
   
-  // Verify contract on block explorer
-  console.log("Verifying contract on block explorer...");
-  try {
-    await hre.run("verify:verify", {
-      address: await presale.getAddress(),
-      constructorArguments: [recorder, stageManager, admin],
-    });
-    console.log("Contract verified successfully\n");
-  } catch (error) {
-    console.log("Verification failed:", error.message);
-    console.log("You can verify manually with:");
-    console.log(`npx hardhat verify --network ${net.name} ${await presale.getAddress()} "${recorder}" "${stageManager}" "${admin}"\n`);
+  // Verify every contract of the presale on block explorer
+  for (const [name, contract, args] of [
+    ["MAGAXPresaleEngine", engine, []],
+    ["MAGAXPresaleViews", views, []],
+    ["MAGAXPresaleAdmin", adminExtension, [views.target]],
+    ["MAGAXPresalePurchases", purchases, [adminExtension.target, engine.target]],
+    ["MAGAXPresaleReceipts", main, [recorder, stageManager, admin, purchases.target]]
+  ]) {
+    console.log(`Verifying ${name} on block explorer...`);
+    try {
+      await hre.run("verify:verify", {
+        address: contract.target,
+        constructorArguments: args,
+      });
+      console.log("Contract verified successfully\n");
+    } catch (error) {
+      console.log("Verification failed:", describeError(error));
+      console.log("You can verify manually with:");
+      console.log(`npx hardhat verify --network ${net.name} ${contract.target} ${args.map(arg => `"${arg}"`).join(" ")}\n`);
+    }
   }
   
-  await writeArtifact("presale", net, presale, { 
+  await writeArtifact("presale", net, main, { 
     recorder, 
     admin, 
     stageManager, 
     emergencyRole, 
-    finalizerRole 
+    finalizerRole,
+    extensions: {
+      purchases: purchases.target,
+      admin: adminExtension.target,
+      views: views.target,
+      engine: engine.target
+    }
   });
 }
 
@@ -213,10 +211,12 @@ async function deployWithPrettyGas (contractName, Factory, args = [], extra = {}
   return contract;
 }
 
-async function setupRoles (presale, emergencyRole, finalizerRole, deployer) {
+async function setupRoles (presale, emergencyRole, finalizerRole, guardianRole, kycSignerRole, deployer) {
   console.log("Setting up additional roles…");
   const EMERGENCY = await presale.EMERGENCY_ROLE();
   const FINALIZER = await presale.FINALIZER_ROLE();
+  const GUARDIAN = await presale.GUARDIAN_ROLE();
+  const KYC_SIGNER = await presale.KYC_SIGNER_ROLE();
 
   // Grant EMERGENCY_ROLE if provided and different from deployer
   if (emergencyRole && ethers.isAddress(emergencyRole) && emergencyRole.toLowerCase() !== deployer.address.toLowerCase()) {
@@ -229,6 +229,18 @@ async function setupRoles (presale, emergencyRole, finalizerRole, deployer) {
     await (await presale.grantRole(FINALIZER, finalizerRole)).wait();
     console.log(`✓ FINALIZER_ROLE   → ${finalizerRole}`);
   }
+
+  // Grant GUARDIAN_ROLE (ops multisig: immediate pause / recorder revocation)
+  if (guardianRole && ethers.isAddress(guardianRole) && guardianRole.toLowerCase() !== deployer.address.toLowerCase()) {
+    await (await presale.grantRole(GUARDIAN, guardianRole)).wait();
+    console.log(`✓ GUARDIAN_ROLE    → ${guardianRole}`);
+  }
+
+  // Grant KYC_SIGNER_ROLE (KYC provider key: signs attestations, revokes in bulk)
+  if (kycSignerRole && ethers.isAddress(kycSignerRole) && kycSignerRole.toLowerCase() !== deployer.address.toLowerCase()) {
+    await (await presale.grantRole(KYC_SIGNER, kycSignerRole)).wait();
+    console.log(`✓ KYC_SIGNER_ROLE  → ${kycSignerRole}`);
+  }
   
   console.log("Additional roles configured successfully\n");
 }
@@ -239,12 +251,16 @@ async function configureStage1 (presale) {
   const price = ethers.parseUnits(stage1.price, 6);
   const usdTarget = ethers.parseUnits("54000", 6); // 54,000 USDT target
   
-  // Calculate allocation with headroom for referral + promo bonuses + safety margin
-  const maxBonusBps = REF_BPS + REFEREE_BPS + MAX_PROMO_BPS; // 7% + 5% + 20% = 32%
-  const alloc = tokensAlloc18WithHeadroom(usdTarget, price, maxBonusBps, SAFETY_BPS);
+  // Sale allocation covers the base tokens (+ safety margin); referral + promo bonuses get their
+  // own pool, sized for the worst-case rate at the live referral tiers and promo ceiling
+  const bonusBps = await maxBonusBps(presale);
+  const alloc = tokensAlloc18WithHeadroom(usdTarget, price, 0, SAFETY_BPS);
+  const bonusPool = bonusPool18(usdTarget, price, bonusBps);
   
   await presale.configureStage(1, price, alloc, usdTarget);
-  console.log(`Stage 1 configured @ $${stage1.price} with ${ethers.formatUnits(alloc, 18)} tokens (usdTarget=54,000 USDT, headroom=${(maxBonusBps + SAFETY_BPS)/100}%)\n`);
+  await presale.setStageBonusPool(1, bonusPool);
+  console.log(`Stage 1 configured @ $${stage1.price} with ${ethers.formatUnits(alloc, 18)} tokens (usdTarget=54,000 USDT, safety=${SAFETY_BPS/100}%)`);
+  console.log(`Stage 1 bonus pool: ${ethers.formatUnits(bonusPool, 18)} tokens (${bonusBps/100}% of the base tokens)\n`);
 }
 
 async function hasDeployerAdmin(presale, deployerAddr) {
@@ -273,8 +289,9 @@ async function dumpPresaleInfo (presale) {
   console.log("ℹPresale constants");
   console.log(`   MAX_PURCHASE_USDT : ${ethers.formatUnits(await presale.MAX_PURCHASE_USDT(), 6)}`);
   console.log(`   MAX_TOTAL_USDT    : ${ethers.formatUnits(await presale.MAX_TOTAL_USDT(), 6)}`);
-  const referrerBps = await presale.REFERRER_BONUS_BPS();
-  const refereeBps = await presale.REFEREE_BONUS_BPS();
+  // Launch defaults; the timelock can change them with setReferralBonusBps / setReferralTiers
+  const referrerBps = await presale.referrerBonusBps();
+  const refereeBps = await presale.refereeBonusBps();
   console.log(`   REFERRER_BONUS    : ${Number(referrerBps) / 100}% (${referrerBps} BPS)`);
   console.log(`   REFEREE_BONUS     : ${Number(refereeBps) / 100}% (${refereeBps} BPS)`);
   console.log(`   BASIS_POINTS      : ${await presale.BASIS_POINTS()}\n`);
@@ -300,6 +317,6 @@ async function writeArtifact (type, net, contract, extra) {
 }
 
 main().catch(err => {
-  console.error(err);
+  console.error(describeError(err));
   process.exit(1);
 });
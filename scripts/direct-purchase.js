@@ -0,0 +1,317 @@
+const { ethers } = require("ethers");
+const { quote } = require("./quote-engine");
+const { promoCodeId } = require("./promo-codes");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * Direct purchases - the buyer pays an accepted stablecoin through buyTokens / buyTokensWithPermit,
+ * or the native coin through buyWithNative
+ *
+ * The contract records the purchase for the caller exactly like the recorder would and forwards
+ * the payment to the treasury in the same transaction. Amounts are given in the payment token's
+ * decimals (native: 18, priced through the native price feed) and recorded as 6-decimal USD.
+ * minMagaxAmount protects the buyer against a stage or feed price change between the quote and
+ * inclusion.
+ */
+
+const DEFAULT_SLIPPAGE_BPS = 0;
+const DEFAULT_PERMIT_TTL_SECONDS = 30 * 60;
+
+// Everything the helpers call on the payment token
+const PAYMENT_TOKEN_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)"
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Mirrors _normalizePayment: 6-decimal USD recorded and token units charged for `amount`
+ */
+function normalizePayment(amount, decimals) {
+    amount = BigInt(amount);
+    if (decimals >= 6) {
+        const scale = 10n ** BigInt(decimals - 6);
+        const usdtAmount = amount / scale;
+        return { usdtAmount, paid: usdtAmount * scale };
+    }
+    return { usdtAmount: amount * 10n ** BigInt(6 - decimals), paid: amount };
+}
+
+/**
+ * Mirrors buyWithNative: 6-decimal USD recorded for `value` wei at a feed answer
+ */
+function nativeToUsd6(value, price, feedDecimals) {
+    return (BigInt(value) * BigInt(price)) / 10n ** BigInt(12 + Number(feedDecimals));
+}
+
+// Quote the USD amount the contract will record and derive the slippage guard
+async function quoteDirect(presale, { buyer, usdtAmount, referrer, code, slippageBps }) {
+    referrer = referrer || ethers.ZeroAddress;
+    const codeId = code ? promoCodeId(code) : ethers.ZeroHash;
+    const promoBps = code ? Number((await presale.promoCampaigns(codeId)).bonusBps) : 0;
+
+    let q = await quote(presale, { buyer, usdtAmount, promoBps, referrer });
+    // Direct purchases only take referrers that have bought before
+    if (q.ok && referrer !== ethers.ZeroAddress && (await presale.userTotalUSDT(referrer)) === 0n) {
+        q = { ...q, ok: false, error: "ReferrerNotBuyer" };
+    }
+    const slippage = BigInt(slippageBps ?? DEFAULT_SLIPPAGE_BPS);
+    const minMagaxAmount = (q.baseTokens * (10_000n - slippage)) / 10_000n;
+    return { quote: q, minMagaxAmount, referrer, codeId };
+}
+
+/**
+ * Quote a direct purchase and build the buyTokens argument
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} params
+ * @param {string} params.token Accepted payment token address
+ * @param {string} params.buyer Buyer address (msg.sender of the purchase)
+ * @param {bigint} params.amount Amount to pay, in the token's decimals
+ * @param {string} [params.referrer] Referrer address (zero / undefined = none)
+ * @param {string} [params.code] Plain promo code (undefined = none)
+ * @param {number} [params.slippageBps] Accepted drop in base tokens, e.g. 300 = 3%
+ * @returns {{ purchase: object, quote: object, paid: bigint }}
+ */
+async function buildDirectPurchase(presale, params) {
+    const asset = await presale.paymentAssets(params.token);
+    if (!asset.accepted) throw new Error(`Payment token ${params.token} is not accepted`);
+    const { usdtAmount, paid } = normalizePayment(params.amount, Number(asset.decimals));
+    const { quote: q, minMagaxAmount, referrer, codeId } = await quoteDirect(presale, { ...params, usdtAmount });
+
+    return {
+        purchase: {
+            token: params.token,
+            amount: BigInt(params.amount),
+            minMagaxAmount,
+            referrer,
+            codeId
+        },
+        quote: q,
+        paid
+    };
+}
+
+/**
+ * Quote a native coin purchase at the current feed price
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} params
+ * @param {string} params.buyer Buyer address (msg.sender of the purchase)
+ * @param {bigint} params.value Native coin to pay, in wei
+ * @param {string} [params.referrer] Referrer address (zero / undefined = none)
+ * @param {string} [params.code] Plain promo code (undefined = none)
+ * @param {number} [params.slippageBps] Accepted drop in base tokens, e.g. 300 = 3%
+ * @returns {{ args: Array, value: bigint, quote: object, price: bigint }} buyWithNative arguments and quote
+ */
+async function buildNativePurchase(presale, params) {
+    // Reverts with StalePrice / InvalidFeedPrice / PriceDeviationTooHigh like the purchase would
+    const { price, decimals } = await presale.getNativePrice();
+    const usdtAmount = nativeToUsd6(params.value, price, decimals);
+    const { quote: q, minMagaxAmount, referrer, codeId } = await quoteDirect(presale, { ...params, usdtAmount });
+
+    return {
+        args: [minMagaxAmount, referrer, codeId],
+        value: BigInt(params.value),
+        quote: q,
+        price
+    };
+}
+
+/**
+ * Submit a native coin purchase from the buyer's wallet
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts connected with the buyer
+ * @param {object} native Result of buildNativePurchase()
+ * @returns {{ orderId: string, txHash: string }}
+ */
+async function buyWithNative(presale, native) {
+    const tx = await presale.buyWithNative(...native.args, { value: native.value });
+    return paidOrder(presale, await tx.wait());
+}
+
+// Order ID from the DirectPurchasePaid event of a purchase receipt
+function paidOrder(presale, receipt) {
+    const paid = receipt.logs
+        .map(log => { try { return presale.interface.parseLog(log); } catch { return null; } })
+        .find(log => log && log.name === "DirectPurchasePaid");
+    return { orderId: paid.args.orderId, txHash: receipt.hash };
+}
+
+/**
+ * Sign an ERC-2612 permit for the presale to pull `value` from the buyer
+ * @param {ethers.Signer} owner Buyer wallet
+ * @param {ethers.Contract} token Payment token implementing ERC-2612 (domain version "1")
+ * @param {string} spender Presale address
+ * @param {bigint} value Amount to permit
+ * @param {number} deadline Unix timestamp
+ */
+async function signPermit(owner, token, spender, value, deadline) {
+    const ownerAddress = await owner.getAddress();
+    const [name, nonce, network] = await Promise.all([
+        token.name(),
+        token.nonces(ownerAddress),
+        owner.provider.getNetwork()
+    ]);
+    const domain = {
+        name,
+        version: "1",
+        chainId: network.chainId,
+        verifyingContract: await token.getAddress()
+    };
+    const signature = await owner.signTypedData(domain, PERMIT_TYPES, {
+        owner: ownerAddress,
+        spender,
+        value,
+        nonce,
+        deadline
+    });
+    return ethers.Signature.from(signature);
+}
+
+/**
+ * Submit a direct purchase from the buyer's wallet
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts connected with the buyer
+ * @param {ethers.Contract} token Payment token connected with the buyer
+ * @param {object} purchase Result of buildDirectPurchase().purchase
+ * @param {object} [options]
+ * @param {boolean} [options.permit] Use buyTokensWithPermit instead of approve + buyTokens
+ * @param {number} [options.permitTtlSeconds] Permit lifetime
+ * @returns {{ orderId: string, txHash: string }}
+ */
+async function buyTokens(presale, token, purchase, { permit = false, permitTtlSeconds = DEFAULT_PERMIT_TTL_SECONDS } = {}) {
+    const buyer = presale.runner;
+    const presaleAddress = await presale.getAddress();
+
+    let tx;
+    if (permit) {
+        const latest = await buyer.provider.getBlock("latest");
+        const deadline = latest.timestamp + permitTtlSeconds;
+        const { v, r, s } = await signPermit(buyer, token, presaleAddress, purchase.amount, deadline);
+        tx = await presale.buyTokensWithPermit(purchase, deadline, v, r, s);
+    } else {
+        const allowance = await token.allowance(await buyer.getAddress(), presaleAddress);
+        if (allowance < purchase.amount) {
+            await (await token.approve(presaleAddress, purchase.amount)).wait();
+        }
+        tx = await presale.buyTokens(purchase);
+    }
+
+    return paidOrder(presale, await tx.wait());
+}
+
+/**
+ * Raise totals per payment asset, for treasury reporting
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @returns {Array<{token: string, accepted: boolean, decimals: number, totalRaised: bigint, totalRaisedUSD: bigint}>}
+ */
+async function getPaymentAssets(presale) {
+    const [tokens, assets] = await presale.getPaymentAssets();
+    return tokens.map((token, i) => ({
+        token,
+        accepted: assets[i].accepted,
+        decimals: Number(assets[i].decimals),
+        totalRaised: assets[i].totalRaised,
+        totalRaisedUSD: assets[i].totalRaisedUSD
+    }));
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command, ...args] = process.argv.slice(2);
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const abi = presaleAbi();
+
+    if (command === "assets") {
+        const presale = new ethers.Contract(presaleAddress, abi, provider);
+        for (const asset of await getPaymentAssets(presale)) {
+            console.log(asset.token, asset.accepted ? "(accepted)" : "(delisted)");
+            console.log("  Raised:", ethers.formatUnits(asset.totalRaised, asset.decimals), "=", ethers.formatUnits(asset.totalRaisedUSD, 6), "USD");
+        }
+        return;
+    }
+    if (!["buy", "buy-native"].includes(command) || !args[0]) {
+        throw new Error("Usage: node scripts/direct-purchase.js <buy|buy-native <amount> [referrer|-] [promoCode] | assets>");
+    }
+
+    const [amount, referrer, code] = args;
+    if (!process.env.BUYER_PRIVATE_KEY) throw new Error("BUYER_PRIVATE_KEY not set in .env");
+    const slippageBps = Number(process.env.DIRECT_PURCHASE_SLIPPAGE_BPS || DEFAULT_SLIPPAGE_BPS);
+
+    if (command === "buy-native") {
+        const buyer = new ethers.Wallet(process.env.BUYER_PRIVATE_KEY, provider);
+        const presale = new ethers.Contract(presaleAddress, abi, buyer);
+        const native = await buildNativePurchase(presale, {
+            buyer: buyer.address,
+            value: ethers.parseEther(amount),
+            referrer: referrer && referrer !== "-" ? referrer : undefined,
+            code,
+            slippageBps
+        });
+        if (!native.quote.ok) throw new Error(`Purchase would revert with ${native.quote.error}`);
+
+        console.log("💳 Buying", ethers.formatUnits(native.quote.buyerTokens, 18), "MAGAX for", amount, "native at", ethers.formatUnits(native.quote.usdtAmount, 6), "USD");
+        const result = await buyWithNative(presale, native);
+        console.log("✅ Order", result.orderId, "tx", result.txHash);
+        return;
+    }
+
+    const tokenAddress = process.env.PAYMENT_TOKEN_ADDRESS;
+    if (!tokenAddress) throw new Error("PAYMENT_TOKEN_ADDRESS not set in .env");
+
+    const buyer = new ethers.Wallet(process.env.BUYER_PRIVATE_KEY, provider);
+    const presale = new ethers.Contract(presaleAddress, abi, buyer);
+    const token = new ethers.Contract(tokenAddress, PAYMENT_TOKEN_ABI, buyer);
+    const decimals = Number((await presale.paymentAssets(tokenAddress)).decimals);
+
+    const { purchase, quote: q, paid } = await buildDirectPurchase(presale, {
+        token: tokenAddress,
+        buyer: buyer.address,
+        amount: ethers.parseUnits(amount, decimals),
+        referrer: referrer && referrer !== "-" ? referrer : undefined,
+        code,
+        slippageBps
+    });
+    if (!q.ok) throw new Error(`Purchase would revert with ${q.error}`);
+
+    console.log("💳 Buying", ethers.formatUnits(q.buyerTokens, 18), "MAGAX for", ethers.formatUnits(paid, decimals), "in stage", q.stage);
+    const result = await buyTokens(presale, token, purchase, { permit: process.env.DIRECT_PURCHASE_PERMIT === "true" });
+    console.log("✅ Order", result.orderId, "tx", result.txHash);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Direct purchase failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    PAYMENT_TOKEN_ABI,
+    PERMIT_TYPES,
+    normalizePayment,
+    nativeToUsd6,
+    buildDirectPurchase,
+    buildNativePurchase,
+    signPermit,
+    buyTokens,
+    buyWithNative,
+    getPaymentAssets
+};
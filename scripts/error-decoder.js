@@ -0,0 +1,618 @@
+const { ethers } = require("ethers");
+
+/**
+ * Error decoder - turns revert data from the presale, claim, timelock and token contracts
+ * into the custom error name, its arguments, a plain-language explanation and a fix.
+ *
+ * Used by every script and service so operators never have to look up a selector.
+ */
+
+// Custom errors declared by MAGAXPresaleReceipts
+const PRESALE_ERRORS = {
+    InvalidAddress: {
+        explanation: "A required address (buyer, recipient or constructor role) is the zero address.",
+        fix: "Pass a valid non-zero address."
+    },
+    InvalidAmount: {
+        explanation: "The USDT amount or MAGAX amount is zero.",
+        fix: "Record purchases with non-zero USDT and MAGAX amounts."
+    },
+    ExceedsMaxPurchase: {
+        explanation: "A single purchase is above MAX_PURCHASE_USDT (1M USDT).",
+        fix: "Split the order into several purchases below the per-purchase limit."
+    },
+    ExceedsTotalLimit: {
+        explanation: "The purchase would push totalUSDT above MAX_TOTAL_USDT (10M USDT).",
+        fix: "Reduce the amount to the remaining presale headroom, or stop recording - the presale is full."
+    },
+    NoTokensToWithdraw: {
+        explanation: "The presale holds no balance of the token being withdrawn.",
+        fix: "Check the token address and the contract balance before withdrawing."
+    },
+    EthNotAccepted: {
+        explanation: "Native coin was sent to the presale, which does not accept it.",
+        fix: "Do not send ETH/POL to the presale contract."
+    },
+    FallbackNotAllowed: {
+        explanation: "The call did not match any presale function.",
+        fix: "Check the ABI / function signature used by the caller (e.g. missing orderId argument)."
+    },
+    InvalidStage: {
+        explanation: "The stage number is 0 or above MAX_STAGES (50).",
+        fix: "Use a stage number between 1 and 50."
+    },
+    StageNotActive: {
+        explanation: "The current stage is not active.",
+        fix: "Activate a configured stage with activateStage() (STAGE_MANAGER_ROLE) before recording."
+    },
+    InsufficientStageTokens: {
+        explanation: "Base tokens plus bonuses (base tokens only if the stage has a bonus pool) exceed what is left of the stage's tokensAllocated.",
+        fix: "Quote the order with scripts/quote-engine.js, reduce it, or record it with recordPurchaseAcrossStages()."
+    },
+    InvalidPrice: {
+        explanation: "The stage price is zero (stage not configured).",
+        fix: "Configure the stage with configureStage() before activating it."
+    },
+    StageAlreadyActive: {
+        explanation: "The stage being activated is already the active stage.",
+        fix: "No action needed, or activate a different stage."
+    },
+    InvalidReferrer: {
+        explanation: "A referral purchase was recorded with the zero address as referrer.",
+        fix: "Pass the referrer's address, or use recordPurchase / recordPurchaseWithPromoCode without referral."
+    },
+    ReferrerNotBuyer: {
+        explanation: "buyTokens / buyWithNative only accept a referrer that already holds a live (non-voided) purchase.",
+        fix: "Check userTotalUSDT(referrer) > 0, or buy without a referrer."
+    },
+    SelfReferral: {
+        explanation: "The buyer and the referrer are the same address.",
+        fix: "Drop the referral for this order; buyers cannot refer themselves."
+    },
+    PresaleFinalised: {
+        explanation: "The presale has been finalised; no new receipts can be written.",
+        fix: "Stop recording. Finalisation is permanent."
+    },
+    PriceMismatch: {
+        explanation: "usdtAmount differs from magaxAmount * stage price by more than 1 USDT.",
+        fix: "Derive magaxAmount from the live stage price (scripts/quote-engine.js baseTokensFor)."
+    },
+    InvalidPromoBps: {
+        explanation: "The promo campaign's bonusBps is zero or above maxPromoCapBps (checked at creation and at every use).",
+        fix: "Create the campaign with a bonus between 1 bps and maxPromoCapBps(), or raise the cap through the timelock."
+    },
+    InvalidUsdTarget: {
+        explanation: "The stage usdTarget is zero.",
+        fix: "Configure the stage with a non-zero usdTarget."
+    },
+    PresaleTokenCapExceeded: {
+        explanation: "The purchase (with bonuses) would push totalMAGAX above PRESALE_TOKEN_CAP.",
+        fix: "Reduce the order to the remaining token cap."
+    },
+    StageUsdOverTarget: {
+        explanation: "The purchase overshoots the stage usdTarget by more than 1 USDT.",
+        fix: "Reduce the order to the stage's remaining USD headroom or record it with recordPurchaseAcrossStages()."
+    },
+    StageAlreadyUsed: {
+        explanation: "The stage already has sales and can no longer be reconfigured.",
+        fix: "Configure a different, unused stage."
+    },
+    InvalidAllocation: {
+        explanation: "The stage tokensAllocated is zero.",
+        fix: "Configure the stage with a non-zero token allocation."
+    },
+    InvalidOrderId: {
+        explanation: "The orderId is bytes32(0).",
+        fix: "Derive a unique, non-zero orderId per order (e.g. ethers.id(backendOrderId))."
+    },
+    DuplicateOrderId: {
+        explanation: "This orderId has already been recorded.",
+        fix: "Treat the order as confirmed; look up its receipts with getOrder(orderId)."
+    },
+    InvalidBatchSize: {
+        explanation: "recordPurchaseBatch was called with no records or more than MAX_BATCH_SIZE.",
+        fix: "Send between 1 and MAX_BATCH_SIZE() records per batch."
+    },
+    BatchItemSelfCallOnly: {
+        explanation: "processBatchItem was called directly instead of through recordPurchaseBatch.",
+        fix: "Use recordPurchaseBatch()."
+    },
+    NoNextStage: {
+        explanation: "A split purchase ran past the current stage but the next stage is not configured.",
+        fix: "Configure the next stage (configureStage) before recording the order, or reduce it."
+    },
+    VoucherExpired: {
+        explanation: "The purchase voucher's deadline has passed.",
+        fix: "Ask the backend to issue a fresh voucher (scripts/purchase-vouchers.js create)."
+    },
+    VoucherStageMismatch: {
+        explanation: "The voucher was priced for a stage that is no longer the current stage.",
+        fix: "Re-issue the voucher at the current stage's price."
+    },
+    InvalidVoucherSigner: {
+        explanation: "The voucher signature does not recover to an address holding RECORDER_ROLE (forged, tampered or revoked signer).",
+        fix: "Check the voucher fields are unchanged and that the signing recorder still holds RECORDER_ROLE."
+    },
+    OrderNotFound: {
+        explanation: "voidOrder was called for an orderId that was never recorded.",
+        fix: "Check the orderId (isOrderRecorded) before scheduling the void."
+    },
+    OrderAlreadyVoided: {
+        explanation: "The order has already been voided and its totals rolled back.",
+        fix: "Nothing to do; record a corrected order under a new orderId if needed."
+    },
+    ReceiptNotFound: {
+        explanation: "userReceipts was called with an index past the user's last receipt.",
+        fix: "Read the receipt count from getUserStats (totalPurchases) or page with getReceiptsPaginated."
+    },
+    BonusPoolExhausted: {
+        signature: "BonusPoolExhausted(uint128 available)",
+        explanation: "The order's promo and referral bonuses exceed what is left of the stage's bonus pool; available is what is left (18 decimals).",
+        fix: "Top the pool up with setStageBonusPool(), or record the order without the promo."
+    },
+    InvalidBonusPool: {
+        explanation: "The new bonus pool is smaller than the bonuses live orders already hold in the stage.",
+        fix: "Read getStageBonusPool(stage) and set at least its used amount."
+    },
+    EmergencyAlreadyConfirmed: {
+        explanation: "This EMERGENCY_ROLE holder already confirmed the pending immediate withdrawal.",
+        fix: "Wait for the other signers; check progress with getEmergencyWithdrawStatus(token, to)."
+    },
+    InvalidConfirmationThreshold: {
+        explanation: "The emergency confirmation threshold must be at least 1.",
+        fix: "Schedule setEmergencyConfirmationsRequired with a value between 1 and the number of EMERGENCY_ROLE holders."
+    },
+    InvalidStageWindow: {
+        explanation: "The stage window ends at or before it starts.",
+        fix: "Pass an endTime after startTime, or 0 for an open-ended stage."
+    },
+    StageNotOpen: {
+        explanation: "The current stage's startTime has not been reached yet.",
+        fix: "Wait for the stage to open (getStageWindow), or move its startTime with configureStageWindow."
+    },
+    StageWindowClosed: {
+        explanation: "The current stage's endTime has passed and no later stage could be activated.",
+        fix: "Configure the next stage and enable autoAdvance, or activate the next stage manually."
+    },
+    InvalidPromoCode: {
+        explanation: "The promo code ID is zero.",
+        fix: "Pass keccak256 of the normalised code (scripts/promo-codes.js id <code>)."
+    },
+    PromoCodeExists: {
+        explanation: "A campaign is already registered under this promo code ID.",
+        fix: "Pick a different code; existing campaigns can only be switched on or off."
+    },
+    PromoCodeNotFound: {
+        explanation: "No campaign is registered under this promo code ID.",
+        fix: "Check the code is normalised the same way it was registered (trimmed, upper case)."
+    },
+    PromoCodeInactive: {
+        explanation: "The promo campaign is switched off, not started yet or expired.",
+        fix: "Check the campaign with scripts/promo-codes.js status <code>; record the order without the code."
+    },
+    PromoCodeUsageLimit: {
+        explanation: "The promo code reached its total or per-buyer usage limit.",
+        fix: "Record the order without the code, or register a new campaign."
+    },
+    PromoBudgetExceeded: {
+        explanation: "The promo bonus would take the campaign past its bonus token budget.",
+        fix: "Record the order without the code, or register a new campaign with a fresh budget."
+    },
+    InvalidPromoCampaign: {
+        explanation: "The campaign has no bonus budget, or its endTime is not after its startTime.",
+        fix: "Pass a non-zero bonusBudget and an endTime after startTime (0 = no expiry)."
+    },
+    InvalidReferralBps: {
+        explanation: "A referral rate is above MAX_REFERRAL_BONUS_BPS, or the base referrer rate is not below the first tier.",
+        fix: "Schedule setReferralBonusBps with rates up to MAX_REFERRAL_BONUS_BPS and a referrer rate under getReferralTiers()[0]."
+    },
+    InvalidReferralTiers: {
+        explanation: "Too many tiers, a tier without any threshold, or tier rates that do not increase above the base referrer rate.",
+        fix: "Pass up to MAX_REFERRAL_TIERS tiers, each with minReferrals or minReferredUSDT set and a higher bonusBps than the one before."
+    },
+    UnsupportedPaymentToken: {
+        explanation: "The token is not an accepted payment asset for a direct or recorder purchase, or setPaymentToken was given a token with more than MAX_PAYMENT_DECIMALS decimals.",
+        fix: "Pay with a token accepted in paymentAssets, or accept the stablecoin through the timelock."
+    },
+    PaymentAmountMismatch: {
+        explanation: "The reported assetAmount does not normalize exactly to usdtAmount in the asset's decimals, or an amount was given without an asset (or an asset without an amount).",
+        fix: "Report the raw amount paid in the asset's decimals together with the 6-decimal USD amount it converts to."
+    },
+    TreasuryNotSet: {
+        explanation: "Direct purchases are not open yet because no treasury has been set to receive payments.",
+        fix: "Schedule setTreasury through the timelock before listing payment tokens."
+    },
+    SlippageExceeded: {
+        explanation: "The stage price changed before the transaction was mined and the purchase would give fewer base tokens than minMagaxAmount.",
+        fix: "Re-quote against the current stage and resubmit, or allow more slippage."
+    },
+    InvalidPriceFeed: {
+        explanation: "The native price feed config is invalid: maxPriceAge and referencePrice must be non-zero and maxDeviationBps between 1 and 10000.",
+        fix: "Pass the feed's heartbeat as maxPriceAge and a current answer as referencePrice, or a zero feed to disable native purchases."
+    },
+    StalePrice: {
+        explanation: "The native price feed's latest answer is older than maxPriceAge, or has no update time.",
+        fix: "Wait for the next feed update, or check the feed address and maxPriceAge configured with setNativePriceFeed."
+    },
+    InvalidFeedPrice: {
+        explanation: "The native price feed returned a zero or negative answer.",
+        fix: "Native purchases stay closed until the feed reports a valid price; pay with a stablecoin meanwhile."
+    },
+    PriceDeviationTooHigh: {
+        explanation: "The native price feed's answer is further than maxDeviationBps from the admin-set referencePrice.",
+        fix: "Pay with a stablecoin; if the market really moved, schedule setNativePriceFeed with a new referencePrice through the timelock."
+    },
+    ContributionCapExceeded: {
+        signature: "ContributionCapExceeded(uint128 headroom)",
+        explanation: "The purchase is above the wallet's remaining per-stage or overall USD cap; headroom is what is left (6 decimals).",
+        fix: "Buy at most the headroom, or have the stage manager move the wallet to a higher contribution tier."
+    },
+    InvalidContributionTier: {
+        explanation: "The contribution tier is above MAX_CONTRIBUTION_TIER.",
+        fix: "Use a tier between 0 and MAX_CONTRIBUTION_TIER (10)."
+    },
+    KycRequired: {
+        explanation: "Attestation mode is on and the buyer has no live KYC attestation cached on the presale.",
+        fix: "Submit the buyer's attestation with submitKycAttestation() (scripts/kyc-attestations.js submit), or have them complete KYC."
+    },
+    KycAttestationExpired: {
+        explanation: "The KYC attestation's expiry has passed.",
+        fix: "Issue a fresh attestation for the wallet."
+    },
+    InvalidKycAttestation: {
+        explanation: "The attestation is not signed by a KYC_SIGNER_ROLE holder, was already used or revoked (stale nonce), or names an invalid wallet or tier.",
+        fix: "Issue a new attestation with the wallet's current kycStatus nonce from a KYC signer key."
+    }
+};
+
+// Custom errors declared by MAGAXTokenClaim (InvalidAddress / InvalidAmount are shared with the presale)
+const CLAIM_ERRORS = {
+    InvalidUnlockBps: {
+        explanation: "The TGE unlock share is above 10000 basis points.",
+        fix: "Pass a tgeUnlockBps between 0 and 10000."
+    },
+    InvalidTgeTime: {
+        explanation: "The TGE timestamp is not in the future.",
+        fix: "Schedule TGE after the current block time."
+    },
+    ScheduleNotSet: {
+        explanation: "No vesting schedule has been configured on the claim contract.",
+        fix: "Call setVestingSchedule() (via the timelock) before TGE."
+    },
+    ScheduleLocked: {
+        explanation: "TGE has passed, so the schedule and snapshot root can no longer change.",
+        fix: "None - vesting terms are frozen at TGE."
+    },
+    PresaleNotFinalised: {
+        explanation: "Presale allocations are only readable once the presale is finalised.",
+        fix: "Wait for finalise(), or commit a snapshot root and claim with a proof."
+    },
+    SnapshotActive: {
+        explanation: "A snapshot root is committed, so allocations come from the snapshot, not the presale.",
+        fix: "Use claimWithProof() with the entry from the published proofs file."
+    },
+    NoSnapshot: {
+        explanation: "claimWithProof() was called but no snapshot root is committed.",
+        fix: "Use claim() to claim from presale allocations."
+    },
+    InvalidProof: {
+        explanation: "The Merkle proof does not match (caller, allocation) in the committed snapshot.",
+        fix: "Claim from the address in the snapshot with its exact allocation and proof."
+    },
+    NothingToClaim: {
+        explanation: "Everything unlocked so far has already been claimed (or TGE has not happened yet).",
+        fix: "Check claimableAmount() and try again after more tokens vest."
+    },
+    VestingNotEnded: {
+        explanation: "sweep() only runs once the cliff and the whole vesting period have passed.",
+        fix: "Wait until tgeTime + cliffDuration + vestingDuration."
+    },
+    ExceedsSweepable: {
+        signature: "ExceedsSweepable(uint256)",
+        explanation: "The sweep would take the claim contract below what buyers have not claimed yet.",
+        fix: "Sweep at most sweepableAmount(); set snapshotTotal before TGE in snapshot mode."
+    }
+};
+
+// Errors inherited from OpenZeppelin (AccessControl, Pausable, TimelockController, ERC20, ...)
+const LIBRARY_ERRORS = {
+    AccessControlUnauthorizedAccount: {
+        signature: "AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+        explanation: "The caller does not hold the role required by this function.",
+        fix: "Send from an account holding the role, or have the timelock grant it with grantRole()."
+    },
+    AccessControlBadConfirmation: {
+        signature: "AccessControlBadConfirmation()",
+        explanation: "renounceRole was called for an account other than the caller.",
+        fix: "Accounts can only renounce their own roles; use revokeRole() via the admin instead."
+    },
+    EnforcedPause: {
+        signature: "EnforcedPause()",
+        explanation: "The contract is paused.",
+        fix: "Wait for the admin (timelock) to unpause. A finalised presale stays paused."
+    },
+    ExpectedPause: {
+        signature: "ExpectedPause()",
+        explanation: "unpause was called while the contract is not paused.",
+        fix: "No action needed."
+    },
+    ReentrancyGuardReentrantCall: {
+        signature: "ReentrancyGuardReentrantCall()",
+        explanation: "A nonReentrant function was re-entered.",
+        fix: "Do not call back into the presale from a token hook or callback."
+    },
+    SafeERC20FailedOperation: {
+        signature: "SafeERC20FailedOperation(address token)",
+        explanation: "The token transfer returned false, or the token address has no code.",
+        fix: "Check the token contract, the balance and the allowance for the presale (buyTokens) or the claim contract."
+    },
+    SafeERC20FailedDecreaseAllowance: {
+        signature: "SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)",
+        explanation: "An allowance decrease is larger than the current allowance.",
+        fix: "Decrease by at most currentAllowance."
+    },
+    AddressEmptyCode: {
+        signature: "AddressEmptyCode(address target)",
+        explanation: "A delegatecall target has no code, e.g. the purchase engine address of MAGAXPresalePurchases.",
+        fix: "Check that the engine was deployed on this network and that the presale was deployed with deployPresale()."
+    },
+    FailedCall: {
+        signature: "FailedCall()",
+        explanation: "A low-level call reverted without a reason: the native payment to the treasury was refused, or the purchase engine reverted with no data.",
+        fix: "Check that the treasury accepts the native coin (a contract needs a receive function) and that the engine address is correct."
+    },
+    InsufficientBalance: {
+        signature: "InsufficientBalance(uint256 balance, uint256 needed)",
+        explanation: "The contract holds less native coin than it tried to send.",
+        fix: "Check the contract's native balance; buyWithNative forwards exactly msg.value to the treasury."
+    },
+    SafeCastOverflowedUintDowncast: {
+        signature: "SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+        explanation: "A value does not fit the narrower integer it is stored in, e.g. a receipt's assetAmount share above uint96.",
+        fix: "Record the payment in smaller orders, or report assetAmount in the asset's own decimals rather than 18."
+    },
+    TimelockInvalidOperationLength: {
+        signature: "TimelockInvalidOperationLength(uint256 targets, uint256 payloads, uint256 values)",
+        explanation: "Batch operation arrays have different lengths.",
+        fix: "Pass targets, values and payloads of equal length."
+    },
+    TimelockInsufficientDelay: {
+        signature: "TimelockInsufficientDelay(uint256 delay, uint256 minDelay)",
+        explanation: "The operation was scheduled with less than the 48-hour minimum delay.",
+        fix: "Schedule with delay >= getMinDelay() (172800 seconds)."
+    },
+    TimelockUnexpectedOperationState: {
+        signature: "TimelockUnexpectedOperationState(bytes32 operationId, bytes32 expectedStates)",
+        explanation: "The operation is not in the required state (already scheduled, not ready yet, or already done).",
+        fix: "Check isOperationPending / isOperationReady / isOperationDone before retrying."
+    },
+    TimelockUnexecutedPredecessor: {
+        signature: "TimelockUnexecutedPredecessor(bytes32 predecessorId)",
+        explanation: "The operation depends on a predecessor that has not been executed.",
+        fix: "Execute the predecessor operation first."
+    },
+    TimelockUnauthorizedCaller: {
+        signature: "TimelockUnauthorizedCaller(address caller)",
+        explanation: "Only the timelock itself may call this function.",
+        fix: "Schedule the call through the timelock."
+    },
+    ERC20InsufficientBalance: {
+        signature: "ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+        explanation: "The sender's token balance is too low.",
+        fix: "Fund the sender or reduce the amount."
+    },
+    ERC20InsufficientAllowance: {
+        signature: "ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+        explanation: "The spender's allowance is too low.",
+        fix: "approve() the spender for at least the needed amount."
+    },
+    ERC20InvalidSender: {
+        signature: "ERC20InvalidSender(address sender)",
+        explanation: "Transfer from the zero address.",
+        fix: "Use a valid sender."
+    },
+    ERC20InvalidReceiver: {
+        signature: "ERC20InvalidReceiver(address receiver)",
+        explanation: "Transfer to the zero address.",
+        fix: "Use a valid receiver."
+    },
+    ERC20InvalidApprover: {
+        signature: "ERC20InvalidApprover(address approver)",
+        explanation: "Approval from the zero address.",
+        fix: "Use a valid approver."
+    },
+    ERC20InvalidSpender: {
+        signature: "ERC20InvalidSpender(address spender)",
+        explanation: "Approval for the zero address.",
+        fix: "Use a valid spender."
+    },
+    ERC20ExceededCap: {
+        signature: "ERC20ExceededCap(uint256 increasedSupply, uint256 cap)",
+        explanation: "Minting would exceed the token's supply cap.",
+        fix: "The MAGAX supply is fully minted at deployment; no further minting is possible."
+    },
+    ERC20InvalidCap: {
+        signature: "ERC20InvalidCap(uint256 cap)",
+        explanation: "The token cap is zero.",
+        fix: "Deploy with a non-zero cap."
+    },
+    ERC2612ExpiredSignature: {
+        signature: "ERC2612ExpiredSignature(uint256 deadline)",
+        explanation: "The permit signature deadline has passed.",
+        fix: "Request a new permit signature with a later deadline."
+    },
+    ERC2612InvalidSigner: {
+        signature: "ERC2612InvalidSigner(address signer, address owner)",
+        explanation: "The permit was not signed by the token owner.",
+        fix: "Have the owner sign the permit for the exact owner/spender/value/nonce/deadline."
+    },
+    InvalidAccountNonce: {
+        signature: "InvalidAccountNonce(address account, uint256 currentNonce)",
+        explanation: "The signature used a stale nonce.",
+        fix: "Re-sign with the account's current nonce."
+    },
+    OwnableUnauthorizedAccount: {
+        signature: "OwnableUnauthorizedAccount(address account)",
+        explanation: "Only the token owner can call this function.",
+        fix: "Send from the owner account."
+    },
+    OwnableInvalidOwner: {
+        signature: "OwnableInvalidOwner(address owner)",
+        explanation: "The new owner is the zero address.",
+        fix: "Transfer ownership to a valid address."
+    },
+    ECDSAInvalidSignature: {
+        signature: "ECDSAInvalidSignature()",
+        explanation: "The signature could not be recovered.",
+        fix: "Check the signature bytes."
+    },
+    ECDSAInvalidSignatureLength: {
+        signature: "ECDSAInvalidSignatureLength(uint256 length)",
+        explanation: "The signature has the wrong length.",
+        fix: "Pass a 65-byte signature."
+    },
+    ECDSAInvalidSignatureS: {
+        signature: "ECDSAInvalidSignatureS(bytes32 s)",
+        explanation: "The signature is malleable (high s value).",
+        fix: "Re-sign with a standard library that produces low-s signatures."
+    }
+};
+
+const PANIC_REASONS = {
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x32: "array index out of bounds",
+    0x41: "out of memory"
+};
+
+const ROLE_NAMES = Object.fromEntries(
+    ["RECORDER_ROLE", "STAGE_MANAGER_ROLE", "EMERGENCY_ROLE", "FINALIZER_ROLE", "KYC_SIGNER_ROLE", "GUARDIAN_ROLE"].map(role => [ethers.id(role), role])
+        .concat([[ethers.ZeroHash, "DEFAULT_ADMIN_ROLE"]])
+);
+
+const ERROR_HELP = {
+    ...Object.fromEntries(Object.entries({ ...PRESALE_ERRORS, ...CLAIM_ERRORS }).map(([name, help]) => [name, { signature: `${name}()`, ...help }])),
+    ...LIBRARY_ERRORS
+};
+
+const errorInterface = buildInterface();
+
+function buildInterface() {
+    const fragments = new Map(Object.values(ERROR_HELP).map(help => [help.signature, `error ${help.signature}`]));
+
+    // Pick up errors added to the contracts since this table was written
+    for (const artifact of [
+        "../artifacts/contracts/PreSaleOnChain.sol/MAGAXPresaleReceipts.json",
+        "../artifacts/contracts/MAGAXPresalePurchases.sol/MAGAXPresalePurchases.json",
+        "../artifacts/contracts/MAGAXPresaleAdmin.sol/MAGAXPresaleAdmin.json",
+        "../artifacts/contracts/MAGAXPresaleViews.sol/MAGAXPresaleViews.json",
+        "../artifacts/contracts/MAGAXPresaleEngine.sol/MAGAXPresaleEngine.json",
+        "../artifacts/contracts/MAGAXTimelock.sol/MAGAXTimelock.json",
+        "../artifacts/contracts/MoonShotMAGAX.sol/MoonShotMAGAX.json",
+        "../artifacts/contracts/MAGAXTokenClaim.sol/MAGAXTokenClaim.json"
+    ]) {
+        try {
+            for (const fragment of new ethers.Interface(require(artifact).abi).fragments) {
+                if (fragment.type === "error") fragments.set(fragment.format("sighash"), fragment.format("full"));
+            }
+        } catch (_) {
+            // artifacts not compiled - the built-in table still covers every known error
+        }
+    }
+    return new ethers.Interface([...fragments.values()]);
+}
+
+/**
+ * Find the raw revert data inside an ethers / Hardhat / JSON-RPC error
+ */
+function extractRevertData(error, depth = 0) {
+    if (!error || depth > 5) return null;
+    if (typeof error === "string") return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+    if (typeof error !== "object") return null;
+
+    for (const key of ["data", "error", "info", "cause"]) {
+        const found = extractRevertData(error[key], depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Decode an error or raw revert data
+ * @param {Error|string} errorOrData Thrown error or 0x-prefixed revert data
+ * @returns {{name: string, args: object, selector: string, explanation: string, fix: string, summary: string}|null}
+ */
+function decodeError(errorOrData) {
+    const data = extractRevertData(errorOrData);
+    if (!data) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+
+    if (selector === "0x08c379a0") {
+        const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4));
+        return withSummary({
+            name: "Error",
+            args: { reason },
+            selector,
+            explanation: `Reverted with reason: "${reason}".`,
+            fix: "Check the require() condition named in the reason."
+        });
+    }
+
+    if (selector === "0x4e487b71") {
+        const [code] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], ethers.dataSlice(data, 4));
+        return withSummary({
+            name: "Panic",
+            args: { code: Number(code) },
+            selector,
+            explanation: `Panic: ${PANIC_REASONS[Number(code)] || `code 0x${code.toString(16)}`}.`,
+            fix: "Inputs triggered an internal invariant; verify amounts and stage configuration."
+        });
+    }
+
+    let parsed;
+    try {
+        parsed = errorInterface.parseError(data);
+    } catch (_) {
+        parsed = null;
+    }
+    if (!parsed) {
+        return withSummary({
+            name: "Unknown",
+            args: {},
+            selector,
+            explanation: `Unrecognised revert selector ${selector}.`,
+            fix: "Decode it against the ABI of the contract that was called."
+        });
+    }
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || i] = parsed.args[i];
+    });
+    if (args.neededRole !== undefined) args.neededRole = ROLE_NAMES[args.neededRole] || args.neededRole;
+
+    const help = ERROR_HELP[parsed.name] || {
+        explanation: `Contract reverted with ${parsed.name}.`,
+        fix: "See docs/error-reference.md."
+    };
+    return withSummary({ name: parsed.name, args, selector, explanation: help.explanation, fix: help.fix });
+}
+
+function withSummary(decoded) {
+    const argText = Object.entries(decoded.args).map(([key, value]) => `${key}=${value}`).join(", ");
+    decoded.summary = `${decoded.name}(${argText}): ${decoded.explanation} Fix: ${decoded.fix}`;
+    return decoded;
+}
+
+/**
+ * One-line, human-readable description of any error thrown by a contract call
+ */
+function describeError(error) {
+    const decoded = decodeError(error);
+    if (decoded) return decoded.summary;
+    return (error && (error.shortMessage || error.reason || error.message)) || String(error);
+}
+
+module.exports = { decodeError, describeError, extractRevertData, ERROR_HELP };
@@ -0,0 +1,98 @@
+const { ethers } = require("ethers");
+const { TimelockService } = require("./timelock-service");
+const { describeError } = require("./error-decoder");
+
+/**
+ * Guardian CLI - incident response for the presale
+ *
+ * Fast path (GUARDIAN_ROLE, held by the ops multisig, takes effect immediately):
+ *   pause                              stop all recording
+ *   revoke-recorder <address>          strip RECORDER_ROLE from a recorder key
+ *
+ * Recovery path (timelock proposer / executor, 48h delay):
+ *   propose-unpause                    schedule unpause()
+ *   execute-unpause <salt>
+ *   propose-grant-recorder <address>   schedule grantRole(RECORDER_ROLE, address)
+ *   execute-grant-recorder <address> <salt>
+ *
+ *   status [recorder]                  paused flag and recorder role
+ */
+
+const USAGE = "Usage: node scripts/guardian.js <status|pause|revoke-recorder|propose-unpause|execute-unpause|propose-grant-recorder|execute-grant-recorder> [args]";
+
+/**
+ * Run one CLI command against a TimelockService
+ * @param {TimelockService} service Service connected with the guardian or timelock signer
+ * @param {string} command Command name
+ * @param {string[]} args Positional arguments
+ */
+async function runGuardianCommand(service, command, args = []) {
+    const requireAddress = (value) => {
+        if (!value || !ethers.isAddress(value)) throw new Error(`A valid address is required\n${USAGE}`);
+        return value;
+    };
+    const requireSalt = (value) => {
+        if (!value || !ethers.isHexString(value, 32)) throw new Error(`The 32-byte salt printed by the propose command is required\n${USAGE}`);
+        return value;
+    };
+
+    switch (command) {
+        case "status": {
+            const paused = await service.presale.paused();
+            const status = { paused };
+            if (args[0]) {
+                status.recorder = requireAddress(args[0]);
+                status.isRecorder = await service.presale.hasRole(await service.presale.RECORDER_ROLE(), args[0]);
+            }
+            return status;
+        }
+        case "pause":
+            return service.guardianPause();
+        case "revoke-recorder":
+            return service.guardianRevokeRecorder(requireAddress(args[0]));
+        case "propose-unpause":
+            return service.proposeUnpause();
+        case "execute-unpause":
+            return service.executeUnpause(requireSalt(args[0]));
+        case "propose-grant-recorder":
+            return service.proposeRecorderGrant(requireAddress(args[0]));
+        case "execute-grant-recorder":
+            return service.executeRecorderGrant(requireAddress(args[0]), requireSalt(args[1]));
+        default:
+            throw new Error(USAGE);
+    }
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command, ...args] = process.argv.slice(2);
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const timelockAddress = process.env.TIMELOCK_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!timelockAddress) throw new Error("TIMELOCK_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    // Fast-path commands sign with the guardian key, timelock commands with a proposer / executor key
+    const fastPath = command === "pause" || command === "revoke-recorder";
+    const keyName = fastPath ? "GUARDIAN_PRIVATE_KEY" : "TIMELOCK_PROPOSER_PRIVATE_KEY";
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const signer = process.env[keyName] ? new ethers.Wallet(process.env[keyName], provider) : null;
+    if (!signer && command !== "status") throw new Error(`${keyName} not set in .env`);
+
+    const service = new TimelockService(timelockAddress, presaleAddress, provider, signer || provider);
+    const result = await runGuardianCommand(service, command, args);
+    console.log(JSON.stringify(result, (_, value) => typeof value === "bigint" ? value.toString() : value, 2));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Guardian command failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = { runGuardianCommand };
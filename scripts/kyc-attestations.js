@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+const { voucherDomain } = require("./purchase-vouchers");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * KYC attestations - EIP-712 statements by a KYC_SIGNER_ROLE key that a wallet passed KYC
+ *
+ * An attestation is cached on-chain with submitKycAttestation(); while kycRequired is on,
+ * every purchase path checks that cache for the buyer. Each attestation carries the wallet's
+ * current kycNonce, so it can be submitted once, and revokeKyc() voids both the cached status
+ * and any attestation issued but not yet submitted.
+ */
+
+const KYC_TYPES = {
+    KycAttestation: [
+        { name: "wallet", type: "address" },
+        { name: "tier", type: "uint8" },
+        { name: "expiry", type: "uint40" },
+        { name: "nonce", type: "uint32" }
+    ]
+};
+
+const DEFAULT_VALIDITY_DAYS = 365;
+
+/**
+ * Sign attestations for a list of wallets
+ * @param {ethers.Signer} signer KYC signer wallet (must hold KYC_SIGNER_ROLE on the presale)
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} params
+ * @param {string[]} params.wallets Wallets that passed KYC
+ * @param {number} [params.tier] Contribution tier to grant (0 = KYC only, no cap raise)
+ * @param {number} [params.expiry] Unix timestamp; defaults to the latest block time + 365 days
+ * @returns {Promise<Array<{attestation: object, signature: string}>>}
+ */
+async function issueAttestations(signer, presale, { wallets, tier = 0, expiry }) {
+    const [domain, latest] = await Promise.all([voucherDomain(presale), presale.runner.provider.getBlock("latest")]);
+    // Checked against block.timestamp on submit, so expire relative to chain time
+    const until = expiry || latest.timestamp + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60;
+
+    const signed = [];
+    for (const wallet of wallets) {
+        const status = await presale.kycStatus(wallet);
+        const attestation = {
+            wallet: ethers.getAddress(wallet),
+            tier: Number(tier),
+            expiry: Number(until),
+            nonce: Number(status.nonce)
+        };
+        signed.push({ attestation, signature: await signer.signTypedData(domain, KYC_TYPES, attestation) });
+    }
+    return signed;
+}
+
+/**
+ * Check an attestation the way submitKycAttestation() will, without sending a transaction
+ * @returns {Promise<{valid: boolean, signer: string, reason: string|null}>}
+ */
+async function verifyAttestation(presale, attestation, signature) {
+    const signer = ethers.verifyTypedData(await voucherDomain(presale), KYC_TYPES, attestation, signature);
+    const [isKycSigner, status, maxTier, latest] = await Promise.all([
+        presale.hasRole(await presale.KYC_SIGNER_ROLE(), signer),
+        presale.kycStatus(attestation.wallet),
+        presale.MAX_CONTRIBUTION_TIER(),
+        presale.runner.provider.getBlock("latest")
+    ]);
+
+    let reason = null;
+    if (BigInt(attestation.expiry) <= BigInt(latest.timestamp)) reason = "KycAttestationExpired";
+    else if (BigInt(attestation.tier) > maxTier) reason = "InvalidKycAttestation";
+    else if (BigInt(attestation.nonce) !== status.nonce) reason = "InvalidKycAttestation";  // used or revoked
+    else if (!isKycSigner) reason = "InvalidKycAttestation";
+
+    return { valid: reason === null, signer, reason };
+}
+
+/**
+ * Cache an attestation on-chain; the connected signer pays the gas
+ */
+async function submitAttestation(presale, attestation, signature) {
+    const tx = await presale.submitKycAttestation(attestation, signature);
+    return tx.wait();
+}
+
+/**
+ * Revoke wallets in MAX_BATCH_SIZE chunks
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts connected with a KYC signer or the timelock
+ * @param {string[]} wallets Wallets to revoke
+ * @returns {Promise<string[]>} Transaction hashes, one per chunk
+ */
+async function revokeAttestations(presale, wallets) {
+    const chunkSize = Number(await presale.MAX_BATCH_SIZE());
+    const hashes = [];
+    for (let i = 0; i < wallets.length; i += chunkSize) {
+        const chunk = wallets.slice(i, i + chunkSize);
+        const receipt = await (await presale.revokeKyc(chunk)).wait();
+        console.log(`🚫 Revoked ${chunk.length} wallet(s) in ${receipt.hash}`);
+        hashes.push(receipt.hash);
+    }
+    return hashes;
+}
+
+// Attestations travel as JSON lines between the KYC backend and the submitter
+function serializeAttestation({ attestation, signature }) {
+    return JSON.stringify({ attestation, signature });
+}
+
+function parseAttestation(json) {
+    const { attestation, signature } = typeof json === "string" ? JSON.parse(json) : json;
+    return {
+        attestation: {
+            wallet: attestation.wallet,
+            tier: Number(attestation.tier),
+            expiry: Number(attestation.expiry),
+            nonce: Number(attestation.nonce)
+        },
+        signature
+    };
+}
+
+// A wallet address, or a file with one address per line
+function readWallets(arg) {
+    if (ethers.isAddress(arg)) return [arg];
+    return require("fs").readFileSync(arg, "utf8")
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"));
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command, ...args] = process.argv.slice(2);
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const abi = presaleAbi();
+    const presale = new ethers.Contract(presaleAddress, abi, provider);
+    const kycSigner = () => {
+        if (!process.env.KYC_SIGNER_PRIVATE_KEY) throw new Error("KYC_SIGNER_PRIVATE_KEY not set in .env");
+        return new ethers.Wallet(process.env.KYC_SIGNER_PRIVATE_KEY, provider);
+    };
+
+    if (command === "issue") {
+        const [walletsArg, tier = "0", days = String(DEFAULT_VALIDITY_DAYS)] = args;
+        if (!walletsArg) throw new Error("Usage: node scripts/kyc-attestations.js issue <wallet|wallets.txt> [tier] [days]");
+
+        const latest = await provider.getBlock("latest");
+        const signed = await issueAttestations(kycSigner(), presale, {
+            wallets: readWallets(walletsArg),
+            tier: Number(tier),
+            expiry: latest.timestamp + Number(days) * 24 * 60 * 60
+        });
+        for (const entry of signed) console.log(serializeAttestation(entry));
+    } else if (command === "submit") {
+        if (!args[0]) throw new Error("Usage: node scripts/kyc-attestations.js submit <attestations.jsonl>");
+        const submitter = presale.connect(kycSigner());
+        const lines = require("fs").readFileSync(args[0], "utf8").split(/\r?\n/).filter(Boolean);
+        for (const line of lines) {
+            const { attestation, signature } = parseAttestation(line);
+            const result = await verifyAttestation(presale, attestation, signature);
+            if (!result.valid) {
+                console.log(`⚠️  Skipping ${attestation.wallet}: ${result.reason}`);
+                continue;
+            }
+            await submitAttestation(submitter, attestation, signature);
+            console.log(`✅ ${attestation.wallet} verified (tier ${attestation.tier})`);
+        }
+    } else if (command === "revoke") {
+        if (!args[0]) throw new Error("Usage: node scripts/kyc-attestations.js revoke <wallet|wallets.txt>");
+        await revokeAttestations(presale.connect(kycSigner()), readWallets(args[0]));
+    } else if (command === "status") {
+        if (!args[0]) throw new Error("Usage: node scripts/kyc-attestations.js status <wallet>");
+        const [status, required] = await Promise.all([presale.isKycVerified(args[0]), presale.kycRequired()]);
+        console.log("KYC required:", required);
+        console.log("Verified:", status.verified, "tier", Number(status.tier));
+        if (status.expiry > 0n) console.log("Expires:", new Date(Number(status.expiry) * 1000).toISOString());
+    } else {
+        throw new Error("Usage: node scripts/kyc-attestations.js <issue|submit|revoke|status> ...");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("KYC command failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    KYC_TYPES,
+    issueAttestations,
+    verifyAttestation,
+    submitAttestation,
+    revokeAttestations,
+    serializeAttestation,
+    parseAttestation
+};
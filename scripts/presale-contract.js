@@ -0,0 +1,111 @@
+const { ethers } = require("ethers");
+
+/**
+ * Presale contract helper - MAGAXPresaleReceipts is split across a main contract and
+ * delegatecall extensions to stay under the EIP-170 size limit, so its full ABI is the
+ * union of their artifacts. Scripts, services and tests go through here instead of
+ * reading the main artifact on its own.
+ */
+
+// Main contract first, then the fallback chain in delegatecall order
+const PRESALE_ARTIFACTS = [
+    { file: "PreSaleOnChain.sol", name: "MAGAXPresaleReceipts" },
+    { file: "MAGAXPresalePurchases.sol", name: "MAGAXPresalePurchases" },
+    { file: "MAGAXPresaleAdmin.sol", name: "MAGAXPresaleAdmin" },
+    { file: "MAGAXPresaleViews.sol", name: "MAGAXPresaleViews" }
+];
+
+// Delegatecalled by MAGAXPresalePurchases, never reached through the presale address
+const ENGINE_ARTIFACT = { file: "MAGAXPresaleEngine.sol", name: "MAGAXPresaleEngine" };
+
+// Extension wiring getters - they only answer when an extension is called directly
+const EXTENSION_ONLY = new Set(["nextExtension", "engine"]);
+
+let cachedAbi;
+
+function artifactAbi({ file, name }) {
+    return require(`../artifacts/contracts/${file}/${name}.json`).abi;
+}
+
+/**
+ * Full presale ABI: every function, event and error reachable at the presale address
+ */
+function presaleAbi() {
+    if (cachedAbi) return cachedAbi;
+    const fragments = new Map();
+    PRESALE_ARTIFACTS.forEach((artifact, index) => {
+        for (const fragment of new ethers.Interface(artifactAbi(artifact)).fragments) {
+            // Constructor, receive and fallback of the presale address are the main contract's
+            if (index > 0 && !["function", "event", "error"].includes(fragment.type)) continue;
+            if (index > 0 && fragment.type === "function" && EXTENSION_ONLY.has(fragment.name)) continue;
+            const key = ["function", "event", "error"].includes(fragment.type) ? `${fragment.type}:${fragment.format("sighash")}` : fragment.type;
+            if (!fragments.has(key)) fragments.set(key, fragment.format("json"));
+        }
+    });
+    // The engine runs in the presale's context, so its events and errors surface there too
+    for (const fragment of new ethers.Interface(artifactAbi(ENGINE_ARTIFACT)).fragments) {
+        if (fragment.type !== "event" && fragment.type !== "error") continue;
+        const key = `${fragment.type}:${fragment.format("sighash")}`;
+        if (!fragments.has(key)) fragments.set(key, fragment.format("json"));
+    }
+    cachedAbi = [...fragments.values()].map(json => JSON.parse(json));
+    return cachedAbi;
+}
+
+/**
+ * Attach to a deployed presale with the full ABI
+ * @param {string} address Presale (main contract) address
+ * @param {ethers.ContractRunner} runner Signer or provider
+ */
+function presaleAt(address, runner) {
+    return new ethers.Contract(address, presaleAbi(), runner);
+}
+
+/**
+ * Deploy the engine and the extension chain the presale delegates to
+ * @param {ethers.Signer} [signer] Deployer, the first Hardhat account by default
+ * @param {object} [overrides] Transaction overrides for every deployment
+ * @returns {Promise<{engine: ethers.Contract, views: ethers.Contract, admin: ethers.Contract, purchases: ethers.Contract}>}
+ */
+async function deployPresaleExtensions(signer, overrides = {}) {
+    const hre = require("hardhat");
+    const deploy = async (name, args = []) => {
+        const Factory = await hre.ethers.getContractFactory(name, signer);
+        const contract = await Factory.deploy(...args, overrides);
+        await contract.waitForDeployment();
+        return contract;
+    };
+
+    const engine = await deploy(ENGINE_ARTIFACT.name);
+    const views = await deploy("MAGAXPresaleViews");
+    const admin = await deploy("MAGAXPresaleAdmin", [views.target]);
+    const purchases = await deploy("MAGAXPresalePurchases", [admin.target, engine.target]);
+    return { engine, views, admin, purchases };
+}
+
+/**
+ * Deploy a complete presale: the extension chain, then MAGAXPresaleReceipts pointing at it
+ * @param {string} recorder RECORDER_ROLE holder
+ * @param {string} stageManager STAGE_MANAGER_ROLE holder
+ * @param {string} admin DEFAULT_ADMIN_ROLE holder (the timelock outside local runs)
+ * @param {ethers.Signer} [signer] Deployer, the first Hardhat account by default
+ * @param {object} [overrides] Transaction overrides for every deployment
+ * @returns {Promise<ethers.Contract>} The presale with the full ABI, connected to the deployer
+ */
+async function deployPresale(recorder, stageManager, admin, signer, overrides = {}) {
+    const hre = require("hardhat");
+    const extensions = await deployPresaleExtensions(signer, overrides);
+    const Presale = await hre.ethers.getContractFactory("MAGAXPresaleReceipts", signer);
+    const main = await Presale.deploy(recorder, stageManager, admin, extensions.purchases.target, overrides);
+    await main.waitForDeployment();
+    return presaleAt(main.target, main.runner);
+}
+
+module.exports = {
+    PRESALE_ARTIFACTS,
+    ENGINE_ARTIFACT,
+    presaleAbi,
+    presaleAt,
+    deployPresaleExtensions,
+    deployPresale
+};
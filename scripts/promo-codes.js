@@ -0,0 +1,136 @@
+const { ethers } = require("ethers");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * Promo codes - campaigns registered on-chain by code ID
+ *
+ * Only keccak256 of the normalised code is stored, so codes are not readable from the
+ * contract. Purchases reference the code ID through recordPurchaseWithPromoCode*, and the
+ * contract enforces the campaign's window, usage limits and bonus token budget.
+ */
+
+// Codes are case-insensitive for buyers: "summer25 " and "SUMMER25" hit the same campaign
+function normalizePromoCode(code) {
+    const normalized = String(code).trim().toUpperCase();
+    if (!normalized) throw new Error("Promo code must not be empty");
+    return normalized;
+}
+
+function promoCodeId(code) {
+    return ethers.id(normalizePromoCode(code));
+}
+
+/**
+ * Register a campaign (signer must hold STAGE_MANAGER_ROLE)
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts connected with the stage manager
+ * @param {object} params
+ * @param {string} params.code Plain promo code
+ * @param {number} params.bonusBps Promo bonus in basis points
+ * @param {bigint} params.bonusBudget Bonus tokens the campaign may hand out (18 decimals)
+ * @param {number} [params.startTime] Unix timestamp; defaults to 0 (open immediately)
+ * @param {number} [params.endTime] Unix timestamp; defaults to 0 (no expiry)
+ * @param {number} [params.maxUses] Orders allowed in total (0 = unlimited)
+ * @param {number} [params.maxUsesPerUser] Orders allowed per buyer (0 = unlimited)
+ */
+async function createCampaign(presale, params) {
+    const codeId = promoCodeId(params.code);
+    const tx = await presale.createPromoCampaign(
+        codeId,
+        params.bonusBps,
+        params.startTime || 0,
+        params.endTime || 0,
+        params.bonusBudget,
+        params.maxUses || 0,
+        params.maxUsesPerUser || 0
+    );
+    const receipt = await tx.wait();
+    return { codeId, txHash: receipt.hash };
+}
+
+/**
+ * Campaign terms and usage for a plain code or a code ID
+ */
+async function getCampaign(presale, codeOrId) {
+    const codeId = ethers.isHexString(codeOrId, 32) ? codeOrId : promoCodeId(codeOrId);
+    const [campaign, stats] = await Promise.all([
+        presale.promoCampaigns(codeId),
+        presale.getPromoCampaignStats(codeId)
+    ]);
+    return {
+        codeId,
+        bonusBps: Number(campaign.bonusBps),
+        startTime: Number(campaign.startTime),
+        endTime: Number(campaign.endTime),
+        maxUses: Number(campaign.maxUses),
+        maxUsesPerUser: Number(campaign.maxUsesPerUser),
+        active: campaign.active,
+        bonusBudget: campaign.bonusBudget,
+        uses: Number(stats.uses),
+        bonusUsed: stats.bonusUsed,
+        bonusRemaining: stats.bonusRemaining,
+        live: stats.live
+    };
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command, ...args] = process.argv.slice(2);
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const abi = presaleAbi();
+    const presale = new ethers.Contract(presaleAddress, abi, provider);
+
+    if (command === "id") {
+        if (!args[0]) throw new Error("Usage: node scripts/promo-codes.js id <code>");
+        console.log(promoCodeId(args[0]));
+    } else if (command === "create") {
+        const [code, bonusBps, budget, endTime = "0", maxUses = "0", maxUsesPerUser = "0"] = args;
+        if (!code || !bonusBps || !budget) {
+            throw new Error("Usage: node scripts/promo-codes.js create <code> <bonusBps> <budgetMAGAX> [endTime] [maxUses] [maxUsesPerUser]");
+        }
+        if (!process.env.STAGE_MANAGER_PRIVATE_KEY) throw new Error("STAGE_MANAGER_PRIVATE_KEY not set in .env");
+
+        const signer = new ethers.Wallet(process.env.STAGE_MANAGER_PRIVATE_KEY, provider);
+        const result = await createCampaign(presale.connect(signer), {
+            code,
+            bonusBps: Number(bonusBps),
+            bonusBudget: ethers.parseUnits(budget, 18),
+            endTime: Number(endTime),
+            maxUses: Number(maxUses),
+            maxUsesPerUser: Number(maxUsesPerUser)
+        });
+        console.log("✅ Campaign created:", result.codeId, "tx", result.txHash);
+    } else if (command === "status") {
+        if (!args[0]) throw new Error("Usage: node scripts/promo-codes.js status <code|codeId>");
+        const campaign = await getCampaign(presale, args[0]);
+        console.log("Code ID:", campaign.codeId);
+        console.log("  Bonus:", campaign.bonusBps / 100, "%");
+        console.log("  Uses:", campaign.uses, campaign.maxUses ? `/ ${campaign.maxUses}` : "(unlimited)");
+        console.log("  Budget used:", ethers.formatUnits(campaign.bonusUsed, 18), "/", ethers.formatUnits(campaign.bonusBudget, 18), "MAGAX");
+        console.log("  Live:", campaign.live);
+    } else {
+        throw new Error("Usage: node scripts/promo-codes.js <id|create|status> ...");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Promo code command failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    normalizePromoCode,
+    promoCodeId,
+    createCampaign,
+    getCampaign
+};
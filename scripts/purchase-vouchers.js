@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+const { baseTokensFor } = require("./quote-engine");
+const { describeError } = require("./error-decoder");
+const { promoCodeId } = require("./promo-codes");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * Purchase vouchers - EIP-712 signed purchases redeemable through redeemVoucher()
+ *
+ * The recorder signs a voucher off-chain; the buyer (or any relayer) submits it and pays
+ * the gas. A voucher is only valid while its signer holds RECORDER_ROLE, before its
+ * deadline, in the stage it was quoted for, and until its orderId is recorded. A promo
+ * code is checked against its campaign when the voucher is redeemed, not when it is signed.
+ */
+
+const VOUCHER_TYPES = {
+    PurchaseVoucher: [
+        { name: "buyer", type: "address" },
+        { name: "usdtAmount", type: "uint128" },
+        { name: "magaxAmount", type: "uint128" },
+        { name: "codeId", type: "bytes32" },
+        { name: "referrer", type: "address" },
+        { name: "orderId", type: "bytes32" },
+        { name: "asset", type: "address" },
+        { name: "assetAmount", type: "uint128" },
+        { name: "stage", type: "uint8" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Read the EIP-712 domain from the contract (ERC-5267)
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ */
+async function voucherDomain(presale) {
+    const domain = await presale.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+/**
+ * Build and sign a voucher for the current stage
+ * @param {ethers.Signer} signer Recorder wallet (must hold RECORDER_ROLE on the presale)
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} params
+ * @param {string} params.buyer Buyer address
+ * @param {bigint} params.usdtAmount USDT paid (6 decimals)
+ * @param {bigint} [params.magaxAmount] Base tokens; defaults to baseTokensFor(usdt, current price)
+ * @param {string} [params.code] Plain promo code of a registered campaign (undefined = none)
+ * @param {string} [params.referrer] Referrer address (zero / undefined = none)
+ * @param {string} params.orderId bytes32 order identifier
+ * @param {string} [params.asset] Accepted payment asset (undefined = not reported)
+ * @param {bigint} [params.assetAmount] Raw amount paid in the asset's decimals
+ * @param {number} [params.deadline] Unix timestamp; defaults to the latest block time + 24h
+ * @returns {Promise<{voucher: object, signature: string}>}
+ */
+async function createVoucher(signer, presale, params) {
+    // redeemVoucher applies any due auto-advance before comparing stages
+    const stage = await presale.getEffectiveStage();
+    const [stageInfo, latest] = await Promise.all([
+        presale.getStageInfo(stage),
+        presale.runner.provider.getBlock("latest")
+    ]);
+    const usdtAmount = BigInt(params.usdtAmount);
+
+    const voucher = {
+        buyer: params.buyer,
+        usdtAmount,
+        magaxAmount: params.magaxAmount !== undefined
+            ? BigInt(params.magaxAmount)
+            : baseTokensFor(usdtAmount, stageInfo.pricePerToken),
+        codeId: params.code ? promoCodeId(params.code) : ethers.ZeroHash,
+        referrer: params.referrer || ethers.ZeroAddress,
+        orderId: params.orderId,
+        asset: params.asset || ethers.ZeroAddress,
+        assetAmount: params.asset ? BigInt(params.assetAmount) : 0n,
+        stage: Number(stage),
+        // redeemVoucher compares against block.timestamp, so expire relative to chain time
+        deadline: BigInt(params.deadline || latest.timestamp + DEFAULT_TTL_SECONDS)
+    };
+
+    const signature = await signer.signTypedData(await voucherDomain(presale), VOUCHER_TYPES, voucher);
+    return { voucher, signature };
+}
+
+/**
+ * Check a voucher the way redeemVoucher() will, without sending a transaction
+ * @returns {Promise<{valid: boolean, signer: string, reason: string|null}>}
+ */
+async function verifyVoucher(presale, voucher, signature) {
+    const signer = ethers.verifyTypedData(await voucherDomain(presale), VOUCHER_TYPES, voucher, signature);
+    const [isRecorder, currentStage, recorded, latest, campaign, payment] = await Promise.all([
+        presale.hasRole(await presale.RECORDER_ROLE(), signer),
+        presale.getEffectiveStage(),
+        presale.isOrderRecorded(voucher.orderId),
+        presale.runner.provider.getBlock("latest"),
+        voucher.codeId === ethers.ZeroHash ? null : presale.promoCampaigns(voucher.codeId),
+        voucher.asset === ethers.ZeroAddress ? null : presale.paymentAssets(voucher.asset)
+    ]);
+
+    let reason = null;
+    if (BigInt(latest.timestamp) > BigInt(voucher.deadline)) reason = "VoucherExpired";
+    else if (Number(voucher.stage) !== Number(currentStage)) reason = "VoucherStageMismatch";
+    else if (!isRecorder) reason = "InvalidVoucherSigner";
+    else if (recorded) reason = "DuplicateOrderId";
+    else if (campaign && campaign.bonusBps === 0n) reason = "PromoCodeNotFound";
+    else if (payment && !payment.accepted) reason = "UnsupportedPaymentToken";
+
+    return { valid: reason === null, signer, reason };
+}
+
+/**
+ * Submit a voucher; the connected signer pays the gas
+ */
+async function redeemVoucher(presale, voucher, signature) {
+    const tx = await presale.redeemVoucher(voucher, signature);
+    return tx.wait();
+}
+
+// Vouchers travel as JSON between the backend and the buyer's wallet
+function serializeVoucher({ voucher, signature }) {
+    return JSON.stringify({ voucher, signature }, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+function parseVoucher(json) {
+    const { voucher, signature } = typeof json === "string" ? JSON.parse(json) : json;
+    return {
+        voucher: {
+            ...voucher,
+            usdtAmount: BigInt(voucher.usdtAmount),
+            magaxAmount: BigInt(voucher.magaxAmount),
+            assetAmount: BigInt(voucher.assetAmount || 0),
+            stage: Number(voucher.stage),
+            deadline: BigInt(voucher.deadline)
+        },
+        signature
+    };
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [command, ...args] = process.argv.slice(2);
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const abi = presaleAbi();
+    const presale = new ethers.Contract(presaleAddress, abi, provider);
+
+    if (command === "create") {
+        const [buyer, usdt, orderId, code, referrer] = args;
+        if (!buyer || !usdt || !orderId) {
+            throw new Error("Usage: node scripts/purchase-vouchers.js create <buyer> <usdt> <orderId> [promoCode|-] [referrer]");
+        }
+        if (!process.env.RECORDER_PRIVATE_KEY) throw new Error("RECORDER_PRIVATE_KEY not set in .env");
+
+        const signer = new ethers.Wallet(process.env.RECORDER_PRIVATE_KEY, provider);
+        const signed = await createVoucher(signer, presale, {
+            buyer,
+            usdtAmount: ethers.parseUnits(usdt, 6),
+            code: code && code !== "-" ? code : undefined,
+            referrer,
+            orderId: ethers.id(orderId)
+        });
+        console.log(serializeVoucher(signed));
+    } else if (command === "verify") {
+        if (!args[0]) throw new Error("Usage: node scripts/purchase-vouchers.js verify <voucher.json>");
+        const { voucher, signature } = parseVoucher(require("fs").readFileSync(args[0], "utf8"));
+        const result = await verifyVoucher(presale, voucher, signature);
+        console.log("Signer:", result.signer);
+        console.log("Verdict:", result.valid ? "VALID" : `INVALID (${result.reason})`);
+    } else {
+        throw new Error("Usage: node scripts/purchase-vouchers.js <create|verify> ...");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Voucher command failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    voucherDomain,
+    createVoucher,
+    verifyVoucher,
+    redeemVoucher,
+    serializeVoucher,
+    parseVoucher
+};
@@ -0,0 +1,319 @@
+const { ethers } = require("ethers");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
+
+/**
+ * Quote engine - exact off-chain mirror of MAGAXPresaleReceipts pricing and bonus math
+ *
+ * All amounts are bigint in contract units (USDT 6 decimals, MAGAX 18 decimals).
+ * quotePurchase() is pure: it works on a state snapshot from fetchPresaleState() and
+ * reproduces the contract's checks in the same order, so `error` is the custom error
+ * the matching recordPurchase* call would revert with (or null when it would succeed).
+ */
+
+const ONE_TOKEN = 10n ** 18n;
+const USD_TOLERANCE = 1_000_000n; // ±1 USDT, see _validatePrice / usdTarget overshoot
+
+/**
+ * Snapshot everything the contract reads while recording a purchase
+ * @param {ethers.Contract} presale MAGAXPresaleReceipts instance
+ * @param {object} [referral] Referral rates depend on the referrer's tier and on whether
+ *     the referrer has a referrer of their own, so pass the order's addresses to quote them
+ * @param {string} [referral.referrer] Referrer address
+ * @param {string} [referral.buyer] Buyer address, also used for the KYC check and contribution cap headroom
+ */
+async function fetchPresaleState(presale, { referrer, buyer } = {}) {
+    // A due auto-advance happens at the start of the next purchase, so quote that stage
+    const [stage, currentStage] = await Promise.all([presale.getEffectiveStage(), presale.currentStage()]);
+    const [
+        stageInfo, stageWindow, latest, paused, finalised, totalUSDT, totalMAGAX, maxPromoCapBps,
+        maxPurchase, maxTotal, tokenCap, referrerBps, refereeBps, secondLevelBps, basisPoints, maxStages,
+        contributionHeadroom, kycRequired, kyc, bonusPool
+    ] = await Promise.all([
+        presale.getStageInfo(stage),
+        presale.getStageWindow(stage),
+        presale.runner.provider.getBlock("latest"),
+        presale.paused(),
+        presale.finalised(),
+        presale.totalUSDT(),
+        presale.totalMAGAX(),
+        presale.maxPromoCapBps(),
+        presale.MAX_PURCHASE_USDT(),
+        presale.MAX_TOTAL_USDT(),
+        presale.PRESALE_TOKEN_CAP(),
+        referrer && referrer !== ethers.ZeroAddress
+            ? presale.getReferralTier(referrer).then(tier => tier.bonusBps)
+            : presale.referrerBonusBps(),
+        presale.refereeBonusBps(),
+        secondLevelBonusBpsFor(presale, referrer, buyer),
+        presale.BASIS_POINTS(),
+        presale.MAX_STAGES(),
+        buyer ? presale.getContributionHeadroom(buyer, stage) : null,
+        presale.kycRequired(),
+        buyer ? presale.isKycVerified(buyer) : null,
+        presale.getStageBonusPool(stage)
+    ]);
+
+    return {
+        stage: Number(stage),
+        pricePerToken: stageInfo.pricePerToken,
+        tokensAllocated: stageInfo.tokensAllocated,
+        tokensSold: stageInfo.tokensSold,
+        usdTarget: stageInfo.usdTarget,
+        usdRaised: stageInfo.usdRaised,
+        bonusPool: bonusPool.allocated,     // 0 = bonuses count against tokensAllocated
+        bonusPoolAvailable: bonusPool.available,
+        // The stage an auto-advance moves into is activated before the purchase is checked
+        isActive: stageInfo.isActive || stage !== currentStage,
+        startTime: BigInt(stageWindow.startTime),
+        endTime: BigInt(stageWindow.endTime),
+        timestamp: BigInt(latest.timestamp),
+        paused,
+        finalised,
+        totalUSDT,
+        totalMAGAX,
+        maxPromoCapBps: BigInt(maxPromoCapBps),
+        maxPurchaseUsdt: maxPurchase,
+        maxTotalUsdt: maxTotal,
+        presaleTokenCap: tokenCap,
+        referrerBonusBps: BigInt(referrerBps),
+        refereeBonusBps: BigInt(refereeBps),
+        secondLevelBonusBps: BigInt(secondLevelBps),
+        basisPoints: BigInt(basisPoints),
+        maxStages: Number(maxStages),
+        contributionHeadroom,   // null when no buyer was given
+        kycBlocked: kycRequired && kyc !== null && !kyc.verified
+    };
+}
+
+// Mirrors _secondLevelReferrer: paid to the referrer's own referrer unless that is the buyer
+async function secondLevelBonusBpsFor(presale, referrer, buyer) {
+    if (!referrer || referrer === ethers.ZeroAddress) return 0n;
+    const [bps, secondReferrer] = await Promise.all([presale.secondLevelBonusBps(), presale.userReferrer(referrer)]);
+    if (secondReferrer === ethers.ZeroAddress) return 0n;
+    if (buyer && secondReferrer.toLowerCase() === buyer.toLowerCase()) return 0n;
+    return bps;
+}
+
+/**
+ * floor(usdt * 1e18 / price) - the base token amount the contract expects for a USDT amount
+ */
+function baseTokensFor(usdtAmount, pricePerToken) {
+    if (pricePerToken === 0n) return 0n;
+    return (usdtAmount * ONE_TOKEN) / pricePerToken;
+}
+
+/**
+ * Mirrors _validatePrice: usdt must be within ±1 USDT of magax * price / 1e18
+ */
+function isPriceConsistent(usdtAmount, magaxAmount, pricePerToken) {
+    const expected = (magaxAmount * pricePerToken) / ONE_TOKEN;
+    const diff = usdtAmount > expected ? usdtAmount - expected : expected - usdtAmount;
+    return diff <= USD_TOLERANCE;
+}
+
+/**
+ * Mirrors _calculateBonuses / _calculatePromoBonus (all floor divisions on the base amount)
+ */
+function calculateBonuses(magaxAmount, state, { promoBps = 0, hasReferrer = false } = {}) {
+    const promoBonus = promoBps > 0 ? (magaxAmount * BigInt(promoBps)) / state.basisPoints : 0n;
+    const referrerBonus = hasReferrer ? (magaxAmount * state.referrerBonusBps) / state.basisPoints : 0n;
+    const refereeBonus = hasReferrer ? (magaxAmount * state.refereeBonusBps) / state.basisPoints : 0n;
+    const secondLevelBps = state.secondLevelBonusBps || 0n;
+    const secondLevelBonus = hasReferrer ? (magaxAmount * secondLevelBps) / state.basisPoints : 0n;
+    return { promoBonus, referrerBonus, refereeBonus, secondLevelBonus };
+}
+
+/**
+ * Select the recordPurchase* variant the recorder would call
+ * (promo bonuses are only recorded through a registered promo code)
+ */
+function purchaseMethod(hasPromo, hasReferrer) {
+    if (hasPromo && hasReferrer) return "recordPurchaseWithPromoCodeAndReferral";
+    if (hasPromo) return "recordPurchaseWithPromoCode";
+    if (hasReferrer) return "recordPurchaseWithReferral";
+    return "recordPurchase";
+}
+
+/**
+ * Quote a purchase against a state snapshot
+ * @param {object} state Result of fetchPresaleState()
+ * @param {object} params
+ * @param {bigint} params.usdtAmount USDT paid (6 decimals)
+ * @param {bigint} [params.magaxAmount] Base tokens to record; defaults to baseTokensFor(usdt, price)
+ * @param {number} [params.promoBps] Bonus of the order's promo campaign in basis points (0 = none)
+ * @param {string} [params.referrer] Referrer address (zero / undefined = none)
+ * @param {string} [params.buyer] Buyer address, used for the address checks when given
+ */
+function quotePurchase(state, params) {
+    const usdtAmount = BigInt(params.usdtAmount);
+    const promoBps = Number(params.promoBps || 0);
+    const referrer = params.referrer || ethers.ZeroAddress;
+    const hasReferrer = referrer !== ethers.ZeroAddress;
+    const buyer = params.buyer;
+    const magaxAmount = params.magaxAmount !== undefined
+        ? BigInt(params.magaxAmount)
+        : baseTokensFor(usdtAmount, state.pricePerToken);
+
+    const method = purchaseMethod(promoBps > 0, hasReferrer);
+    const { promoBonus, referrerBonus, refereeBonus, secondLevelBonus } = calculateBonuses(magaxAmount, state, { promoBps, hasReferrer });
+    const buyerTokens = magaxAmount + promoBonus + refereeBonus;
+    const stageTokens = buyerTokens + referrerBonus + secondLevelBonus;
+    // Mirrors _saleBonus: with a bonus pool only the base tokens use the sale allocation
+    const hasBonusPool = (state.bonusPool || 0n) > 0n;
+    const saleTokens = hasBonusPool ? magaxAmount : stageTokens;
+
+    const quote = {
+        method,
+        stage: state.stage,
+        pricePerToken: state.pricePerToken,
+        usdtAmount,
+        baseTokens: magaxAmount,
+        promoBonus,
+        refereeBonus,
+        referrerBonus,
+        secondLevelBonus,
+        buyerTokens,
+        stageTokens,
+        stageTokensRemaining: state.tokensAllocated > state.tokensSold ? state.tokensAllocated - state.tokensSold : 0n,
+        stageUsdRemaining: state.usdTarget > state.usdRaised ? state.usdTarget - state.usdRaised : 0n,
+        bonusPoolRemaining: hasBonusPool ? state.bonusPoolAvailable : null,
+        contributionHeadroom: state.contributionHeadroom ?? null
+    };
+
+    const poolShort = hasBonusPool && stageTokens - magaxAmount > state.bonusPoolAvailable;
+    const error = firstRevert(state, {
+        method, buyer, referrer, hasReferrer, usdtAmount, magaxAmount, promoBps, stageTokens, saleTokens, poolShort
+    });
+    return { ...quote, ok: error === null, error };
+}
+
+// Replays the contract's checks in call order and returns the first custom error hit
+function firstRevert(state, p) {
+    if (state.paused) return "EnforcedPause";
+    if (state.finalised) return "PresaleFinalised";
+
+    const validStage = state.stage !== 0 && state.stage <= state.maxStages;
+    const stageOverflow = state.tokensAllocated > 0n && state.tokensSold + p.saleTokens > state.tokensAllocated;
+
+    if (p.method === "recordPurchase" || p.method === "recordPurchaseWithPromoCode") {
+        const purchaseError = validatePurchase(state, p, false);
+        if (purchaseError) return purchaseError;
+        if (p.method === "recordPurchaseWithPromoCode" && !isPromoValid(state, p.promoBps)) return "InvalidPromoBps";
+        const windowError = stageWindowError(state);
+        if (windowError) return windowError;
+        // _validateStage checks the base amount only
+        if (!validStage) return "InvalidStage";
+        if (!state.isActive) return "StageNotActive";
+        if (state.tokensAllocated > 0n && state.tokensSold + p.magaxAmount > state.tokensAllocated) return "InsufficientStageTokens";
+        if (!isPriceConsistent(p.usdtAmount, p.magaxAmount, state.pricePerToken)) return "PriceMismatch";
+        if (p.poolShort) return "BonusPoolExhausted";
+        if (stageOverflow) return "InsufficientStageTokens";
+    } else {
+        if (p.method === "recordPurchaseWithPromoCodeAndReferral" && !isPromoValid(state, p.promoBps)) return "InvalidPromoBps";
+        const purchaseError = validatePurchase(state, p, true);
+        if (purchaseError) return purchaseError;
+        const windowError = stageWindowError(state);
+        if (windowError) return windowError;
+        if (!validStage) return "InvalidStage";
+        if (!state.isActive) return "StageNotActive";
+        if (!isPriceConsistent(p.usdtAmount, p.magaxAmount, state.pricePerToken)) return "PriceMismatch";
+        if (p.poolShort) return "BonusPoolExhausted";
+        if (stageOverflow) return "InsufficientStageTokens";
+    }
+
+    if (state.totalMAGAX + p.stageTokens > state.presaleTokenCap) return "PresaleTokenCapExceeded";
+    if (state.usdTarget > 0n) {
+        const afterUsd = state.usdRaised + p.usdtAmount;
+        if (afterUsd > state.usdTarget && afterUsd - state.usdTarget > USD_TOLERANCE) return "StageUsdOverTarget";
+    }
+    if (state.kycBlocked) return "KycRequired";
+    if (state.contributionHeadroom != null && p.usdtAmount > state.contributionHeadroom) return "ContributionCapExceeded";
+    return null;
+}
+
+// Mirrors _validatePurchase / _validateReferralPurchase
+function validatePurchase(state, p, withReferrer) {
+    if (p.buyer !== undefined && p.buyer === ethers.ZeroAddress) return "InvalidAddress";
+    if (withReferrer) {
+        if (!p.hasReferrer) return "InvalidReferrer";
+        if (p.buyer !== undefined && p.buyer.toLowerCase() === p.referrer.toLowerCase()) return "SelfReferral";
+    }
+    if (p.usdtAmount === 0n || p.magaxAmount === 0n) return "InvalidAmount";
+    if (p.usdtAmount > state.maxPurchaseUsdt) return "ExceedsMaxPurchase";
+    if (state.totalUSDT + p.usdtAmount > state.maxTotalUsdt) return "ExceedsTotalLimit";
+    return null;
+}
+
+// Mirrors the window check at the end of _syncStage. The snapshot uses the latest block
+// time, so a quote taken right at a boundary can differ from the mined transaction.
+function stageWindowError(state) {
+    if (state.startTime > state.timestamp) return "StageNotOpen";
+    if (state.endTime !== 0n && state.timestamp >= state.endTime) return "StageWindowClosed";
+    return null;
+}
+
+function isPromoValid(state, promoBps) {
+    return promoBps > 0 && BigInt(promoBps) <= state.maxPromoCapBps;
+}
+
+/**
+ * Convenience wrapper: snapshot live state and quote in one call
+ */
+async function quote(presale, params) {
+    return quotePurchase(await fetchPresaleState(presale, params), params);
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const [usdt, promoBps = "0", referrer] = process.argv.slice(2);
+    if (!usdt) throw new Error("Usage: node scripts/quote-engine.js <usdt> [promoBps] [referrer]");
+
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+
+    const presale = new ethers.Contract(
+        presaleAddress,
+        presaleAbi(),
+        new ethers.JsonRpcProvider(rpcUrl)
+    );
+
+    const result = await quote(presale, {
+        usdtAmount: ethers.parseUnits(usdt, 6),
+        promoBps: Number(promoBps),
+        referrer
+    });
+
+    console.log("Quote for", usdt, "USDT");
+    console.log("  Method:", result.method);
+    console.log("  Stage:", result.stage, "@", ethers.formatUnits(result.pricePerToken, 6), "USDT");
+    console.log("  Base tokens:", ethers.formatUnits(result.baseTokens, 18));
+    console.log("  Promo bonus:", ethers.formatUnits(result.promoBonus, 18));
+    console.log("  Referee bonus:", ethers.formatUnits(result.refereeBonus, 18));
+    console.log("  Referrer bonus:", ethers.formatUnits(result.referrerBonus, 18));
+    console.log("  Second-level bonus:", ethers.formatUnits(result.secondLevelBonus, 18));
+    console.log("  Buyer receives:", ethers.formatUnits(result.buyerTokens, 18));
+    console.log("  Verdict:", result.ok ? "OK" : `would revert with ${result.error}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Quote failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    fetchPresaleState,
+    quotePurchase,
+    quote,
+    baseTokensFor,
+    isPriceConsistent,
+    calculateBonuses,
+    purchaseMethod
+};
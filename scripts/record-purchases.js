@@ -1,6 +1,19 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const { baseTokensFor } = require("./quote-engine");
+const { describeError } = require("./error-decoder");
+const { promoCodeId } = require("./promo-codes");
+const { presaleAt } = require("./presale-contract");
+
+// Mirrors MAGAXPresaleReceipts.PurchaseKind
+const PurchaseKind = { Plain: 0, Referral: 1, Promo: 2, PromoAndReferral: 3 };
 
 async function main() {
+  // Batch mode: BATCH_ORDERS_FILE points at a JSON array of pending orders
+  if (process.env.BATCH_ORDERS_FILE) {
+    return recordBatches(process.env.BATCH_ORDERS_FILE);
+  }
+
   console.log("Recording test purchases using RECORDER_ROLE");
   
   const contractAddress = process.env.POLYGON_PRESALE_ADDRESS;
@@ -15,7 +28,7 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Signer address:", deployer.address);
   
-  const presale = await ethers.getContractAt("MAGAXPresaleReceipts", contractAddress);
+  const presale = presaleAt(contractAddress, deployer);
   
   // Verify the signer has RECORDER_ROLE before proceeding
   const RECORDER_ROLE = await presale.RECORDER_ROLE();
@@ -76,7 +89,7 @@ async function main() {
     // 1. Basic Record Purchase
     console.log("Test 1: Basic recordPurchase");
     try {
-      const tx1 = await presale.recordPurchase(buyer1, usdtAmount, magaxAmount);
+      const tx1 = await presale.recordPurchase(buyer1, usdtAmount, magaxAmount, ethers.id(`demo-plain-${Date.now()}`));
       console.log("  Transaction hash:", tx1.hash);
       const receipt1 = await tx1.wait();
       console.log("  SUCCESS: Basic purchase recorded - Block:", receipt1.blockNumber);
@@ -87,7 +100,7 @@ async function main() {
       console.log("  Buyer USDT balance:", ethers.formatUnits(buyerUSDT, 6));
       console.log("  Buyer MAGAX balance:", ethers.formatUnits(buyerMAGAX, 18));
     } catch (error) {
-      console.log("  ERROR:", error.message);
+      console.log("  ERROR:", describeError(error));
     }
     
     console.log();
@@ -99,7 +112,8 @@ async function main() {
         buyer2, 
         usdtAmount, 
         magaxAmount, 
-        referrer
+        referrer,
+        ethers.id(`demo-referral-${Date.now()}`)
       );
       console.log("  Transaction hash:", tx2.hash);
       const receipt2 = await tx2.wait();
@@ -113,25 +127,27 @@ async function main() {
       console.log("  Buyer MAGAX:", ethers.formatUnits(buyerMAGAX2, 18));
       console.log("  Referrer MAGAX bonus:", ethers.formatUnits(referrerMAGAX, 18));
     } catch (error) {
-      console.log("  ERROR:", error.message);
+      console.log("  ERROR:", describeError(error));
     }
     
     console.log();
     
-    // 3. Record Purchase with Promo
-    console.log("Test 3: recordPurchaseWithPromo");
+    // 3. Record Purchase with a promo code (registered with scripts/promo-codes.js)
+    console.log("Test 3: recordPurchaseWithPromoCode");
     try {
-      const promoBps = 1500; // 15% bonus
-      const tx3 = await presale.recordPurchaseWithPromo(
+      const promoCode = process.env.DEMO_PROMO_CODE || "DEMO15";
+      const codeId = promoCodeId(promoCode);
+      const tx3 = await presale.recordPurchaseWithPromoCode(
         buyer3, 
         usdtAmount, 
         magaxAmount, 
-        promoBps
+        codeId,
+        ethers.id(`demo-promo-${Date.now()}`)
       );
       console.log("  Transaction hash:", tx3.hash);
       const receipt3 = await tx3.wait();
       console.log("  SUCCESS: Promo purchase recorded - Block:", receipt3.blockNumber);
-      console.log("  Promo bonus:", promoBps / 100, "%");
+      console.log("  Promo bonus:", Number((await presale.promoCampaigns(codeId)).bonusBps) / 100, "%");
       
       // Check buyer's balances
       const buyerUSDT3 = await presale.userTotalUSDT(buyer3);
@@ -139,7 +155,7 @@ async function main() {
       console.log("  Buyer USDT:", ethers.formatUnits(buyerUSDT3, 6));
       console.log("  Buyer MAGAX (with promo):", ethers.formatUnits(buyerMAGAX3, 18));
     } catch (error) {
-      console.log("  ERROR:", error.message);
+      console.log("  ERROR:", describeError(error));
     }
     
     console.log();
@@ -153,11 +169,126 @@ async function main() {
     ));
     
   } catch (error) {
-    console.error("ERROR: Script error:", error.message);
-    if (error.data) {
-      console.error("Error data:", error.data);
+    console.error("ERROR: Script error:", describeError(error));
+  }
+}
+
+/**
+ * Record pending orders through recordPurchaseBatch.
+ *
+ * Orders file format (JSON array):
+ *   [{ "orderId": "backend-1042", "buyer": "0x...", "usdt": "100",
+ *      "magax": "370370.37",        // optional, derived from the stage price when omitted
+ *      "promoCode": "SUMMER25",     // optional, a registered campaign
+ *      "referrer": "0x...",         // optional
+ *      "asset": "0x...",            // optional, an accepted payment asset
+ *      "assetAmount": "100000000" }] // raw amount in the asset's decimals, required with asset
+ *
+ * Orders are grouped into chunks of BATCH_SIZE (default MAX_BATCH_SIZE) and recorded
+ * non-atomically, so one bad order does not block the rest. Per-order results are
+ * written next to the orders file as <file>.results.json.
+ */
+async function recordBatches(ordersFile) {
+  console.log("Recording pending orders in batches using RECORDER_ROLE");
+
+  const contractAddress = process.env.POLYGON_PRESALE_ADDRESS;
+  if (!contractAddress) {
+    throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const presale = presaleAt(contractAddress, signer);
+
+  const RECORDER_ROLE = await presale.RECORDER_ROLE();
+  if (!(await presale.hasRole(RECORDER_ROLE, signer.address))) {
+    throw new Error("Signer does not have RECORDER_ROLE");
+  }
+  if (await presale.paused()) {
+    throw new Error("Contract is paused - cannot record purchases");
+  }
+
+  const stageInfo = await presale.getCurrentStageInfo();
+  if (!stageInfo.isActive) {
+    throw new Error("Current stage is not active");
+  }
+
+  const orders = JSON.parse(fs.readFileSync(ordersFile, "utf8"));
+  const maxBatch = Number(await presale.MAX_BATCH_SIZE());
+  const batchSize = Math.min(Number(process.env.BATCH_SIZE) || maxBatch, maxBatch);
+
+  console.log("Contract:", contractAddress);
+  console.log("Signer address:", signer.address);
+  console.log("Pending orders:", orders.length);
+  console.log("Batch size:", batchSize);
+  console.log("=".repeat(50));
+
+  const results = [];
+  for (let start = 0; start < orders.length; start += batchSize) {
+    const chunk = orders.slice(start, start + batchSize);
+    const records = chunk.map(order => toPurchaseRecord(order, stageInfo.pricePerToken));
+
+    console.log(`Batch ${start / batchSize + 1}: orders ${start}-${start + chunk.length - 1}`);
+    try {
+      const tx = await presale.recordPurchaseBatch(records, false);
+      console.log("  Transaction hash:", tx.hash);
+      const receipt = await tx.wait();
+
+      const failures = new Map();
+      for (const log of receipt.logs) {
+        const parsed = presale.interface.parseLog(log);
+        if (parsed && parsed.name === "BatchItemFailed") {
+          failures.set(Number(parsed.args.index), describeError(parsed.args.reason));
+        }
+      }
+
+      chunk.forEach((order, i) => {
+        const error = failures.get(i);
+        results.push({ orderId: order.orderId, status: error ? "failed" : "confirmed", txHash: receipt.hash, error });
+        if (error) console.log(`  FAILED ${order.orderId}: ${error}`);
+      });
+      console.log(`  Recorded ${chunk.length - failures.size}/${chunk.length} - Block: ${receipt.blockNumber}`);
+    } catch (error) {
+      console.log("  ERROR: batch transaction failed:", describeError(error));
+      chunk.forEach(order => results.push({ orderId: order.orderId, status: "retryable", error: describeError(error) }));
     }
   }
+
+  const resultsFile = `${ordersFile}.results.json`;
+  fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+  console.log("-".repeat(50));
+  console.log(`Confirmed: ${results.filter(r => r.status === "confirmed").length}`);
+  console.log(`Failed: ${results.filter(r => r.status === "failed").length}`);
+  console.log(`Retryable: ${results.filter(r => r.status === "retryable").length}`);
+  console.log("Results written to", resultsFile);
+}
+
+function toPurchaseRecord(order, pricePerToken) {
+  const usdtAmount = ethers.parseUnits(String(order.usdt), 6);
+  const magaxAmount = order.magax !== undefined
+    ? ethers.parseUnits(String(order.magax), 18)
+    : baseTokensFor(usdtAmount, pricePerToken);
+  if (order.promoBps !== undefined) throw new Error(`Order ${order.orderId}: use promoCode, promoBps is no longer accepted`);
+  const codeId = order.promoCode ? promoCodeId(order.promoCode) : ethers.ZeroHash;
+  const hasPromo = codeId !== ethers.ZeroHash;
+  const referrer = order.referrer || ethers.ZeroAddress;
+  const hasReferrer = referrer !== ethers.ZeroAddress;
+
+  let kind = PurchaseKind.Plain;
+  if (hasPromo && hasReferrer) kind = PurchaseKind.PromoAndReferral;
+  else if (hasPromo) kind = PurchaseKind.Promo;
+  else if (hasReferrer) kind = PurchaseKind.Referral;
+
+  return {
+    kind,
+    buyer: order.buyer,
+    usdtAmount,
+    magaxAmount,
+    codeId,
+    referrer,
+    orderId: ethers.id(String(order.orderId)),
+    asset: order.asset || ethers.ZeroAddress,
+    assetAmount: order.asset ? BigInt(order.assetAmount) : 0n
+  };
 }
 
 main()
@@ -0,0 +1,363 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { baseTokensFor, purchaseMethod } = require("./quote-engine");
+const { decodeError, describeError } = require("./error-decoder");
+const { promoCodeId } = require("./promo-codes");
+
+// Mirrors the contract's PurchaseKind enum
+const PurchaseKind = { Plain: 0, Referral: 1, Promo: 2, PromoAndReferral: 3 };
+
+/**
+ * JsonlOrderStore - Append-only JSON-lines order store
+ *
+ * Every line is a partial order update keyed by orderId; the latest value of each
+ * field wins when the file is replayed. The backend appends new orders as
+ *   {"orderId":"backend-1042","buyer":"0x...","usdt":"100","promoCode":"SUMMER25","referrer":"0x...","status":"pending"}
+ * (plus "asset" and a raw "assetAmount" in the asset's decimals when the payment asset is
+ * reported) and the recorder appends status changes, so a crash never loses history.
+ */
+class JsonlOrderStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.orders = new Map();
+    }
+
+    /**
+     * Replay the file into memory (call again to pick up newly appended orders)
+     */
+    load() {
+        this.orders = new Map();
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (_) {
+                continue; // tolerate a torn final line after a crash
+            }
+            if (!entry.orderId) continue;
+            const current = this.orders.get(entry.orderId) || { status: "pending", attempts: 0 };
+            this.orders.set(entry.orderId, { ...current, ...entry });
+        }
+        return this;
+    }
+
+    get(orderId) {
+        return this.orders.get(orderId);
+    }
+
+    /**
+     * Orders that still need work: new, retryable or submitted before a restart
+     */
+    actionable(maxAttempts) {
+        return [...this.orders.values()].filter(order =>
+            order.status === "pending" ||
+            order.status === "submitted" ||
+            (order.status === "retryable" && order.attempts < maxAttempts)
+        );
+    }
+
+    update(orderId, patch) {
+        const entry = { orderId, ...patch, updatedAt: new Date().toISOString() };
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+        this.orders.set(orderId, { ...(this.orders.get(orderId) || {}), ...entry });
+    }
+}
+
+// Reverts that will not succeed on retry - the order needs manual attention
+const PERMANENT_ERRORS = new Set([
+    "InvalidAddress",
+    "InvalidAmount",
+    "ExceedsMaxPurchase",
+    "ExceedsTotalLimit",
+    "InvalidReferrer",
+    "SelfReferral",
+    "PriceMismatch",
+    "InvalidPromoBps",
+    "InvalidOrderId",
+    "PresaleFinalised",
+    "PresaleTokenCapExceeded",
+    "KycRequired",
+    "ContributionCapExceeded",
+    "BonusPoolExhausted",
+    "InvalidPromoCode",
+    "PromoCodeNotFound",
+    "PromoCodeInactive",
+    "PromoCodeUsageLimit",
+    "PromoBudgetExceeded",
+    "UnsupportedPaymentToken",
+    "PaymentAmountMismatch",
+    "VoucherExpired",
+    "VoucherStageMismatch",
+    "InvalidVoucherSigner"
+]);
+
+/**
+ * RecorderService - Drains a local order queue into the presale contract
+ */
+class RecorderService {
+    constructor(presaleAddress, signer, store, options = {}) {
+        this.presaleAddress = presaleAddress;
+        this.signer = signer;
+        this.store = store;
+        this.pollIntervalMs = options.pollIntervalMs || 15000;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.running = false;
+
+        // Committed ABI subset, so the service runs without compiling the contracts first
+        this.presale = new ethers.Contract(presaleAddress, require("./abi/presale-recorder.json"), signer);
+    }
+
+    /**
+     * Poll the store until stop() is called
+     */
+    async start() {
+        console.log("🚀 Recorder service started");
+        console.log("  Presale:", this.presaleAddress);
+        console.log("  Recorder:", await this.signer.getAddress());
+        console.log("  Order store:", this.store.filePath);
+
+        const RECORDER_ROLE = await this.presale.RECORDER_ROLE();
+        if (!(await this.presale.hasRole(RECORDER_ROLE, await this.signer.getAddress()))) {
+            throw new Error("Signer does not have RECORDER_ROLE");
+        }
+
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.drainOnce();
+            } catch (error) {
+                console.error("❌ Drain cycle failed:", describeError(error));
+            }
+            if (this.running) await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+        console.log("🛑 Recorder service stopped");
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Process every actionable order once
+     * @returns {Promise<{processed: number, skipped: string|null}>}
+     */
+    async drainOnce() {
+        this.store.load();
+        const orders = this.store.actionable(this.maxAttempts);
+        if (orders.length === 0) return { processed: 0, skipped: null };
+
+        const blocker = await this.checkPresaleState();
+        if (blocker) {
+            console.log(`⏸️  ${orders.length} order(s) waiting: ${blocker}`);
+            return { processed: 0, skipped: blocker };
+        }
+
+        let processed = 0;
+        for (const order of orders) {
+            await this.recordOrder(order);
+            processed++;
+        }
+        return { processed, skipped: null };
+    }
+
+    /**
+     * Returns a reason string when the presale cannot accept purchases right now
+     */
+    async checkPresaleState() {
+        if (await this.presale.finalised()) return "presale is finalised";
+        if (await this.presale.paused()) return "presale is paused";
+
+        // A pending auto-advance activates the next stage on the first write
+        const stage = await this.presale.getEffectiveStage();
+        if (stage !== (await this.presale.currentStage())) return null;
+
+        const stageInfo = await this.presale.getStageInfo(stage);
+        if (!stageInfo.isActive) return `stage ${stage} is not active`;
+        return null;
+    }
+
+    /**
+     * Record a single order, never twice: an order already on-chain is marked confirmed
+     */
+    async recordOrder(order) {
+        const orderId = toOrderId(order.orderId);
+
+        if (await this.presale.isOrderRecorded(orderId)) {
+            this.store.update(order.orderId, { status: "confirmed" });
+            console.log(`✅ ${order.orderId} already recorded on-chain`);
+            return;
+        }
+
+        const attempts = (order.attempts || 0) + 1;
+
+        // A malformed order fails the same way on every attempt, so it is never retried
+        const invalid = validateOrder(order);
+        if (invalid) {
+            this.store.update(order.orderId, { status: "failed", attempts, error: invalid });
+            console.error(`❌ ${order.orderId} failed: ${invalid}`);
+            return;
+        }
+
+        try {
+            const { method, args } = await this.buildCall(order, orderId);
+            const tx = await this.presale[method](...args);
+            this.store.update(order.orderId, { status: "submitted", txHash: tx.hash, method, attempts });
+
+            const receipt = await tx.wait();
+            this.store.update(order.orderId, { status: "confirmed", txHash: receipt.hash, blockNumber: receipt.blockNumber });
+            console.log(`✅ ${order.orderId} recorded via ${method} (block ${receipt.blockNumber})`);
+        } catch (error) {
+            const decoded = decodeError(error);
+            const errorName = decoded ? decoded.name : null;
+            if (errorName === "DuplicateOrderId") {
+                this.store.update(order.orderId, { status: "confirmed" });
+                console.log(`✅ ${order.orderId} already recorded on-chain`);
+                return;
+            }
+
+            const status = PERMANENT_ERRORS.has(errorName) ? "failed" : "retryable";
+            this.store.update(order.orderId, { status, attempts, error: errorName || describeError(error) });
+            console.error(`❌ ${order.orderId} ${status}:`, describeError(error));
+        }
+    }
+
+    /**
+     * Pick the recordPurchase* variant from the order's promo code and referrer fields
+     * (orders flagged with "split" may run into the next stage, orders with an asset go
+     * through recordPaidPurchase)
+     */
+    async buildCall(order, orderId) {
+        const usdtAmount = ethers.parseUnits(String(order.usdt), 6);
+        const codeId = order.promoCode ? promoCodeId(order.promoCode) : null;
+        const referrer = order.referrer && order.referrer !== ethers.ZeroAddress ? order.referrer : null;
+        const asset = order.asset && order.asset !== ethers.ZeroAddress ? order.asset : null;
+        const assetAmount = asset ? BigInt(order.assetAmount) : 0n;
+
+        if (order.split) {
+            return {
+                method: "recordPurchaseAcrossStages",
+                args: [
+                    order.buyer, usdtAmount, codeId || ethers.ZeroHash, referrer || ethers.ZeroAddress,
+                    asset || ethers.ZeroAddress, assetAmount, orderId
+                ]
+            };
+        }
+
+        let magaxAmount;
+        if (order.magax !== undefined) {
+            magaxAmount = ethers.parseUnits(String(order.magax), 18);
+        } else {
+            // Price against the stage the purchase will land in, not a stage about to auto-advance
+            const stageInfo = await this.presale.getStageInfo(await this.presale.getEffectiveStage());
+            magaxAmount = baseTokensFor(usdtAmount, stageInfo.pricePerToken);
+        }
+
+        if (asset) {
+            let kind = PurchaseKind.Plain;
+            if (codeId && referrer) kind = PurchaseKind.PromoAndReferral;
+            else if (codeId) kind = PurchaseKind.Promo;
+            else if (referrer) kind = PurchaseKind.Referral;
+            return {
+                method: "recordPaidPurchase",
+                args: [{
+                    kind,
+                    buyer: order.buyer,
+                    usdtAmount,
+                    magaxAmount,
+                    codeId: codeId || ethers.ZeroHash,
+                    referrer: referrer || ethers.ZeroAddress,
+                    orderId,
+                    asset,
+                    assetAmount
+                }]
+            };
+        }
+
+        const method = purchaseMethod(codeId !== null, referrer !== null);
+
+        const args = {
+            recordPurchase: [order.buyer, usdtAmount, magaxAmount, orderId],
+            recordPurchaseWithReferral: [order.buyer, usdtAmount, magaxAmount, referrer, orderId],
+            recordPurchaseWithPromoCode: [order.buyer, usdtAmount, magaxAmount, codeId, orderId],
+            recordPurchaseWithPromoCodeAndReferral: [order.buyer, usdtAmount, magaxAmount, codeId, referrer, orderId]
+        }[method];
+        return { method, args };
+    }
+}
+
+/**
+ * Backend order IDs are hashed into the bytes32 orderId stored on-chain
+ */
+function toOrderId(backendOrderId) {
+    return ethers.id(String(backendOrderId));
+}
+
+/**
+ * Returns a reason string when an order cannot be turned into a call, null when it is well-formed
+ */
+function validateOrder(order) {
+    // The contract only pays promo bonuses through registered codes
+    if (order.promoBps !== undefined) return "Orders must carry a promoCode, promoBps is no longer accepted";
+    if (!ethers.isAddress(order.buyer)) return `invalid buyer address ${order.buyer}`;
+    if (order.referrer && !ethers.isAddress(order.referrer)) return `invalid referrer address ${order.referrer}`;
+    if (order.asset && !ethers.isAddress(order.asset)) return `invalid asset address ${order.asset}`;
+
+    try {
+        ethers.parseUnits(String(order.usdt), 6);
+    } catch (_) {
+        return `invalid usdt amount ${order.usdt}`;
+    }
+    if (order.magax !== undefined) {
+        try {
+            ethers.parseUnits(String(order.magax), 18);
+        } catch (_) {
+            return `invalid magax amount ${order.magax}`;
+        }
+    }
+    if (order.asset && order.asset !== ethers.ZeroAddress && !/^\d+$/.test(String(order.assetAmount))) {
+        return `invalid assetAmount ${order.assetAmount}, expected raw units of the asset`;
+    }
+    return null;
+}
+
+async function main() {
+    require("dotenv").config();
+
+    const presaleAddress = process.env.POLYGON_PRESALE_ADDRESS;
+    const rpcUrl = process.env.POLYGON_RPC_URL;
+    const recorderKey = process.env.RECORDER_PRIVATE_KEY;
+    if (!presaleAddress) throw new Error("POLYGON_PRESALE_ADDRESS not set in .env");
+    if (!rpcUrl) throw new Error("POLYGON_RPC_URL not set in .env");
+    if (!recorderKey) throw new Error("RECORDER_PRIVATE_KEY not set in .env");
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const signer = new ethers.Wallet(recorderKey, provider);
+    const store = new JsonlOrderStore(process.env.ORDERS_STORE || path.join(__dirname, "..", "orders.jsonl"));
+
+    const service = new RecorderService(presaleAddress, signer, store, {
+        pollIntervalMs: Number(process.env.POLL_INTERVAL_MS) || undefined,
+        maxAttempts: Number(process.env.MAX_RECORD_ATTEMPTS) || undefined
+    });
+
+    process.on("SIGINT", () => service.stop());
+    process.on("SIGTERM", () => service.stop());
+
+    await service.start();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Recorder service failed:", describeError(error));
+            process.exit(1);
+        });
+}
+
+module.exports = { RecorderService, JsonlOrderStore, toOrderId };
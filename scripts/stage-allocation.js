@@ -0,0 +1,66 @@
+/**
+ * Stage allocation sizing shared by deploy.js and activate-stage1.js - the sale allocation
+ * covers the base tokens, the separate bonus pool covers the worst-case bonus rate.
+ */
+
+const SAFETY_BPS = 300; // 3% rounding/slippage safety margin
+
+/**
+ * TokensAlloc18WithHeadroom calculates token allocation with headroom for bonuses and safety margins
+ * tokensAlloc18WithHeadroom = ceil( (usdTarget6d * 1e18 / price6d) * (10000 + bonusBps + safetyBps) / 10000 )
+ */
+function tokensAlloc18WithHeadroom(usdTarget6d, price6d, bonusBps = 0, safetyBps = SAFETY_BPS) {
+    if (price6d <= 0n) {
+        return 0n; // invalid price guard
+    }
+
+    // base = floor(usdTarget6d * 1e18 / price6d)
+    const base = (usdTarget6d * BigInt(1e18)) / price6d;
+
+    // ceil(base * (10000 + bonusBps + safetyBps) / 10000)
+    const factorBps = BigInt(10000 + bonusBps + safetyBps);
+    const den = 10000n;
+    const result = (base * factorBps + den - 1n) / den;
+
+    return result > 0n ? result : 1n; // never zero per audit requirement
+}
+
+/**
+ * bonusPool18 sizes a stage's separate bonus pool for the worst-case bonus rate
+ * bonusPool18 = ceil( (usdTarget6d * 1e18 / price6d) * bonusBps / 10000 )
+ */
+function bonusPool18(usdTarget6d, price6d, bonusBps) {
+    if (price6d <= 0n) {
+        return 0n; // invalid price guard
+    }
+
+    const base = (usdTarget6d * BigInt(1e18)) / price6d;
+    const den = 10000n;
+    return (base * BigInt(bonusBps) + den - 1n) / den; // ceil
+}
+
+/**
+ * Worst-case bonus rate one order can draw from a bonus pool at the presale's live settings:
+ * the highest referrer tier + the referee rate + the second-level rate + the promo ceiling.
+ * Rates raised later through the timelock need a setStageBonusPool top-up.
+ * @param {ethers.Contract} presale Presale with the full ABI
+ * @returns {Promise<number>} Bonus rate in basis points of the base tokens
+ */
+async function maxBonusBps(presale) {
+    const [referrerBps, refereeBps, secondLevelBps, maxPromoBps, tiers] = await Promise.all([
+        presale.referrerBonusBps(),
+        presale.refereeBonusBps(),
+        presale.secondLevelBonusBps(),
+        presale.maxPromoCapBps(),
+        presale.getReferralTiers()
+    ]);
+    const topReferrerBps = tiers.reduce((top, tier) => (tier.bonusBps > top ? tier.bonusBps : top), referrerBps);
+    return Number(topReferrerBps + refereeBps + secondLevelBps + maxPromoBps);
+}
+
+module.exports = {
+    SAFETY_BPS,
+    tokensAlloc18WithHeadroom,
+    bonusPool18,
+    maxBonusBps
+};
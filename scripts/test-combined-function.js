@@ -1,8 +1,11 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { describeError } = require("./error-decoder");
+const { promoCodeId } = require("./promo-codes");
+const { presaleAt } = require("./presale-contract");
 
 async function main() {
-  console.log("Testing new recordPurchaseWithPromoAndReferral function");
+  console.log("Testing recordPurchaseWithPromoCodeAndReferral");
   console.log("=".repeat(60));
 
   // Contract address from environment
@@ -16,8 +19,7 @@ async function main() {
   console.log(`Signer address: ${deployer.address}`);
 
   // Connect to contract
-  const Presale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-  const presale = await Presale.attach(contractAddress);
+  const presale = presaleAt(contractAddress, deployer);
   console.log(`Contract: ${contractAddress}`);
 
   // Verify RECORDER_ROLE
@@ -37,7 +39,10 @@ async function main() {
   const usdtAmount = ethers.parseUnits("100", 6); // 100 USDT
   const stagePrice = ethers.parseUnits("0.000270", 6); // 0.000270 USDT per token
   const magaxAmount = (usdtAmount * ethers.parseUnits("1", 18)) / stagePrice; // Calculate MAGAX amount
-  const promoBps = 1500; // 15% promo bonus
+  // Promo bonuses come from a registered campaign (scripts/promo-codes.js create ...)
+  const codeId = promoCodeId(process.env.DEMO_PROMO_CODE || "DEMO15");
+  const promoBps = Number((await presale.promoCampaigns(codeId)).bonusBps);
+  if (promoBps === 0) throw new Error("Promo code is not registered");
 
   console.log(`\nTest Purchase Parameters:`);
   console.log(`  Buyer: ${buyer}`);
@@ -76,12 +81,13 @@ async function main() {
   console.log(`${"=".repeat(40)}`);
 
   try {
-    const tx = await presale.recordPurchaseWithPromoAndReferral(
+    const tx = await presale.recordPurchaseWithPromoCodeAndReferral(
       buyer,
       usdtAmount,
       magaxAmount,
-      promoBps,
-      referrer
+      codeId,
+      referrer,
+      ethers.id(`demo-combined-${Date.now()}`)
     );
 
     console.log(`Transaction hash: ${tx.hash}`);
@@ -120,10 +126,7 @@ async function main() {
     }
 
   } catch (error) {
-    console.error(`ERROR: ${error.message}`);
-    if (error.data) {
-      console.error(`Error data: ${error.data}`);
-    }
+    console.error(`ERROR: ${describeError(error)}`);
     return;
   }
 
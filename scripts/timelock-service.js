@@ -1,4 +1,6 @@
 const { ethers } = require("ethers");
+const { describeError } = require("./error-decoder");
+const { presaleAbi } = require("./presale-contract");
 
 /**
  * TimelockService - Handles 48-hour timelock operations for MAGAX presale
@@ -19,7 +21,7 @@ class TimelockService {
         
         this.presale = new ethers.Contract(
             presaleAddress,
-            require("../artifacts/contracts/PreSaleOnChain.sol/MAGAXPresaleReceipts.json").abi,
+            presaleAbi(),
             signer
         );
     }
@@ -69,7 +71,7 @@ class TimelockService {
             };
             
         } catch (error) {
-            console.error("❌ Failed to schedule finalization:", error.message);
+            console.error("❌ Failed to schedule finalization:", describeError(error));
             throw error;
         }
     }
@@ -119,7 +121,7 @@ class TimelockService {
             };
             
         } catch (error) {
-            console.error("❌ Failed to execute finalization:", error.message);
+            console.error("❌ Failed to execute finalization:", describeError(error));
             throw error;
         }
     }
@@ -161,11 +163,154 @@ class TimelockService {
             };
             
         } catch (error) {
-            console.error("❌ Failed to schedule max promo BPS update:", error.message);
+            console.error("❌ Failed to schedule max promo BPS update:", describeError(error));
             throw error;
         }
     }
-    
+
+    /**
+     * Schedule a change of the immediate emergency confirmation threshold (N of the
+     * EMERGENCY_ROLE holders)
+     */
+    async proposeEmergencyConfirmationsUpdate(required) {
+        console.log(`📅 Scheduling emergency confirmation threshold update to ${required} (48h delay)...`);
+
+        try {
+            const data = this.presale.interface.encodeFunctionData("setEmergencyConfirmationsRequired", [required]);
+            const target = this.presaleAddress;
+            const value = 0;
+            const salt = ethers.randomBytes(32);
+            const delay = 48 * 60 * 60; // 48 hours
+
+            const tx = await this.timelock.schedule(
+                target,
+                value,
+                data,
+                ethers.ZeroHash,
+                salt,
+                delay
+            );
+
+            const receipt = await tx.wait();
+
+            console.log("✅ Emergency confirmation threshold update scheduled successfully!");
+            console.log("  New threshold:", required);
+            console.log("  Transaction hash:", receipt.hash);
+            console.log("  Execute after:", new Date(Date.now() + delay * 1000).toISOString());
+
+            return {
+                txHash: receipt.hash,
+                executeAfter: Date.now() + delay * 1000,
+                salt: ethers.hexlify(salt),
+                required
+            };
+
+        } catch (error) {
+            console.error("❌ Failed to schedule emergency confirmation threshold update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule voiding a mistaken or charged-back order (starts 48h timer)
+     */
+    async proposeVoidOrder(orderId) {
+        console.log(`📅 Scheduling void of order ${orderId} (48h delay)...`);
+
+        try {
+            const order = await this.presale.orders(orderId);
+            if (order.buyer === ethers.ZeroAddress) {
+                throw new Error(`Order ${orderId} was never recorded`);
+            }
+            if (order.voided) {
+                throw new Error(`Order ${orderId} is already voided`);
+            }
+
+            const data = this.presale.interface.encodeFunctionData("voidOrder", [orderId]);
+            const target = this.presaleAddress;
+            const value = 0;
+            const salt = ethers.randomBytes(32);
+            const delay = 48 * 60 * 60; // 48 hours
+
+            const tx = await this.timelock.schedule(
+                target,
+                value,
+                data,
+                ethers.ZeroHash,
+                salt,
+                delay
+            );
+
+            const receipt = await tx.wait();
+            const operationId = await this.timelock.hashOperation(target, value, data, ethers.ZeroHash, salt);
+
+            console.log("✅ Order void scheduled successfully!");
+            console.log("  Buyer:", order.buyer);
+            console.log("  Transaction hash:", receipt.hash);
+            console.log("  Operation ID:", operationId);
+            console.log("  Execute after:", new Date(Date.now() + delay * 1000).toISOString());
+
+            return {
+                operationId,
+                txHash: receipt.hash,
+                executeAfter: Date.now() + delay * 1000,
+                salt: ethers.hexlify(salt),
+                orderId
+            };
+
+        } catch (error) {
+            console.error("❌ Failed to schedule order void:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled order void (after 48h delay)
+     */
+    async executeVoidOrder(orderId, salt) {
+        console.log(`🚀 Executing void of order ${orderId}...`);
+
+        try {
+            const data = this.presale.interface.encodeFunctionData("voidOrder", [orderId]);
+            const target = this.presaleAddress;
+            const value = 0;
+
+            const operationId = await this.timelock.hashOperation(target, value, data, ethers.ZeroHash, salt);
+            const isReady = await this.timelock.isOperationReady(operationId);
+            if (!isReady) {
+                throw new Error("Operation not ready for execution yet");
+            }
+
+            const tx = await this.timelock.execute(target, value, data, ethers.ZeroHash, salt);
+            const receipt = await tx.wait();
+
+            const voided = receipt.logs
+                .map(log => { try { return this.presale.interface.parseLog(log); } catch (_) { return null; } })
+                .find(parsed => parsed && parsed.name === "PurchaseVoided");
+
+            console.log("✅ Order voided successfully!");
+            console.log("  Transaction hash:", receipt.hash);
+            if (voided) {
+                console.log("  USDT reversed:", ethers.formatUnits(voided.args.usdt, 6));
+                console.log("  Buyer MAGAX reversed:", ethers.formatUnits(voided.args.buyerTokens, 18));
+                console.log("  Referrer MAGAX reversed:", ethers.formatUnits(voided.args.referrerTokens, 18));
+                console.log("  Second-level MAGAX reversed:", ethers.formatUnits(voided.args.secondLevelTokens, 18));
+            }
+
+            return {
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                usdt: voided ? voided.args.usdt : 0n,
+                buyerTokens: voided ? voided.args.buyerTokens : 0n,
+                referrerTokens: voided ? voided.args.referrerTokens : 0n
+            };
+
+        } catch (error) {
+            console.error("❌ Failed to execute order void:", describeError(error));
+            throw error;
+        }
+    }
+
     /**
      * Schedule emergency token withdrawal (48h delay)
      */
@@ -208,36 +353,434 @@ class TimelockService {
             };
             
         } catch (error) {
-            console.error("❌ Failed to schedule emergency withdrawal:", error.message);
+            console.error("❌ Failed to schedule emergency withdrawal:", describeError(error));
             throw error;
         }
     }
     
     /**
-     * Immediate emergency withdrawal (requires 3-of-N multi-sig, no delay)
-     * Use this only for critical situations that cannot wait 48 hours
+     * Immediate emergency withdrawal (requires N-of-M EMERGENCY_ROLE confirmations, no delay)
+     * Use this only for critical situations that cannot wait 48 hours.
+     * Each EMERGENCY_ROLE holder calls this with the same token and recipient; the call that
+     * reaches the threshold executes the withdrawal.
      */
     async immediateEmergencyWithdraw(tokenAddress, toAddress) {
-        console.log("🚨 Initiating immediate emergency withdrawal (3-sig required)...");
+        console.log("🚨 Confirming immediate emergency withdrawal (multi-sig, no delay)...");
         
         try {
             const tx = await this.presale.immediateEmergencyWithdraw(tokenAddress, toAddress);
             const receipt = await tx.wait();
+
+            const events = receipt.logs
+                .map(log => { try { return this.presale.interface.parseLog(log); } catch (_) { return null; } })
+                .filter(Boolean);
+            const confirmed = events.find(event => event.name === "OperationConfirmed");
+            const executed = events.some(event => event.name === "OperationExecuted");
+            const withdrawn = events.find(event => event.name === "EmergencyTokenWithdraw");
+            const required = await this.presale.emergencyConfirmationsRequired();
             
-            console.log("✅ Immediate emergency withdrawal step completed!");
+            console.log(executed ? "✅ Immediate emergency withdrawal executed!" : "✅ Emergency withdrawal confirmation recorded");
             console.log("  Transaction hash:", receipt.hash);
-            console.log("  Note: Requires 3 EMERGENCY_ROLE confirmations total");
+            console.log("  Operation hash:", confirmed.args.operationHash);
+            console.log(`  Confirmations: ${confirmed.args.confirmations}/${required}`);
+            if (withdrawn) console.log("  Amount withdrawn:", withdrawn.args.amount.toString());
             
             return {
-                txHash: receipt.hash
+                txHash: receipt.hash,
+                operationHash: confirmed.args.operationHash,
+                confirmations: Number(confirmed.args.confirmations),
+                required: Number(required),
+                executed,
+                amount: withdrawn ? withdrawn.args.amount : 0n
             };
             
         } catch (error) {
-            console.error("❌ Failed immediate emergency withdrawal:", error.message);
+            console.error("❌ Failed immediate emergency withdrawal:", describeError(error));
             throw error;
         }
     }
+
+    /**
+     * Pending immediate withdrawal proposal for a token / recipient pair
+     */
+    async getEmergencyWithdrawStatus(tokenAddress, toAddress) {
+        const status = await this.presale.getEmergencyWithdrawStatus(tokenAddress, toAddress);
+        return {
+            operationHash: status.operationHash,
+            pending: status.operationHash !== ethers.ZeroHash,
+            confirmations: Number(status.confirmations),
+            required: Number(status.required),
+            expiresAt: Number(status.expiresAt)
+        };
+    }
     
+    /**
+     * Guardian fast path: pause recording immediately (GUARDIAN_ROLE, no timelock)
+     * Unpausing still goes through proposeUnpause / executeUnpause.
+     */
+    async guardianPause() {
+        console.log("🛑 Guardian pause (immediate)...");
+
+        try {
+            if (await this.presale.paused()) {
+                console.log("ℹ️  Presale is already paused");
+                return { alreadyPaused: true };
+            }
+
+            const tx = await this.presale.pause();
+            const receipt = await tx.wait();
+
+            console.log("✅ Presale paused!");
+            console.log("  Transaction hash:", receipt.hash);
+            console.log("  Unpause requires a timelock proposal (48h)");
+
+            return { txHash: receipt.hash, alreadyPaused: false };
+
+        } catch (error) {
+            console.error("❌ Failed to pause presale:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Guardian fast path: revoke RECORDER_ROLE immediately (GUARDIAN_ROLE, no timelock)
+     * Regranting still goes through proposeRecorderGrant / executeRecorderGrant.
+     */
+    async guardianRevokeRecorder(recorderAddress) {
+        console.log(`🛑 Guardian revoking RECORDER_ROLE from ${recorderAddress} (immediate)...`);
+
+        try {
+            const role = await this.presale.RECORDER_ROLE();
+            if (!(await this.presale.hasRole(role, recorderAddress))) {
+                console.log("ℹ️  Address does not hold RECORDER_ROLE");
+                return { alreadyRevoked: true };
+            }
+
+            const tx = await this.presale.revokeRecorder(recorderAddress);
+            const receipt = await tx.wait();
+
+            console.log("✅ RECORDER_ROLE revoked!");
+            console.log("  Transaction hash:", receipt.hash);
+            console.log("  Regranting requires a timelock proposal (48h)");
+
+            return { txHash: receipt.hash, alreadyRevoked: false };
+
+        } catch (error) {
+            console.error("❌ Failed to revoke recorder:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule unpausing the presale (starts 48h timer)
+     */
+    async proposeUnpause() {
+        console.log("📅 Scheduling presale unpause (48h delay)...");
+
+        try {
+            return await this.scheduleCall("unpause", []);
+        } catch (error) {
+            console.error("❌ Failed to schedule unpause:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled unpause (after 48h delay)
+     */
+    async executeUnpause(salt) {
+        console.log("🚀 Executing presale unpause...");
+
+        try {
+            return await this.executeCall("unpause", [], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute unpause:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule granting RECORDER_ROLE to an address (starts 48h timer)
+     */
+    async proposeRecorderGrant(recorderAddress) {
+        console.log(`📅 Scheduling RECORDER_ROLE grant to ${recorderAddress} (48h delay)...`);
+
+        try {
+            const role = await this.presale.RECORDER_ROLE();
+            return await this.scheduleCall("grantRole", [role, recorderAddress]);
+        } catch (error) {
+            console.error("❌ Failed to schedule recorder grant:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled RECORDER_ROLE grant (after 48h delay)
+     */
+    async executeRecorderGrant(recorderAddress, salt) {
+        console.log(`🚀 Executing RECORDER_ROLE grant to ${recorderAddress}...`);
+
+        try {
+            const role = await this.presale.RECORDER_ROLE();
+            return await this.executeCall("grantRole", [role, recorderAddress], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute recorder grant:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule new referral rates (starts 48h timer)
+     * @param {{referrerBps: number, refereeBps: number, secondLevelBps: number}} rates
+     */
+    async proposeReferralBpsUpdate({ referrerBps, refereeBps, secondLevelBps = 0 }) {
+        console.log(`📅 Scheduling referral rates ${referrerBps}/${refereeBps}/${secondLevelBps} BPS (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setReferralBonusBps", [referrerBps, refereeBps, secondLevelBps]);
+        } catch (error) {
+            console.error("❌ Failed to schedule referral rate update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled referral rate update (after 48h delay)
+     */
+    async executeReferralBpsUpdate({ referrerBps, refereeBps, secondLevelBps = 0 }, salt) {
+        console.log("🚀 Executing referral rate update...");
+
+        try {
+            return await this.executeCall("setReferralBonusBps", [referrerBps, refereeBps, secondLevelBps], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute referral rate update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule replacing the referrer tiers (starts 48h timer)
+     * @param {Array<{minReferrals: number, minReferredUSDT: bigint, bonusBps: number}>} tiers
+     */
+    async proposeReferralTiersUpdate(tiers) {
+        console.log(`📅 Scheduling ${tiers.length} referral tier(s) (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setReferralTiers", [tiers]);
+        } catch (error) {
+            console.error("❌ Failed to schedule referral tiers:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled referral tier update (after 48h delay)
+     */
+    async executeReferralTiersUpdate(tiers, salt) {
+        console.log("🚀 Executing referral tier update...");
+
+        try {
+            return await this.executeCall("setReferralTiers", [tiers], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute referral tier update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule allowing or delisting a direct purchase stablecoin (starts 48h timer)
+     */
+    async proposePaymentTokenUpdate(tokenAddress, allowed) {
+        console.log(`📅 Scheduling payment token ${tokenAddress} ${allowed ? "listing" : "delisting"} (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setPaymentToken", [tokenAddress, allowed]);
+        } catch (error) {
+            console.error("❌ Failed to schedule payment token update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled payment token update (after 48h delay)
+     */
+    async executePaymentTokenUpdate(tokenAddress, allowed, salt) {
+        console.log("🚀 Executing payment token update...");
+
+        try {
+            return await this.executeCall("setPaymentToken", [tokenAddress, allowed], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute payment token update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a new treasury for direct purchase payments (starts 48h timer)
+     */
+    async proposeTreasuryUpdate(treasuryAddress) {
+        console.log(`📅 Scheduling treasury change to ${treasuryAddress} (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setTreasury", [treasuryAddress]);
+        } catch (error) {
+            console.error("❌ Failed to schedule treasury change:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled treasury change (after 48h delay)
+     */
+    async executeTreasuryUpdate(treasuryAddress, salt) {
+        console.log("🚀 Executing treasury change...");
+
+        try {
+            return await this.executeCall("setTreasury", [treasuryAddress], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute treasury change:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a native coin price feed change (starts 48h timer); a zero feed disables native purchases
+     */
+    async proposeNativePriceFeedUpdate({ feed, maxPriceAge, referencePrice, maxDeviationBps }) {
+        console.log(`📅 Scheduling native price feed ${feed} (max price age ${maxPriceAge}s, reference ${referencePrice} ±${maxDeviationBps} bps, 48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setNativePriceFeed", [feed, maxPriceAge, referencePrice, maxDeviationBps]);
+        } catch (error) {
+            console.error("❌ Failed to schedule native price feed update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled native price feed change (after 48h delay)
+     */
+    async executeNativePriceFeedUpdate({ feed, maxPriceAge, referencePrice, maxDeviationBps }, salt) {
+        console.log("🚀 Executing native price feed update...");
+
+        try {
+            return await this.executeCall("setNativePriceFeed", [feed, maxPriceAge, referencePrice, maxDeviationBps], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute native price feed update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule new USD caps for a contribution tier (starts 48h timer); tier 0 is the default
+     */
+    async proposeContributionTierUpdate({ tier, stageCap, walletCap }) {
+        console.log(`📅 Scheduling contribution tier ${tier} caps: ${stageCap} per stage, ${walletCap} per wallet (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setContributionTier", [tier, stageCap, walletCap]);
+        } catch (error) {
+            console.error("❌ Failed to schedule contribution tier update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled contribution tier update (after 48h delay)
+     */
+    async executeContributionTierUpdate({ tier, stageCap, walletCap }, salt) {
+        console.log("🚀 Executing contribution tier update...");
+
+        try {
+            return await this.executeCall("setContributionTier", [tier, stageCap, walletCap], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute contribution tier update:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule turning KYC attestation mode on or off (starts 48h timer)
+     */
+    async proposeKycRequiredUpdate(required) {
+        console.log(`📅 Scheduling KYC attestation mode ${required ? "on" : "off"} (48h delay)...`);
+
+        try {
+            return await this.scheduleCall("setKycRequired", [required]);
+        } catch (error) {
+            console.error("❌ Failed to schedule KYC mode change:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a scheduled KYC attestation mode change (after 48h delay)
+     */
+    async executeKycRequiredUpdate(required, salt) {
+        console.log("🚀 Executing KYC mode change...");
+
+        try {
+            return await this.executeCall("setKycRequired", [required], salt);
+        } catch (error) {
+            console.error("❌ Failed to execute KYC mode change:", describeError(error));
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule any presale call through the timelock (48h delay)
+     */
+    async scheduleCall(functionName, args) {
+        const data = this.presale.interface.encodeFunctionData(functionName, args);
+        const target = this.presaleAddress;
+        const value = 0;
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const delay = 48 * 60 * 60; // 48 hours
+
+        const tx = await this.timelock.schedule(target, value, data, ethers.ZeroHash, salt, delay);
+        const receipt = await tx.wait();
+        const operationId = await this.timelock.hashOperation(target, value, data, ethers.ZeroHash, salt);
+
+        console.log(`✅ ${functionName} scheduled successfully!`);
+        console.log("  Transaction hash:", receipt.hash);
+        console.log("  Operation ID:", operationId);
+        console.log("  Salt:", salt);
+        console.log("  Execute after:", new Date(Date.now() + delay * 1000).toISOString());
+
+        return {
+            operationId,
+            txHash: receipt.hash,
+            executeAfter: Date.now() + delay * 1000,
+            salt
+        };
+    }
+
+    /**
+     * Execute a presale call scheduled with scheduleCall (after 48h delay)
+     */
+    async executeCall(functionName, args, salt) {
+        const data = this.presale.interface.encodeFunctionData(functionName, args);
+        const target = this.presaleAddress;
+        const value = 0;
+
+        const operationId = await this.timelock.hashOperation(target, value, data, ethers.ZeroHash, salt);
+        if (!(await this.timelock.isOperationReady(operationId))) {
+            throw new Error("Operation not ready for execution yet");
+        }
+
+        const tx = await this.timelock.execute(target, value, data, ethers.ZeroHash, salt);
+        const receipt = await tx.wait();
+
+        console.log(`✅ ${functionName} executed successfully!`);
+        console.log("  Transaction hash:", receipt.hash);
+        console.log("  Block number:", receipt.blockNumber);
+
+        return {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
     /**
      * Cancel a pending timelock operation
      */
@@ -257,7 +800,7 @@ class TimelockService {
             };
             
         } catch (error) {
-            console.error("❌ Failed to cancel operation:", error.message);
+            console.error("❌ Failed to cancel operation:", describeError(error));
             throw error;
         }
     }
@@ -278,7 +821,7 @@ class TimelockService {
                 operationId
             };
         } catch (error) {
-            console.error("❌ Failed to check operation status:", error.message);
+            console.error("❌ Failed to check operation status:", describeError(error));
             throw error;
         }
     }
@@ -296,7 +839,7 @@ class TimelockService {
                 minDelayHours: Number(minDelay) / 3600
             };
         } catch (error) {
-            console.error("❌ Failed to get timelock info:", error.message);
+            console.error("❌ Failed to get timelock info:", describeError(error));
             throw error;
         }
     }
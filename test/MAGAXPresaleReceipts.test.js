@@ -1,10 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployPresale, deployPresaleExtensions } = require("../scripts/presale-contract");
 
 describe("MAGAXPresaleReceipts - Enhanced Security", function () {
   let presaleReceipts;
   let mockToken;
   let owner, recorder, buyer1, buyer2, buyer3, unauthorized, stageManager, emergencyAdmin, finalizer, admin2;
+  let orderSeq = 0;
+
+  // Every recordPurchase* call needs a fresh off-chain order ID
+  const nextOrderId = () => ethers.id(`order-${orderSeq++}`);
 
   // Constants from contract
   const MAX_PURCHASE_USDT = ethers.parseUnits("1000000", 6); // 1M USDT
@@ -18,8 +23,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     mockToken = await MockToken.deploy(owner.address);
     await mockToken.waitForDeployment();
     
-    const MAGAXPresaleReceipts = await ethers.getContractFactory("MAGAXPresaleReceipts");
-    presaleReceipts = await MAGAXPresaleReceipts.deploy(recorder.address, stageManager.address, owner.address); // Owner as admin for tests
+    presaleReceipts = await deployPresale(recorder.address, stageManager.address, owner.address); // Owner as admin for tests
     await presaleReceipts.waitForDeployment();
     
     // Grant additional roles for testing
@@ -66,9 +70,17 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     });
 
     it("Should fail deployment with zero recorder address", async function () {
+      const { purchases } = await deployPresaleExtensions();
+      const MAGAXPresaleReceipts = await ethers.getContractFactory("MAGAXPresaleReceipts");
+      await expect(
+        MAGAXPresaleReceipts.deploy(ethers.ZeroAddress, owner.address, owner.address, purchases.target)
+      ).to.be.revertedWithCustomError(MAGAXPresaleReceipts, "InvalidAddress");
+    });
+
+    it("Should fail deployment with an extension that has no code", async function () {
       const MAGAXPresaleReceipts = await ethers.getContractFactory("MAGAXPresaleReceipts");
       await expect(
-        MAGAXPresaleReceipts.deploy(ethers.ZeroAddress, owner.address, owner.address)
+        MAGAXPresaleReceipts.deploy(recorder.address, stageManager.address, owner.address, buyer1.address)
       ).to.be.revertedWithCustomError(MAGAXPresaleReceipts, "InvalidAddress");
     });
   });
@@ -171,7 +183,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount = ethers.parseUnits("1000", 18);
       const usdtAmount = ethers.parseUnits("0.27", 6); // 1000 MAGAX * 0.000270 USDT = 0.27 USDT
 
-      const tx = await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount);
+      const tx = await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount, nextOrderId());
       const receipt = await tx.wait();
       
       // Check event emission with all parameters
@@ -209,7 +221,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const excessiveAmount = ethers.parseUnits("600000", 18); // More than stage 2 allocation (500K)
       
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, excessiveAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, excessiveAmount, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "InsufficientStageTokens");
     });
 
@@ -218,7 +230,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const usdtAmount = ethers.parseUnits("0.27", 6); // 1000 MAGAX * 0.000270 USDT = 0.27 USDT
 
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount, nextOrderId())
       ).to.emit(presaleReceipts, "PurchaseRecorded");
 
       expect(await presaleReceipts.totalUSDT()).to.equal(usdtAmount);
@@ -231,7 +243,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount = ethers.parseUnits("1000", 18);
 
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, exceedsMax, magaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, exceedsMax, magaxAmount, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "ExceedsMaxPurchase");
     });
 
@@ -241,7 +253,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const expectedMagaxAmount = ethers.parseUnits("3703703703", 18); // 3.7B MAGAX
 
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, MAX_PURCHASE_USDT, expectedMagaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, MAX_PURCHASE_USDT, expectedMagaxAmount, nextOrderId())
       ).to.not.be.reverted;
 
       expect(await presaleReceipts.totalUSDT()).to.equal(MAX_PURCHASE_USDT);
@@ -265,12 +277,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       // Make 10 purchases of 1M USDT each to reach the 10M total limit
       for (let i = 0; i < 10; i++) {
         const buyer = await ethers.getSigners().then(signers => signers[i + 10]); // Use different buyers
-        await presaleReceipts.connect(recorder).recordPurchase(buyer.address, purchaseAmount, magaxAmount);
+        await presaleReceipts.connect(recorder).recordPurchase(buyer.address, purchaseAmount, magaxAmount, nextOrderId());
       }
       
       // Next purchase should fail due to total USDT limit
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, ethers.parseUnits("1", 6), ethers.parseUnits("3703", 18))
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, ethers.parseUnits("1", 6), ethers.parseUnits("3703", 18), nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "ExceedsTotalLimit");
 
       expect(await presaleReceipts.totalUSDT()).to.equal(MAX_TOTAL_USDT);
@@ -283,11 +295,11 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const secondMagaxAmount = ethers.parseUnits("200000", 18); // 200K MAGAX (54 USDT / 0.000270)
 
       // First purchase
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, firstAmount, firstMagaxAmount);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, firstAmount, firstMagaxAmount, nextOrderId());
       expect(await presaleReceipts.totalBuyers()).to.equal(1);
 
       // Second purchase from same buyer
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, secondAmount, secondMagaxAmount);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, secondAmount, secondMagaxAmount, nextOrderId());
       expect(await presaleReceipts.totalBuyers()).to.equal(1); // Should not increment
       expect(await presaleReceipts.userTotalUSDT(buyer1.address)).to.equal(firstAmount + secondAmount);
     });
@@ -298,22 +310,22 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
       // Zero address
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(ethers.ZeroAddress, usdtAmount, magaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(ethers.ZeroAddress, usdtAmount, magaxAmount, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "InvalidAddress");
 
       // Zero amounts
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, 0, magaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, 0, magaxAmount, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "InvalidAmount");
 
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, 0)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, 0, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "InvalidAmount");
     });
 
     it("Should fail when called by unauthorized address", async function () {
       await expect(
-        presaleReceipts.connect(unauthorized).recordPurchase(buyer1.address, ethers.parseUnits("100", 6), ethers.parseUnits("1000", 18))
+        presaleReceipts.connect(unauthorized).recordPurchase(buyer1.address, ethers.parseUnits("100", 6), ethers.parseUnits("1000", 18), nextOrderId())
       ).to.be.reverted;
     });
 
@@ -321,14 +333,13 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       await presaleReceipts.connect(owner).pause();
       
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, ethers.parseUnits("100", 6), ethers.parseUnits("1000", 18))
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, ethers.parseUnits("100", 6), ethers.parseUnits("1000", 18), nextOrderId())
       ).to.be.reverted;
     });
 
     it("Should fail when no stage is active", async function () {
       // Deploy a fresh contract without any active stage
-      const MAGAXPresaleReceipts = await ethers.getContractFactory("MAGAXPresaleReceipts");
-      const freshContract = await MAGAXPresaleReceipts.deploy(recorder.address, stageManager.address, owner.address); // Use valid admin
+      const freshContract = await deployPresale(recorder.address, stageManager.address, owner.address); // Use valid admin
       await freshContract.waitForDeployment();
       
       const usdtAmount = ethers.parseUnits("100", 6);
@@ -336,7 +347,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       
       // Should fail because no stage is active (currentStage = 0)
       await expect(
-        freshContract.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount)
+        freshContract.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount, nextOrderId())
       ).to.be.revertedWithCustomError(freshContract, "StageNotActive");
     });
   });
@@ -346,12 +357,14 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       await presaleReceipts.connect(recorder).recordPurchase(
         buyer1.address,
         ethers.parseUnits("27", 6), // 27 USDT
-        ethers.parseUnits("100000", 18) // 100K MAGAX (27 USDT / 0.000270)
+        ethers.parseUnits("100000", 18), // 100K MAGAX (27 USDT / 0.000270)
+        nextOrderId()
       );
       await presaleReceipts.connect(recorder).recordPurchase(
         buyer1.address,
         ethers.parseUnits("54", 6), // 54 USDT
-        ethers.parseUnits("200000", 18) // 200K MAGAX (54 USDT / 0.000270)
+        ethers.parseUnits("200000", 18), // 200K MAGAX (54 USDT / 0.000270)
+        nextOrderId()
       );
     });
 
@@ -388,7 +401,6 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     });
   });
 
-  /*
   describe("Emergency Token Withdrawal", function () {
     beforeEach(async function () {
       // Send some tokens to the presale contract
@@ -426,10 +438,10 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     });
 
     it("Should fail with zero withdrawal address on first confirmation", async function () {
-      // Since timelock is not active (deployed with ZeroAddress), emergencyTokenWithdraw works normally
+      // The admin (the timelock in production) calls emergencyTokenWithdraw directly
       // but should still fail with InvalidAddress for zero address parameter
       await expect(
-        presaleReceipts.connect(emergencyAdmin).emergencyTokenWithdraw(await mockToken.getAddress(), ethers.ZeroAddress)
+        presaleReceipts.connect(owner).emergencyTokenWithdraw(await mockToken.getAddress(), ethers.ZeroAddress)
       ).to.be.revertedWithCustomError(presaleReceipts, "InvalidAddress");
     });
 
@@ -438,14 +450,14 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const currentBalance = await mockToken.balanceOf(await presaleReceipts.getAddress());
       if (currentBalance > 0) {
         // Use emergencyTokenWithdraw to clear the balance first
-        await presaleReceipts.connect(emergencyAdmin).emergencyTokenWithdraw(await mockToken.getAddress(), owner.address);
+        await presaleReceipts.connect(owner).emergencyTokenWithdraw(await mockToken.getAddress(), owner.address);
       }
       
       // Now the contract should have zero balance
-      // Since timelock is not active, emergencyTokenWithdraw works normally
+      // The admin (the timelock in production) calls emergencyTokenWithdraw directly
       // but should fail with NoTokensToWithdraw when there are no tokens
       await expect(
-        presaleReceipts.connect(emergencyAdmin).emergencyTokenWithdraw(await mockToken.getAddress(), owner.address)
+        presaleReceipts.connect(owner).emergencyTokenWithdraw(await mockToken.getAddress(), owner.address)
       ).to.be.revertedWithCustomError(presaleReceipts, "NoTokensToWithdraw");
     });
 
@@ -455,7 +467,6 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       ).to.be.reverted;
     });
   });
-  */
 
   describe("Access Control & Admin Functions", function () {
     it("Should allow admin to grant and revoke recorder role", async function () {
@@ -492,7 +503,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         await presaleReceipts.connect(recorder).recordPurchase(
           buyer1.address,
           usdtPerPurchase,
-          magaxPerPurchase
+          magaxPerPurchase,
+          nextOrderId()
         );
       }
 
@@ -517,7 +529,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       )).to.emit(presaleReceipts, "ReferralBonusAwarded");
 
       // Check referrer is set
@@ -553,7 +566,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer1.address // Self-referral
+        buyer1.address, // Self-referral
+        nextOrderId()
       )).to.be.revertedWithCustomError(presaleReceipts, "SelfReferral");
     });
 
@@ -565,7 +579,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        ethers.ZeroAddress
+        ethers.ZeroAddress,
+        nextOrderId()
       )).to.be.revertedWithCustomError(presaleReceipts, "InvalidReferrer");
     });
 
@@ -578,7 +593,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       );
 
       expect(await presaleReceipts.userReferrer(buyer1.address)).to.equal(buyer2.address);
@@ -588,7 +604,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer3.address
+        buyer3.address,
+        nextOrderId()
       );
 
       // Referrer should still be buyer2
@@ -609,7 +626,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       );
 
       // buyer2 refers buyer3
@@ -617,7 +635,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer3.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       );
 
       const [referrals, totalBonus] = await presaleReceipts.getReferralInfo(buyer2.address);
@@ -635,7 +654,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       );
 
       // buyer1 should have 2 receipts: base purchase + referee bonus
@@ -680,7 +700,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       );
 
       const finalStageInfo = await presaleReceipts.getStageInfo(1);
@@ -700,7 +721,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       )).to.be.reverted;
 
       // Should work with recorder role
@@ -708,7 +730,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         buyer1.address,
         usdtAmount,
         magaxAmount,
-        buyer2.address
+        buyer2.address,
+        nextOrderId()
       )).to.not.be.reverted;
     });
   });
@@ -736,7 +759,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           await presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             purchaseAmount,
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           );
         }
 
@@ -748,7 +772,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             finalPurchase,
-            finalMagaxAmount
+            finalMagaxAmount,
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
@@ -766,7 +791,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           await presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             purchaseAmount,
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           );
         }
 
@@ -778,7 +804,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             smallAmount,
-            smallMagaxAmount
+            smallMagaxAmount,
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "ExceedsTotalLimit");
       });
@@ -807,7 +834,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             expectedUSDT,
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
@@ -816,7 +844,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer2.address,
             expectedUSDT + ethers.parseUnits("1", 6), // +1 USDT
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
@@ -824,7 +853,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer3.address,
             expectedUSDT - ethers.parseUnits("1", 6), // -1 USDT
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
@@ -833,7 +863,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             expectedUSDT + ethers.parseUnits("1.000001", 6), // >1 USDT over
-            magaxAmount
+            magaxAmount,
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "PriceMismatch");
       });
@@ -852,7 +883,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          buyer2.address
+          buyer2.address,
+          nextOrderId()
         );
 
         const referrerTotalAfterReferral = await presaleReceipts.userTotalMAGAX(buyer2.address);
@@ -863,7 +895,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         await presaleReceipts.connect(recorder).recordPurchase(
           buyer2.address,
           usdtAmount,
-          magaxAmount
+          magaxAmount,
+          nextOrderId()
         );
 
         const referrerTotalAfterOwnPurchase = await presaleReceipts.userTotalMAGAX(buyer2.address);
@@ -887,7 +920,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          buyer2.address
+          buyer2.address,
+          nextOrderId()
         );
 
         // Second referral: buyer2 refers buyer3
@@ -895,7 +929,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           buyer3.address,
           usdtAmount,
           magaxAmount,
-          buyer2.address
+          buyer2.address,
+          nextOrderId()
         );
 
         const expectedReferrerBonus = (magaxAmount * 700n) / 10000n; // 7% bonus per referral
@@ -909,6 +944,17 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     });
 
   describe("Promo System", function () {
+    // Promo bonuses are only paid through registered campaigns: one campaign per rate
+    const promoCode = async (bps) => {
+      const codeId = ethers.id(`PROMO-${bps}`);
+      if ((await presaleReceipts.promoCampaigns(codeId)).bonusBps === 0n) {
+        await presaleReceipts.connect(stageManager).createPromoCampaign(
+          codeId, bps, 0, 0, ethers.parseUnits("10000000000", 18), 0, 0
+        );
+      }
+      return codeId;
+    };
+
     beforeEach(async function () {
       // Ensure stage 1 is active for promo tests (in case other tests changed it)
       await presaleReceipts.connect(stageManager).activateStage(1);
@@ -925,11 +971,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const expectedTotal = magaxAmount + expectedBonus;
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.emit(presaleReceipts, "PromoUsed")
           .withArgs(buyer1.address, promoBps, expectedBonus, 1, 1); // receipt index 1 (bonus receipt, 0-indexed)
@@ -952,11 +999,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const magaxAmount = ethers.parseUnits("500000", 18); // 500K MAGAX (135 USDT / 0.000270 = 500K MAGAX)
         const promoBps = 2000; // 20% bonus
 
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          promoBps
+          await promoCode(promoBps),
+          nextOrderId()
         );
 
         const receipts = await presaleReceipts.getReceiptsPaginated(buyer1.address, 0, 50);
@@ -982,22 +1030,24 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
         // First promo purchase - bonus receipt should be at index 1
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.emit(presaleReceipts, "PromoUsed")
           .withArgs(buyer1.address, promoBps, expectedBonus, 1, 1);
 
         // Second promo purchase - bonus receipt should be at index 3
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.emit(presaleReceipts, "PromoUsed")
           .withArgs(buyer1.address, promoBps, expectedBonus, 1, 3);
@@ -1053,21 +1103,31 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
         // Should accept 30% promo (updated cap)
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            3000
+            await promoCode(3000),
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
-        // Should reject 31% promo (over updated cap)
+        // Should reject a 31% campaign (over updated cap)
+        await expect(
+          presaleReceipts.connect(stageManager).createPromoCampaign(
+            ethers.id("PROMO-3001"), 3001, 0, 0, ethers.parseUnits("1000000", 18), 0, 0
+          )
+        ).to.be.revertedWithCustomError(presaleReceipts, "InvalidPromoBps");
+
+        // A campaign created under the old cap is checked against the new one at every use
+        await presaleReceipts.connect(owner).setMaxPromoBps(2000);
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            3001
+            await promoCode(3000),
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "InvalidPromoBps");
       });
@@ -1075,32 +1135,36 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
     describe("Promo validation", function () {
       it("should reject zero promo percentage", async function () {
-        const usdtAmount = ethers.parseUnits("27", 6);
-        const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
-
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
-            buyer1.address,
-            usdtAmount,
-            magaxAmount,
-            0
+          presaleReceipts.connect(stageManager).createPromoCampaign(
+            ethers.id("PROMO-0"), 0, 0, 0, ethers.parseUnits("1000000", 18), 0, 0
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "InvalidPromoBps");
       });
 
       it("should reject promo percentage above cap", async function () {
+        const maxCap = await presaleReceipts.maxPromoCapBps();
+
+        await expect(
+          presaleReceipts.connect(stageManager).createPromoCampaign(
+            ethers.id("PROMO-OVER-CAP"), maxCap + 1n, 0, 0, ethers.parseUnits("1000000", 18), 0, 0
+          )
+        ).to.be.revertedWithCustomError(presaleReceipts, "InvalidPromoBps");
+      });
+
+      it("should reject a promo code that is not registered", async function () {
         const usdtAmount = ethers.parseUnits("27", 6);
         const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
-        const maxCap = await presaleReceipts.maxPromoCapBps();
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            maxCap + 1n
+            ethers.id("PROMO-UNKNOWN"),
+            nextOrderId()
           )
-        ).to.be.revertedWithCustomError(presaleReceipts, "InvalidPromoBps");
+        ).to.be.revertedWithCustomError(presaleReceipts, "PromoCodeNotFound");
       });
 
       it("should check stage has enough tokens for purchase + bonus", async function () {
@@ -1119,21 +1183,23 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         // Total needed: 500 + 250 = 750 tokens (should work)
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
         // Second purchase should fail (need 750 more but only 250 left)
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer2.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "InsufficientStageTokens");
       });
@@ -1146,11 +1212,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const promoBps = 2500; // 25% bonus
 
         // Purchase in stage 1
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          promoBps
+          await promoCode(promoBps),
+          nextOrderId()
         );
 
         // Switch to stage 2
@@ -1165,11 +1232,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         // Purchase in stage 2 with different promo
         const stage2UsdtAmount = ethers.parseUnits("29.3", 6); // 29.3 USDT for stage 2 price
         const stage2MagaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (29.3 USDT / 0.000293 = 100K MAGAX)
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           stage2UsdtAmount,
           stage2MagaxAmount,
-          1000 // 10% bonus
+          await promoCode(1000), // 10% bonus
+          nextOrderId()
         );
 
         const receipts = await presaleReceipts.getReceiptsPaginated(buyer1.address, 0, 50);
@@ -1188,21 +1256,23 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const promoBps = 1000; // 10% bonus
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
         // Should respect MAX_PURCHASE_USDT limit
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             ethers.parseUnits("1000001", 6), // Over limit
             ethers.parseUnits("3703707407", 18), // 3.7B MAGAX (1000001 USDT / 0.000270)
-            promoBps
+            await promoCode(promoBps),
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "ExceedsMaxPurchase");
       });
@@ -1210,7 +1280,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       it("should work when finalised", async function () {
         const usdtAmount = ethers.parseUnits("27", 6);
         const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
-        const promoBps = 1500;
+        const codeId = await promoCode(1500);
 
         // Since timelock is not active, finalise() works normally
         await expect(
@@ -1219,11 +1289,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
         // Should reject promo purchases after finalization (contract is paused when finalized)
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            promoBps
+            codeId,
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "EnforcedPause");
       });
@@ -1243,11 +1314,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           const magaxAmount = ethers.parseUnits("1000000", 18); // 1M MAGAX (270 USDT / 0.000270 = 1M MAGAX)
           const expectedBonus = (magaxAmount * BigInt(percentage)) / 10000n;
 
-          await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            percentage
+            await promoCode(percentage),
+            nextOrderId()
           );
 
           const promoBonus = await presaleReceipts.getUserPromoBonus(buyer1.address);
@@ -1270,11 +1342,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
         const expectedBonus = (magaxAmount * 9000n) / 10000n;
 
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          promoBps
+          await promoCode(promoBps),
+          nextOrderId()
         );
 
         const userTotal = await presaleReceipts.userTotalMAGAX(buyer1.address);
@@ -1288,19 +1361,21 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
 
         // First promo purchase: 15% bonus
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          1500
+          await promoCode(1500),
+          nextOrderId()
         );
 
         // Second promo purchase: 25% bonus
-        await presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+        await presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
           buyer1.address,
           usdtAmount,
           magaxAmount,
-          2500
+          await promoCode(2500),
+          nextOrderId()
         );
 
         const expectedBonus1 = (magaxAmount * 1500n) / 10000n;
@@ -1320,22 +1395,24 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
 
         // First promo - bonus receipt at index 1
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            1000
+            await promoCode(1000),
+            nextOrderId()
           )
         ).to.emit(presaleReceipts, "PromoUsed")
           .withArgs(buyer1.address, 1000, (magaxAmount * 1000n) / 10000n, 1, 1);
 
         // Second promo - bonus receipt at index 3
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            2000
+            await promoCode(2000),
+            nextOrderId()
           )
         ).to.emit(presaleReceipts, "PromoUsed")
           .withArgs(buyer1.address, 2000, (magaxAmount * 2000n) / 10000n, 1, 3);
@@ -1354,11 +1431,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
     describe("Edge cases", function () {
       it("should handle zero magax amount gracefully", async function () {
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             ethers.parseUnits("27", 6),
             0, // Zero MAGAX
-            1000
+            await promoCode(1000),
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "InvalidAmount");
       });
@@ -1369,28 +1447,31 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            maxCap
+            await promoCode(maxCap),
+            nextOrderId()
           )
         ).to.not.be.reverted;
       });
 
       it("should handle promo when contract is paused", async function () {
         // Pause the contract to test when it's not operational
+        const codeId = await promoCode(1000);
         await presaleReceipts.connect(owner).pause();
 
         const usdtAmount = ethers.parseUnits("27", 6);
         const magaxAmount = ethers.parseUnits("100000", 18); // 100K MAGAX (27 USDT / 0.000270 = 100K MAGAX)
 
         await expect(
-          presaleReceipts.connect(recorder).recordPurchaseWithPromo(
+          presaleReceipts.connect(recorder).recordPurchaseWithPromoCode(
             buyer1.address,
             usdtAmount,
             magaxAmount,
-            1000
+            codeId,
+            nextOrderId()
           )
         ).to.be.revertedWithCustomError(presaleReceipts, "EnforcedPause");
       });
@@ -1458,7 +1539,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount1 = ethers.parseUnits("1000", 18);
       const usdtAmount1 = ethers.parseUnits("1", 6);
       
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount1, magaxAmount1);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount1, magaxAmount1, nextOrderId());
       
       // Verify stage 1 state before transition
       const stage1InfoBefore = await presaleReceipts.getStageInfo(1);
@@ -1487,7 +1568,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount2 = ethers.parseUnits("500", 18);
       const usdtAmount2 = ethers.parseUnits("0.1465", 6); // 500 MAGAX * 0.000293 USDT = 0.1465 USDT
       
-      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, usdtAmount2, magaxAmount2);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, usdtAmount2, magaxAmount2, nextOrderId());
       
       const stage2InfoFinal = await presaleReceipts.getStageInfo(2);
       expect(stage2InfoFinal.tokensSold).to.equal(magaxAmount2);
@@ -1516,7 +1597,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount = ethers.parseUnits("100000", 18); // Use 100K MAGAX for larger difference
       const stage1UsdtAmount = ethers.parseUnits("27", 6); // 100K * 0.000270 = 27 USDT
       
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, stage1UsdtAmount, magaxAmount);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, stage1UsdtAmount, magaxAmount, nextOrderId());
       
       // Activate stage 2 (price: 0.000293 USDT per MAGAX)
       await presaleReceipts.connect(stageManager).activateStage(2);
@@ -1525,12 +1606,12 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       // 100K MAGAX at stage 2 price (0.000293) should cost 29.3 USDT, not 27 USDT
       // Difference is 2.3 USDT, which should exceed tolerance
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer2.address, stage1UsdtAmount, magaxAmount)
+        presaleReceipts.connect(recorder).recordPurchase(buyer2.address, stage1UsdtAmount, magaxAmount, nextOrderId())
       ).to.be.revertedWithCustomError(presaleReceipts, "PriceMismatch");
       
       // Correct purchase with stage 2 pricing should work
       const stage2UsdtAmount = ethers.parseUnits("29.3", 6); // 100K * 0.000293 = 29.3 USDT
-      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, stage2UsdtAmount, magaxAmount);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, stage2UsdtAmount, magaxAmount, nextOrderId());
       
       const stage2Info = await presaleReceipts.getStageInfo(2);
       expect(stage2Info.tokensSold).to.equal(magaxAmount);
@@ -1545,7 +1626,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       // Purchase in stage 1
       const magax1 = ethers.parseUnits("1000", 18);
       const usdt1 = ethers.parseUnits("0.27", 6); // 1000 * 0.000270 = 0.27 USDT
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdt1, magax1);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdt1, magax1, nextOrderId());
       
       // Move to stage 2
       await presaleReceipts.connect(stageManager).activateStage(2);
@@ -1553,7 +1634,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       // Purchase in stage 2
       const magax2 = ethers.parseUnits("500", 18);
       const usdt2 = ethers.parseUnits("0.1465", 6); // 500 * 0.000293 = 0.1465 USDT
-      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, usdt2, magax2);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer2.address, usdt2, magax2, nextOrderId());
       
       // Move to stage 3
       await presaleReceipts.connect(stageManager).activateStage(3);
@@ -1561,7 +1642,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       // Purchase in stage 3
       const magax3 = ethers.parseUnits("333", 18);
       const usdt3 = ethers.parseUnits("0.105894", 6); // 333 * 0.000318 = 0.105894 USDT
-      await presaleReceipts.connect(recorder).recordPurchase(buyer3.address, usdt3, magax3);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer3.address, usdt3, magax3, nextOrderId());
       
       // Verify cumulative totals
       const totalUsdt = usdt1 + usdt2 + usdt3;
@@ -1584,7 +1665,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const usdtAmount = ethers.parseUnits("0.27", 6); // 1000 * 0.000270 = 0.27 USDT
       
       await expect(
-        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, smallAllocation)
+        presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, smallAllocation, nextOrderId())
       ).to.emit(presaleReceipts, "StageCompleted").withArgs(4, smallAllocation);
       
       // Verify stage is exhausted
@@ -1608,7 +1689,7 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const magaxAmount = ethers.parseUnits("333", 18);
       const usdtAmount = ethers.parseUnits("999", 3); // 333 * 0.003 = 0.999 USDT
       
-      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount);
+      await presaleReceipts.connect(recorder).recordPurchase(buyer1.address, usdtAmount, magaxAmount, nextOrderId());
       
       const stage3Info = await presaleReceipts.getStageInfo(3);
       expect(stage3Info.tokensSold).to.equal(magaxAmount);
@@ -1634,7 +1715,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const usdtAmount1 = ethers.parseUnits("1", 6);
       
       await presaleReceipts.connect(recorder).recordPurchaseWithReferral(
-        buyer1.address, usdtAmount1, magaxAmount1, referrer.address
+        buyer1.address, usdtAmount1, magaxAmount1, referrer.address,
+        nextOrderId()
       );
       
       // Rollover to stage 2
@@ -1645,7 +1727,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       const usdtAmount2 = ethers.parseUnits("0.1465", 6); // 500 * 0.000293 = 0.1465 USDT
       
       await presaleReceipts.connect(recorder).recordPurchaseWithReferral(
-        buyer2.address, usdtAmount2, magaxAmount2, referrer.address
+        buyer2.address, usdtAmount2, magaxAmount2, referrer.address,
+        nextOrderId()
       );
       
       // Verify referrer has bonuses from both stages
@@ -1735,9 +1818,9 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         // Send some tokens to the contract for testing
         await mockToken.transfer(presaleReceipts.target, ethers.parseUnits("1000", 18));
 
-        // emergencyTokenWithdraw() works normally when timelockActive is false
+        // emergencyTokenWithdraw() is called by the admin (the timelock in production)
         await expect(
-          presaleReceipts.connect(emergencyAdmin).emergencyTokenWithdraw(mockToken.target, owner.address)
+          presaleReceipts.connect(owner).emergencyTokenWithdraw(mockToken.target, owner.address)
         ).to.emit(presaleReceipts, "EmergencyTokenWithdraw");
 
         // Tokens should be withdrawn
@@ -1745,7 +1828,6 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
       });
     });
 
-    /*
     describe("Immediate Emergency Withdrawal (3-of-3 Multi-Sig)", function () {
       beforeEach(async function () {
         // Send some tokens to the contract for testing
@@ -1775,7 +1857,6 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
         expect(await mockToken.balanceOf(owner.address)).to.be.greaterThan(ethers.parseUnits("1000", 18));
       });
     });
-    */
 
     describe("Role-Based Access Control", function () {
       it("Should enforce role requirements for sensitive functions", async function () {
@@ -1801,7 +1882,8 @@ describe("MAGAXPresaleReceipts - Enhanced Security", function () {
           presaleReceipts.connect(recorder).recordPurchase(
             buyer1.address,
             ethers.parseUnits("100", 6),
-            ethers.parseUnits("370370", 18)
+            ethers.parseUnits("370370", 18),
+            nextOrderId()
           )
         ).to.not.be.reverted;
 
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    buildSnapshot, buildMerkleTree, verifyProof, createProofServer
+} = require("../scripts/allocation-snapshot");
+const { createCampaign } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("Allocation Snapshot - Merkle snapshot and proof server", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const base = (usdt) => (usdt * 10n ** 18n) / price;
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+
+        const budget = ethers.parseUnits("1000000", 18);
+        const { codeId: promo15 } = await createCampaign(presale.connect(stageManager), { code: "PROMO15", bonusBps: 1500, bonusBudget: budget });
+        const { codeId: promo10 } = await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: budget });
+
+        const usdt = ethers.parseUnits("100", 6);
+        await presale.connect(recorder).recordPurchase(alice.address, usdt, base(usdt), ethers.id("s-1"));
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdt, base(usdt), alice.address, ethers.id("s-2"));
+        await presale.connect(recorder).recordPurchaseWithPromoCode(carol.address, usdt, base(usdt), promo15, ethers.id("s-3"));
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            carol.address, usdt * 2n, base(usdt * 2n), promo10, bob.address, ethers.id("s-4")
+        );
+        // Recorded amount slightly off the canonical base, within the ±1 USDT price tolerance
+        await presale.connect(recorder).recordPurchase(alice.address, usdt, base(usdt) - 1000n, ethers.id("s-5"));
+    });
+
+    it("Should rebuild per-address allocations that match on-chain totals", async function () {
+        await presale.connect(admin).finalise();
+        const snapshot = await buildSnapshot(presale);
+
+        expect(snapshot.verified).to.be.true;
+        expect(Object.keys(snapshot.claims)).to.have.length(3);
+        expect(BigInt(snapshot.totalAllocation)).to.equal(await presale.totalMAGAX());
+
+        for (const signer of [alice, bob, carol]) {
+            expect(BigInt(snapshot.claims[signer.address].allocation)).to.equal(await presale.userTotalMAGAX(signer.address));
+        }
+
+        const usdt = ethers.parseUnits("100", 6);
+        const alicesClaim = snapshot.claims[alice.address];
+        expect(BigInt(alicesClaim.base)).to.equal(base(usdt) * 2n - 1000n);
+        expect(BigInt(alicesClaim.referrer)).to.equal((base(usdt) * 700n) / 10000n);
+        expect(BigInt(snapshot.claims[bob.address].referee)).to.equal((base(usdt) * 500n) / 10000n);
+        expect(BigInt(snapshot.claims[carol.address].promo))
+            .to.equal((base(usdt) * 1500n) / 10000n + (base(usdt * 2n) * 1000n) / 10000n);
+    });
+
+    it("Should refuse to snapshot an open presale unless asked to", async function () {
+        let error;
+        try {
+            await buildSnapshot(presale);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/not finalised/);
+
+        const snapshot = await buildSnapshot(presale, { allowUnfinalised: true });
+        expect(snapshot.verified).to.be.true;
+    });
+
+    it("Should produce proofs that MAGAXTokenClaim accepts", async function () {
+        await presale.connect(admin).finalise();
+        const snapshot = await buildSnapshot(presale);
+
+        const Token = await ethers.getContractFactory("MoonShotMAGAX");
+        const token = await Token.deploy(admin.address);
+        const Claim = await ethers.getContractFactory("MAGAXTokenClaim");
+        const claim = await Claim.deploy(await token.getAddress(), await presale.getAddress(), admin.address);
+        await token.connect(admin).transfer(await claim.getAddress(), snapshot.totalAllocation);
+
+        const tge = (await time.latest()) + 60;
+        await claim.connect(admin).setVestingSchedule(tge, 10000, 0, 0);
+        await claim.connect(admin).setMerkleRoot(snapshot.root);
+        await time.increaseTo(tge);
+
+        for (const signer of [alice, bob, carol]) {
+            const entry = snapshot.claims[signer.address];
+            await claim.connect(signer).claimWithProof(entry.allocation, entry.proof);
+            expect(await token.balanceOf(signer.address)).to.equal(entry.allocation);
+        }
+    });
+
+    it("Should build verifiable trees for any number of leaves", async function () {
+        const wallets = Array.from({ length: 7 }, () => ethers.Wallet.createRandom().address);
+        const entries = wallets.map((address, i) => [address, BigInt(i + 1) * 10n ** 18n]);
+        const { root, proofs } = buildMerkleTree(entries);
+
+        for (const [address, amount] of entries) {
+            expect(verifyProof(root, address, amount, proofs.get(address))).to.be.true;
+            expect(verifyProof(root, address, amount + 1n, proofs.get(address))).to.be.false;
+        }
+    });
+
+    it("Should serve the root and per-address proofs over HTTP", async function () {
+        await presale.connect(admin).finalise();
+        const snapshot = await buildSnapshot(presale);
+        const server = createProofServer(snapshot);
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const root = await (await fetch(`${baseUrl}/root`)).json();
+            expect(root.root).to.equal(snapshot.root);
+
+            const response = await fetch(`${baseUrl}/proof/${bob.address.toLowerCase()}`);
+            expect(response.status).to.equal(200);
+            const proof = await response.json();
+            expect(proof.address).to.equal(bob.address);
+            expect(proof.proof).to.deep.equal(snapshot.claims[bob.address].proof);
+
+            expect((await fetch(`${baseUrl}/proof/${ethers.ZeroAddress}`)).status).to.equal(404);
+            expect((await fetch(`${baseUrl}/proof/not-an-address`)).status).to.equal(404);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
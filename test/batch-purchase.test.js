@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Batch Recording", function () {
+    let presale, recorder, stageManager, admin, buyer1, buyer2, referrer, unauthorized;
+
+    const Kind = { Plain: 0, Referral: 1, Promo: 2, PromoAndReferral: 3 };
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+
+    function record(kind, buyer, orderLabel, overrides = {}) {
+        return {
+            kind,
+            buyer,
+            usdtAmount,
+            magaxAmount,
+            codeId: ethers.ZeroHash,
+            referrer: ethers.ZeroAddress,
+            orderId: ethers.id(orderLabel),
+            asset: ethers.ZeroAddress,
+            assetAmount: 0n,
+            ...overrides
+        };
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer1, buyer2, referrer, unauthorized] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+
+        const allocation = ethers.parseUnits("200000000", 18);
+        const usdTarget = ethers.parseUnits("1000000", 6);
+        await presale.connect(stageManager).configureStage(1, price, allocation, usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+
+        for (const [code, bonusBps] of [["PROMO15", 1500], ["PROMO10", 1000]]) {
+            await createCampaign(presale.connect(stageManager), { code, bonusBps, bonusBudget: ethers.parseUnits("1000000", 18) });
+        }
+    });
+
+    it("Should record mixed purchase kinds with the same events as single calls", async function () {
+        const records = [
+            record(Kind.Plain, buyer1.address, "b-1"),
+            record(Kind.Referral, buyer2.address, "b-2", { referrer: referrer.address }),
+            record(Kind.Promo, buyer1.address, "b-3", { codeId: promoCodeId("PROMO15") }),
+            record(Kind.PromoAndReferral, buyer2.address, "b-4", { codeId: promoCodeId("PROMO10"), referrer: referrer.address })
+        ];
+
+        const tx = presale.connect(recorder).recordPurchaseBatch(records, true);
+        await expect(tx).to.emit(presale, "BatchRecorded").withArgs(4, 4, true);
+        await expect(tx).to.emit(presale, "PromoUsed");
+        await expect(tx).to.emit(presale, "PromoCodeUsed").withArgs(promoCodeId("PROMO15"), buyer1.address, ethers.id("b-3"), (magaxAmount * 1500n) / 10000n);
+        await expect(tx).to.emit(presale, "ReferralBonusAwarded");
+        await expect(tx).to.emit(presale, "PurchaseRecordedV2");
+
+        const promoBonus = (magaxAmount * 1500n) / 10000n;
+        expect(await presale.userTotalUSDT(buyer1.address)).to.equal(usdtAmount * 2n);
+        expect(await presale.userTotalMAGAX(buyer1.address)).to.equal(magaxAmount * 2n + promoBonus);
+        expect(await presale.totalUSDT()).to.equal(usdtAmount * 4n);
+        expect(await presale.totalBuyers()).to.equal(2);
+
+        const [referrals] = await presale.getReferralInfo(referrer.address);
+        expect(referrals).to.equal(2);
+        expect(await presale.isOrderRecorded(ethers.id("b-4"))).to.be.true;
+    });
+
+    it("Should revert the whole batch in atomic mode", async function () {
+        const records = [
+            record(Kind.Plain, buyer1.address, "a-1"),
+            record(Kind.Referral, buyer2.address, "a-2", { referrer: buyer2.address })
+        ];
+
+        await expect(
+            presale.connect(recorder).recordPurchaseBatch(records, true)
+        ).to.be.revertedWithCustomError(presale, "SelfReferral");
+
+        expect(await presale.totalUSDT()).to.equal(0);
+        expect(await presale.isOrderRecorded(ethers.id("a-1"))).to.be.false;
+    });
+
+    it("Should skip and report failed items in non-atomic mode", async function () {
+        const records = [
+            record(Kind.Plain, buyer1.address, "n-1"),
+            record(Kind.Promo, buyer2.address, "n-2", { codeId: promoCodeId("NOT-REGISTERED") }),
+            record(Kind.Plain, buyer1.address, "n-1"),
+            record(Kind.Plain, buyer2.address, "n-3")
+        ];
+
+        const results = await presale.connect(recorder).recordPurchaseBatch.staticCall(records, false);
+        expect(results).to.deep.equal([true, false, false, true]);
+
+        const invalidPromo = presale.interface.encodeErrorResult("PromoCodeNotFound", []);
+        const duplicate = presale.interface.encodeErrorResult("DuplicateOrderId", []);
+
+        const tx = presale.connect(recorder).recordPurchaseBatch(records, false);
+        await expect(tx).to.emit(presale, "BatchItemFailed").withArgs(1, ethers.id("n-2"), invalidPromo);
+        await expect(tx).to.emit(presale, "BatchItemFailed").withArgs(2, ethers.id("n-1"), duplicate);
+        await expect(tx).to.emit(presale, "BatchRecorded").withArgs(4, 2, false);
+
+        expect(await presale.totalUSDT()).to.equal(usdtAmount * 2n);
+        expect(await presale.isOrderRecorded(ethers.id("n-2"))).to.be.false;
+        expect(await presale.isOrderRecorded(ethers.id("n-3"))).to.be.true;
+    });
+
+    it("Should enforce batch size bounds", async function () {
+        await expect(
+            presale.connect(recorder).recordPurchaseBatch([], true)
+        ).to.be.revertedWithCustomError(presale, "InvalidBatchSize");
+
+        const maxBatch = Number(await presale.MAX_BATCH_SIZE());
+        const oversized = Array.from({ length: maxBatch + 1 }, (_, i) => record(Kind.Plain, buyer1.address, `o-${i}`));
+        await expect(
+            presale.connect(recorder).recordPurchaseBatch(oversized, false)
+        ).to.be.revertedWithCustomError(presale, "InvalidBatchSize");
+    });
+
+    it("Should restrict batch entry points", async function () {
+        const records = [record(Kind.Plain, buyer1.address, "r-1")];
+
+        await expect(
+            presale.connect(unauthorized).recordPurchaseBatch(records, true)
+        ).to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await expect(
+            presale.connect(recorder).processBatchItem(records[0])
+        ).to.be.revertedWithCustomError(presale, "BatchItemSelfCallOnly");
+
+        await presale.connect(admin).pause();
+        await expect(
+            presale.connect(recorder).recordPurchaseBatch(records, true)
+        ).to.be.revertedWithCustomError(presale, "EnforcedPause");
+    });
+});
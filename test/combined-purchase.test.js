@@ -1,14 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
 
 describe("MAGAXPresaleReceipts - Promo and Referral Combined", function () {
     let presale, deployer, recorder, stageManager, admin, buyer, referrer;
+    let orderSeq = 0;
+
+    const nextOrderId = () => ethers.id(`combined-${orderSeq++}`);
+    const promo15 = promoCodeId("PROMO15");
 
     beforeEach(async function () {
         [deployer, recorder, stageManager, admin, buyer, referrer] = await ethers.getSigners();
 
-        const Presale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-        presale = await Presale.deploy(recorder.address, stageManager.address, admin.address);
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
 
         // Configure stage 1
         const price = ethers.parseUnits("0.000270", 6); // 0.000270 USDT per token
@@ -16,9 +21,10 @@ describe("MAGAXPresaleReceipts - Promo and Referral Combined", function () {
     const usdTarget = ethers.parseUnits("1000000", 6); // 1M USDT target
     await presale.connect(stageManager).configureStage(1, price, allocation, usdTarget);
         await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO15", bonusBps: 1500, bonusBudget: ethers.parseUnits("1000000000", 18) });
     });
 
-    describe("recordPurchaseWithPromoAndReferral", function () {
+    describe("recordPurchaseWithPromoCodeAndReferral", function () {
         it("Should record purchase with both promo and referral bonuses", async function () {
             const usdtAmount = ethers.parseUnits("100", 6); // 100 USDT
             const magaxAmount = ethers.parseUnits("370370.370370370370370370", 18); // Base tokens
@@ -33,12 +39,13 @@ describe("MAGAXPresaleReceipts - Promo and Referral Combined", function () {
             const totalStageTokens = totalBuyerTokens + referrerBonus;
 
             // Record purchase
-            const tx = await presale.connect(recorder).recordPurchaseWithPromoAndReferral(
+            const tx = await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
                 buyer.address,
                 usdtAmount,
                 magaxAmount,
-                promoBps,
-                referrer.address
+                promo15,
+                referrer.address,
+                nextOrderId()
             );
 
             // Get transaction receipt to check block timestamp
@@ -111,50 +118,60 @@ describe("MAGAXPresaleReceipts - Promo and Referral Combined", function () {
             const usdtAmount = ethers.parseUnits("900000", 6); // 900K USDT
             // At 0.000270 USDT per token: 900K / 0.000270 = ~3.33B base tokens
             const magaxAmount = ethers.parseUnits("3333333333", 18); // 3.33B tokens (base amount)
-            const promoBps = 1500; // 15% bonus
             
             // With 15% promo + 10% referrer + 5% referee bonuses, total will be ~4.33B tokens
             // This should far exceed the 200M token stage allocation
 
             await expect(
-                presale.connect(recorder).recordPurchaseWithPromoAndReferral(
+                presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
                     buyer.address,
                     usdtAmount,
                     magaxAmount,
-                    promoBps,
-                    referrer.address
+                    promo15,
+                    referrer.address,
+                    nextOrderId()
                 )
             ).to.be.revertedWithCustomError(presale, "InsufficientStageTokens");
         });
 
         it("Should revert for invalid promo BPS", async function () {
+            const invalidPromoBps = 6000; // 60% - exceeds max
+
+            await expect(
+                createCampaign(presale.connect(stageManager), {
+                    code: "PROMO60", bonusBps: invalidPromoBps, bonusBudget: ethers.parseUnits("1000000", 18)
+                })
+            ).to.be.revertedWithCustomError(presale, "InvalidPromoBps");
+        });
+
+        it("Should revert for a promo code that is not registered", async function () {
             const usdtAmount = ethers.parseUnits("100", 6);
             const magaxAmount = ethers.parseUnits("370370", 18);
-            const invalidPromoBps = 6000; // 60% - exceeds max
 
             await expect(
-                presale.connect(recorder).recordPurchaseWithPromoAndReferral(
+                presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
                     buyer.address,
                     usdtAmount,
                     magaxAmount,
-                    invalidPromoBps,
-                    referrer.address
+                    promoCodeId("PROMO60"),
+                    referrer.address,
+                    nextOrderId()
                 )
-            ).to.be.revertedWithCustomError(presale, "InvalidPromoBps");
+            ).to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
         });
 
         it("Should revert for self-referral", async function () {
             const usdtAmount = ethers.parseUnits("100", 6);
             const magaxAmount = ethers.parseUnits("370370", 18);
-            const promoBps = 1500;
 
             await expect(
-                presale.connect(recorder).recordPurchaseWithPromoAndReferral(
+                presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
                     buyer.address,
                     usdtAmount,
                     magaxAmount,
-                    promoBps,
-                    buyer.address // Self-referral
+                    promo15,
+                    buyer.address, // Self-referral
+                    nextOrderId()
                 )
             ).to.be.revertedWithCustomError(presale, "SelfReferral");
         });
@@ -0,0 +1,25 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const { PRESALE_ARTIFACTS, ENGINE_ARTIFACT } = require("../scripts/presale-contract");
+
+// EIP-170: mainnet and every EVM chain we deploy to reject runtime code above this
+const MAX_RUNTIME_SIZE = 24576;
+
+describe("Contract Size (EIP-170)", function () {
+    const contracts = [
+        ...PRESALE_ARTIFACTS,
+        ENGINE_ARTIFACT,
+        { file: "MoonShotMAGAX.sol", name: "MoonShotMAGAX" },
+        { file: "MAGAXTokenClaim.sol", name: "MAGAXTokenClaim" },
+        { file: "MAGAXTimelock.sol", name: "MAGAXTimelock" }
+    ];
+
+    for (const { file, name } of contracts) {
+        it(`${name} runtime bytecode fits in ${MAX_RUNTIME_SIZE} bytes`, async function () {
+            const { deployedBytecode } = await artifacts.readArtifact(`contracts/${file}:${name}`);
+            const size = (deployedBytecode.length - 2) / 2;
+            expect(size, `${name} is ${size} bytes`).to.be.greaterThan(0);
+            expect(size, `${name} is ${size} bytes`).to.be.at.most(MAX_RUNTIME_SIZE);
+        });
+    }
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { quote } = require("../scripts/quote-engine");
+const { decodeError } = require("../scripts/error-decoder");
+const { createCampaign } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Contribution Caps", function () {
+    let presale, recorder, stageManager, admin, alice, bob, referrer;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usd = (amount) => ethers.parseUnits(String(amount), 6);
+    const tokensFor = (usdtAmount) => (usdtAmount * 10n ** 18n) / price;
+    const UNLIMITED = 2n ** 128n - 1n;
+
+    const nextOrder = () => ethers.id(`contribution-cap-${orderSeq++}`);
+    const buy = (who, usdtAmount, orderId = nextOrder()) => presale.connect(recorder)
+        .recordPurchase(who.address, usdtAmount, tokensFor(usdtAmount), orderId);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), usd(1_000_000));
+        await presale.connect(stageManager).configureStage(2, price, ethers.parseUnits("200000000", 18), usd(1_000_000));
+        await presale.connect(stageManager).activateStage(1);
+    });
+
+    it("Should leave purchases uncapped until a tier is configured", async function () {
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(UNLIMITED);
+        await buy(alice, usd(50_000));
+        expect(await presale.userStageUSDT(alice.address, 1)).to.equal(usd(50_000));
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(UNLIMITED);
+    });
+
+    it("Should cap USD per wallet per stage and report the headroom", async function () {
+        await expect(presale.connect(admin).setContributionTier(0, usd(1000), 0))
+            .to.emit(presale, "ContributionTierUpdated").withArgs(0, usd(1000), 0, admin.address);
+
+        await buy(alice, usd(600));
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(usd(400));
+        await expect(buy(alice, usd(500)))
+            .to.be.revertedWithCustomError(presale, "ContributionCapExceeded").withArgs(usd(400));
+
+        // The cap is per wallet: bob still has the full stage cap
+        await buy(bob, usd(1000));
+
+        // And per stage: the next stage starts over
+        await presale.connect(stageManager).activateStage(2);
+        await buy(alice, usd(1000));
+        expect(await presale.userStageUSDT(alice.address, 2)).to.equal(usd(1000));
+    });
+
+    it("Should cap USD per wallet over the whole presale across all purchase paths", async function () {
+        await presale.connect(admin).setContributionTier(0, 0, usd(1500));
+
+        await buy(alice, usd(1000));
+        await presale.connect(stageManager).activateStage(2);
+        expect(await presale.getContributionHeadroom(alice.address, 2)).to.equal(usd(500));
+
+        await expect(presale.connect(recorder).recordPurchaseWithReferral(
+            alice.address, usd(600), tokensFor(usd(600)), referrer.address, nextOrder()
+        )).to.be.revertedWithCustomError(presale, "ContributionCapExceeded").withArgs(usd(500));
+        const { codeId } = await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: tokensFor(usd(500)) });
+        await presale.connect(recorder).recordPurchaseWithPromoCode(alice.address, usd(500), tokensFor(usd(500)), codeId, nextOrder());
+        expect(await presale.getContributionHeadroom(alice.address, 2)).to.equal(0);
+    });
+
+    it("Should raise caps for allowlisted tiers but never lower them", async function () {
+        await presale.connect(admin).setContributionTier(0, usd(1000), usd(2000));
+        await presale.connect(admin).setContributionTier(1, usd(5000), 0);      // e.g. KYC: higher stage cap, no overall cap
+        await presale.connect(admin).setContributionTier(2, usd(500), usd(500)); // misconfigured: lower than default
+
+        await expect(presale.connect(stageManager).assignContributionTier([alice.address], 1))
+            .to.emit(presale, "ContributionTierAssigned").withArgs(alice.address, 1, stageManager.address);
+        await presale.connect(admin).assignContributionTier([bob.address], 2);
+
+        await buy(alice, usd(4000));
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(usd(1000));
+        expect(await presale.getContributionHeadroom(bob.address, 1)).to.equal(usd(1000));
+
+        // Back to the default tier: already contributed USD counts against the default caps
+        await presale.connect(stageManager).assignContributionTier([alice.address], 0);
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(0);
+    });
+
+    it("Should restrict who configures tiers and validate the input", async function () {
+        await expect(presale.connect(stageManager).setContributionTier(0, usd(1000), 0))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(admin).setContributionTier(11, usd(1000), 0))
+            .to.be.revertedWithCustomError(presale, "InvalidContributionTier");
+
+        await expect(presale.connect(alice).assignContributionTier([alice.address], 1))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(stageManager).assignContributionTier([alice.address], 11))
+            .to.be.revertedWithCustomError(presale, "InvalidContributionTier");
+        await expect(presale.connect(stageManager).assignContributionTier([], 1))
+            .to.be.revertedWithCustomError(presale, "InvalidBatchSize");
+        await expect(presale.connect(stageManager).assignContributionTier([ethers.ZeroAddress], 1))
+            .to.be.revertedWithCustomError(presale, "InvalidAddress");
+    });
+
+    it("Should give the headroom back on voidOrder and match the quote engine", async function () {
+        await presale.connect(admin).setContributionTier(0, usd(1000), 0);
+        const orderId = nextOrder();
+        await buy(alice, usd(800), orderId);
+
+        const q = await quote(presale, { buyer: alice.address, usdtAmount: usd(300) });
+        expect(q.ok).to.be.false;
+        expect(q.error).to.equal("ContributionCapExceeded");
+        expect(q.contributionHeadroom).to.equal(usd(200));
+
+        const decoded = await buy(alice, usd(300)).catch(decodeError);
+        expect(decoded.name).to.equal("ContributionCapExceeded");
+        expect(decoded.args.headroom).to.equal(usd(200));
+
+        await presale.connect(admin).voidOrder(orderId);
+        expect(await presale.userStageUSDT(alice.address, 1)).to.equal(0);
+        expect((await quote(presale, { buyer: alice.address, usdtAmount: usd(1000) })).ok).to.be.true;
+        await buy(alice, usd(1000));
+    });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildDirectPurchase, buyTokens } = require("../scripts/direct-purchase");
+const { promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Direct Stablecoin Purchases", function () {
+    let presale, usdt, recorder, stageManager, admin, treasury, buyer, referrer;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+    const bonusAt = (bps) => (magaxAmount * BigInt(bps)) / 10_000n;
+
+    const purchaseOf = (overrides = {}) => ({
+        token: overrides.token || usdt.target,
+        amount: usdtAmount,
+        minMagaxAmount: magaxAmount,
+        referrer: ethers.ZeroAddress,
+        codeId: ethers.ZeroHash,
+        ...overrides
+    });
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, treasury, buyer, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+
+        const Stablecoin = await ethers.getContractFactory("MockStablecoin");
+        usdt = await Stablecoin.deploy("Tether USD", "USDT", 6);
+        await usdt.mint(buyer.address, ethers.parseUnits("10000", 6));
+
+        await presale.connect(admin).setPaymentToken(usdt.target, true);
+        await presale.connect(admin).setTreasury(treasury.address);
+    });
+
+    it("Should record an approved payment for the buyer and forward it to the treasury", async function () {
+        await usdt.connect(buyer).approve(presale.target, usdtAmount);
+
+        const tx = presale.connect(buyer).buyTokens(purchaseOf());
+        await expect(tx)
+            .to.emit(presale, "PurchaseRecordedV2")
+            .withArgs(buyer.address, 1, usdtAmount, price, magaxAmount, 0, 0, 0, 0, ethers.ZeroAddress, anyValue)
+            .and.to.emit(presale, "DirectPurchasePaid")
+            .withArgs(anyValue, buyer.address, usdt.target, usdtAmount, treasury.address);
+        await expect(tx).to.changeTokenBalances(usdt, [buyer, treasury, presale], [-usdtAmount, usdtAmount, 0]);
+
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(usdtAmount);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(magaxAmount);
+        expect((await presale.getStageInfo(1)).usdRaised).to.equal(usdtAmount);
+
+        const orderId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "address", "uint256"], [31337, presale.target, 1]
+        ));
+        expect((await presale.getOrder(orderId)).buyer).to.equal(buyer.address);
+    });
+
+    it("Should apply a promo code and referral through a permit, matching the quote", async function () {
+        const codeId = promoCodeId("LAUNCH10");
+        await presale.connect(stageManager).createPromoCampaign(codeId, 1000, 0, 0, bonusAt(1000) * 10n, 0, 0);
+        // Direct purchases only take referrers that have bought before
+        await presale.connect(recorder).recordPurchase(referrer.address, usdtAmount, magaxAmount, ethers.id("referrer-first"));
+
+        const { purchase, quote } = await buildDirectPurchase(presale, {
+            token: usdt.target,
+            buyer: buyer.address,
+            amount: usdtAmount,
+            referrer: referrer.address,
+            code: "launch10",
+            slippageBps: 100
+        });
+        expect(quote.ok).to.be.true;
+
+        const { orderId } = await buyTokens(presale.connect(buyer), usdt.connect(buyer), purchase, { permit: true });
+
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(quote.buyerTokens);
+        expect(await presale.userTotalMAGAX(referrer.address)).to.equal(magaxAmount + quote.referrerBonus);
+        expect(await presale.orderPromoCode(orderId)).to.equal(codeId);
+        expect(await presale.userReferrer(buyer.address)).to.equal(referrer.address);
+        expect(await usdt.balanceOf(treasury.address)).to.equal(usdtAmount);
+        expect(await usdt.allowance(buyer.address, presale.target)).to.equal(0);
+    });
+
+    it("Should refuse a referrer that has never bought", async function () {
+        await usdt.connect(buyer).approve(presale.target, usdtAmount);
+        const { quote } = await buildDirectPurchase(presale, {
+            token: usdt.target, buyer: buyer.address, amount: usdtAmount, referrer: referrer.address
+        });
+        expect(quote).to.include({ ok: false, error: "ReferrerNotBuyer" });
+
+        // e.g. the buyer's own second wallet
+        await expect(presale.connect(buyer).buyTokens(purchaseOf({ referrer: referrer.address })))
+            .to.be.revertedWithCustomError(presale, "ReferrerNotBuyer");
+
+        // A voided purchase does not qualify either
+        const orderId = ethers.id("referrer-voided");
+        await presale.connect(recorder).recordPurchase(referrer.address, usdtAmount, magaxAmount, orderId);
+        await presale.connect(admin).voidOrder(orderId);
+        await expect(presale.connect(buyer).buyTokens(purchaseOf({ referrer: referrer.address })))
+            .to.be.revertedWithCustomError(presale, "ReferrerNotBuyer");
+
+        await presale.connect(recorder).recordPurchase(referrer.address, usdtAmount, magaxAmount, ethers.id("referrer-live"));
+        await presale.connect(buyer).buyTokens(purchaseOf({ referrer: referrer.address }));
+        expect(await presale.userReferrer(buyer.address)).to.equal(referrer.address);
+    });
+
+    it("Should protect the buyer against a price change before inclusion", async function () {
+        await usdt.connect(buyer).approve(presale.target, usdtAmount);
+        await presale.connect(stageManager).configureStage(2, price * 2n, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(2);
+
+        await expect(presale.connect(buyer).buyTokens(purchaseOf()))
+            .to.be.revertedWithCustomError(presale, "SlippageExceeded");
+        await presale.connect(buyer).buyTokens(purchaseOf({ minMagaxAmount: magaxAmount / 2n }));
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(magaxAmount / 2n);
+    });
+
+    it("Should reject unsupported tokens, a missing treasury and failed payments", async function () {
+        const Stablecoin = await ethers.getContractFactory("MockStablecoin");
+        const odd = await Stablecoin.deploy("Odd USD", "OUSD24", 24);
+        const other = await Stablecoin.deploy("Other USD", "OUSD", 6);
+
+        await expect(presale.connect(admin).setPaymentToken(odd.target, true))
+            .to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+        await expect(presale.connect(stageManager).setPaymentToken(other.target, true))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(buyer).buyTokens(purchaseOf({ token: other.target })))
+            .to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+
+        // No allowance: the transfer fails and nothing is recorded
+        await expect(presale.connect(buyer).buyTokens(purchaseOf()))
+            .to.be.revertedWithCustomError(usdt, "ERC20InsufficientAllowance");
+        expect(await presale.totalUSDT()).to.equal(0);
+
+        const fresh = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await fresh.connect(admin).setPaymentToken(usdt.target, true);
+        await expect(fresh.connect(buyer).buyTokens(purchaseOf()))
+            .to.be.revertedWithCustomError(fresh, "TreasuryNotSet");
+        await expect(fresh.connect(admin).setTreasury(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(fresh, "InvalidAddress");
+    });
+
+    it("Should stop direct purchases while paused or once the token is delisted", async function () {
+        await usdt.connect(buyer).approve(presale.target, usdtAmount * 2n);
+
+        await presale.connect(admin).pause();
+        await expect(presale.connect(buyer).buyTokens(purchaseOf()))
+            .to.be.revertedWithCustomError(presale, "EnforcedPause");
+        await presale.connect(admin).unpause();
+
+        await expect(presale.connect(admin).setPaymentToken(usdt.target, false))
+            .to.emit(presale, "PaymentTokenUpdated").withArgs(usdt.target, false, 6, admin.address);
+        await expect(presale.connect(buyer).buyTokens(purchaseOf()))
+            .to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+    });
+});
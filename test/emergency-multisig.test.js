@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TimelockService } = require("../scripts/timelock-service");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Immediate Emergency Withdrawal (N-of-M)", function () {
+    let presale, token, recorder, stageManager, admin, guardian1, guardian2, guardian3, recipient, outsider;
+
+    const amount = ethers.parseUnits("1000", 18);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, guardian1, guardian2, guardian3, recipient, outsider] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        const Token = await ethers.getContractFactory("MoonShotMAGAX");
+        token = await Token.deploy(admin.address);
+
+        const EMERGENCY_ROLE = await presale.EMERGENCY_ROLE();
+        for (const guardian of [guardian1, guardian2, guardian3]) {
+            await presale.connect(admin).grantRole(EMERGENCY_ROLE, guardian.address);
+        }
+        await token.connect(admin).transfer(await presale.getAddress(), amount);
+    });
+
+    it("Should propose, confirm and execute with the Operation* events", async function () {
+        const tokenAddress = await token.getAddress();
+
+        const proposeTx = presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        await expect(proposeTx).to.emit(presale, "OperationProposed");
+        const operationHash = (await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address)).operationHash;
+        await expect(proposeTx).to.emit(presale, "OperationConfirmed").withArgs(operationHash, guardian1.address, 1);
+
+        await expect(presale.connect(guardian2).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "OperationConfirmed").withArgs(operationHash, guardian2.address, 2)
+            .and.not.to.emit(presale, "EmergencyTokenWithdraw");
+        expect(await token.balanceOf(recipient.address)).to.equal(0);
+
+        await expect(presale.connect(guardian3).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "OperationExecuted").withArgs(operationHash, guardian3.address)
+            .and.to.emit(presale, "EmergencyTokenWithdraw").withArgs(tokenAddress, recipient.address, amount);
+
+        expect(await token.balanceOf(recipient.address)).to.equal(amount);
+        expect((await presale.emergencyOperations(operationHash)).executed).to.be.true;
+        expect((await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address)).operationHash).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should count each signer once and keep different recipients apart", async function () {
+        const tokenAddress = await token.getAddress();
+        await presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        await expect(presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.be.revertedWithCustomError(presale, "EmergencyAlreadyConfirmed");
+
+        // Same token to another recipient is a separate operation
+        await expect(presale.connect(guardian2).immediateEmergencyWithdraw(tokenAddress, outsider.address))
+            .to.emit(presale, "OperationProposed");
+        const status = await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address);
+        expect(status.confirmations).to.equal(1);
+        expect(status.required).to.equal(3);
+    });
+
+    it("Should restart a proposal once its confirmation window expires", async function () {
+        const tokenAddress = await token.getAddress();
+        await presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        await presale.connect(guardian2).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        const stale = (await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address)).operationHash;
+
+        await time.increase(Number(await presale.EMERGENCY_OPERATION_WINDOW()) + 1);
+        expect((await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address)).operationHash).to.equal(ethers.ZeroHash);
+
+        await expect(presale.connect(guardian3).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "OperationProposed")
+            .and.not.to.emit(presale, "EmergencyTokenWithdraw");
+        const fresh = await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address);
+        expect(fresh.operationHash).to.not.equal(stale);
+        expect(fresh.confirmations).to.equal(1);
+    });
+
+    it("Should restrict callers and let the admin change the threshold", async function () {
+        const tokenAddress = await token.getAddress();
+        await expect(presale.connect(outsider).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(presale, "InvalidAddress");
+        await expect(presale.connect(guardian1).immediateEmergencyWithdraw(await presale.getAddress(), recipient.address))
+            .to.be.reverted;
+
+        await expect(presale.connect(guardian1).setEmergencyConfirmationsRequired(2))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(admin).setEmergencyConfirmationsRequired(0))
+            .to.be.revertedWithCustomError(presale, "InvalidConfirmationThreshold");
+        await expect(presale.connect(admin).setEmergencyConfirmationsRequired(2))
+            .to.emit(presale, "EmergencyConfirmationsUpdated").withArgs(3, 2, admin.address);
+
+        await presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        await presale.connect(guardian2).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        expect(await token.balanceOf(recipient.address)).to.equal(amount);
+
+        await expect(presale.connect(guardian3).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.be.revertedWithCustomError(presale, "NoTokensToWithdraw");
+    });
+
+    it("Should not let a lone EMERGENCY_ROLE holder withdraw without the quorum", async function () {
+        const tokenAddress = await token.getAddress();
+        await expect(presale.connect(guardian1).emergencyTokenWithdraw(tokenAddress, guardian1.address))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, guardian1.address);
+        expect(await token.balanceOf(guardian1.address)).to.equal(0);
+        expect(await token.balanceOf(await presale.getAddress())).to.equal(amount);
+
+        // The timelock path still works
+        await expect(presale.connect(admin).emergencyTokenWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "EmergencyTokenWithdraw").withArgs(tokenAddress, recipient.address, amount);
+    });
+
+    it("Should stop counting confirmations from revoked EMERGENCY_ROLE holders", async function () {
+        const tokenAddress = await token.getAddress();
+        await presale.connect(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        await presale.connect(guardian2).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+
+        await presale.connect(admin).revokeRole(await presale.EMERGENCY_ROLE(), guardian1.address);
+        expect((await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address)).confirmations).to.equal(1);
+
+        const status = await presale.getEmergencyWithdrawStatus(tokenAddress, recipient.address);
+        await expect(presale.connect(guardian3).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "OperationConfirmed").withArgs(status.operationHash, guardian3.address, 2)
+            .and.not.to.emit(presale, "EmergencyTokenWithdraw");
+        expect(await token.balanceOf(recipient.address)).to.equal(0);
+
+        // A remaining holder completes the quorum
+        await presale.connect(admin).grantRole(await presale.EMERGENCY_ROLE(), outsider.address);
+        await expect(presale.connect(outsider).immediateEmergencyWithdraw(tokenAddress, recipient.address))
+            .to.emit(presale, "EmergencyTokenWithdraw").withArgs(tokenAddress, recipient.address, amount);
+    });
+
+    it("Should report confirmation progress through TimelockService", async function () {
+        const tokenAddress = await token.getAddress();
+        const presaleAddress = await presale.getAddress();
+        const serviceFor = (signer) => new TimelockService(ethers.ZeroAddress, presaleAddress, ethers.provider, signer);
+
+        const first = await serviceFor(guardian1).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        expect(first).to.include({ confirmations: 1, required: 3, executed: false });
+
+        const status = await serviceFor(guardian1).getEmergencyWithdrawStatus(tokenAddress, recipient.address);
+        expect(status).to.include({ pending: true, operationHash: first.operationHash, confirmations: 1 });
+
+        await serviceFor(guardian2).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        const last = await serviceFor(guardian3).immediateEmergencyWithdraw(tokenAddress, recipient.address);
+        expect(last).to.include({ operationHash: first.operationHash, confirmations: 3, executed: true });
+        expect(last.amount).to.equal(amount);
+    });
+});
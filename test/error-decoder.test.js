@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { decodeError, describeError, ERROR_HELP } = require("../scripts/error-decoder");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("Error Decoder - Human-readable reverts", function () {
+    let presale, timelock, recorder, stageManager, admin, buyer, outsider;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const DELAY = 48 * 60 * 60;
+
+    async function caught(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error("Expected the call to revert");
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, outsider] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("40000000", 18), ethers.parseUnits("10000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+
+        const MAGAXTimelock = await ethers.getContractFactory("MAGAXTimelock");
+        timelock = await MAGAXTimelock.deploy(DELAY, [admin.address], [admin.address], ethers.ZeroAddress);
+    });
+
+    it("Should decode presale custom errors with explanation and fix", async function () {
+        const error = await caught(
+            presale.connect(stageManager).createPromoCampaign(
+                ethers.id("PROMO90"), 9000, 0, 0, ethers.parseUnits("1000000", 18), 0, 0
+            )
+        );
+
+        const decoded = decodeError(error);
+        expect(decoded.name).to.equal("InvalidPromoBps");
+        expect(decoded.explanation).to.equal(ERROR_HELP.InvalidPromoBps.explanation);
+        expect(decoded.fix).to.equal(ERROR_HELP.InvalidPromoBps.fix);
+        expect(describeError(error)).to.match(/^InvalidPromoBps\(\): /);
+    });
+
+    it("Should name the missing role for AccessControl errors", async function () {
+        const error = await caught(
+            presale.connect(outsider).recordPurchase(
+                buyer.address, ethers.parseUnits("100", 6), ethers.parseUnits("370370", 18), ethers.id("role")
+            )
+        );
+
+        const decoded = decodeError(error);
+        expect(decoded.name).to.equal("AccessControlUnauthorizedAccount");
+        expect(decoded.args.account).to.equal(outsider.address);
+        expect(decoded.args.neededRole).to.equal("RECORDER_ROLE");
+    });
+
+    it("Should name GUARDIAN_ROLE for guardian-only calls", async function () {
+        const error = await caught(presale.connect(outsider).revokeRecorder(recorder.address));
+
+        const decoded = decodeError(error);
+        expect(decoded.name).to.equal("AccessControlUnauthorizedAccount");
+        expect(decoded.args.neededRole).to.equal("GUARDIAN_ROLE");
+    });
+
+    it("Should decode Pausable and timelock errors", async function () {
+        await presale.connect(admin).pause();
+        const paused = await caught(
+            presale.connect(recorder).recordPurchase(
+                buyer.address, ethers.parseUnits("100", 6), ethers.parseUnits("370370", 18), ethers.id("paused")
+            )
+        );
+        expect(decodeError(paused).name).to.equal("EnforcedPause");
+
+        const missingOp = await caught(
+            timelock.connect(admin).execute(presale.target, 0, "0x", ethers.ZeroHash, ethers.ZeroHash)
+        );
+        const decoded = decodeError(missingOp);
+        expect(decoded.name).to.equal("TimelockUnexpectedOperationState");
+        expect(decoded.fix).to.be.a("string").that.is.not.empty;
+    });
+
+    it("Should decode string reverts and raw revert data", async function () {
+        const MAGAXTimelock = await ethers.getContractFactory("MAGAXTimelock");
+        const error = await caught(MAGAXTimelock.deploy(86400, [admin.address], [admin.address], ethers.ZeroAddress));
+        const decoded = decodeError(error);
+        expect(decoded.name).to.equal("Error");
+        expect(decoded.args.reason).to.equal("Timelock: delay must be exactly 48 hours");
+
+        const raw = presale.interface.encodeErrorResult("DuplicateOrderId", []);
+        expect(decodeError(raw).name).to.equal("DuplicateOrderId");
+    });
+
+    it("Should explain the OpenZeppelin library errors the presale can raise", async function () {
+        // Address, SafeCast and SafeERC20 errors are raised inside library code, not declared by the presale
+        const library = new ethers.Interface([
+            "error AddressEmptyCode(address target)",
+            "error FailedCall()",
+            "error InsufficientBalance(uint256 balance, uint256 needed)",
+            "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+            "error SafeERC20FailedOperation(address token)",
+            "error SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)"
+        ]);
+        const args = {
+            AddressEmptyCode: [outsider.address],
+            FailedCall: [],
+            InsufficientBalance: [1n, 2n],
+            SafeCastOverflowedUintDowncast: [96, 2n ** 96n],
+            SafeERC20FailedOperation: [outsider.address],
+            SafeERC20FailedDecreaseAllowance: [outsider.address, 1n, 2n]
+        };
+
+        for (const [name, values] of Object.entries(args)) {
+            const decoded = decodeError(library.encodeErrorResult(name, values));
+            expect(decoded.name).to.equal(name);
+            expect(decoded.explanation).to.equal(ERROR_HELP[name].explanation);
+        }
+    });
+
+    it("Should fall back to the plain message for non-contract errors", async function () {
+        expect(decodeError(new Error("network down"))).to.be.null;
+        expect(describeError(new Error("network down"))).to.equal("network down");
+        expect(decodeError("0xdeadbeef").name).to.equal("Unknown");
+    });
+});
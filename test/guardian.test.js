@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TimelockService } = require("../scripts/timelock-service");
+const { runGuardianCommand } = require("../scripts/guardian");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Guardian Fast Path", function () {
+    let presale, timelock, recorder, stageManager, proposer, guardian, outsider, newRecorder;
+    let RECORDER_ROLE, GUARDIAN_ROLE;
+
+    const DELAY = 48 * 60 * 60;
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+
+    beforeEach(async function () {
+        [, recorder, stageManager, proposer, guardian, outsider, newRecorder] = await ethers.getSigners();
+
+        const Timelock = await ethers.getContractFactory("MAGAXTimelock");
+        timelock = await Timelock.deploy(DELAY, [proposer.address], [proposer.address], ethers.ZeroAddress);
+        const timelockAddress = await timelock.getAddress();
+
+        presale = await deployPresale(recorder.address, stageManager.address, proposer.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+
+        RECORDER_ROLE = await presale.RECORDER_ROLE();
+        GUARDIAN_ROLE = await presale.GUARDIAN_ROLE();
+        await presale.connect(proposer).grantRole(GUARDIAN_ROLE, guardian.address);
+
+        // Hand admin to the timelock, as in production
+        const ADMIN = await presale.DEFAULT_ADMIN_ROLE();
+        await presale.connect(proposer).grantRole(ADMIN, timelockAddress);
+        await presale.connect(proposer).renounceRole(ADMIN, proposer.address);
+    });
+
+    it("Should let the guardian pause immediately but not unpause", async function () {
+        await expect(presale.connect(guardian).pause()).to.emit(presale, "Paused").withArgs(guardian.address);
+        await expect(presale.connect(recorder).recordPurchase(outsider.address, usdtAmount, magaxAmount, ethers.id("g-1")))
+            .to.be.revertedWithCustomError(presale, "EnforcedPause");
+
+        await expect(presale.connect(guardian).unpause())
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(outsider).pause())
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the guardian revoke recorders but not grant them", async function () {
+        await expect(presale.connect(guardian).revokeRecorder(recorder.address))
+            .to.emit(presale, "RoleRevoked").withArgs(RECORDER_ROLE, recorder.address, guardian.address);
+        expect(await presale.hasRole(RECORDER_ROLE, recorder.address)).to.be.false;
+        await expect(presale.connect(recorder).recordPurchase(outsider.address, usdtAmount, magaxAmount, ethers.id("g-2")))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await expect(presale.connect(guardian).grantRole(RECORDER_ROLE, newRecorder.address))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(outsider).revokeRecorder(newRecorder.address))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should recover through the timelock with TimelockService", async function () {
+        const presaleAddress = await presale.getAddress();
+        const timelockAddress = await timelock.getAddress();
+        const guardianService = new TimelockService(timelockAddress, presaleAddress, ethers.provider, guardian);
+        const timelockService = new TimelockService(timelockAddress, presaleAddress, ethers.provider, proposer);
+
+        await guardianService.guardianPause();
+        expect(await guardianService.guardianPause()).to.deep.equal({ alreadyPaused: true });
+        await guardianService.guardianRevokeRecorder(recorder.address);
+        expect(await guardianService.guardianRevokeRecorder(recorder.address)).to.deep.equal({ alreadyRevoked: true });
+
+        const unpause = await timelockService.proposeUnpause();
+        const grant = await timelockService.proposeRecorderGrant(newRecorder.address);
+
+        let error;
+        try {
+            await timelockService.executeUnpause(unpause.salt);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/not ready/);
+
+        await time.increase(DELAY);
+        await timelockService.executeUnpause(unpause.salt);
+        await timelockService.executeRecorderGrant(newRecorder.address, grant.salt);
+
+        expect(await presale.paused()).to.be.false;
+        expect(await presale.hasRole(RECORDER_ROLE, newRecorder.address)).to.be.true;
+        await presale.connect(newRecorder).recordPurchase(outsider.address, usdtAmount, magaxAmount, ethers.id("g-3"));
+    });
+
+    it("Should drive both paths through the CLI command runner", async function () {
+        const presaleAddress = await presale.getAddress();
+        const timelockAddress = await timelock.getAddress();
+        const guardianService = new TimelockService(timelockAddress, presaleAddress, ethers.provider, guardian);
+        const timelockService = new TimelockService(timelockAddress, presaleAddress, ethers.provider, proposer);
+
+        await runGuardianCommand(guardianService, "pause");
+        await runGuardianCommand(guardianService, "revoke-recorder", [recorder.address]);
+        expect(await runGuardianCommand(guardianService, "status", [recorder.address]))
+            .to.deep.equal({ paused: true, recorder: recorder.address, isRecorder: false });
+
+        const { salt } = await runGuardianCommand(timelockService, "propose-unpause");
+        await time.increase(DELAY);
+        await runGuardianCommand(timelockService, "execute-unpause", [salt]);
+        expect((await runGuardianCommand(timelockService, "status")).paused).to.be.false;
+
+        for (const [command, args] of [["revoke-recorder", ["not-an-address"]], ["execute-unpause", []], ["unknown", []]]) {
+            let error;
+            try {
+                await runGuardianCommand(guardianService, command, args);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/Usage/);
+        }
+    });
+});
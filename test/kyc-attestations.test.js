@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    issueAttestations, verifyAttestation, submitAttestation, revokeAttestations
+} = require("../scripts/kyc-attestations");
+const { quote } = require("../scripts/quote-engine");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - KYC Attestations", function () {
+    let presale, recorder, stageManager, admin, kycSigner, alice, bob, relayer;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+
+    const nextOrder = () => ethers.id(`kyc-${orderSeq++}`);
+    const buy = (who) => presale.connect(recorder).recordPurchase(who.address, usdtAmount, magaxAmount, nextOrder());
+    const attest = async (wallets, params = {}) =>
+        issueAttestations(kycSigner, presale, { wallets: wallets.map(w => w.address), ...params });
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, kycSigner, alice, bob, relayer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+        await presale.connect(admin).grantRole(await presale.KYC_SIGNER_ROLE(), kycSigner.address);
+    });
+
+    it("Should only record purchases for verified wallets in attestation mode", async function () {
+        await buy(alice);   // mode off: anyone
+        await expect(presale.connect(admin).setKycRequired(true))
+            .to.emit(presale, "KycRequiredUpdated").withArgs(true, admin.address);
+        await expect(buy(alice)).to.be.revertedWithCustomError(presale, "KycRequired");
+        expect((await quote(presale, { buyer: alice.address, usdtAmount })).error).to.equal("KycRequired");
+
+        const [{ attestation, signature }] = await attest([alice], { tier: 1 });
+        expect((await verifyAttestation(presale, attestation, signature)).valid).to.be.true;
+        await expect(presale.connect(relayer).submitKycAttestation(attestation, signature))
+            .to.emit(presale, "KycAttested").withArgs(alice.address, 1, attestation.expiry, kycSigner.address);
+
+        expect((await quote(presale, { buyer: alice.address, usdtAmount })).ok).to.be.true;
+        await buy(alice);
+        await expect(buy(bob)).to.be.revertedWithCustomError(presale, "KycRequired");
+        expect(await presale.getReceiptsPaginated(alice.address, 0, 10)).to.have.length(2);
+
+        const status = await presale.isKycVerified(alice.address);
+        expect(status.verified).to.be.true;
+        expect(status.tier).to.equal(1);
+    });
+
+    it("Should stop accepting a wallet once its attestation expires", async function () {
+        await presale.connect(admin).setKycRequired(true);
+        const now = await time.latest();
+        const [{ attestation, signature }] = await attest([alice], { expiry: now + 3600 });
+        await submitAttestation(presale.connect(alice), attestation, signature);
+        await buy(alice);
+
+        await time.increaseTo(now + 3600);
+        await expect(buy(alice)).to.be.revertedWithCustomError(presale, "KycRequired");
+        expect((await presale.isKycVerified(alice.address)).verified).to.be.false;
+        await expect(presale.submitKycAttestation(attestation, signature))
+            .to.be.revertedWithCustomError(presale, "KycAttestationExpired");
+    });
+
+    it("Should reject forged, replayed and out-of-range attestations", async function () {
+        const [{ attestation, signature }] = await attest([alice]);
+
+        // Signed by a wallet without KYC_SIGNER_ROLE
+        const forged = await issueAttestations(bob, presale, { wallets: [alice.address] });
+        expect((await verifyAttestation(presale, forged[0].attestation, forged[0].signature)).reason).to.equal("InvalidKycAttestation");
+        await expect(presale.submitKycAttestation(forged[0].attestation, forged[0].signature))
+            .to.be.revertedWithCustomError(presale, "InvalidKycAttestation");
+
+        // Tampered tier
+        await expect(presale.submitKycAttestation({ ...attestation, tier: 5 }, signature))
+            .to.be.revertedWithCustomError(presale, "InvalidKycAttestation");
+
+        // Single use
+        await presale.submitKycAttestation(attestation, signature);
+        await expect(presale.submitKycAttestation(attestation, signature))
+            .to.be.revertedWithCustomError(presale, "InvalidKycAttestation");
+
+        const [tooHigh] = await attest([bob], { tier: 11 });
+        await expect(presale.submitKycAttestation(tooHigh.attestation, tooHigh.signature))
+            .to.be.revertedWithCustomError(presale, "InvalidKycAttestation");
+    });
+
+    it("Should revoke cached status and unsubmitted attestations in bulk", async function () {
+        await presale.connect(admin).setKycRequired(true);
+        const signed = await attest([alice, bob]);
+        await submitAttestation(presale, signed[0].attestation, signed[0].signature);
+
+        await expect(presale.connect(alice).revokeKyc([alice.address]))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await revokeAttestations(presale.connect(kycSigner), [alice.address, bob.address]);
+
+        await expect(buy(alice)).to.be.revertedWithCustomError(presale, "KycRequired");
+        // Bob's attestation was issued but never submitted: the nonce bump voids it
+        await expect(presale.submitKycAttestation(signed[1].attestation, signed[1].signature))
+            .to.be.revertedWithCustomError(presale, "InvalidKycAttestation");
+
+        // A fresh attestation carries the new nonce
+        const [fresh] = await attest([alice]);
+        expect(fresh.attestation.nonce).to.equal(2);
+        await presale.submitKycAttestation(fresh.attestation, fresh.signature);
+        await buy(alice);
+    });
+
+    it("Should raise contribution caps for the attested tier while it is live", async function () {
+        const usd = (amount) => ethers.parseUnits(String(amount), 6);
+        await presale.connect(admin).setContributionTier(0, usd(100), 0);
+        await presale.connect(admin).setContributionTier(2, usd(1000), 0);
+
+        const now = await time.latest();
+        const [{ attestation, signature }] = await attest([alice], { tier: 2, expiry: now + 3600 });
+        await presale.submitKycAttestation(attestation, signature);
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(usd(1000));
+        await buy(alice);
+        await buy(alice);
+
+        await time.increaseTo(now + 3600);
+        expect(await presale.getContributionHeadroom(alice.address, 1)).to.equal(0);
+        await expect(buy(alice)).to.be.revertedWithCustomError(presale, "ContributionCapExceeded").withArgs(0);
+    });
+});
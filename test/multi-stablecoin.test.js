@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildDirectPurchase, buyTokens, getPaymentAssets, normalizePayment } = require("../scripts/direct-purchase");
+const { createVoucher } = require("../scripts/purchase-vouchers");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Multi-Stablecoin Accounting", function () {
+    let presale, usdc, dai, gusd, recorder, stageManager, admin, treasury, buyer, buyer2;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const tokensFor = (usd6) => (usd6 * 10n ** 18n) / price;
+
+    const paidRecord = (orderLabel, asset, assetAmount, usdtAmount) => ({
+        kind: 0,
+        buyer: buyer.address,
+        usdtAmount,
+        magaxAmount: tokensFor(usdtAmount),
+        codeId: ethers.ZeroHash,
+        referrer: ethers.ZeroAddress,
+        orderId: ethers.id(orderLabel),
+        asset,
+        assetAmount
+    });
+
+    const buy = (who, token, amount) => presale.connect(who).buyTokens({
+        token: token.target,
+        amount,
+        minMagaxAmount: 0,
+        referrer: ethers.ZeroAddress,
+        codeId: ethers.ZeroHash
+    });
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, treasury, buyer, buyer2] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+        await presale.connect(admin).setTreasury(treasury.address);
+
+        const Stablecoin = await ethers.getContractFactory("MockStablecoin");
+        usdc = await Stablecoin.deploy("USD Coin", "USDC", 6);
+        dai = await Stablecoin.deploy("Dai Stablecoin", "DAI", 18);
+        gusd = await Stablecoin.deploy("Gemini Dollar", "GUSD", 2);
+        for (const token of [usdc, dai, gusd]) {
+            await expect(presale.connect(admin).setPaymentToken(token.target, true))
+                .to.emit(presale, "PaymentTokenUpdated").withArgs(token.target, true, await token.decimals(), admin.address);
+            for (const who of [buyer, buyer2]) {
+                await token.mint(who.address, ethers.parseUnits("1000", await token.decimals()));
+                await token.connect(who).approve(presale.target, ethers.MaxUint256);
+            }
+        }
+    });
+
+    it("Should normalize every asset to 6-decimal USD totals", async function () {
+        await buy(buyer, usdc, ethers.parseUnits("100", 6));
+        await buy(buyer, dai, ethers.parseUnits("50", 18));
+        await buy(buyer2, gusd, ethers.parseUnits("25", 2));
+
+        const usd = ethers.parseUnits("175", 6);
+        expect(await presale.totalUSDT()).to.equal(usd);
+        expect((await presale.getStageInfo(1)).usdRaised).to.equal(usd);
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(ethers.parseUnits("150", 6));
+        expect(await presale.userTotalMAGAX(buyer2.address)).to.equal(tokensFor(ethers.parseUnits("25", 6)));
+        expect(await dai.balanceOf(treasury.address)).to.equal(ethers.parseUnits("50", 18));
+    });
+
+    it("Should record the asset and raw amount on the base receipt", async function () {
+        await presale.connect(recorder).recordPurchase(buyer.address, ethers.parseUnits("10", 6), tokensFor(ethers.parseUnits("10", 6)), ethers.id("off-chain-1"));
+        await buy(buyer, dai, ethers.parseUnits("50", 18));
+
+        const [offChain, direct] = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(offChain.asset).to.equal(ethers.ZeroAddress);
+        expect(offChain.assetAmount).to.equal(0);
+        expect(direct.asset).to.equal(dai.target);
+        expect(direct.assetAmount).to.equal(ethers.parseUnits("50", 18));
+        expect(direct.usdt).to.equal(ethers.parseUnits("50", 6));
+    });
+
+    it("Should record the asset and raw amount reported by the recorder", async function () {
+        const usd = ethers.parseUnits("50", 6);
+        await presale.connect(recorder).recordPaidPurchase(paidRecord("paid-1", dai.target, ethers.parseUnits("50", 18), usd));
+        await presale.connect(recorder).recordPurchaseBatch([paidRecord("paid-2", gusd.target, 2500n, ethers.parseUnits("25", 6))], true);
+
+        const [daiReceipt, gusdReceipt] = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(daiReceipt.asset).to.equal(dai.target);
+        expect(daiReceipt.assetAmount).to.equal(ethers.parseUnits("50", 18));
+        expect(gusdReceipt.asset).to.equal(gusd.target);
+        expect(gusdReceipt.assetAmount).to.equal(2500n);
+
+        const daiAsset = await presale.paymentAssets(dai.target);
+        expect(daiAsset.totalRaised).to.equal(ethers.parseUnits("50", 18));
+        expect(daiAsset.totalRaisedUSD).to.equal(usd);
+
+        await presale.connect(admin).voidOrder(ethers.id("paid-1"));
+        expect((await presale.paymentAssets(dai.target)).totalRaised).to.equal(0);
+    });
+
+    it("Should reject recorder payments that are not accepted or do not match the USD amount", async function () {
+        const usd = ethers.parseUnits("50", 6);
+        const Stablecoin = await ethers.getContractFactory("MockStablecoin");
+        const unlisted = await Stablecoin.deploy("Unlisted", "UNL", 6);
+
+        await expect(presale.connect(recorder).recordPaidPurchase(paidRecord("bad-1", unlisted.target, usd, usd)))
+            .to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+        await expect(presale.connect(recorder).recordPaidPurchase(paidRecord("bad-2", dai.target, ethers.parseUnits("49", 18), usd)))
+            .to.be.revertedWithCustomError(presale, "PaymentAmountMismatch");
+        // Dust below 6 decimals would not be recorded, so it is not accepted either
+        await expect(presale.connect(recorder).recordPaidPurchase(paidRecord("bad-3", dai.target, ethers.parseUnits("50", 18) + 1n, usd)))
+            .to.be.revertedWithCustomError(presale, "PaymentAmountMismatch");
+        await expect(presale.connect(recorder).recordPaidPurchase(paidRecord("bad-4", ethers.ZeroAddress, usd, usd)))
+            .to.be.revertedWithCustomError(presale, "PaymentAmountMismatch");
+        await expect(presale.connect(buyer).recordPaidPurchase(paidRecord("bad-5", usdc.target, usd, usd)))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        expect(await presale.totalUSDT()).to.equal(0);
+    });
+
+    it("Should carry the payment on vouchers and spread it over a split order", async function () {
+        const { voucher, signature } = await createVoucher(recorder, presale, {
+            buyer: buyer.address,
+            usdtAmount: ethers.parseUnits("20", 6),
+            asset: usdc.target,
+            assetAmount: ethers.parseUnits("20", 6),
+            orderId: ethers.id("voucher-paid")
+        });
+        await presale.connect(buyer2).redeemVoucher(voucher, signature);
+        expect((await presale.getReceiptsPaginated(buyer.address, 0, 1))[0].asset).to.equal(usdc.target);
+
+        // 12,000 USD in DAI against a 10,000 USD stage target: two portions, one payment
+        const usdTarget = ethers.parseUnits("10000", 6);
+        await presale.connect(stageManager).configureStage(2, price, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).configureStage(3, ethers.parseUnits("0.000293", 6), ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).activateStage(2);
+
+        const paid = ethers.parseUnits("12000", 18);
+        await presale.connect(recorder).recordPurchaseAcrossStages(
+            buyer2.address, ethers.parseUnits("12000", 6), ethers.ZeroHash, ethers.ZeroAddress, dai.target, paid, ethers.id("split-paid")
+        );
+        const [first, second] = await presale.getReceiptsPaginated(buyer2.address, 0, 10);
+        expect(first.assetAmount).to.equal((paid * first.usdt) / ethers.parseUnits("12000", 6));
+        expect(first.assetAmount + second.assetAmount).to.equal(paid);
+        expect(second.asset).to.equal(dai.target);
+        expect((await presale.paymentAssets(dai.target)).totalRaisedUSD).to.equal(ethers.parseUnits("12000", 6));
+
+        await presale.connect(admin).voidOrder(ethers.id("split-paid"));
+        const daiAsset = await presale.paymentAssets(dai.target);
+        expect(daiAsset.totalRaised).to.equal(0);
+        expect(daiAsset.totalRaisedUSD).to.equal(0);
+    });
+
+    it("Should charge only the part of an 18-decimal amount that is recorded", async function () {
+        const amount = ethers.parseUnits("50", 18) + 123_456_789_012_345n; // 0.000123 USD + dust
+        const { usdtAmount, paid } = normalizePayment(amount, 18);
+        expect(usdtAmount).to.equal(ethers.parseUnits("50", 6) + 123n);
+        expect(paid).to.equal(usdtAmount * 10n ** 12n);
+
+        await expect(buy(buyer, dai, amount)).to.changeTokenBalances(dai, [buyer, treasury], [-paid, paid]);
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(usdtAmount);
+    });
+
+    it("Should report per-asset raise totals and roll them back on voidOrder", async function () {
+        await buy(buyer, usdc, ethers.parseUnits("100", 6));
+        await buy(buyer2, dai, ethers.parseUnits("40", 18));
+        await buy(buyer2, dai, ethers.parseUnits("60", 18));
+
+        const daiAsset = await presale.paymentAssets(dai.target);
+        expect(daiAsset.totalRaised).to.equal(ethers.parseUnits("100", 18));
+        expect(daiAsset.totalRaisedUSD).to.equal(ethers.parseUnits("100", 6));
+
+        // Order IDs of direct purchases are numbered on-chain
+        const orderId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "address", "uint256"], [31337, presale.target, 2]
+        ));
+        await presale.connect(admin).voidOrder(orderId);
+        await presale.connect(admin).setPaymentToken(usdc.target, false);
+
+        const assets = await getPaymentAssets(presale);
+        expect(assets.map(asset => asset.token)).to.deep.equal([usdc.target, dai.target, gusd.target]);
+        expect(assets[0]).to.include({ accepted: false, decimals: 6 });
+        expect(assets[0].totalRaised).to.equal(ethers.parseUnits("100", 6));
+        expect(assets[1].totalRaised).to.equal(ethers.parseUnits("60", 18));
+        expect(assets[1].totalRaisedUSD).to.equal(ethers.parseUnits("60", 6));
+        expect(await presale.totalUSDT()).to.equal(ethers.parseUnits("160", 6));
+    });
+
+    it("Should quote a non-6-decimal payment like the contract records it", async function () {
+        const { purchase, quote, paid } = await buildDirectPurchase(presale, {
+            token: dai.target,
+            buyer: buyer.address,
+            amount: ethers.parseUnits("12.5", 18)
+        });
+        expect(quote.usdtAmount).to.equal(ethers.parseUnits("12.5", 6));
+
+        await buyTokens(presale.connect(buyer), dai.connect(buyer), purchase);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(quote.buyerTokens);
+        expect(await dai.balanceOf(treasury.address)).to.equal(paid);
+    });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildNativePurchase, buyWithNative, nativeToUsd6 } = require("../scripts/direct-purchase");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Native Coin Purchases", function () {
+    let presale, feed, recorder, stageManager, admin, treasury, buyer, referrer, NATIVE;
+
+    const HEARTBEAT = 3600;
+    const MAX_DEVIATION_BPS = 2500;
+    const price = ethers.parseUnits("0.000270", 6);
+    const feedPrice = 2000n * 10n ** 8n;            // 2000 USD, 8 decimals
+    const value = ethers.parseEther("0.05");        // 100 USD
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+
+    const buy = (overrides = {}) => presale.connect(buyer).buyWithNative(
+        overrides.minMagaxAmount ?? magaxAmount,
+        ethers.ZeroAddress,
+        ethers.ZeroHash,
+        { value: overrides.value ?? value }
+    );
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, treasury, buyer, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+        NATIVE = await presale.NATIVE_ASSET();
+
+        const Aggregator = await ethers.getContractFactory("MockAggregator");
+        feed = await Aggregator.deploy(8, feedPrice);
+
+        await presale.connect(admin).setTreasury(treasury.address);
+        await expect(presale.connect(admin).setNativePriceFeed(feed.target, HEARTBEAT, feedPrice, MAX_DEVIATION_BPS))
+            .to.emit(presale, "NativePriceFeedUpdated")
+            .withArgs(feed.target, HEARTBEAT, feedPrice, MAX_DEVIATION_BPS, admin.address);
+    });
+
+    it("Should price native coin through the feed and forward it to the treasury", async function () {
+        const tx = buy();
+        await expect(tx)
+            .to.emit(presale, "PurchaseRecordedV2")
+            .withArgs(buyer.address, 1, usdtAmount, price, magaxAmount, 0, 0, 0, 0, ethers.ZeroAddress, anyValue)
+            .and.to.emit(presale, "DirectPurchasePaid")
+            .withArgs(anyValue, buyer.address, NATIVE, value, treasury.address);
+        await expect(tx).to.changeEtherBalances([buyer, treasury, presale], [-value, value, 0]);
+
+        const [receipt] = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(receipt.asset).to.equal(NATIVE);
+        expect(receipt.assetAmount).to.equal(value);
+        const asset = await presale.paymentAssets(NATIVE);
+        expect(asset.decimals).to.equal(18);
+        expect(asset.totalRaised).to.equal(value);
+        expect(asset.totalRaisedUSD).to.equal(usdtAmount);
+
+        // Plain transfers are still refused
+        await expect(buyer.sendTransaction({ to: presale.target, value }))
+            .to.be.revertedWithCustomError(presale, "EthNotAccepted");
+    });
+
+    it("Should quote a native purchase like the contract records it", async function () {
+        await presale.connect(recorder).recordPurchase(referrer.address, usdtAmount, magaxAmount, ethers.id("referrer-first"));
+        await feed.setAnswer(feedPrice + 12_345_678n);
+        const native = await buildNativePurchase(presale, {
+            buyer: buyer.address,
+            value,
+            referrer: referrer.address,
+            slippageBps: 0
+        });
+        expect(native.quote.usdtAmount).to.equal(nativeToUsd6(value, feedPrice + 12_345_678n, 8));
+
+        const { orderId } = await buyWithNative(presale.connect(buyer), native);
+        expect((await presale.getOrder(orderId)).buyer).to.equal(buyer.address);
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(native.quote.usdtAmount);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(native.quote.buyerTokens);
+        expect(await presale.userTotalMAGAX(referrer.address)).to.equal(magaxAmount + native.quote.referrerBonus);
+    });
+
+    it("Should refuse stale and non-positive feed answers", async function () {
+        await time.increase(HEARTBEAT + 1);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "StalePrice");
+
+        await feed.setAnswer(feedPrice);
+        const round = await feed.latestRound();
+        await feed.setRound(round, feedPrice, (await time.latest()) - HEARTBEAT - 1, round);
+        await expect(presale.getNativePrice()).to.be.revertedWithCustomError(presale, "StalePrice");
+
+        await feed.setAnswer(0);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "InvalidFeedPrice");
+        await feed.setAnswer(-1);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "InvalidFeedPrice");
+
+        // A valid answer right after a bad one is usable; the slippage guard still holds on a drop
+        await feed.setAnswer((feedPrice * 95n) / 100n);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "SlippageExceeded");
+        await feed.setAnswer(feedPrice);
+        await buy();
+    });
+
+    it("Should refuse answers outside the reference band", async function () {
+        // 25% band around 2000 USD: 1500 and 2500 are the edges
+        await feed.setAnswer((feedPrice * 75n) / 100n - 1n);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "PriceDeviationTooHigh");
+        await expect(presale.getNativePrice()).to.be.revertedWithCustomError(presale, "PriceDeviationTooHigh");
+        await feed.setAnswer((feedPrice * 125n) / 100n + 1n);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "PriceDeviationTooHigh");
+
+        // A single manipulated round in a new aggregator phase is caught too
+        await feed.startPhase(2, feedPrice * 10n);
+        await expect(buy()).to.be.revertedWithCustomError(presale, "PriceDeviationTooHigh");
+
+        await feed.startPhase(3, (feedPrice * 125n) / 100n);
+        const [edge] = await presale.getNativePrice();
+        expect(edge).to.equal((feedPrice * 125n) / 100n);
+
+        // The timelock moves the band to follow a real market move
+        await presale.connect(admin).setNativePriceFeed(feed.target, HEARTBEAT, feedPrice * 10n, MAX_DEVIATION_BPS);
+        await feed.startPhase(4, feedPrice * 10n);
+        await expect(buy({ minMagaxAmount: 0 })).to.emit(presale, "DirectPurchasePaid");
+        expect((await presale.nativePriceFeed()).referencePrice).to.equal(feedPrice * 10n);
+    });
+
+    it("Should keep pricing across an aggregator phase change", async function () {
+        // The proxy's round IDs restart at (phaseId << 64) | 1, so roundId - 1 does not exist
+        await feed.startPhase(2, feedPrice);
+        const round = await feed.latestRound();
+        expect(round).to.equal((2n << 64n) | 1n);
+        await expect(feed.getRoundData(round - 1n)).to.be.revertedWith("No data present");
+
+        const [current, decimals] = await presale.getNativePrice();
+        expect(current).to.equal(feedPrice);
+        expect(decimals).to.equal(8);
+        await expect(buy()).to.emit(presale, "DirectPurchasePaid");
+    });
+
+    it("Should validate the feed config, disable native purchases and roll back voided totals", async function () {
+        for (const [age, reference, deviation] of [
+            [0, feedPrice, MAX_DEVIATION_BPS],
+            [HEARTBEAT, 0, MAX_DEVIATION_BPS],
+            [HEARTBEAT, feedPrice, 0],
+            [HEARTBEAT, feedPrice, 10_001]
+        ]) {
+            await expect(presale.connect(admin).setNativePriceFeed(feed.target, age, reference, deviation))
+                .to.be.revertedWithCustomError(presale, "InvalidPriceFeed");
+        }
+        await expect(presale.connect(stageManager).setNativePriceFeed(feed.target, HEARTBEAT, feedPrice, MAX_DEVIATION_BPS))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(admin).setPaymentToken(NATIVE, true))
+            .to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+
+        const { orderId } = await buyWithNative(presale.connect(buyer), await buildNativePurchase(presale, { buyer: buyer.address, value }));
+        await presale.connect(admin).voidOrder(orderId);
+        const asset = await presale.paymentAssets(NATIVE);
+        expect(asset.totalRaised).to.equal(0);
+        expect(asset.totalRaisedUSD).to.equal(0);
+
+        await presale.connect(admin).setNativePriceFeed(ethers.ZeroAddress, 0, 0, 0);
+        expect((await presale.paymentAssets(NATIVE)).accepted).to.be.false;
+        await expect(buy()).to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+        await expect(presale.getNativePrice()).to.be.revertedWithCustomError(presale, "UnsupportedPaymentToken");
+
+        const [tokens] = await presale.getPaymentAssets();
+        expect(tokens).to.deep.equal([NATIVE]);
+    });
+});
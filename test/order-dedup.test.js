@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Order Deduplication", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+    const orderId = (label) => ethers.id(label);
+    const promo10 = promoCodeId("PROMO10");
+    const promo15 = promoCodeId("PROMO15");
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+
+        const allocation = ethers.parseUnits("200000000", 18);
+        const usdTarget = ethers.parseUnits("1000000", 6);
+        await presale.connect(stageManager).configureStage(1, price, allocation, usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+
+        const bonusBudget = ethers.parseUnits("10000000", 18);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget });
+        await createCampaign(presale.connect(stageManager), { code: "PROMO15", bonusBps: 1500, bonusBudget });
+    });
+
+    describe("Duplicate rejection", function () {
+        it("Should reject a reused orderId on every recording variant", async function () {
+            const id = orderId("order-1");
+            await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount, id);
+
+            await expect(
+                presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount, id)
+            ).to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+            await expect(
+                presale.connect(recorder).recordPurchaseWithReferral(buyer.address, usdtAmount, magaxAmount, referrer.address, id)
+            ).to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+            await expect(
+                presale.connect(recorder).recordPurchaseWithPromoCode(buyer.address, usdtAmount, magaxAmount, promo10, id)
+            ).to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+            await expect(
+                presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(buyer.address, usdtAmount, magaxAmount, promo10, referrer.address, id)
+            ).to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+
+            // Nothing was double-counted
+            expect(await presale.userTotalUSDT(buyer.address)).to.equal(usdtAmount);
+            expect(await presale.totalBuyers()).to.equal(1);
+        });
+
+        it("Should reject an empty orderId", async function () {
+            await expect(
+                presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount, ethers.ZeroHash)
+            ).to.be.revertedWithCustomError(presale, "InvalidOrderId");
+        });
+
+        it("Should allow a retry after a reverted recording", async function () {
+            const id = orderId("order-retry");
+            await expect(
+                presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount + 10n ** 24n, id)
+            ).to.be.revertedWithCustomError(presale, "PriceMismatch");
+
+            expect(await presale.isOrderRecorded(id)).to.be.false;
+            await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount, id);
+            expect(await presale.isOrderRecorded(id)).to.be.true;
+        });
+    });
+
+    describe("Order lookup", function () {
+        it("Should return zero values for an unknown order", async function () {
+            const [orderBuyer, firstReceipt, receiptCount, stage] = await presale.getOrder(orderId("missing"));
+            expect(orderBuyer).to.equal(ethers.ZeroAddress);
+            expect(firstReceipt).to.equal(0);
+            expect(receiptCount).to.equal(0);
+            expect(stage).to.equal(0);
+        });
+
+        it("Should map each order to its buyer receipt range and stage", async function () {
+            await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, magaxAmount, orderId("plain"));
+            await presale.connect(recorder).recordPurchaseWithPromoCode(buyer.address, usdtAmount, magaxAmount, promo15, orderId("promo"));
+            await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+                buyer.address, usdtAmount, magaxAmount, promo15, referrer.address, orderId("combined")
+            );
+
+            const plain = await presale.getOrder(orderId("plain"));
+            expect(plain.buyer).to.equal(buyer.address);
+            expect(plain.firstReceipt).to.equal(0);
+            expect(plain.receiptCount).to.equal(1);
+            expect(plain.stage).to.equal(1);
+
+            const promo = await presale.getOrder(orderId("promo"));
+            expect(promo.firstReceipt).to.equal(1);
+            expect(promo.receiptCount).to.equal(2);
+
+            const combined = await presale.getOrder(orderId("combined"));
+            expect(combined.firstReceipt).to.equal(3);
+            expect(combined.receiptCount).to.equal(3);
+
+            const receipts = await presale.getReceiptsPaginated(buyer.address, combined.firstReceipt, combined.receiptCount);
+            expect(receipts.length).to.equal(3);
+            expect(receipts[0].usdt).to.equal(usdtAmount);
+            expect(receipts[0].isBonus).to.be.false;
+            expect(receipts[1].isBonus).to.be.true;
+            expect(receipts[2].isBonus).to.be.true;
+        });
+
+        it("Should track the buyer range for referral orders", async function () {
+            await presale.connect(recorder).recordPurchaseWithReferral(
+                buyer.address, usdtAmount, magaxAmount, referrer.address, orderId("ref")
+            );
+
+            const order = await presale.getOrder(orderId("ref"));
+            expect(order.buyer).to.equal(buyer.address);
+            expect(order.firstReceipt).to.equal(0);
+            expect(order.receiptCount).to.equal(2);
+        });
+    });
+});
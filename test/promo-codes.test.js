@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { promoCodeId, createCampaign, getCampaign } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Promo Code Registry", function () {
+    let presale, recorder, stageManager, admin, buyer, buyer2, referrer;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+    const bonusFor = (bps) => (magaxAmount * BigInt(bps)) / 10_000n;
+    const codeId = promoCodeId("SUMMER25");
+
+    const nextOrder = () => ethers.id(`promo-code-${orderSeq++}`);
+    const buyWithCode = (who, id = codeId, orderId = nextOrder()) => presale.connect(recorder)
+        .recordPurchaseWithPromoCode(who.address, usdtAmount, magaxAmount, id, orderId);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, buyer2, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+    });
+
+    it("Should record a purchase through a registered code and track campaign stats", async function () {
+        await expect(presale.connect(stageManager).createPromoCampaign(codeId, 2500, 0, 0, bonusFor(2500) * 10n, 0, 0))
+            .to.emit(presale, "PromoCampaignCreated").withArgs(codeId, 2500, 0, 0, bonusFor(2500) * 10n, 0, 0);
+
+        const orderId = nextOrder();
+        await expect(buyWithCode(buyer, codeId, orderId))
+            .to.emit(presale, "PromoUsed")
+            .and.to.emit(presale, "PromoCodeUsed").withArgs(codeId, buyer.address, orderId, bonusFor(2500));
+
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            buyer2.address, usdtAmount, magaxAmount, codeId, referrer.address, nextOrder()
+        );
+
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(magaxAmount + bonusFor(2500));
+        expect(await presale.orderPromoCode(orderId)).to.equal(codeId);
+        const stats = await presale.getPromoCampaignStats(codeId);
+        expect(stats.uses).to.equal(2);
+        expect(stats.bonusUsed).to.equal(bonusFor(2500) * 2n);
+        expect(stats.bonusRemaining).to.equal(bonusFor(2500) * 8n);
+        expect(stats.live).to.be.true;
+    });
+
+    it("Should enforce total and per-user usage limits", async function () {
+        await presale.connect(stageManager).createPromoCampaign(codeId, 1000, 0, 0, bonusFor(1000) * 10n, 3, 2);
+
+        await buyWithCode(buyer);
+        await buyWithCode(buyer);
+        await expect(buyWithCode(buyer)).to.be.revertedWithCustomError(presale, "PromoCodeUsageLimit");
+
+        await buyWithCode(buyer2);
+        await expect(buyWithCode(buyer2)).to.be.revertedWithCustomError(presale, "PromoCodeUsageLimit");
+        expect((await presale.getPromoCampaignStats(codeId)).live).to.be.false;
+    });
+
+    it("Should stop at the bonus budget and give it back when an order is voided", async function () {
+        await presale.connect(stageManager).createPromoCampaign(codeId, 1000, 0, 0, bonusFor(1000), 0, 0);
+
+        const orderId = nextOrder();
+        await buyWithCode(buyer, codeId, orderId);
+        await expect(buyWithCode(buyer2)).to.be.revertedWithCustomError(presale, "PromoBudgetExceeded");
+
+        await presale.connect(admin).voidOrder(orderId);
+        const stats = await presale.getPromoCampaignStats(codeId);
+        expect(stats.uses).to.equal(0);
+        expect(stats.bonusUsed).to.equal(0);
+        expect(await presale.promoCodeUses(codeId, buyer.address)).to.equal(0);
+
+        await buyWithCode(buyer2);
+    });
+
+    it("Should only accept a code inside its window while active", async function () {
+        const now = await time.latest();
+        await presale.connect(stageManager).createPromoCampaign(codeId, 1000, now + 3600, now + 7200, bonusFor(1000) * 10n, 0, 0);
+
+        await expect(buyWithCode(buyer)).to.be.revertedWithCustomError(presale, "PromoCodeInactive");
+        await time.increaseTo(now + 3600);
+        await buyWithCode(buyer);
+
+        await expect(presale.connect(stageManager).setPromoCampaignActive(codeId, false))
+            .to.emit(presale, "PromoCampaignStatusChanged").withArgs(codeId, false);
+        await expect(buyWithCode(buyer)).to.be.revertedWithCustomError(presale, "PromoCodeInactive");
+        await presale.connect(stageManager).setPromoCampaignActive(codeId, true);
+
+        await time.increaseTo(now + 7200);
+        await expect(buyWithCode(buyer)).to.be.revertedWithCustomError(presale, "PromoCodeInactive");
+        await expect(buyWithCode(buyer, promoCodeId("UNKNOWN"))).to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
+    });
+
+    it("Should charge a split order to its campaign once, for the bonus of every portion", async function () {
+        await presale.connect(stageManager).createPromoCampaign(codeId, 1000, 0, 0, ethers.parseUnits("10000000", 18), 0, 0);
+        const usdTarget = ethers.parseUnits("10000", 6);
+        await presale.connect(stageManager).configureStage(2, price, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).configureStage(3, ethers.parseUnits("0.000293", 6), ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).activateStage(2);
+
+        const orderId = nextOrder();
+        await expect(presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, ethers.parseUnits("12000", 6), codeId, ethers.ZeroAddress, ethers.ZeroAddress, 0n, orderId))
+            .to.emit(presale, "PromoCodeUsed");
+        expect(await presale.currentStage()).to.equal(3);
+
+        const stats = await presale.getPromoCampaignStats(codeId);
+        expect(stats.uses).to.equal(1);
+        expect(stats.bonusUsed).to.equal(await presale.userPromoData(buyer.address));
+        expect(await presale.promoCodeUses(codeId, buyer.address)).to.equal(1);
+
+        await presale.connect(admin).voidOrder(orderId);
+        expect((await presale.getPromoCampaignStats(codeId)).bonusUsed).to.equal(0);
+        expect(await presale.promoCodeUses(codeId, buyer.address)).to.equal(0);
+    });
+
+    it("Should no longer accept a raw promo percentage on any recording path", async function () {
+        const legacy = new ethers.Contract(presale.target, [
+            "function recordPurchaseWithPromo(address,uint128,uint128,uint16,bytes32)",
+            "function recordPurchaseWithPromoAndReferral(address,uint128,uint128,uint16,address,bytes32)"
+        ], recorder);
+        await expect(legacy.recordPurchaseWithPromo(buyer.address, usdtAmount, magaxAmount, 1000, nextOrder()))
+            .to.be.revertedWithCustomError(presale, "FallbackNotAllowed");
+        await expect(legacy.recordPurchaseWithPromoAndReferral(buyer.address, usdtAmount, magaxAmount, 1000, referrer.address, nextOrder()))
+            .to.be.revertedWithCustomError(presale, "FallbackNotAllowed");
+
+        // Every path that still carries a promo takes a code and looks it up in the registry
+        const unknown = promoCodeId("UNKNOWN");
+        await expect(presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdtAmount, unknown, ethers.ZeroAddress, ethers.ZeroAddress, 0n, nextOrder()))
+            .to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
+        const item = (kind) => ({
+            kind, buyer: buyer.address, usdtAmount, magaxAmount, codeId: unknown, referrer: referrer.address, orderId: nextOrder(),
+            asset: ethers.ZeroAddress, assetAmount: 0n
+        });
+        for (const kind of [2, 3]) {
+            await expect(presale.connect(recorder).recordPurchaseBatch([item(kind)], true))
+                .to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
+        }
+        expect(await presale.totalUSDT()).to.equal(0);
+    });
+
+    it("Should validate campaigns and restrict who creates them", async function () {
+        const create = (signer, id, bps, start, end, budget) =>
+            presale.connect(signer).createPromoCampaign(id, bps, start, end, budget, 0, 0);
+
+        await expect(create(buyer, codeId, 1000, 0, 0, 1n)).to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(create(stageManager, ethers.ZeroHash, 1000, 0, 0, 1n)).to.be.revertedWithCustomError(presale, "InvalidPromoCode");
+        await expect(create(stageManager, codeId, 6000, 0, 0, 1n)).to.be.revertedWithCustomError(presale, "InvalidPromoBps");
+        await expect(create(stageManager, codeId, 1000, 0, 0, 0n)).to.be.revertedWithCustomError(presale, "InvalidPromoCampaign");
+        await expect(create(stageManager, codeId, 1000, 100, 100, 1n)).to.be.revertedWithCustomError(presale, "InvalidPromoCampaign");
+
+        // Codes are normalised before hashing by the helper
+        await createCampaign(presale.connect(stageManager), { code: " summer25 ", bonusBps: 1000, bonusBudget: 1n });
+        await expect(create(stageManager, codeId, 1000, 0, 0, 1n)).to.be.revertedWithCustomError(presale, "PromoCodeExists");
+
+        const campaign = await getCampaign(presale, "Summer25");
+        expect(campaign).to.include({ codeId, bonusBps: 1000, uses: 0, active: true, live: true });
+        expect(campaign.bonusBudget).to.equal(1n);
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createVoucher, verifyVoucher, serializeVoucher, parseVoucher } = require("../scripts/purchase-vouchers");
+const { createCampaign } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - EIP-712 Purchase Vouchers", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer, relayer;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer, relayer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), {
+            code: "PROMO10", bonusBps: 1000, bonusBudget: ethers.parseUnits("1000000", 18)
+        });
+    });
+
+    it("Should let a relayer redeem a recorder-signed voucher", async function () {
+        const { voucher, signature } = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, code: "PROMO10", referrer: referrer.address, orderId: ethers.id("v-1")
+        });
+        expect((await verifyVoucher(presale, voucher, signature)).valid).to.be.true;
+
+        await expect(presale.connect(relayer).redeemVoucher(voucher, signature))
+            .to.emit(presale, "VoucherRedeemed").withArgs(voucher.orderId, recorder.address, relayer.address)
+            .and.to.emit(presale, "PromoUsed")
+            .and.to.emit(presale, "ReferralBonusAwarded");
+
+        const base = voucher.magaxAmount;
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(base + base / 10n + (base * 500n) / 10000n);
+        expect(await presale.isOrderRecorded(voucher.orderId)).to.be.true;
+    });
+
+    it("Should reject a voucher whose promo code is not registered", async function () {
+        const { voucher, signature } = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, code: "UNKNOWN", orderId: ethers.id("v-unknown-code")
+        });
+        expect((await verifyVoucher(presale, voucher, signature)).reason).to.equal("PromoCodeNotFound");
+        await expect(presale.connect(relayer).redeemVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
+        expect(await presale.isOrderRecorded(voucher.orderId)).to.be.false;
+    });
+
+    it("Should make vouchers single-use through the orderId", async function () {
+        const { voucher, signature } = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-once")
+        });
+        await presale.connect(buyer).redeemVoucher(voucher, signature);
+
+        await expect(presale.connect(relayer).redeemVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+        expect((await verifyVoucher(presale, voucher, signature)).reason).to.equal("DuplicateOrderId");
+    });
+
+    it("Should reject vouchers not signed by a current recorder", async function () {
+        const forged = await createVoucher(buyer, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-forged")
+        });
+        await expect(presale.connect(buyer).redeemVoucher(forged.voucher, forged.signature))
+            .to.be.revertedWithCustomError(presale, "InvalidVoucherSigner");
+
+        const signed = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-revoked")
+        });
+        await presale.connect(admin).revokeRole(await presale.RECORDER_ROLE(), recorder.address);
+        expect((await verifyVoucher(presale, signed.voucher, signed.signature)).reason).to.equal("InvalidVoucherSigner");
+        await expect(presale.connect(buyer).redeemVoucher(signed.voucher, signed.signature))
+            .to.be.revertedWithCustomError(presale, "InvalidVoucherSigner");
+
+        // Tampering with any field changes the recovered signer
+        const tampered = { ...signed.voucher, usdtAmount: usdtAmount * 2n };
+        await expect(presale.connect(buyer).redeemVoucher(tampered, signed.signature))
+            .to.be.revertedWithCustomError(presale, "InvalidVoucherSigner");
+    });
+
+    it("Should reject expired vouchers and vouchers for another stage", async function () {
+        const now = await time.latest();
+        const expiring = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-expired"), deadline: now + 60
+        });
+        await time.increase(120);
+        expect((await verifyVoucher(presale, expiring.voucher, expiring.signature)).reason).to.equal("VoucherExpired");
+        await expect(presale.connect(buyer).redeemVoucher(expiring.voucher, expiring.signature))
+            .to.be.revertedWithCustomError(presale, "VoucherExpired");
+
+        const stale = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-stage")
+        });
+        await presale.connect(stageManager).configureStage(
+            2, ethers.parseUnits("0.000293", 6), ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        await presale.connect(stageManager).activateStage(2);
+        await expect(presale.connect(buyer).redeemVoucher(stale.voucher, stale.signature))
+            .to.be.revertedWithCustomError(presale, "VoucherStageMismatch");
+    });
+
+    it("Should round-trip vouchers through JSON and respect pause", async function () {
+        const signed = await createVoucher(recorder, presale, {
+            buyer: buyer.address, usdtAmount, orderId: ethers.id("v-json")
+        });
+        const { voucher, signature } = parseVoucher(serializeVoucher(signed));
+        expect(await presale.hashVoucher(voucher)).to.equal(await presale.hashVoucher(signed.voucher));
+
+        await presale.connect(admin).pause();
+        await expect(presale.connect(buyer).redeemVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(presale, "EnforcedPause");
+        await presale.connect(admin).unpause();
+
+        await presale.connect(buyer).redeemVoucher(voucher, signature);
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(usdtAmount);
+    });
+});
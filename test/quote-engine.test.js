@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { quote, baseTokensFor } = require("../scripts/quote-engine");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("Quote Engine - Parity with on-chain pricing", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const promoCode = (bps) => promoCodeId(`PROMO-${bps}`);
+
+    // Runs the quoted call as a staticCall and returns the custom error name (or null)
+    async function onChainVerdict(q, buyerAddress, referrerAddress, promoBps) {
+        const orderId = ethers.id(`quote-${orderSeq++}`);
+        const args = {
+            recordPurchase: [buyerAddress, q.usdtAmount, q.baseTokens, orderId],
+            recordPurchaseWithReferral: [buyerAddress, q.usdtAmount, q.baseTokens, referrerAddress, orderId],
+            recordPurchaseWithPromoCode: [buyerAddress, q.usdtAmount, q.baseTokens, promoCode(promoBps), orderId],
+            recordPurchaseWithPromoCodeAndReferral: [buyerAddress, q.usdtAmount, q.baseTokens, promoCode(promoBps), referrerAddress, orderId]
+        }[q.method];
+        try {
+            await presale.connect(recorder)[q.method].staticCall(...args);
+            return null;
+        } catch (error) {
+            return presale.interface.parseError(error.data).name;
+        }
+    }
+
+    async function expectParity(params) {
+        const q = await quote(presale, { buyer: buyer.address, ...params });
+        const verdict = await onChainVerdict(q, params.buyer || buyer.address, params.referrer, params.promoBps || 0);
+        expect(q.error).to.equal(verdict);
+        return q;
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        // Small stage so allocation and usdTarget limits are reachable
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("40000000", 18), ethers.parseUnits("10000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+
+        // One campaign per bonus the cases use; 6000 is registered under a raised cap
+        // so the contract, like the quote, rejects it at use with InvalidPromoBps
+        await presale.connect(admin).setMaxPromoBps(6000);
+        for (const bonusBps of [1500, 2000, 5000, 6000]) {
+            await createCampaign(presale.connect(stageManager), {
+                code: `PROMO-${bonusBps}`, bonusBps, bonusBudget: ethers.parseUnits("40000000", 18)
+            });
+        }
+        await presale.connect(admin).setMaxPromoBps(5000);
+    });
+
+    it("Should return the exact token amounts the contract records", async function () {
+        const usdtAmount = ethers.parseUnits("100", 6);
+        const q = await expectParity({ usdtAmount, promoBps: 1500, referrer: referrer.address });
+        expect(q.ok).to.be.true;
+        expect(q.method).to.equal("recordPurchaseWithPromoCodeAndReferral");
+
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            buyer.address, usdtAmount, q.baseTokens, promoCode(1500), referrer.address, ethers.id("exact")
+        );
+
+        expect(q.baseTokens).to.equal(baseTokensFor(usdtAmount, price));
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(q.buyerTokens);
+        expect(await presale.userTotalMAGAX(referrer.address)).to.equal(q.referrerBonus);
+        expect(await presale.totalMAGAX()).to.equal(q.stageTokens);
+    });
+
+    it("Should match on-chain verdicts for valid and invalid purchases", async function () {
+        const cases = [
+            { usdtAmount: ethers.parseUnits("250", 6) },
+            { usdtAmount: ethers.parseUnits("250", 6), referrer: referrer.address },
+            { usdtAmount: ethers.parseUnits("250", 6), promoBps: 2000 },
+            { usdtAmount: 0n },
+            { usdtAmount: ethers.parseUnits("250", 6), promoBps: 6000 },
+            { usdtAmount: ethers.parseUnits("250", 6), promoBps: 6000, referrer: buyer.address },
+            { usdtAmount: ethers.parseUnits("250", 6), referrer: buyer.address },
+            { usdtAmount: ethers.parseUnits("250", 6), magaxAmount: ethers.parseUnits("1", 18) },
+            { usdtAmount: ethers.parseUnits("2000000", 6) }
+        ];
+        for (const params of cases) {
+            await expectParity(params);
+        }
+    });
+
+    it("Should apply the usdTarget overshoot tolerance like the contract", async function () {
+        // 9,500 USDT raised against a 10,000 USDT target
+        const usdtAmount = ethers.parseUnits("9500", 6);
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, baseTokensFor(usdtAmount, price), ethers.id("fill"));
+
+        const withinTolerance = await expectParity({ usdtAmount: ethers.parseUnits("501", 6) });
+        expect(withinTolerance.ok).to.be.true;
+
+        const overTarget = await expectParity({ usdtAmount: ethers.parseUnits("502", 6) });
+        expect(overTarget.error).to.equal("StageUsdOverTarget");
+    });
+
+    it("Should detect when bonuses exhaust the stage allocation", async function () {
+        // 40M allocation covers ~10,800 USDT of base tokens; bonuses push it over first
+        const usdtAmount = ethers.parseUnits("9800", 6);
+        const q = await expectParity({ usdtAmount, promoBps: 5000, referrer: referrer.address });
+        expect(q.error).to.equal("InsufficientStageTokens");
+
+        await expectParity({ usdtAmount, promoBps: 5000 });
+        await expectParity({ usdtAmount });
+    });
+
+    it("Should report pause and inactive stage verdicts", async function () {
+        await presale.connect(admin).pause();
+        await expectParity({ usdtAmount: ethers.parseUnits("100", 6) });
+        await presale.connect(admin).unpause();
+
+        await presale.connect(stageManager).configureStage(
+            2, ethers.parseUnits("0.000293", 6), ethers.parseUnits("40000000", 18), ethers.parseUnits("10000", 6)
+        );
+        await presale.connect(stageManager).activateStage(2);
+        const q = await expectParity({ usdtAmount: ethers.parseUnits("100", 6), referrer: referrer.address });
+        expect(q.stage).to.equal(2);
+        expect(q.ok).to.be.true;
+    });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Typed Receipts", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol;
+    let orderSeq = 0;
+
+    const Kind = { Base: 0, Promo: 1, Referee: 2, Referrer: 3, SecondLevel: 4 };
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+    const bonusAt = (bps) => (magaxAmount * BigInt(bps)) / 10_000n;
+
+    const promo10 = promoCodeId("PROMO10");
+    const nextOrder = () => ethers.id(`receipt-kind-${orderSeq++}`);
+    const receiptsOf = (who) => presale.getReceiptsPaginated(who.address, 0, 100);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: ethers.parseUnits("100000000", 18) });
+    });
+
+    it("Should type, link and attribute every receipt of a promo + referral order", async function () {
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+
+        const orderId = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            carol.address, usdtAmount, magaxAmount, promo10, bob.address, orderId
+        );
+
+        const buyer = await receiptsOf(carol);
+        expect(buyer.map(r => Number(r.kind))).to.deep.equal([Kind.Base, Kind.Promo, Kind.Referee]);
+        expect(buyer.map(r => r.isBonus)).to.deep.equal([false, true, true]);
+        expect(buyer.map(r => r.orderId)).to.deep.equal([orderId, orderId, orderId]);
+        expect(buyer[0].counterparty).to.equal(ethers.ZeroAddress);
+        expect(buyer[1].magax).to.equal(bonusAt(1000));
+        expect(buyer[2].counterparty).to.equal(bob.address);
+
+        const referrer = (await receiptsOf(bob)).at(-1);
+        expect(referrer.kind).to.equal(Kind.Referrer);
+        expect(referrer.counterparty).to.equal(carol.address);
+        expect(referrer.orderId).to.equal(orderId);
+
+        const secondLevel = (await receiptsOf(alice)).at(-1);
+        expect(secondLevel.kind).to.equal(Kind.SecondLevel);
+        expect(secondLevel.counterparty).to.equal(carol.address);
+        expect(secondLevel.magax).to.equal(bonusAt(200));
+    });
+
+    it("Should page through receipts of one kind", async function () {
+        // bob: base, referee, then alternating referrer bonuses and own purchases
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+        for (let i = 0; i < 3; i++) {
+            await presale.connect(recorder).recordPurchaseWithReferral(carol.address, usdtAmount, magaxAmount, bob.address, nextOrder());
+            await presale.connect(recorder).recordPurchase(bob.address, usdtAmount, magaxAmount, nextOrder());
+        }
+        // [Base, Referee, Referrer, Base, Referrer, Base, Referrer, Base]
+
+        let page = await presale.getReceiptsByKind(bob.address, Kind.Referrer, 0, 2);
+        expect(page.indices).to.deep.equal([2n, 4n]);
+        expect(page.receipts.every(r => r.counterparty === carol.address)).to.be.true;
+        expect(page.nextOffset).to.equal(5);
+
+        page = await presale.getReceiptsByKind(bob.address, Kind.Referrer, page.nextOffset, 2);
+        expect(page.indices).to.deep.equal([6n]);
+        expect(page.nextOffset).to.equal(8);
+
+        page = await presale.getReceiptsByKind(bob.address, Kind.Base, 0, 10);
+        expect(page.indices).to.deep.equal([0n, 3n, 5n, 7n]);
+        expect((await presale.getReceiptsByKind(bob.address, Kind.Promo, 0, 10)).receipts).to.have.length(0);
+        expect((await presale.getReceiptsByKind(bob.address, Kind.Base, 99, 10)).nextOffset).to.equal(99);
+    });
+
+    it("Should void promo and referee bonuses by kind", async function () {
+        await presale.connect(admin).setReferralBonusBps(700, 500, 0);
+
+        const orderId = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            carol.address, usdtAmount, magaxAmount, promo10, bob.address, orderId
+        );
+        expect(await presale.userPromoData(carol.address)).to.equal(bonusAt(1000));
+
+        await presale.connect(admin).voidOrder(orderId);
+        expect(await presale.userPromoData(carol.address)).to.equal(0);
+        expect((await presale.referralData(carol.address)).totalRefereeBonus).to.equal(0);
+        expect(await presale.totalPromoBonusDistributed()).to.equal(0);
+        expect((await receiptsOf(carol)).every(r => r.voided)).to.be.true;
+    });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+// Upper bounds: recording gas with one stored Receipt struct per receipt, in the 5-slot layout
+// the contract had just before receipts moved to one packed record per purchase. The original
+// 2-slot Receipt was cheaper than that layout, so these are regression ceilings, not a measure
+// of savings against it. Update only on purpose.
+const LEGACY_GAS = {
+    plainFirst: 266_834,
+    plainRepeat: 198_430,
+    promo: 322_456,
+    referral: 485_230,
+    promoAndReferral: 827_272,
+    promoAndReferralRepeat: 668_721
+};
+
+describe("MAGAXPresaleReceipts - Receipt Storage Gas", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol, dave;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+
+    const promo10 = promoCodeId("PROMO10");
+    const nextOrder = () => ethers.id(`receipt-gas-${orderSeq++}`);
+    const gasOf = async (tx) => Number((await (await tx).wait()).gasUsed);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol, dave] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: ethers.parseUnits("100000000", 18) });
+
+        // alice refers bob, so orders referred by bob also pay a second-level bonus
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+    });
+
+    it("Should record every purchase variant for less gas than one 5-slot struct per receipt", async function () {
+        const recorderPresale = presale.connect(recorder);
+        const measured = {
+            plainFirst: await gasOf(recorderPresale.recordPurchase(dave.address, usdtAmount, magaxAmount, nextOrder())),
+            plainRepeat: await gasOf(recorderPresale.recordPurchase(dave.address, usdtAmount, magaxAmount, nextOrder())),
+            promo: await gasOf(recorderPresale.recordPurchaseWithPromoCode(dave.address, usdtAmount, magaxAmount, promo10, nextOrder())),
+            referral: await gasOf(recorderPresale.recordPurchaseWithReferral(dave.address, usdtAmount, magaxAmount, alice.address, nextOrder())),
+            promoAndReferral: await gasOf(recorderPresale.recordPurchaseWithPromoCodeAndReferral(
+                carol.address, usdtAmount, magaxAmount, promo10, bob.address, nextOrder()
+            )),
+            promoAndReferralRepeat: await gasOf(recorderPresale.recordPurchaseWithPromoCodeAndReferral(
+                carol.address, usdtAmount, magaxAmount, promo10, bob.address, nextOrder()
+            ))
+        };
+
+        for (const [name, gas] of Object.entries(measured)) {
+            expect(gas, name).to.be.below(LEGACY_GAS[name]);
+        }
+    });
+
+    it("Should derive the same receipts and stats from the packed record", async function () {
+        const orderId = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            carol.address, usdtAmount, magaxAmount, promo10, bob.address, orderId
+        );
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const bonus = (bps) => (magaxAmount * BigInt(bps)) / 10_000n;
+
+        const receipts = await presale.getReceiptsPaginated(carol.address, 0, 10);
+        expect(receipts.map(r => [r.usdt, r.magax, r.stage, r.time, r.isBonus])).to.deep.equal([
+            [usdtAmount, magaxAmount, 1n, BigInt(timestamp), false],
+            [0n, bonus(1000), 1n, BigInt(timestamp), true],
+            [0n, bonus(500), 1n, BigInt(timestamp), true]
+        ]);
+        expect((await presale.userReceipts(bob.address, 2)).magax).to.equal(bonus(700));
+        expect((await presale.userReceipts(alice.address, 1)).magax).to.equal(bonus(200));
+        await expect(presale.userReceipts(carol.address, 3)).to.be.reverted;
+
+        const stats = await presale.getUserStats(carol.address);
+        expect(stats.totalPurchases).to.equal(3);
+        expect(stats.totalMAGAXAllocated).to.equal(magaxAmount + bonus(1000) + bonus(500));
+        expect(stats.firstPurchaseTime).to.equal(timestamp);
+        expect(stats.lastPurchaseTime).to.equal(timestamp);
+
+        await presale.connect(admin).voidOrder(orderId);
+        expect((await presale.getReceiptsPaginated(carol.address, 0, 10)).every(r => r.voided)).to.be.true;
+        expect((await presale.userReceipts(bob.address, 2)).voided).to.be.true;
+        expect((await presale.userReceipts(bob.address, 0)).voided).to.be.false;
+        expect(await presale.userTotalMAGAX(alice.address)).to.equal(bonus(700));
+    });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RecorderService, JsonlOrderStore, toOrderId } = require("../scripts/recorder-service");
+const { createCampaign } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("RecorderService - Order Queue Draining", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer;
+    let storeFile, store, service;
+
+    const price = ethers.parseUnits("0.000270", 6);
+
+    function appendOrder(order) {
+        fs.appendFileSync(storeFile, JSON.stringify({ status: "pending", ...order }) + "\n");
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+
+        storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "magax-orders-")), "orders.jsonl");
+        store = new JsonlOrderStore(storeFile);
+        service = new RecorderService(await presale.getAddress(), recorder, store);
+    });
+
+    it("Should pick the recordPurchase variant from promo and referrer fields", async function () {
+        const bonusBudget = ethers.parseUnits("1000000", 18);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO15", bonusBps: 1500, bonusBudget });
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget });
+        appendOrder({ orderId: "plain", buyer: buyer.address, usdt: "100" });
+        appendOrder({ orderId: "ref", buyer: buyer.address, usdt: "100", referrer: referrer.address });
+        appendOrder({ orderId: "promo", buyer: buyer.address, usdt: "100", promoCode: "promo15" });
+        appendOrder({ orderId: "both", buyer: buyer.address, usdt: "100", promoCode: "PROMO10", referrer: referrer.address });
+
+        const result = await service.drainOnce();
+        expect(result.processed).to.equal(4);
+
+        store.load();
+        expect(store.get("plain").method).to.equal("recordPurchase");
+        expect(store.get("ref").method).to.equal("recordPurchaseWithReferral");
+        expect(store.get("promo").method).to.equal("recordPurchaseWithPromoCode");
+        expect(store.get("both").method).to.equal("recordPurchaseWithPromoCodeAndReferral");
+        for (const id of ["plain", "ref", "promo", "both"]) {
+            expect(store.get(id).status).to.equal("confirmed");
+            expect(await presale.isOrderRecorded(toOrderId(id))).to.be.true;
+        }
+        expect(await presale.totalUSDT()).to.equal(ethers.parseUnits("400", 6));
+    });
+
+    it("Should not double-record orders after a restart", async function () {
+        appendOrder({ orderId: "o-1", buyer: buyer.address, usdt: "100" });
+        await service.drainOnce();
+
+        // Simulate a crash between sending and persisting the confirmation
+        fs.appendFileSync(storeFile, JSON.stringify({ orderId: "o-1", status: "submitted" }) + "\n");
+
+        const restarted = new RecorderService(await presale.getAddress(), recorder, new JsonlOrderStore(storeFile));
+        await restarted.drainOnce();
+
+        expect(restarted.store.get("o-1").status).to.equal("confirmed");
+        expect(await presale.totalUSDT()).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("Should mark invalid orders failed and stage-limited orders retryable", async function () {
+        appendOrder({ orderId: "self-ref", buyer: buyer.address, usdt: "100", referrer: buyer.address });
+        appendOrder({ orderId: "too-big", buyer: buyer.address, usdt: "1000000" });
+
+        await service.drainOnce();
+
+        expect(store.get("self-ref").status).to.equal("failed");
+        expect(store.get("self-ref").error).to.equal("SelfReferral");
+        expect(store.get("too-big").status).to.equal("retryable");
+        expect(store.get("too-big").error).to.equal("InsufficientStageTokens");
+        expect(store.get("too-big").attempts).to.equal(1);
+    });
+
+    it("Should mark malformed orders failed without sending or retrying them", async function () {
+        appendOrder({ orderId: "promo-bps", buyer: buyer.address, usdt: "100", promoBps: 500 });
+        appendOrder({ orderId: "bad-buyer", buyer: "0x1234", usdt: "100" });
+        appendOrder({ orderId: "bad-usdt", buyer: buyer.address, usdt: "ten" });
+
+        await service.drainOnce();
+        await service.drainOnce();
+
+        for (const orderId of ["promo-bps", "bad-buyer", "bad-usdt"]) {
+            expect(store.get(orderId).status).to.equal("failed");
+            expect(store.get(orderId).attempts).to.equal(1);
+            expect(await presale.isOrderRecorded(toOrderId(orderId))).to.be.false;
+        }
+        expect(store.get("promo-bps").error).to.match(/promoCode/);
+        expect(await presale.totalUSDT()).to.equal(0);
+    });
+
+    it("Should send split orders across the stage boundary", async function () {
+        await presale.connect(stageManager).configureStage(
+            2, ethers.parseUnits("0.000293", 6), ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        // 200M tokens at 0.00027 cover ~54,000 USDT of stage 1
+        appendOrder({ orderId: "split", buyer: buyer.address, usdt: "60000", split: true });
+
+        await service.drainOnce();
+
+        expect(store.get("split").method).to.equal("recordPurchaseAcrossStages");
+        expect(store.get("split").status).to.equal("confirmed");
+        expect(await presale.currentStage()).to.equal(2);
+        expect((await presale.getOrder(toOrderId("split"))).receiptCount).to.equal(2);
+    });
+
+    it("Should price orders at the stage a pending auto-advance moves into", async function () {
+        const price2 = ethers.parseUnits("0.000293", 6);
+        await presale.connect(stageManager).configureStage(
+            2, price2, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        const now = await time.latest();
+        await presale.connect(stageManager).configureStageWindow(1, 0, now + 3600, true);
+        await time.increaseTo(now + 3600);
+
+        // getCurrentStageInfo still reports stage 1 at the old price
+        expect((await presale.getCurrentStageInfo()).stage).to.equal(1);
+        appendOrder({ orderId: "advanced", buyer: buyer.address, usdt: "100" });
+
+        await service.drainOnce();
+
+        expect(store.get("advanced").status).to.equal("confirmed");
+        expect(await presale.currentStage()).to.equal(2);
+        expect((await presale.getStageInfo(2)).usdRaised).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("Should hold orders while the presale is paused", async function () {
+        appendOrder({ orderId: "held", buyer: buyer.address, usdt: "100" });
+        await presale.connect(admin).pause();
+
+        const result = await service.drainOnce();
+        expect(result.processed).to.equal(0);
+        expect(result.skipped).to.equal("presale is paused");
+        expect(store.get("held").status).to.equal("pending");
+
+        await presale.connect(admin).unpause();
+        await service.drainOnce();
+        expect(store.get("held").status).to.equal("confirmed");
+    });
+});
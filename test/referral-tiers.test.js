@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TimelockService } = require("../scripts/timelock-service");
+const { quote } = require("../scripts/quote-engine");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Configurable Referral Rates and Tiers", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol, dave;
+    let orderSeq = 0;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const magaxAmount = (usdtAmount * 10n ** 18n) / price;
+    const bonusAt = (bps) => (magaxAmount * BigInt(bps)) / 10_000n;
+
+    const nextOrder = () => ethers.id(`referral-tier-${orderSeq++}`);
+    const refer = (buyer, referrer, orderId = nextOrder()) => presale.connect(recorder)
+        .recordPurchaseWithReferral(buyer.address, usdtAmount, magaxAmount, referrer.address, orderId);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol, dave] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6));
+        await presale.connect(stageManager).activateStage(1);
+    });
+
+    it("Should start at the launch defaults and apply admin rate changes to new orders", async function () {
+        expect(await presale.referrerBonusBps()).to.equal(await presale.REFERRER_BONUS_BPS());
+        expect(await presale.refereeBonusBps()).to.equal(await presale.REFEREE_BONUS_BPS());
+        expect(await presale.secondLevelBonusBps()).to.equal(0);
+
+        await refer(bob, alice);
+        await expect(presale.connect(admin).setReferralBonusBps(1000, 800, 0))
+            .to.emit(presale, "ReferralBpsUpdated").withArgs(1000, 800, 0, admin.address);
+        await refer(carol, alice);
+
+        const receipts = await presale.getReceiptsPaginated(alice.address, 0, 20);
+        expect(receipts[0].magax).to.equal(bonusAt(700));
+        expect(receipts[1].magax).to.equal(bonusAt(1000));
+        expect((await presale.getReceiptsPaginated(carol.address, 0, 20))[1].magax).to.equal(bonusAt(800));
+
+        await expect(presale.connect(stageManager).setReferralBonusBps(1000, 800, 0))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(admin).setReferralBonusBps(3001, 800, 0))
+            .to.be.revertedWithCustomError(presale, "InvalidReferralBps");
+    });
+
+    it("Should raise the referrer rate by referral count and referred volume", async function () {
+        await expect(presale.connect(admin).setReferralTiers([
+            { minReferrals: 2, minReferredUSDT: 0, bonusBps: 900 },
+            { minReferrals: 0, minReferredUSDT: ethers.parseUnits("300", 6), bonusBps: 1200 }
+        ])).to.emit(presale, "ReferralTiersUpdated").withArgs(2, admin.address);
+
+        await refer(bob, alice);
+        await refer(carol, alice);
+        await refer(dave, alice);     // 2 referrals before this order: tier 1
+        let info = await presale.getReferralStats(alice.address);
+        expect(info.tier).to.equal(2);  // 300 USDT referred now
+        expect(info.referrerBps).to.equal(1200);
+        expect(info.totalReferredUSDT).to.equal(usdtAmount * 3n);
+        await refer(bob, alice);
+
+        const bonuses = (await presale.getReceiptsPaginated(alice.address, 0, 20)).map(receipt => receipt.magax);
+        expect(bonuses).to.deep.equal([bonusAt(700), bonusAt(700), bonusAt(900), bonusAt(1200)]);
+        info = await presale.getReferralInfo(alice.address);
+        expect(info.totalReferrals).to.equal(4);
+        expect(info.totalBonusEarned).to.equal(bonusAt(700) * 2n + bonusAt(900) + bonusAt(1200));
+
+        // Volume and rewards split by the tier each order was paid at
+        const tierStats = await presale.getReferralTierStats(alice.address);
+        expect(tierStats).to.have.length(Number(await presale.MAX_REFERRAL_TIERS()) + 1);
+        expect(tierStats.slice(0, 4).map(t => [t.referredUSDT, t.bonusEarned])).to.deep.equal([
+            [usdtAmount * 2n, bonusAt(700) * 2n],
+            [usdtAmount, bonusAt(900)],
+            [usdtAmount, bonusAt(1200)],
+            [0n, 0n]
+        ]);
+    });
+
+    it("Should keep the two-value getReferralInfo for existing integrations", async function () {
+        await refer(bob, alice);
+        const fragment = presale.interface.getFunction("getReferralInfo");
+        expect(fragment.outputs.map(output => output.name)).to.deep.equal(["totalReferrals", "totalBonusEarned"]);
+
+        const [totalReferrals, totalBonusEarned] = await presale.getReferralInfo(alice.address);
+        expect(totalReferrals).to.equal(1);
+        expect(totalBonusEarned).to.equal(bonusAt(700));
+    });
+
+    it("Should validate tiers against each other and the base rate", async function () {
+        const setTiers = (tiers) => presale.connect(admin).setReferralTiers(tiers);
+        await expect(setTiers([{ minReferrals: 0, minReferredUSDT: 0, bonusBps: 900 }]))
+            .to.be.revertedWithCustomError(presale, "InvalidReferralTiers");
+        await expect(setTiers([{ minReferrals: 5, minReferredUSDT: 0, bonusBps: 700 }]))
+            .to.be.revertedWithCustomError(presale, "InvalidReferralTiers");
+        await expect(setTiers([
+            { minReferrals: 5, minReferredUSDT: 0, bonusBps: 1000 },
+            { minReferrals: 10, minReferredUSDT: 0, bonusBps: 1000 }
+        ])).to.be.revertedWithCustomError(presale, "InvalidReferralTiers");
+
+        await setTiers([{ minReferrals: 5, minReferredUSDT: 0, bonusBps: 1000 }]);
+        await expect(presale.connect(admin).setReferralBonusBps(1000, 500, 0))
+            .to.be.revertedWithCustomError(presale, "InvalidReferralBps");
+        await setTiers([]);
+        expect(await presale.getReferralTiers()).to.have.length(0);
+        await presale.connect(admin).setReferralBonusBps(1000, 500, 0);
+    });
+
+    it("Should pay the referrer's referrer and roll it back on voidOrder", async function () {
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        await refer(bob, alice);                   // alice referred bob
+
+        const orderId = nextOrder();
+        await expect(refer(carol, bob, orderId))   // bob refers carol, alice is second level
+            .to.emit(presale, "SecondLevelBonusAwarded")
+            .withArgs(alice.address, bob.address, carol.address, bonusAt(200), 1, orderId)
+            .and.to.emit(presale, "PurchaseRecordedV2")
+            .withArgs(carol.address, 1, usdtAmount, price, magaxAmount, 0, bonusAt(500), bonusAt(700), bonusAt(200), bob.address, orderId);
+
+        let info = await presale.getReferralStats(alice.address);
+        expect(info.secondLevelReferrals).to.equal(1);
+        expect(info.secondLevelBonusEarned).to.equal(bonusAt(200));
+        // The two-value view keeps its baseline meaning: referrer + referee bonus only
+        expect(info.totalBonusEarned).to.equal(bonusAt(700));
+        expect((await presale.getReferralInfo(alice.address)).totalBonusEarned).to.equal(bonusAt(700));
+        expect(await presale.userTotalMAGAX(alice.address)).to.equal(bonusAt(700) + bonusAt(200));
+        expect((await presale.orderSecondLevel(orderId)).referrer).to.equal(alice.address);
+
+        // The buyer is never their own second-level referrer
+        await expect(refer(alice, bob)).to.not.emit(presale, "SecondLevelBonusAwarded");
+
+        const totalBefore = await presale.totalMAGAX();
+        await expect(presale.connect(admin).voidOrder(orderId))
+            .to.emit(presale, "PurchaseVoided")
+            .withArgs(orderId, carol.address, bob.address, usdtAmount, magaxAmount + bonusAt(500), bonusAt(700), bonusAt(200));
+        info = await presale.getReferralStats(alice.address);
+        expect(info.secondLevelReferrals).to.equal(0);
+        expect(info.secondLevelBonusEarned).to.equal(0);
+        expect((await presale.getReceiptsPaginated(alice.address, 0, 20))[1].voided).to.be.true;
+        expect((await presale.getReferralStats(bob.address)).totalReferredUSDT).to.equal(usdtAmount);
+        const bobBase = await presale.referralTierStats(bob.address, 0);
+        expect([bobBase.referredUSDT, bobBase.bonusEarned]).to.deep.equal([usdtAmount, bonusAt(700)]);
+        expect(await presale.totalMAGAX()).to.equal(
+            totalBefore - magaxAmount - bonusAt(500) - bonusAt(700) - bonusAt(200)
+        );
+    });
+
+    it("Should quote tier and second-level bonuses like the contract", async function () {
+        await presale.connect(admin).setReferralBonusBps(700, 500, 300);
+        await presale.connect(admin).setReferralTiers([{ minReferrals: 1, minReferredUSDT: 0, bonusBps: 1100 }]);
+        await refer(bob, alice);
+
+        const q = await quote(presale, { buyer: carol.address, usdtAmount, referrer: bob.address });
+        expect(q.referrerBonus).to.equal(bonusAt(700));
+        expect(q.secondLevelBonus).to.equal(bonusAt(300));
+
+        const tiered = await quote(presale, { buyer: carol.address, usdtAmount, referrer: alice.address });
+        expect(tiered.referrerBonus).to.equal(bonusAt(1100));
+        expect(tiered.secondLevelBonus).to.equal(0);
+
+        await refer(carol, bob);
+        expect((await presale.getReceiptsPaginated(bob.address, 0, 20)).at(-1).magax).to.equal(q.referrerBonus);
+        expect((await presale.getReceiptsPaginated(alice.address, 0, 20)).at(-1).magax).to.equal(q.secondLevelBonus);
+    });
+
+    it("Should change rates and tiers through the timelock", async function () {
+        const DELAY = 48 * 60 * 60;
+        const Timelock = await ethers.getContractFactory("MAGAXTimelock");
+        const timelock = await Timelock.deploy(DELAY, [admin.address], [admin.address], ethers.ZeroAddress);
+        await presale.connect(admin).grantRole(await presale.DEFAULT_ADMIN_ROLE(), await timelock.getAddress());
+
+        const service = new TimelockService(await timelock.getAddress(), await presale.getAddress(), ethers.provider, admin);
+        const rates = { referrerBps: 600, refereeBps: 600, secondLevelBps: 100 };
+        const tiers = [{ minReferrals: 10, minReferredUSDT: ethers.parseUnits("10000", 6), bonusBps: 1000 }];
+        const ratesOp = await service.proposeReferralBpsUpdate(rates);
+        const tiersOp = await service.proposeReferralTiersUpdate(tiers);
+
+        await time.increase(DELAY);
+        await service.executeReferralBpsUpdate(rates, ratesOp.salt);
+        await service.executeReferralTiersUpdate(tiers, tiersOp.salt);
+
+        expect(await presale.secondLevelBonusBps()).to.equal(100);
+        const [tier] = await presale.getReferralTiers();
+        expect(tier.minReferredUSDT).to.equal(ethers.parseUnits("10000", 6));
+        expect(tier.bonusBps).to.equal(1000);
+    });
+});
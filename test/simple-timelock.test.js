@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployPresale } = require("../scripts/presale-contract");
 
 describe("Simple Timelock Test", function () {
     let presale, owner;
@@ -8,8 +9,7 @@ describe("Simple Timelock Test", function () {
         [owner] = await ethers.getSigners();
         
         // Deploy presale without timelock
-        const MAGAXPresale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-        presale = await MAGAXPresale.deploy(owner.address, owner.address, owner.address); // Use owner for all roles in test
+        presale = await deployPresale(owner.address, owner.address, owner.address); // Use owner for all roles in test
         await presale.waitForDeployment();
     });
     
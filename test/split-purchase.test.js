@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Stage-Boundary Split Purchases", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer, outsider;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000293", 6);
+    const allocation = ethers.parseUnits("40000000", 18);
+    const usdTarget = ethers.parseUnits("10000", 6);
+    const baseTokens = (usdt, price) => (usdt * 10n ** 18n) / price;
+
+    function eventsNamed(receipt, name) {
+        return receipt.logs
+            .map(log => { try { return presale.interface.parseLog(log); } catch (_) { return null; } })
+            .filter(parsed => parsed && parsed.name === name);
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer, outsider] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+
+        await presale.connect(stageManager).configureStage(1, price1, allocation, usdTarget);
+        await presale.connect(stageManager).configureStage(2, price2, allocation, usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), {
+            code: "PROMO50", bonusBps: 5000, bonusBudget: ethers.parseUnits("40000000", 18)
+        });
+    });
+
+    it("Should fill the current stage and record the remainder in the next stage", async function () {
+        const total = ethers.parseUnits("12000", 6);
+        const remainder = ethers.parseUnits("2000", 6);
+
+        await expect(presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, total, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("split-1")))
+            .to.emit(presale, "StageCompleted").withArgs(1, baseTokens(usdTarget, price1))
+            .and.to.emit(presale, "StageDeactivated").withArgs(1)
+            .and.to.emit(presale, "StageActivated").withArgs(2, recorder.address);
+
+        const receipts = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(receipts.length).to.equal(2);
+        expect(receipts[0].stage).to.equal(1);
+        expect(receipts[0].usdt).to.equal(usdTarget);
+        expect(receipts[0].magax).to.equal(baseTokens(usdTarget, price1));
+        expect(receipts[1].stage).to.equal(2);
+        expect(receipts[1].usdt).to.equal(remainder);
+        expect(receipts[1].magax).to.equal(baseTokens(remainder, price2));
+
+        expect(await presale.currentStage()).to.equal(2);
+        expect((await presale.stages(1)).isActive).to.be.false;
+        expect((await presale.stages(2)).usdRaised).to.equal(remainder);
+        expect(await presale.totalUSDT()).to.equal(total);
+        expect(await presale.totalBuyers()).to.equal(1);
+
+        const order = await presale.getOrder(ethers.id("split-1"));
+        expect(order.buyer).to.equal(buyer.address);
+        expect(order.firstReceipt).to.equal(0);
+        expect(order.receiptCount).to.equal(2);
+        expect(order.stage).to.equal(1);
+    });
+
+    it("Should size the first portion so bonuses fit the stage allocation", async function () {
+        const total = ethers.parseUnits("9800", 6);
+        const tx = await presale.connect(recorder).recordPurchaseAcrossStages(
+            buyer.address, total, promoCodeId("PROMO50"), referrer.address, ethers.ZeroAddress, 0n, ethers.id("split-bonus")
+        );
+        const receipt = await tx.wait();
+
+        // 50% promo + 7% referrer + 5% referee exhaust 40M tokens at ~6,666 USDT
+        const stage1 = await presale.stages(1);
+        const stage2 = await presale.stages(2);
+        expect(stage1.tokensSold).to.be.lte(allocation);
+        expect(stage1.usdRaised + stage2.usdRaised).to.equal(total);
+        expect(stage1.usdRaised).to.be.closeTo(ethers.parseUnits("6666.666", 6), ethers.parseUnits("1", 6));
+
+        // base + promo + referee per stage for the buyer, one referrer bonus per stage
+        expect((await presale.getReceiptsPaginated(buyer.address, 0, 100)).length).to.equal(6);
+        expect((await presale.getReceiptsPaginated(referrer.address, 0, 100)).length).to.equal(2);
+        expect((await presale.getOrder(ethers.id("split-bonus"))).receiptCount).to.equal(6);
+
+        const [totalReferrals] = await presale.getReferralInfo(referrer.address);
+        expect(totalReferrals).to.equal(1);
+        expect(eventsNamed(receipt, "StageCompleted").map(e => e.args.stage)).to.deep.equal([1n]);
+        expect(eventsNamed(receipt, "PurchaseRecordedV2").map(e => e.args.stage)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should behave like a single purchase when the order fits the current stage", async function () {
+        const usdt = ethers.parseUnits("500", 6);
+        const tx = await presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("fits"));
+        const receipt = await tx.wait();
+
+        expect(await presale.currentStage()).to.equal(1);
+        expect((await presale.getReceiptsPaginated(buyer.address, 0, 100)).length).to.equal(1);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(baseTokens(usdt, price1));
+        expect(eventsNamed(receipt, "StageActivated")).to.be.empty;
+    });
+
+    it("Should revert without state changes when no next stage is configured", async function () {
+        await presale.connect(recorder).recordPurchaseAcrossStages(
+            buyer.address, ethers.parseUnits("15000", 6), ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("into-2")
+        );
+
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(
+                buyer.address, ethers.parseUnits("9000", 6), ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("past-2")
+            )
+        ).to.be.revertedWithCustomError(presale, "NoNextStage");
+
+        expect(await presale.currentStage()).to.equal(2);
+        expect(await presale.isOrderRecorded(ethers.id("past-2"))).to.be.false;
+        expect(await presale.totalUSDT()).to.equal(ethers.parseUnits("15000", 6));
+    });
+
+    it("Should not split into a next stage whose window has closed", async function () {
+        const now = await time.latest();
+        await presale.connect(stageManager).configureStageWindow(2, 0, now + 3600, false);
+        await time.increaseTo(now + 3600);
+
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(
+                buyer.address, ethers.parseUnits("12000", 6), ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("closed-2")
+            )
+        ).to.be.revertedWithCustomError(presale, "StageWindowClosed");
+
+        expect(await presale.currentStage()).to.equal(1);
+        expect(await presale.isOrderRecorded(ethers.id("closed-2"))).to.be.false;
+    });
+
+    it("Should enforce roles, order IDs and purchase validation", async function () {
+        const usdt = ethers.parseUnits("100", 6);
+        await expect(
+            presale.connect(outsider).recordPurchaseAcrossStages(buyer.address, usdt, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("role"))
+        ).to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("dup"));
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("dup"))
+        ).to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, ethers.ZeroHash, buyer.address, ethers.ZeroAddress, 0n, ethers.id("self"))
+        ).to.be.revertedWithCustomError(presale, "SelfReferral");
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, promoCodeId("UNKNOWN"), ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("promo"))
+        ).to.be.revertedWithCustomError(presale, "PromoCodeNotFound");
+        await presale.connect(admin).setMaxPromoBps(2000);
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, usdt, promoCodeId("PROMO50"), ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("promo"))
+        ).to.be.revertedWithCustomError(presale, "InvalidPromoBps");
+        await expect(
+            presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, 0, ethers.ZeroHash, ethers.ZeroAddress, ethers.ZeroAddress, 0n, ethers.id("zero"))
+        ).to.be.revertedWithCustomError(presale, "InvalidAmount");
+    });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { quote } = require("../scripts/quote-engine");
+const { deployPresale } = require("../scripts/presale-contract");
+const { bonusPool18, maxBonusBps } = require("../scripts/stage-allocation");
+
+describe("MAGAXPresaleReceipts - Stage Bonus Pool", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol;
+    let orderSeq = 0;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000293", 6);
+    const usdTarget = ethers.parseUnits("10000", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const tokensFor = (usdt, price) => (usdt * 10n ** 18n) / price;
+    const bonus = (tokens, bps) => (tokens * BigInt(bps)) / 10_000n;
+    const magaxAmount = tokensFor(usdtAmount, price1);
+
+    const nextOrder = () => ethers.id(`bonus-pool-${orderSeq++}`);
+    const buyWithPromo = (who, bps = 1000, orderId = nextOrder()) =>
+        presale.connect(recorder).recordPurchaseWithPromoCode(who.address, usdtAmount, magaxAmount, promoCodeId(`PROMO-${bps}`), orderId);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(admin).setReferralBonusBps(700, 500, 0);
+        for (const bonusBps of [500, 1000]) {
+            await createCampaign(presale.connect(stageManager), {
+                code: `PROMO-${bonusBps}`, bonusBps, bonusBudget: ethers.parseUnits("100000000", 18)
+            });
+        }
+    });
+
+    async function configure(stage, price, tokensAllocated, pool) {
+        await presale.connect(stageManager).configureStage(stage, price, tokensAllocated, usdTarget);
+        if (pool > 0n) {
+            await expect(presale.connect(stageManager).setStageBonusPool(stage, pool))
+                .to.emit(presale, "StageBonusPoolSet").withArgs(stage, pool);
+        }
+    }
+
+    it("Should sell out on base tokens only and pay bonuses from the pool", async function () {
+        // Room for exactly three base purchases; without a pool the bonuses would use it up
+        await configure(1, price1, magaxAmount * 3n, bonus(magaxAmount, 1000) * 5n);
+        await presale.connect(stageManager).activateStage(1);
+
+        await buyWithPromo(alice);
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(bob.address, usdtAmount, magaxAmount, promoCodeId("PROMO-1000"), alice.address, nextOrder());
+        await expect(presale.connect(recorder).recordPurchase(carol.address, usdtAmount, magaxAmount, nextOrder()))
+            .to.emit(presale, "StageCompleted").withArgs(1, magaxAmount * 3n);
+
+        const stage = await presale.stages(1);
+        expect(stage.tokensSold).to.equal(magaxAmount * 3n);
+        expect((await presale.stageStats(1)).baseTokens).to.equal(stage.tokensSold);
+
+        const used = bonus(magaxAmount, 1000) * 2n + bonus(magaxAmount, 700) + bonus(magaxAmount, 500);
+        const pool = await presale.getStageBonusPool(1);
+        expect(pool.used).to.equal(used);
+        expect(pool.available).to.equal(pool.allocated - used);
+
+        await expect(presale.connect(recorder).recordPurchase(carol.address, 1_000_000n, tokensFor(1_000_000n, price1), nextOrder()))
+            .to.be.revertedWithCustomError(presale, "InsufficientStageTokens");
+    });
+
+    it("Should revert once the pool cannot cover an order's bonuses and accept a top-up", async function () {
+        const promoBonus = bonus(magaxAmount, 1000);
+        await configure(1, price1, ethers.parseUnits("200000000", 18), promoBonus + promoBonus / 2n);
+        await presale.connect(stageManager).activateStage(1);
+        await buyWithPromo(alice);
+
+        const left = promoBonus / 2n;
+        expect((await quote(presale, { buyer: bob.address, usdtAmount, promoBps: 1000 })).error).to.equal("BonusPoolExhausted");
+        await expect(buyWithPromo(bob)).to.be.revertedWithCustomError(presale, "BonusPoolExhausted").withArgs(left);
+        // A split purchase draws from the same pool
+        await expect(presale.connect(recorder).recordPurchaseAcrossStages(bob.address, usdtAmount, promoCodeId("PROMO-1000"), ethers.ZeroAddress, ethers.ZeroAddress, 0n, nextOrder()))
+            .to.be.revertedWithCustomError(presale, "BonusPoolExhausted");
+
+        // Purchases without bonuses are not affected, and a smaller promo still fits
+        await presale.connect(recorder).recordPurchase(bob.address, usdtAmount, magaxAmount, nextOrder());
+        await buyWithPromo(bob, 500);
+        expect((await presale.getStageBonusPool(1)).available).to.equal(left - bonus(magaxAmount, 500));
+
+        await presale.connect(stageManager).setStageBonusPool(1, promoBonus * 3n);
+        const quoted = await quote(presale, { buyer: bob.address, usdtAmount, promoBps: 1000 });
+        expect(quoted.ok).to.be.true;
+        expect(quoted.bonusPoolRemaining).to.equal(promoBonus * 3n - promoBonus - bonus(magaxAmount, 500));
+        await buyWithPromo(bob);
+    });
+
+    it("Should size a pool from the live top tier, referee, second-level and promo rates", async function () {
+        const [, , , , , , , dave] = await ethers.getSigners();
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        await presale.connect(admin).setReferralTiers([{ minReferrals: 1, minReferredUSDT: 0, bonusBps: 2000 }]);
+        await presale.connect(admin).setMaxPromoBps(1000);
+        const rate = await maxBonusBps(presale);
+        expect(rate).to.equal(2000 + 500 + 200 + 1000);
+
+        await configure(1, price1, ethers.parseUnits("200000000", 18), ethers.parseUnits("100000000", 18));
+        await presale.connect(stageManager).activateStage(1);
+        await presale.connect(recorder).recordPurchase(carol.address, usdtAmount, magaxAmount, nextOrder());
+        await presale.connect(recorder).recordPurchaseWithReferral(alice.address, usdtAmount, magaxAmount, carol.address, nextOrder());
+        await presale.connect(recorder).recordPurchaseWithReferral(dave.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+
+        // Worst case: alice at her top tier, carol second level, the referee rate and the promo ceiling
+        const usedBefore = (await presale.getStageBonusPool(1)).used;
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            bob.address, usdtAmount, magaxAmount, promoCodeId("PROMO-1000"), alice.address, nextOrder()
+        );
+        const drawn = (await presale.getStageBonusPool(1)).used - usedBefore;
+        const sized = bonusPool18(usdtAmount, price1, rate);
+        expect(drawn).to.be.at.most(sized);
+        expect(sized - drawn).to.be.lessThan(4n); // per-bonus rounding only
+    });
+
+    it("Should refill the pool on voidOrder and fix the mode once the stage has sales", async function () {
+        const pool = bonus(magaxAmount, 1000) * 2n;
+        await configure(1, price1, ethers.parseUnits("200000000", 18), pool);
+        await presale.connect(stageManager).activateStage(1);
+
+        const orderId = nextOrder();
+        await buyWithPromo(alice, 1000, orderId);
+        await expect(presale.connect(stageManager).setStageBonusPool(1, 0))
+            .to.be.revertedWithCustomError(presale, "StageAlreadyUsed");
+        await expect(presale.connect(stageManager).setStageBonusPool(1, bonus(magaxAmount, 1000) - 1n))
+            .to.be.revertedWithCustomError(presale, "InvalidBonusPool");
+        await expect(presale.connect(alice).setStageBonusPool(1, pool * 2n))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await presale.connect(admin).voidOrder(orderId);
+        expect((await presale.stages(1)).tokensSold).to.equal(0);
+        expect((await presale.getStageBonusPool(1)).available).to.equal(pool);
+
+        // A stage without a pool keeps counting bonuses against tokensAllocated
+        await configure(2, price2, ethers.parseUnits("200000000", 18), 0n);
+        await presale.connect(stageManager).activateStage(2);
+        const stage2Tokens = tokensFor(usdtAmount, price2);
+        await presale.connect(recorder).recordPurchaseWithPromoCode(carol.address, usdtAmount, stage2Tokens, promoCodeId("PROMO-1000"), nextOrder());
+        expect((await presale.stages(2)).tokensSold).to.equal(stage2Tokens + bonus(stage2Tokens, 1000));
+        await expect(presale.connect(stageManager).setStageBonusPool(2, pool))
+            .to.be.revertedWithCustomError(presale, "StageAlreadyUsed");
+    });
+
+    it("Should fill a pooled stage up to its base allocation on a split purchase", async function () {
+        const stage1Usd = ethers.parseUnits("1000", 6);
+        await configure(1, price1, tokensFor(stage1Usd, price1), ethers.parseUnits("10000000", 18));
+        await configure(2, price2, ethers.parseUnits("200000000", 18), ethers.parseUnits("10000000", 18));
+        await presale.connect(stageManager).activateStage(1);
+
+        const total = ethers.parseUnits("1500", 6);
+        await presale.connect(recorder).recordPurchaseAcrossStages(alice.address, total, promoCodeId("PROMO-1000"), bob.address, ethers.ZeroAddress, 0n, nextOrder());
+
+        // No gross-up for bonuses: stage 1 takes ~1,000 USDT, all of its base allocation (floored)
+        const fill = (tokensFor(stage1Usd, price1) * price1) / 10n ** 18n;
+        expect(stage1Usd - fill).to.be.lessThan(2n);
+        expect((await presale.stages(1)).usdRaised).to.equal(fill);
+        expect((await presale.stages(1)).tokensSold).to.equal(tokensFor(fill, price1));
+        expect((await presale.stages(2)).usdRaised).to.equal(total - fill);
+        const stage2Tokens = tokensFor(total - fill, price2);
+        expect((await presale.getStageBonusPool(2)).used).to.equal(
+            bonus(stage2Tokens, 1000) + bonus(stage2Tokens, 700) + bonus(stage2Tokens, 500)
+        );
+    });
+});
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Stage Stats", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol;
+    let orderSeq = 0;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000293", 6);
+    const usdTarget = ethers.parseUnits("10000", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const tokensFor = (usdt, price) => (usdt * 10n ** 18n) / price;
+    const bonus = (tokens, bps) => (tokens * BigInt(bps)) / 10_000n;
+    const magaxAmount = tokensFor(usdtAmount, price1);
+
+    const promo10 = promoCodeId("PROMO10");
+    const nextOrder = () => ethers.id(`stage-stats-${orderSeq++}`);
+    const splitOf = (stats) => stats.baseTokens + stats.promoTokens + stats.referralTokens;
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price1, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).configureStage(2, price2, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: ethers.parseUnits("100000000", 18) });
+    });
+
+    it("Should count unique buyers, purchases and the token split of a stage", async function () {
+        await presale.connect(recorder).recordPurchase(alice.address, usdtAmount, magaxAmount, nextOrder());
+        await presale.connect(recorder).recordPurchase(alice.address, usdtAmount, magaxAmount, nextOrder());
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(carol.address, usdtAmount, magaxAmount, promo10, bob.address, nextOrder());
+
+        const stats = await presale.stageStats(1);
+        expect(stats.uniqueBuyers).to.equal(3);
+        expect(stats.purchaseCount).to.equal(4);
+        expect(stats.baseTokens).to.equal(magaxAmount * 4n);
+        expect(stats.promoTokens).to.equal(bonus(magaxAmount, 1000));
+        // bob's order: referrer + referee; carol's order: referrer + referee + second level
+        expect(stats.referralTokens).to.equal(
+            bonus(magaxAmount, 700) * 2n + bonus(magaxAmount, 500) * 2n + bonus(magaxAmount, 200)
+        );
+        expect(splitOf(stats)).to.equal((await presale.stages(1)).tokensSold);
+    });
+
+    it("Should return every stage in one call and split an order across stages", async function () {
+        const total = ethers.parseUnits("12000", 6);
+        await presale.connect(recorder).recordPurchase(alice.address, usdtAmount, magaxAmount, nextOrder());
+        await presale.connect(recorder).recordPurchaseAcrossStages(carol.address, total, promo10, bob.address, ethers.ZeroAddress, 0n, nextOrder());
+
+        const all = await presale.getAllStageStats();
+        expect(all).to.have.length(50);
+        expect(all[0].uniqueBuyers).to.equal(2);
+        expect(all[0].purchaseCount).to.equal(2);
+        expect(all[1].uniqueBuyers).to.equal(1);
+        expect(all[1].purchaseCount).to.equal(1);
+        expect(all[1].baseTokens).to.equal(tokensFor(total - (usdTarget - usdtAmount), price2));
+        expect(all[2].purchaseCount).to.equal(0);
+
+        for (const stage of [1, 2]) {
+            expect(splitOf(all[stage - 1])).to.equal((await presale.stages(stage)).tokensSold);
+        }
+    });
+
+    it("Should roll back the counters of a voided order", async function () {
+        await presale.connect(recorder).recordPurchase(carol.address, usdtAmount, magaxAmount, nextOrder());
+        const orderId = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(carol.address, usdtAmount, magaxAmount, promo10, bob.address, orderId);
+        const bobOrder = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, bobOrder);
+
+        // carol keeps her first purchase, so she still counts as a buyer
+        await presale.connect(admin).voidOrder(orderId);
+        let stats = await presale.stageStats(1);
+        expect(stats.uniqueBuyers).to.equal(2);
+        expect(stats.purchaseCount).to.equal(2);
+        expect(stats.promoTokens).to.equal(0);
+        expect(stats.referralTokens).to.equal(bonus(magaxAmount, 700) + bonus(magaxAmount, 500));
+
+        await presale.connect(admin).voidOrder(bobOrder);
+        stats = await presale.stageStats(1);
+        expect(stats.uniqueBuyers).to.equal(1);
+        expect(stats.purchaseCount).to.equal(1);
+        expect(stats.baseTokens).to.equal(magaxAmount);
+        expect(stats.referralTokens).to.equal(0);
+        expect(splitOf(stats)).to.equal((await presale.stages(1)).tokensSold);
+    });
+});
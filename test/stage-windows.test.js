@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { quote } = require("../scripts/quote-engine");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Stage Windows and Auto-Advance", function () {
+    let presale, recorder, stageManager, admin, buyer;
+    let orderSeq = 0;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000300", 6);
+    const usdTarget = ethers.parseUnits("1000", 6);
+    const allocation = ethers.parseUnits("200000000", 18);
+
+    const tokensFor = (usdt, price) => (usdt * 10n ** 18n) / price;
+    const record = (usdt, price) => presale.connect(recorder)
+        .recordPurchase(buyer.address, usdt, tokensFor(usdt, price), ethers.id(`window-${orderSeq++}`));
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price1, allocation, usdTarget);
+        await presale.connect(stageManager).configureStage(2, price2, allocation, usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+    });
+
+    it("Should reject purchases outside the window of a stage without auto-advance", async function () {
+        const now = await time.latest();
+        await expect(presale.connect(stageManager).configureStageWindow(1, now + 3600, now + 7200, false))
+            .to.emit(presale, "StageWindowConfigured").withArgs(1, now + 3600, now + 7200, false);
+
+        await expect(record(ethers.parseUnits("100", 6), price1))
+            .to.be.revertedWithCustomError(presale, "StageNotOpen");
+
+        await time.increaseTo(now + 3600);
+        await record(ethers.parseUnits("100", 6), price1);
+
+        await time.increaseTo(now + 7200);
+        await expect(record(ethers.parseUnits("100", 6), price1))
+            .to.be.revertedWithCustomError(presale, "StageWindowClosed");
+        expect(await presale.currentStage()).to.equal(1);
+    });
+
+    it("Should advance on the next purchase once the usdTarget is reached", async function () {
+        await presale.connect(stageManager).configureStageWindow(1, 0, 0, true);
+        await record(usdTarget, price1);
+        expect(await presale.currentStage()).to.equal(1);
+        expect(await presale.getEffectiveStage()).to.equal(2);
+
+        const usdt = ethers.parseUnits("100", 6);
+        await expect(record(usdt, price2))
+            .to.emit(presale, "StageDeactivated").withArgs(1)
+            .and.to.emit(presale, "StageActivated").withArgs(2, recorder.address);
+
+        expect(await presale.currentStage()).to.equal(2);
+        expect((await presale.getStageInfo(2)).usdRaised).to.equal(usdt);
+        expect((await presale.getStageInfo(1)).isActive).to.be.false;
+    });
+
+    it("Should advance once the window ends, but only into a stage that has opened", async function () {
+        const now = await time.latest();
+        await presale.connect(stageManager).configureStageWindow(1, 0, now + 3600, true);
+        await presale.connect(stageManager).configureStageWindow(2, now + 7200, 0, false);
+        await record(ethers.parseUnits("100", 6), price1);
+
+        // Stage 1 closed, stage 2 not open yet: nothing to advance into
+        await time.increaseTo(now + 3600);
+        expect(await presale.getEffectiveStage()).to.equal(1);
+        await expect(record(ethers.parseUnits("100", 6), price1))
+            .to.be.revertedWithCustomError(presale, "StageWindowClosed");
+
+        await time.increaseTo(now + 7200);
+        await expect(record(ethers.parseUnits("100", 6), price2))
+            .to.emit(presale, "StageActivated").withArgs(2, recorder.address);
+        expect(await presale.currentStage()).to.equal(2);
+    });
+
+    it("Should keep the window across configureStage and validate it", async function () {
+        const now = await time.latest();
+        await expect(presale.connect(stageManager).configureStageWindow(2, now + 100, now + 100, true))
+            .to.be.revertedWithCustomError(presale, "InvalidStageWindow");
+        await expect(presale.connect(stageManager).configureStageWindow(51, 0, 0, true))
+            .to.be.revertedWithCustomError(presale, "InvalidStage");
+        await expect(presale.connect(buyer).configureStageWindow(2, 0, 0, true))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+
+        await presale.connect(stageManager).configureStageWindow(2, now + 100, now + 200, true);
+        await presale.connect(stageManager).configureStage(2, price2, allocation, usdTarget * 2n);
+
+        const window = await presale.getStageWindow(2);
+        expect(window.startTime).to.equal(now + 100);
+        expect(window.endTime).to.equal(now + 200);
+        expect(window.autoAdvance).to.be.true;
+    });
+
+    it("Should quote the stage a pending auto-advance will move to", async function () {
+        await presale.connect(stageManager).configureStageWindow(1, 0, 0, true);
+        await record(usdTarget, price1);
+
+        const q = await quote(presale, { buyer: buyer.address, usdtAmount: ethers.parseUnits("100", 6) });
+        expect(q.stage).to.equal(2);
+        expect(q.pricePerToken).to.equal(price2);
+        expect(q.error).to.equal(null);
+
+        // Stage 2 scheduled for later: the quote predicts the contract's revert
+        const now = await time.latest();
+        await presale.connect(stageManager).configureStageWindow(2, now + 3600, 0, false);
+        const closed = await quote(presale, { buyer: buyer.address, usdtAmount: ethers.parseUnits("100", 6) });
+        expect(closed.stage).to.equal(1);
+        expect(closed.error).to.equal("StageUsdOverTarget");
+    });
+});
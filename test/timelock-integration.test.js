@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPresale } = require("../scripts/presale-contract");
 
 describe("MAGAX Timelock Integration", function () {
     let timelock, presale;
@@ -25,8 +26,7 @@ describe("MAGAX Timelock Integration", function () {
         timelockAddress = await timelock.getAddress();
         
         // Deploy presale with timelock
-        const MAGAXPresale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-        presale = await MAGAXPresale.deploy(recorder.address, stageManager.address, timelockAddress);
+        presale = await deployPresale(recorder.address, stageManager.address, timelockAddress);
         await presale.waitForDeployment();
         presaleAddress = await presale.getAddress();
         
@@ -107,8 +107,7 @@ describe("MAGAX Timelock Integration", function () {
         
         it("Should allow scheduling and executing finalization through timelock", async function () {
             // Create a simple presale for testing where owner has admin role
-            const TestPresale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-            const testPresale = await TestPresale.deploy(recorder.address, owner.address, owner.address);
+            const testPresale = await deployPresale(recorder.address, owner.address, owner.address);
             await testPresale.waitForDeployment();
             const testPresaleAddress = await testPresale.getAddress();
             
@@ -162,8 +161,7 @@ describe("MAGAX Timelock Integration", function () {
         
         it("Should allow scheduling max promo BPS update", async function () {
             // Deploy new presale for this test (previous one is finalized)
-            const newPresale = await (await ethers.getContractFactory("MAGAXPresaleReceipts"))
-                .deploy(recorder.address, owner.address, timelockAddress);
+            const newPresale = await deployPresale(recorder.address, owner.address, timelockAddress);
             await newPresale.waitForDeployment();
             const newPresaleAddress = await newPresale.getAddress();
             
@@ -227,8 +225,7 @@ describe("MAGAX Timelock Integration", function () {
     describe("Non-Critical Operations", function () {
         it("Should allow immediate execution of operational functions", async function () {
             // Create a test contract where owner has admin role for this test
-            const TestPresale = await ethers.getContractFactory("MAGAXPresaleReceipts");
-            const testPresale = await TestPresale.deploy(recorder.address, owner.address, owner.address);
+            const testPresale = await deployPresale(recorder.address, owner.address, owner.address);
             await testPresale.waitForDeployment();
             
             // Test pause/unpause functionality
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { claimStatus, claimTokens } = require("../scripts/claim-tokens");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXTokenClaim - TGE, Cliff and Linear Vesting", function () {
+    let token, presale, claim;
+    let treasury, recorder, stageManager, admin, buyer, referrer, outsider;
+    let tgeTime;
+
+    const price = ethers.parseUnits("0.000270", 6);
+    const DAY = 24 * 60 * 60;
+    const CLIFF = 30 * DAY;
+    const VESTING = 90 * DAY;
+    const TGE_BPS = 2000n; // 20%
+
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const leaf = (account, allocation) =>
+        ethers.keccak256(ethers.keccak256(abiCoder.encode(["address", "uint256"], [account, allocation])));
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+
+    async function recordAndFinalise() {
+        const usdt = ethers.parseUnits("1000", 6);
+        await presale.connect(recorder).recordPurchaseWithReferral(
+            buyer.address, usdt, (usdt * 10n ** 18n) / price, referrer.address, ethers.id("claim-order")
+        );
+        await presale.connect(admin).finalise();
+    }
+
+    beforeEach(async function () {
+        [treasury, recorder, stageManager, admin, buyer, referrer, outsider] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("MoonShotMAGAX");
+        token = await Token.deploy(treasury.address);
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(
+            1, price, ethers.parseUnits("200000000", 18), ethers.parseUnits("1000000", 6)
+        );
+        await presale.connect(stageManager).activateStage(1);
+
+        const Claim = await ethers.getContractFactory("MAGAXTokenClaim");
+        claim = await Claim.deploy(await token.getAddress(), await presale.getAddress(), admin.address);
+
+        const funding = ethers.parseUnits("1000000000", 18);
+        await token.connect(treasury).approve(await claim.getAddress(), funding);
+        await expect(claim.connect(treasury).fund(funding))
+            .to.emit(claim, "ClaimFunded").withArgs(treasury.address, funding);
+
+        tgeTime = (await time.latest()) + DAY;
+        await claim.connect(admin).setVestingSchedule(tgeTime, Number(TGE_BPS), CLIFF, VESTING);
+    });
+
+    it("Should only release presale allocations after finalise and TGE", async function () {
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "PresaleNotFinalised");
+
+        await recordAndFinalise();
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "NothingToClaim");
+        expect(await claim.presaleAllocation(buyer.address)).to.equal(await presale.userTotalMAGAX(buyer.address));
+    });
+
+    it("Should unlock the TGE share, hold through the cliff and vest linearly", async function () {
+        await recordAndFinalise();
+        const allocation = await presale.userTotalMAGAX(buyer.address);
+        const tgeAmount = (allocation * TGE_BPS) / 10000n;
+
+        await time.setNextBlockTimestamp(tgeTime);
+        await expect(claim.connect(buyer).claim())
+            .to.emit(claim, "TokensClaimed").withArgs(buyer.address, tgeAmount, tgeAmount, allocation);
+
+        // Nothing more during the cliff
+        await time.increaseTo(tgeTime + CLIFF - 10);
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "NothingToClaim");
+
+        // Half way through linear vesting
+        const halfway = tgeTime + CLIFF + VESTING / 2;
+        await time.setNextBlockTimestamp(halfway);
+        await claim.connect(buyer).claim();
+        expect(await token.balanceOf(buyer.address)).to.equal(tgeAmount + (allocation - tgeAmount) / 2n);
+
+        // Everything after vesting ends, never more than the allocation
+        await time.increaseTo(tgeTime + CLIFF + VESTING + DAY);
+        await claim.connect(buyer).claim();
+        expect(await token.balanceOf(buyer.address)).to.equal(allocation);
+        expect(await claim.claimed(buyer.address)).to.equal(allocation);
+        expect(await claim.claimableAmount(buyer.address, allocation)).to.equal(0);
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "NothingToClaim");
+
+        // Referrer bonuses are part of the referrer's allocation
+        await claim.connect(referrer).claim();
+        expect(await token.balanceOf(referrer.address)).to.equal(await presale.userTotalMAGAX(referrer.address));
+    });
+
+    it("Should claim from a committed Merkle snapshot", async function () {
+        const buyerAllocation = ethers.parseUnits("1000", 18);
+        const otherAllocation = ethers.parseUnits("2500", 18);
+        const buyerLeaf = leaf(buyer.address, buyerAllocation);
+        const otherLeaf = leaf(outsider.address, otherAllocation);
+        const root = hashPair(buyerLeaf, otherLeaf);
+
+        await expect(claim.connect(admin).setMerkleRoot(root)).to.emit(claim, "SnapshotRootSet").withArgs(root);
+        await time.increaseTo(tgeTime + CLIFF + VESTING);
+
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "SnapshotActive");
+        await expect(claim.connect(buyer).claimWithProof(otherAllocation, [otherLeaf]))
+            .to.be.revertedWithCustomError(claim, "InvalidProof");
+
+        await claim.connect(buyer).claimWithProof(buyerAllocation, [otherLeaf]);
+        await claim.connect(outsider).claimWithProof(otherAllocation, [buyerLeaf]);
+        expect(await token.balanceOf(buyer.address)).to.equal(buyerAllocation);
+        expect(await token.balanceOf(outsider.address)).to.equal(otherAllocation);
+        expect(await claim.totalClaimed()).to.equal(buyerAllocation + otherAllocation);
+    });
+
+    it("Should freeze the schedule and snapshot at TGE and restrict admin functions", async function () {
+        await expect(claim.connect(outsider).setVestingSchedule(tgeTime + DAY, 1000, 0, 0))
+            .to.be.revertedWithCustomError(claim, "AccessControlUnauthorizedAccount");
+        await expect(claim.connect(admin).setVestingSchedule(tgeTime, 10001, 0, 0))
+            .to.be.revertedWithCustomError(claim, "InvalidUnlockBps");
+
+        await time.increaseTo(tgeTime);
+        await expect(claim.connect(admin).setVestingSchedule(tgeTime + DAY, 1000, 0, 0))
+            .to.be.revertedWithCustomError(claim, "ScheduleLocked");
+        await expect(claim.connect(admin).setMerkleRoot(ethers.id("late")))
+            .to.be.revertedWithCustomError(claim, "ScheduleLocked");
+
+        await recordAndFinalise();
+        await claim.connect(admin).pause();
+        await expect(claim.connect(buyer).claim()).to.be.revertedWithCustomError(claim, "EnforcedPause");
+    });
+
+    it("Should sweep only excess funding and only after vesting ends", async function () {
+        await recordAndFinalise();
+        const funding = ethers.parseUnits("1000000000", 18);
+        const allocated = await presale.totalMAGAX();
+
+        await expect(claim.connect(outsider).sweep(treasury.address, 1n))
+            .to.be.revertedWithCustomError(claim, "AccessControlUnauthorizedAccount");
+        await time.increaseTo(tgeTime + CLIFF + VESTING - 10);
+        await expect(claim.connect(admin).sweep(treasury.address, 1n))
+            .to.be.revertedWithCustomError(claim, "VestingNotEnded");
+
+        await time.increaseTo(tgeTime + CLIFF + VESTING);
+        await claim.connect(buyer).claim();
+        const buyerAllocation = await presale.userTotalMAGAX(buyer.address);
+        const excess = funding - allocated;
+        expect(await claim.outstandingAllocation()).to.equal(allocated - buyerAllocation);
+        expect(await claim.sweepableAmount()).to.equal(excess);
+
+        // The referrer's unclaimed bonus stays reserved
+        await expect(claim.connect(admin).sweep(treasury.address, excess + 1n))
+            .to.be.revertedWithCustomError(claim, "ExceedsSweepable").withArgs(excess);
+        const before = await token.balanceOf(treasury.address);
+        await expect(claim.connect(admin).sweep(treasury.address, excess))
+            .to.emit(claim, "ExcessSwept").withArgs(treasury.address, excess);
+        expect(await token.balanceOf(treasury.address) - before).to.equal(excess);
+
+        await claim.connect(referrer).claim();
+        expect(await token.balanceOf(await claim.getAddress())).to.equal(0);
+    });
+
+    it("Should reserve the unclaimed snapshot total from sweep", async function () {
+        const snapshotTotal = ethers.parseUnits("3500", 18);
+        await claim.connect(admin).setMerkleRoot(ethers.id("snapshot"));
+        await expect(claim.connect(admin).setSnapshotTotal(snapshotTotal))
+            .to.emit(claim, "SnapshotTotalSet").withArgs(snapshotTotal);
+
+        await time.increaseTo(tgeTime + CLIFF + VESTING);
+        await expect(claim.connect(admin).setSnapshotTotal(0))
+            .to.be.revertedWithCustomError(claim, "ScheduleLocked");
+
+        const funding = ethers.parseUnits("1000000000", 18);
+        expect(await claim.sweepableAmount()).to.equal(funding - snapshotTotal);
+        await claim.connect(admin).sweep(treasury.address, funding - snapshotTotal);
+        expect(await token.balanceOf(await claim.getAddress())).to.equal(snapshotTotal);
+    });
+
+    it("Should report status and claim through the JS helper", async function () {
+        await recordAndFinalise();
+        const allocation = await presale.userTotalMAGAX(buyer.address);
+
+        const before = await claimStatus(claim, buyer.address);
+        expect(before.mode).to.equal("presale");
+        expect(before.allocation).to.equal(allocation);
+        expect(before.claimable).to.equal(0);
+        expect(before.vestingEnd).to.equal(tgeTime + CLIFF + VESTING);
+
+        await time.increaseTo(tgeTime + CLIFF + VESTING);
+        const result = await claimTokens(claim.connect(buyer));
+        expect(result.amount).to.equal(allocation);
+        expect(await claimTokens(claim.connect(buyer))).to.be.null;
+    });
+});
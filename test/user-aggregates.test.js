@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - User Aggregates", function () {
+    let presale, recorder, stageManager, admin, alice, bob, carol;
+    let orderSeq = 0;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000293", 6);
+    const usdTarget = ethers.parseUnits("10000", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const tokensFor = (usdt, price) => (usdt * 10n ** 18n) / price;
+    const bonus = (tokens, bps) => (tokens * BigInt(bps)) / 10_000n;
+    const magaxAmount = tokensFor(usdtAmount, price1);
+
+    const promo10 = promoCodeId("PROMO10");
+    const nextOrder = () => ethers.id(`aggregate-${orderSeq++}`);
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, alice, bob, carol] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+        await presale.connect(stageManager).configureStage(1, price1, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).configureStage(2, price2, ethers.parseUnits("200000000", 18), usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO10", bonusBps: 1000, bonusBudget: ethers.parseUnits("100000000", 18) });
+    });
+
+    it("Should count purchases and bonuses and keep first and last times", async function () {
+        await presale.connect(admin).setReferralBonusBps(700, 500, 200);
+        const empty = await presale.getUserAggregates(carol.address);
+        expect(empty.purchaseCount + empty.bonusCount).to.equal(0);
+        expect((await presale.getUserStats(carol.address)).firstPurchaseTime).to.equal(0);
+
+        await presale.connect(recorder).recordPurchaseWithReferral(bob.address, usdtAmount, magaxAmount, alice.address, nextOrder());
+        const first = await time.latest();
+        await time.increase(3600);
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(carol.address, usdtAmount, magaxAmount, promo10, bob.address, nextOrder());
+        const last = await time.latest();
+
+        const carolStats = await presale.getUserAggregates(carol.address);
+        expect(carolStats.purchaseCount).to.equal(1);
+        expect(carolStats.bonusCount).to.equal(2);
+        expect(carolStats.promoBonus).to.equal(bonus(magaxAmount, 1000));
+        expect(carolStats.refereeBonus).to.equal(bonus(magaxAmount, 500));
+
+        // bob: own base + referee receipt, then the referrer receipt an hour later
+        const bobStats = await presale.getUserAggregates(bob.address);
+        expect(bobStats.purchaseCount).to.equal(1);
+        expect(bobStats.bonusCount).to.equal(2);
+        expect(bobStats.firstPurchaseTime).to.equal(first);
+        expect(bobStats.lastPurchaseTime).to.equal(last);
+        expect(bobStats.referrerBonus).to.equal(bonus(magaxAmount, 700));
+
+        // alice never bought: referrer and second-level receipts only
+        const aliceStats = await presale.getUserAggregates(alice.address);
+        expect(aliceStats.purchaseCount).to.equal(0);
+        expect(aliceStats.bonusCount).to.equal(2);
+        expect(aliceStats.secondLevelBonus).to.equal(bonus(magaxAmount, 200));
+
+        const stats = await presale.getUserStats(bob.address);
+        expect(stats.totalPurchases).to.equal((await presale.getReceiptsPaginated(bob.address, 0, 100)).length);
+        expect(stats.firstPurchaseTime).to.equal(first);
+        expect(stats.lastPurchaseTime).to.equal(last);
+    });
+
+    it("Should break USD and tokens down per stage across a split order", async function () {
+        const total = ethers.parseUnits("12000", 6);
+        const remainder = total - usdTarget;
+        await presale.connect(recorder).recordPurchaseAcrossStages(carol.address, total, promo10, bob.address, ethers.ZeroAddress, 0n, nextOrder());
+
+        const stage1Tokens = tokensFor(usdTarget, price1);
+        const stage2Tokens = tokensFor(remainder, price2);
+        const breakdown = await presale.getUserStageBreakdown(carol.address);
+        expect(breakdown).to.have.length(50);
+        expect(breakdown[0].usdt).to.equal(usdTarget);
+        expect(breakdown[0].magax).to.equal(stage1Tokens + bonus(stage1Tokens, 1000) + bonus(stage1Tokens, 500));
+        expect(breakdown[1].usdt).to.equal(remainder);
+        expect(breakdown[1].magax).to.equal(stage2Tokens + bonus(stage2Tokens, 1000) + bonus(stage2Tokens, 500));
+        expect(breakdown[2].magax).to.equal(0);
+
+        const referrerStage2 = await presale.userStageTotals(bob.address, 2);
+        expect(referrerStage2.usdt).to.equal(0);
+        expect(referrerStage2.magax).to.equal(bonus(stage2Tokens, 700));
+        expect(await presale.userStageUSDT(carol.address, 2)).to.equal(remainder);
+
+        const aggregates = await presale.getUserAggregates(carol.address);
+        expect(aggregates.purchaseCount).to.equal(2);
+        expect(aggregates.bonusCount).to.equal(4);
+    });
+
+    it("Should roll back live totals on voidOrder but keep the receipt history", async function () {
+        const orderId = nextOrder();
+        await presale.connect(recorder).recordPurchaseWithReferral(carol.address, usdtAmount, magaxAmount, bob.address, orderId);
+        await presale.connect(admin).voidOrder(orderId);
+
+        const carolStage = await presale.userStageTotals(carol.address, 1);
+        expect(carolStage.usdt).to.equal(0);
+        expect(carolStage.magax).to.equal(0);
+        expect((await presale.userStageTotals(bob.address, 1)).magax).to.equal(0);
+
+        const aggregates = await presale.getUserAggregates(carol.address);
+        expect(aggregates.purchaseCount).to.equal(1);
+        expect(aggregates.bonusCount).to.equal(1);
+        expect(aggregates.refereeBonus).to.equal(0);
+    });
+
+    it("Should read receipts across reference slots and reject indexes past the end", async function () {
+        for (let i = 0; i < 7; i++) {
+            await presale.connect(recorder).recordPurchase(carol.address, usdtAmount * BigInt(i + 1), magaxAmount * BigInt(i + 1), nextOrder());
+        }
+        // six references per slot: receipt 6 is the first of the second slot
+        expect((await presale.userReceipts(carol.address, 5)).usdt).to.equal(usdtAmount * 6n);
+        expect((await presale.userReceipts(carol.address, 6)).usdt).to.equal(usdtAmount * 7n);
+        await expect(presale.userReceipts(carol.address, 7)).to.be.revertedWithCustomError(presale, "ReceiptNotFound");
+        expect(await presale.purchaseRecordCount()).to.equal(7);
+    });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TimelockService } = require("../scripts/timelock-service");
+const { buildSnapshot } = require("../scripts/allocation-snapshot");
+const { createCampaign, promoCodeId } = require("../scripts/promo-codes");
+const { deployPresale } = require("../scripts/presale-contract");
+
+describe("MAGAXPresaleReceipts - Order Voiding", function () {
+    let presale, recorder, stageManager, admin, buyer, referrer, outsider;
+
+    const price1 = ethers.parseUnits("0.000270", 6);
+    const price2 = ethers.parseUnits("0.000293", 6);
+    const allocation = ethers.parseUnits("40000000", 18);
+    const usdTarget = ethers.parseUnits("10000", 6);
+    const usdtAmount = ethers.parseUnits("100", 6);
+    const base = (usdt, price = price1) => (usdt * 10n ** 18n) / price;
+
+    async function stageTotals(stage) {
+        const info = await presale.stages(stage);
+        return { usdRaised: info.usdRaised, tokensSold: info.tokensSold };
+    }
+
+    beforeEach(async function () {
+        [, recorder, stageManager, admin, buyer, referrer, outsider] = await ethers.getSigners();
+
+        presale = await deployPresale(recorder.address, stageManager.address, admin.address);
+
+        await presale.connect(stageManager).configureStage(1, price1, allocation, usdTarget);
+        await presale.connect(stageManager).configureStage(2, price2, allocation, usdTarget);
+        await presale.connect(stageManager).activateStage(1);
+        await createCampaign(presale.connect(stageManager), { code: "PROMO15", bonusBps: 1500, bonusBudget: ethers.parseUnits("100000000", 18) });
+    });
+
+    it("Should void a plain order and restore every total", async function () {
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), ethers.id("void-1"));
+        expect(await presale.totalBuyers()).to.equal(1);
+
+        await expect(presale.connect(admin).voidOrder(ethers.id("void-1")))
+            .to.emit(presale, "PurchaseVoided")
+            .withArgs(ethers.id("void-1"), buyer.address, ethers.ZeroAddress, usdtAmount, base(usdtAmount), 0, 0)
+            .and.to.emit(presale, "StageUSDProgress").withArgs(1, 0, usdTarget);
+
+        const receipts = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(receipts.length).to.equal(1);
+        expect(receipts[0].voided).to.be.true;
+
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(0);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(0);
+        expect(await presale.getPresaleStats()).to.deep.equal([0n, 0n, 0n]);
+        expect(await stageTotals(1)).to.deep.equal({ usdRaised: 0n, tokensSold: 0n });
+        expect((await presale.orders(ethers.id("void-1"))).voided).to.be.true;
+
+        // The buyer counts again on their next purchase
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), ethers.id("void-2"));
+        expect(await presale.totalBuyers()).to.equal(1);
+    });
+
+    it("Should reverse promo, referee and referrer bonuses of a combined order", async function () {
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), ethers.id("keep"));
+        await presale.connect(recorder).recordPurchaseWithPromoCodeAndReferral(
+            buyer.address, usdtAmount, base(usdtAmount), promoCodeId("PROMO15"), referrer.address, ethers.id("combined")
+        );
+
+        const baseTokens = base(usdtAmount);
+        const promo = (baseTokens * 1500n) / 10000n;
+        const referee = (baseTokens * 500n) / 10000n;
+        const referrerBonus = (baseTokens * 700n) / 10000n;
+
+        await expect(presale.connect(admin).voidOrder(ethers.id("combined")))
+            .to.emit(presale, "PurchaseVoided")
+            .withArgs(ethers.id("combined"), buyer.address, referrer.address, usdtAmount, baseTokens + promo + referee, referrerBonus, 0);
+
+        const buyerReceipts = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        expect(buyerReceipts.map(receipt => receipt.voided)).to.deep.equal([false, true, true, true]);
+        expect((await presale.getReceiptsPaginated(referrer.address, 0, 10))[0].voided).to.be.true;
+
+        expect(await presale.userTotalUSDT(buyer.address)).to.equal(usdtAmount);
+        expect(await presale.userTotalMAGAX(buyer.address)).to.equal(baseTokens);
+        expect(await presale.userTotalMAGAX(referrer.address)).to.equal(0);
+        expect(await presale.getUserPromoBonus(buyer.address)).to.equal(0);
+        expect(await presale.totalPromoBonusDistributed()).to.equal(0);
+
+        const referralInfo = await presale.referralData(referrer.address);
+        expect(referralInfo.totalReferrals).to.equal(0);
+        expect(referralInfo.totalBonusEarned).to.equal(0);
+        expect((await presale.referralData(buyer.address)).totalRefereeBonus).to.equal(0);
+
+        expect(await presale.getPresaleStats()).to.deep.equal([usdtAmount, baseTokens, 1n]);
+        expect(await stageTotals(1)).to.deep.equal({ usdRaised: usdtAmount, tokensSold: baseTokens });
+    });
+
+    it("Should roll back both stages of a split order", async function () {
+        const total = ethers.parseUnits("12000", 6);
+        await presale.connect(recorder).recordPurchaseAcrossStages(buyer.address, total, ethers.ZeroHash, referrer.address, ethers.ZeroAddress, 0n, ethers.id("split"));
+        expect(await presale.currentStage()).to.equal(2);
+
+        await presale.connect(admin).voidOrder(ethers.id("split"));
+
+        expect(await stageTotals(1)).to.deep.equal({ usdRaised: 0n, tokensSold: 0n });
+        expect(await stageTotals(2)).to.deep.equal({ usdRaised: 0n, tokensSold: 0n });
+        expect(await presale.getPresaleStats()).to.deep.equal([0n, 0n, 0n]);
+        expect(await presale.userTotalMAGAX(referrer.address)).to.equal(0);
+        expect((await presale.referralData(referrer.address)).totalReferrals).to.equal(0);
+
+        const buyerReceipts = await presale.getReceiptsPaginated(buyer.address, 0, 10);
+        const referrerReceipts = await presale.getReceiptsPaginated(referrer.address, 0, 10);
+        expect(buyerReceipts.length).to.equal(4);
+        expect(referrerReceipts.length).to.equal(2);
+        expect([...buyerReceipts, ...referrerReceipts].every(receipt => receipt.voided)).to.be.true;
+    });
+
+    it("Should guard voidOrder and keep the orderId used", async function () {
+        const id = ethers.id("guarded");
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), id);
+
+        await expect(presale.connect(recorder).voidOrder(id))
+            .to.be.revertedWithCustomError(presale, "AccessControlUnauthorizedAccount");
+        await expect(presale.connect(admin).voidOrder(ethers.id("unknown")))
+            .to.be.revertedWithCustomError(presale, "OrderNotFound");
+
+        await presale.connect(admin).voidOrder(id);
+        await expect(presale.connect(admin).voidOrder(id))
+            .to.be.revertedWithCustomError(presale, "OrderAlreadyVoided");
+
+        // Corrections are recorded under a new orderId
+        await expect(presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), id))
+            .to.be.revertedWithCustomError(presale, "DuplicateOrderId");
+        await presale.connect(recorder).recordPurchase(buyer.address, usdtAmount, base(usdtAmount), ethers.id("guarded-fix"));
+
+        await presale.connect(admin).finalise();
+        await expect(presale.connect(admin).voidOrder(ethers.id("guarded-fix")))
+            .to.be.revertedWithCustomError(presale, "PresaleFinalised");
+    });
+
+    it("Should void through the timelock and drop the order from allocation snapshots", async function () {
+        const DELAY = 48 * 60 * 60;
+        const Timelock = await ethers.getContractFactory("MAGAXTimelock");
+        const timelock = await Timelock.deploy(DELAY, [admin.address], [admin.address], ethers.ZeroAddress);
+        await presale.connect(admin).grantRole(await presale.DEFAULT_ADMIN_ROLE(), await timelock.getAddress());
+
+        await presale.connect(recorder).recordPurchaseWithReferral(
+            buyer.address, usdtAmount, base(usdtAmount), referrer.address, ethers.id("chargeback")
+        );
+        await presale.connect(recorder).recordPurchase(outsider.address, usdtAmount, base(usdtAmount), ethers.id("clean"));
+
+        const service = new TimelockService(await timelock.getAddress(), await presale.getAddress(), ethers.provider, admin);
+        const proposal = await service.proposeVoidOrder(ethers.id("chargeback"));
+        expect(await timelock.isOperationPending(proposal.operationId)).to.be.true;
+
+        let error;
+        try {
+            await service.executeVoidOrder(ethers.id("chargeback"), proposal.salt);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/not ready/);
+
+        await time.increase(DELAY);
+        const result = await service.executeVoidOrder(ethers.id("chargeback"), proposal.salt);
+        expect(result.usdt).to.equal(usdtAmount);
+        expect(result.referrerTokens).to.equal((base(usdtAmount) * 700n) / 10000n);
+
+        const snapshot = await buildSnapshot(presale, { allowUnfinalised: true });
+        expect(snapshot.verified).to.be.true;
+        expect(Object.keys(snapshot.claims)).to.deep.equal([outsider.address]);
+    });
+});